@@ -20,13 +20,15 @@ import { fileURLToPath } from 'url';
 import { WebSocket } from 'ws';
 
 // Services
-import { ProjectService, RuntimeService, FileService, AssetService, SettingsService, RuntimePreferencesService, SpellcheckPreferencesService, LanguageToolService, LanguageToolPreferencesService } from './src/services/index.js';
+import { ProjectService, RuntimeService, FileService, AssetService, SettingsService, RuntimePreferencesService, SpellcheckPreferencesService, LanguageToolService, LanguageToolPreferencesService, AgentTokenService } from './src/services/index.js';
 
 // Shared utilities and configuration
 import { findFreePort, waitForPort, isPortInUse } from './src/utils/index.js';
 import { getEnvInfo, installMrmdPython, createVenv, ensureUv, getUvVersion } from './src/utils/index.js';
 import { walkDir, findDirs, getVenvPython, getVenvExecutable, isProcessAlive, killProcessTree } from './src/utils/index.js';
 import { buildMonitorCliArgs } from './src/tables/runtime-host.js';
+import { describePythonEnv, discoverProjectProfiles, listCondaEnvs, profileFromId } from './src/services/python-env-profiles.js';
+import { normalizeSshTarget, testSshTarget } from './src/services/runtime-ssh.js';
 import {
   CONFIG_DIR,
   RECENT_FILE,
@@ -41,7 +43,6 @@ import {
   DEFAULT_WINDOW_HEIGHT,
   DEFAULT_BACKGROUND_COLOR,
   SYSTEM_PYTHON_PATHS,
-  CONDA_PATHS,
   APP_VERSION,
   PYTHON_DEPS,
 } from './src/config.js';
@@ -174,7 +175,13 @@ const runtimeService = new RuntimeService();
 const fileService = new FileService(projectService);
 const assetService = new AssetService(fileService);
 const settingsService = new SettingsService();
-const runtimePreferencesService = new RuntimePreferencesService({ projectService });
+const runtimePreferencesService = new RuntimePreferencesService({ projectService, runtimeService });
+runtimeService.setRestartPolicyResolver((language) => runtimePreferencesService.getRestartPolicy(language));
+runtimeService.setIdlePolicyResolver(() => runtimePreferencesService.getIdlePolicy());
+// Project runtime plugins only load for projects the user trusted
+// (settings: runtime.trustedProjects, keyed by project root)
+runtimeService.setProjectTrustResolver((projectRoot) =>
+  Boolean(settingsService.get('runtime.trustedProjects', {})?.[path.resolve(projectRoot)]));
 const spellcheckPreferencesService = new SpellcheckPreferencesService({ projectService });
 const languageToolService = new LanguageToolService({
   distributionDirs: [
@@ -182,6 +189,18 @@ const languageToolService = new LanguageToolService({
   ],
 });
 const languageToolPreferencesService = new LanguageToolPreferencesService({ projectService });
+const agentTokenService = new AgentTokenService();
+const agentActivityLog = createAgentActivityLog();
+let agentSubRuntimeExecSeq = 0;
+const agentSubRuntimes = createAgentSubRuntimes({
+  startRuntime: (config) => runtimeService.start(config),
+  stopRuntime: (name) => runtimeService.stop(name),
+  trackExecution: (port, run) => runtimeService.trackExecution({ port }, `agent-sub:${++agentSubRuntimeExecSeq}`, run),
+  describeRuntime: (port) => {
+    const session = runtimeService.list().find((s) => s.port === port);
+    return session ? { venv: session.venv, pythonEnv: session.pythonEnv, projectRoot: session.projectRoot } : null;
+  },
+});
 
 // ============================================================================
 // SPELLCHECK HELPERS
@@ -308,7 +327,12 @@ async function getSpellcheckStateForWindow(win, { documentPath, projectRoot = nu
 
 import { CloudAuth } from './src/cloud-auth.js';
 import { CloudSync } from './src/cloud-sync.js';
+import { normalizeSyncRules, planProjectSync } from './src/cloud-sync-rules.js';
+import { createCloudKeyStore } from './src/cloud-e2ee.js';
 import { startAgentBridge } from './src/agent-bridge.js';
+import { createAgentActivityLog } from './src/agent-activity-log.js';
+import { createAgentSubRuntimes } from './src/agent-subruntimes.js';
+import { AGENT_TOKEN_SCOPES } from './src/services/agent-token-service.js';
 
 const cloudAuth = new CloudAuth(settingsService);
 let cloudSync = null; // Initialized after sign-in
@@ -334,6 +358,38 @@ const MACHINE_NAME = process.env.MRMD_MACHINE_NAME || os.hostname();
 const machineHubProjects = new Set();
 let machineHubScanTimer = null;
 
+// Document each window shows, for cloud bridge priorities
+const cloudDocsByWindow = new Map();
+let cloudFocusedWindowId = null;
+
+/**
+ * Rank cloud bridges by what the user is looking at: the document of the
+ * last focused window first, then documents open in other windows.
+ */
+function updateCloudBridgePriorities() {
+  cloudSync?.setOpenDocuments([...cloudDocsByWindow].map(([windowId, doc]) => ({
+    ...doc,
+    focused: windowId === cloudFocusedWindowId,
+  })));
+}
+
+app.on('browser-window-focus', (_event, win) => {
+  if (agentDocumentWindows.has(win) || win.id === cloudFocusedWindowId) return;
+  cloudFocusedWindowId = win.id;
+  updateCloudBridgePriorities();
+});
+
+/**
+ * A project's cloud sync rules (settings: cloud.syncRules, keyed by project
+ * root); null means the defaults of cloud-sync-rules.js.
+ */
+function getCloudSyncRules(projectDir) {
+  return settingsService.get('cloud.syncRules', {})?.[path.resolve(projectDir)] || null;
+}
+
+// Per-project end-to-end encryption keys (see cloud-e2ee.js)
+const cloudKeys = createCloudKeyStore();
+
 /**
  * Start background cloud sync if signed in.
  * Called on app startup and after sign-in.
@@ -358,10 +414,18 @@ async function startCloudSyncIfReady() {
     userId: user.id,
     runtimeService, // Expose local runtimes to the web editor via tunnel
     onVoiceTranscribe: (req) => transcribeParakeetFromBase64(req),
+    syncRules: getCloudSyncRules,
+    e2eeKey: (projectDir) => cloudKeys.get(projectDir),
+    maxActiveBridges: settingsService.get('cloud.maxActiveBridges', null),
   });
+  updateCloudBridgePriorities();
 
   console.log(`[cloud] Background sync ready for ${user.name || user.email}`);
 
+  // The web editor may reach the AI server through the tunnel; nothing else
+  // besides runtimes and sync servers
+  if (aiServer) cloudSync.exportTunnelPort(aiServer.port, { kind: 'ai', label: 'mrmd-ai' });
+
   // Register any already-running sync servers (no eager doc bridging — on-demand)
   for (const [, server] of syncServers) {
     if (server.port && server.dir) {
@@ -481,7 +545,7 @@ async function ensureMachineHubProjectsRunning() {
 
       // Collect catalog entries for this project
       for (const docName of docs) {
-        catalogEntries.push({ project: projectName, docPath: docName });
+        catalogEntries.push({ project: projectName, projectDir, docPath: docName });
       }
     } catch (err) {
       console.warn(`[hub] Failed to host ${projectDir}:`, err.message);
@@ -650,16 +714,19 @@ function scanFiles(searchDir, callback) {
 function discoverVenvs(projectDir, callback) {
   const found = new Set();
 
-  // Phase 0: System Python (always available)
+  const emitProfile = (profile, source) => {
+    const info = describePythonEnv(profile, { projectRoot: projectDir, source });
+    if (!info.path || found.has(info.path)) return;
+    found.add(info.path);
+    callback({ type: 'venv', ...info });
+  };
+
+  // Phase 0: System Python (always available) as a system-interpreter profile;
+  // mrmd-python goes in a managed venv that sees the interpreter's packages
   // Using paths from config
   for (const pythonPath of SYSTEM_PYTHON_PATHS) {
-    if (fs.existsSync(pythonPath)) {
-      const envPath = path.dirname(path.dirname(pythonPath)); // e.g., /usr
-      if (!found.has(envPath)) {
-        found.add(envPath);
-        const info = getEnvInfo(envPath, 'system');
-        callback({ type: 'venv', ...info, source: 'system' });
-      }
+    if (path.isAbsolute(pythonPath) && fs.existsSync(pythonPath)) {
+      emitProfile(profileFromId(`python:interpreter:${pythonPath}`), 'system');
       break; // Only add one system Python
     }
   }
@@ -672,30 +739,23 @@ function discoverVenvs(projectDir, callback) {
     path.join(path.dirname(projectDir), '.venv'),
   ];
 
+  // pixi / uv projects own their environment (.pixi/envs/*, .venv): offer the
+  // project profile instead of the bare venv so it is synced before start
+  for (const profile of discoverProjectProfiles(projectDir)) {
+    emitProfile(profile, 'project');
+  }
+
   for (const p of obviousPaths) {
-    if (fs.existsSync(getVenvPython(p))) {
+    if (!found.has(p) && fs.existsSync(getVenvPython(p))) {
       found.add(p);
       const info = getEnvInfo(p, 'venv');
       callback({ type: 'venv', ...info, source: 'project' });
     }
   }
 
-  // Phase 2: Conda environments (using paths from config)
-  const condaPaths = CONDA_PATHS.map(p => path.join(os.homedir(), p));
-  for (const condaEnvs of condaPaths) {
-    if (fs.existsSync(condaEnvs)) {
-      try {
-        const envs = fs.readdirSync(condaEnvs);
-        for (const env of envs) {
-          const envPath = path.join(condaEnvs, env);
-          if (!found.has(envPath) && fs.existsSync(getVenvPython(envPath))) {
-            found.add(envPath);
-            const info = getEnvInfo(envPath, 'conda');
-            callback({ type: 'venv', ...info, source: 'conda' });
-          }
-        }
-      } catch (e) { /* ignore */ }
-    }
+  // Phase 2: Conda environments (base + envs/ of each install, environments.txt)
+  for (const { name, prefix } of listCondaEnvs()) {
+    emitProfile({ ...profileFromId(`python:conda:${prefix}`), label: `conda: ${name}` }, 'conda');
   }
 
   // Phase 3: Pyenv versions
@@ -1055,11 +1115,15 @@ async function _startAiServer() {
 
   proc.stdout.on('data', (d) => console.log('[ai]', d.toString().trim()));
   proc.stderr.on('data', (d) => console.error('[ai]', d.toString().trim()));
-  proc.on('exit', () => { aiServer = null; });
+  proc.on('exit', () => {
+    aiServer = null;
+    cloudSync?.unexportTunnelPort(port);
+  });
 
   // AI server imports heavy libs (dspy, litellm) - needs 30s timeout
   await waitForPort(port, { timeout: 30000 });
   aiServer = { proc, port };
+  cloudSync?.exportTunnelPort(port, { kind: 'ai', label: 'mrmd-ai' });
   return aiServer;
 }
 
@@ -1070,8 +1134,12 @@ async function _startAiServer() {
 
 const windowStates = new Map();
 const windows = new Set();
+// Hidden windows opened by the agent bridge for documents that weren't open
+const agentDocumentWindows = new Set();
 
 function cleanupWindow(windowId) {
+  if (cloudDocsByWindow.delete(windowId)) updateCloudBridgePriorities();
+
   const state = windowStates.get(windowId);
   if (!state) return;
 
@@ -1733,12 +1801,18 @@ ipcMain.handle('project:watch', (event, { projectRoot }) => {
   }
 
   // Start new watcher
-  const watcher = projectService.watch(projectRoot, () => {
+  const watcher = projectService.watch(projectRoot, (changes = []) => {
     // Send event to renderer when files change
     const win = BrowserWindow.fromId(windowId);
     if (win && !win.isDestroyed()) {
       win.webContents.send('project:changed', { projectRoot });
     }
+    // Documents written to disk (by the sync server or another program)
+    for (const { filePath, event: change } of changes) {
+      if (change === 'change' || change === 'add') {
+        agentBridge?.publish('file-save', { filePath, projectRoot, change });
+      }
+    }
   });
 
   projectWatchers.set(windowId, watcher);
@@ -1793,7 +1867,7 @@ ipcMain.handle('runtime:stop', async (event, { sessionName }) => {
 });
 
 // Restart a runtime
-ipcMain.handle('runtime:restart', async (event, { sessionName }) => {
+ipcMain.handle('runtime:restart', async (event, { sessionName, restore = false }) => {
   try {
     try {
       const winId = BrowserWindow.fromWebContents(event.sender)?.id;
@@ -1801,26 +1875,58 @@ ipcMain.handle('runtime:restart', async (event, { sessionName }) => {
       const stack = new Error().stack?.split('\n').slice(1, 6).join('\n');
       console.warn(`[runtime:ipc] restart requested for "${sessionName}" (window=${winId}, url=${senderUrl})\n${stack}`);
     } catch {}
-    return await runtimeService.restart(sessionName);
+    return await runtimeService.restart(sessionName, { restore });
   } catch (e) {
     console.error('[runtime:restart] Error:', e.message);
     throw e;
   }
 });
 
-function normalizeRuntimeLanguage(language) {
+// Python namespace snapshots
+ipcMain.handle('runtime:snapshot', async (event, { sessionName, label }) => {
+  try {
+    return await runtimeService.snapshot({ sessionName }, { label });
+  } catch (e) {
+    console.error('[runtime:snapshot] Error:', e.message);
+    throw e;
+  }
+});
+
+ipcMain.handle('runtime:restore', async (event, { sessionName, id }) => {
+  try {
+    return await runtimeService.restoreSnapshot({ sessionName }, { id });
+  } catch (e) {
+    console.error('[runtime:restore] Error:', e.message);
+    throw e;
+  }
+});
+
+ipcMain.handle('runtime:snapshots', async (event, { sessionName }) => {
+  try {
+    return await runtimeService.listSnapshots({ sessionName });
+  } catch (e) {
+    console.error('[runtime:snapshots] Error:', e.message);
+    throw e;
+  }
+});
+
+function normalizeRuntimeLanguage(language, projectRoot = null) {
   const l = String(language || '').toLowerCase();
   if (l === 'py' || l === 'python3') return 'python';
   if (l === 'sh' || l === 'shell' || l === 'zsh') return 'bash';
   if (l === 'rlang') return 'r';
   if (l === 'jl') return 'julia';
   if (l === 'term' || l === 'terminal') return 'pty';
-  return l;
+  // Runtime plugins may declare their own aliases
+  return runtimeService.resolveLanguage(l, projectRoot) || l;
 }
 
 async function ensureEffectiveRuntime(documentPath, language, options = {}) {
-  const normalized = normalizeRuntimeLanguage(language);
-  const supported = new Set(runtimeService.supportedLanguages());
+  const context = await runtimePreferencesService.getContext(documentPath, options.projectRoot || null);
+  await runtimeService.loadPlugins({ projectRoot: context.projectRoot });
+
+  const normalized = normalizeRuntimeLanguage(language, context.projectRoot);
+  const supported = new Set(runtimeService.supportedLanguages(context.projectRoot));
   if (!supported.has(normalized)) {
     return {
       language: normalized,
@@ -1911,6 +2017,77 @@ ipcMain.handle('runtime:prefs:setDefault', (event, { language, patch }) => {
   }
 });
 
+ipcMain.handle('runtime:prefs:listProfiles', (event, { language }) => {
+  return runtimePreferencesService.listProfiles(language);
+});
+
+ipcMain.handle('runtime:prefs:upsertProfile', (event, { language, profileId, profile }) => {
+  try {
+    return runtimePreferencesService.upsertProfile(language, profileId, profile);
+  } catch (e) {
+    console.error('[runtime:prefs:upsertProfile] Error:', e.message);
+    throw e;
+  }
+});
+
+ipcMain.handle('runtime:prefs:setProfileLimits', (event, { language, profileId, limits }) => {
+  try {
+    return runtimePreferencesService.setProfileLimits(language, profileId, limits);
+  } catch (e) {
+    console.error('[runtime:prefs:setProfileLimits] Error:', e.message);
+    throw e;
+  }
+});
+
+ipcMain.handle('runtime:prefs:getIdlePolicy', () => {
+  return runtimePreferencesService.getIdlePolicy();
+});
+
+ipcMain.handle('runtime:prefs:setIdlePolicy', (event, { patch }) => {
+  try {
+    return runtimePreferencesService.setIdlePolicy(patch || {});
+  } catch (e) {
+    console.error('[runtime:prefs:setIdlePolicy] Error:', e.message);
+    throw e;
+  }
+});
+
+// Compute targets (this computer + SSH hosts)
+ipcMain.handle('runtime:targets:list', () => {
+  return runtimePreferencesService.listComputeTargets();
+});
+
+ipcMain.handle('runtime:targets:upsert', (event, { targetId, target }) => {
+  try {
+    return runtimePreferencesService.upsertComputeTarget(targetId || null, target);
+  } catch (e) {
+    console.error('[runtime:targets:upsert] Error:', e.message);
+    throw e;
+  }
+});
+
+ipcMain.handle('runtime:targets:remove', (event, { targetId }) => {
+  try {
+    return { success: runtimePreferencesService.removeComputeTarget(targetId) };
+  } catch (e) {
+    console.error('[runtime:targets:remove] Error:', e.message);
+    throw e;
+  }
+});
+
+ipcMain.handle('runtime:targets:test', async (event, { targetId, target }) => {
+  try {
+    const known = targetId
+      ? runtimePreferencesService.listComputeTargets().find((t) => t.id === targetId)
+      : target;
+    if (!known) throw new Error(`Unknown compute target: ${targetId}`);
+    if (known.type !== 'ssh') return { ok: true, latencyMs: 0, tools: {} };
+    return await testSshTarget(normalizeSshTarget(known));
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+});
+
 ipcMain.handle('runtime:prefs:clearNotebook', async (event, { documentPath, language, projectRoot }) => {
   try {
     return await runtimePreferencesService.clearNotebookOverride({
@@ -1936,14 +2113,179 @@ ipcMain.handle('runtime:ensureEffective', async (event, { documentPath, language
   }
 });
 
+// Crash history (newest first), optionally filtered by session or language
+ipcMain.handle('runtime:crashHistory', (event, { sessionName, language, limit } = {}) => {
+  return runtimeService.crashHistory({ sessionName, language, limit });
+});
+
+// Editor events for agents (see agent-bridge.js /events); main-side events
+// (runtime lifecycle, file saves) are published where they happen.
+const AGENT_RENDERER_EVENTS = new Set(['cell-run', 'document-switch', 'selection']);
+
+ipcMain.handle('agent:event', (event, { kind, data } = {}) => {
+  if (!agentBridge || !AGENT_RENDERER_EVENTS.has(kind)) return false;
+  const windowId = BrowserWindow.fromWebContents(event.sender)?.id ?? null;
+  agentBridge.publish(kind, { ...(data || {}), windowId });
+  return true;
+});
+
+// Named agent bridge tokens (settings > Agent Access). The secret is only
+// returned by create; revoking cuts the token off on its next request.
+ipcMain.handle('agent:tokens:list', () => ({
+  scopes: AGENT_TOKEN_SCOPES,
+  tokens: agentTokenService.list(),
+  fileTokenScopes: agentTokenService.getFileTokenScopes(),
+  requireApproval: agentTokenService.getDefaultApproval(),
+}));
+
+ipcMain.handle('agent:tokens:create', (event, options = {}) => {
+  return agentTokenService.create(options);
+});
+
+ipcMain.handle('agent:tokens:revoke', (event, { id } = {}) => {
+  return agentTokenService.revoke(id);
+});
+
+ipcMain.handle('agent:tokens:audit', (event, { id } = {}) => {
+  return agentTokenService.audit(id);
+});
+
+ipcMain.handle('agent:tokens:setFileTokenScopes', (event, { scopes } = {}) => {
+  return agentTokenService.setFileTokenScopes(scopes);
+});
+
+// Approval mode: null follows the global setting
+ipcMain.handle('agent:tokens:setApproval', (event, { id, requireApproval } = {}) => {
+  return agentTokenService.setApproval(id, requireApproval);
+});
+
+ipcMain.handle('agent:tokens:setDefaultApproval', (event, { requireApproval } = {}) => {
+  return agentTokenService.setDefaultApproval(requireApproval);
+});
+
+// Agent activity panel: the persistent log of one project (or, without a
+// project, of actions outside any project), newest first
+ipcMain.handle('agent:activity', (event, { projectRoot = null, ...filters } = {}) => {
+  return agentActivityLog.query({
+    ...filters,
+    projects: projectRoot ? [projectRoot] : [],
+    includeGlobal: !projectRoot,
+  });
+});
+
+// Execution activity from renderers, for the idle reaper.
+// In-flight executions of a window are released when the window goes away.
+const runtimeActivitySenders = new Set();
+
+ipcMain.handle('runtime:activity', (event, { sessionName, port, event: phase, execId } = {}) => {
+  const sender = event.sender;
+  const prefix = `renderer:${sender.id}:`;
+  if (!runtimeActivitySenders.has(sender.id)) {
+    runtimeActivitySenders.add(sender.id);
+    sender.once('destroyed', () => {
+      runtimeActivitySenders.delete(sender.id);
+      runtimeService.endExecutions(prefix);
+    });
+  }
+
+  const key = `${prefix}${execId || sessionName || port}`;
+  if (phase === 'start') return !!runtimeService.beginExecution({ sessionName, port }, key);
+  runtimeService.endExecution(key);
+  return true;
+});
+
+// Pin a session so the idle reaper leaves it running
+ipcMain.handle('runtime:setKeepAlive', (event, { sessionName, keepAlive }) => {
+  return runtimeService.setKeepAlive(sessionName, keepAlive);
+});
+
+// Runtime stdout/stderr logs: tail N lines, optionally follow (pushes runtime:log)
+const runtimeLogFollowers = new Map(); // followId -> stop()
+let nextRuntimeLogFollowId = 1;
+
+ipcMain.handle('runtime:logs', (event, { sessionName, lines, follow = false } = {}) => {
+  if (!sessionName) throw new Error('sessionName is required');
+  const result = runtimeService.logs(sessionName, { lines });
+  if (!follow) return result;
+
+  const sender = event.sender;
+  const followId = nextRuntimeLogFollowId++;
+  const stopFollowing = runtimeService.followLogs(sessionName, (newLines) => {
+    if (sender.isDestroyed()) return;
+    sender.send('runtime:log', { followId, sessionName, lines: newLines });
+  });
+  const stop = () => {
+    stopFollowing();
+    runtimeLogFollowers.delete(followId);
+  };
+  runtimeLogFollowers.set(followId, stop);
+  sender.once('destroyed', stop);
+
+  return { ...result, followId };
+});
+
+ipcMain.handle('runtime:logs:unfollow', (event, { followId }) => {
+  const stop = runtimeLogFollowers.get(followId);
+  if (!stop) return false;
+  stop();
+  return true;
+});
+
+/** Runtime events that agents see on the bridge's /events stream */
+const AGENT_RUNTIME_EVENTS = {
+  started: 'runtime-start',
+  stopped: 'runtime-stop',
+  crashed: 'runtime-crash',
+  restarted: 'runtime-restart',
+};
+
+// Push runtime events (runtime:crashed / restarted / usage / limit / reaped) to every window
+runtimeService.onEvent((type, payload) => {
+  for (const win of windows) {
+    try {
+      win.webContents.send(`runtime:${type}`, payload);
+    } catch {
+      // Window might be destroyed
+    }
+  }
+  if (agentBridge && AGENT_RUNTIME_EVENTS[type]) {
+    agentBridge.publish(AGENT_RUNTIME_EVENTS[type], payload);
+  }
+  // A sub-agent runtime that crashed or was reaped is gone for its owner too
+  if (type === 'stopped') agentSubRuntimes.forget(payload.sessionName);
+});
+
 // Check if a language is available
-ipcMain.handle('runtime:isAvailable', (event, { language }) => {
-  return runtimeService.isAvailable(language);
+ipcMain.handle('runtime:isAvailable', async (event, { language, projectRoot }) => {
+  await runtimeService.loadPlugins({ projectRoot });
+  return runtimeService.isAvailable(language, projectRoot);
+});
+
+// List supported languages (built-ins + runtime plugins)
+ipcMain.handle('runtime:languages', async (event, { projectRoot } = {}) => {
+  await runtimeService.loadPlugins({ projectRoot });
+  return runtimeService.supportedLanguages(projectRoot);
+});
+
+// Describe languages (label, aliases, plugin source) and plugin load errors
+ipcMain.handle('runtime:descriptors', async (event, { projectRoot, reload } = {}) => {
+  try {
+    return await runtimeService.loadPlugins({ projectRoot, force: !!reload });
+  } catch (e) {
+    console.error('[runtime:descriptors] Error:', e.message);
+    throw e;
+  }
 });
 
-// List supported languages
-ipcMain.handle('runtime:languages', () => {
-  return runtimeService.supportedLanguages();
+// Trust (or stop trusting) a project's runtime plugins, then reload them
+ipcMain.handle('runtime:trustProject', async (event, { projectRoot, trusted } = {}) => {
+  if (!projectRoot) throw new Error('projectRoot is required');
+  const all = { ...settingsService.get('runtime.trustedProjects', {}) };
+  const key = path.resolve(projectRoot);
+  if (trusted) all[key] = new Date().toISOString();
+  else delete all[key];
+  settingsService.set('runtime.trustedProjects', all);
+  return await runtimeService.loadPlugins({ projectRoot: key, force: true });
 });
 
 // ============================================================================
@@ -2028,6 +2370,7 @@ ipcMain.handle('file:read', async (event, { filePath }) => {
 ipcMain.handle('file:write', async (event, { filePath, content }) => {
   try {
     await fileService.write(filePath, content);
+    agentBridge?.publish('file-save', { filePath });
     return { success: true };
   } catch (e) {
     console.error('[file:write] Error:', e.message);
@@ -2561,6 +2904,8 @@ ipcMain.handle('settings:import', (event, { json, mergeKeys = false }) => {
 // Files queued to open before app was ready (macOS open-file before ready)
 const pendingFilesToOpen = [];
 
+const OPENABLE_DOCUMENT_EXTENSIONS = ['.md', '.qmd', '.markdown', '.mdown', '.mdx', '.ipynb'];
+
 /**
  * Send a file path to the renderer to be opened (like Ctrl+P selection)
  * @param {string} filePath - Absolute path to the file
@@ -2568,7 +2913,7 @@ const pendingFilesToOpen = [];
 function sendFileToOpen(filePath) {
   // Validate it's a supported file type
   const ext = path.extname(filePath).toLowerCase();
-  if (!['.md', '.qmd', '.markdown', '.mdown', '.mdx', '.ipynb'].includes(ext)) {
+  if (!OPENABLE_DOCUMENT_EXTENSIONS.includes(ext)) {
     console.log(`[open-with] Ignoring unsupported file: ${filePath}`);
     return;
   }
@@ -2580,7 +2925,7 @@ function sendFileToOpen(filePath) {
   }
 
   // Find the first available window, or queue for later
-  const win = BrowserWindow.getAllWindows()[0];
+  const win = BrowserWindow.getAllWindows().find((w) => !agentDocumentWindows.has(w));
   if (win && !win.isDestroyed()) {
     console.log(`[open-with] Sending file to renderer: ${filePath}`);
     win.webContents.send('open-with-file', { filePath });
@@ -2608,7 +2953,7 @@ function getFileFromArgv(argv) {
     if (arg.endsWith('.js') || arg.endsWith('electron') || arg.includes('app.asar')) continue;
     // Check if it looks like a file path
     const ext = path.extname(arg).toLowerCase();
-    if (['.md', '.qmd', '.markdown', '.mdown', '.mdx', '.ipynb'].includes(ext)) {
+    if (OPENABLE_DOCUMENT_EXTENSIONS.includes(ext)) {
       return arg;
     }
   }
@@ -2636,7 +2981,7 @@ app.on('second-instance', (_event, argv) => {
     sendFileToOpen(filePath);
   }
 
-  const win = BrowserWindow.getAllWindows()[0];
+  const win = BrowserWindow.getAllWindows().find((w) => !agentDocumentWindows.has(w));
   if (win && !win.isDestroyed()) {
     if (win.isMinimized()) win.restore();
     win.focus();
@@ -2665,6 +3010,7 @@ app.on('open-file', (event, filePath) => {
 
 function createWindow(options = {}) {
   const win = new BrowserWindow({
+    show: options.show !== false,
     width: DEFAULT_WINDOW_WIDTH,
     height: DEFAULT_WINDOW_HEIGHT,
     backgroundColor: DEFAULT_BACKGROUND_COLOR,
@@ -2684,7 +3030,13 @@ function createWindow(options = {}) {
 
   win.on('closed', () => {
     windows.delete(win);
+    agentDocumentWindows.delete(win);
     cleanupWindow(win.id);
+
+    // Don't keep the app alive for hidden agent windows once the user's are gone
+    if (windows.size > 0 && [...windows].every((w) => agentDocumentWindows.has(w) && !w.isVisible())) {
+      for (const w of windows) w.close();
+    }
   });
 
   // ---- Unified spellcheck + grammar context menu ----
@@ -2888,12 +3240,39 @@ app.whenReady().then(async () => {
     pendingFilesToOpen.push(initialFile);
   }
 
+  try {
+    await runtimeService.loadPlugins();
+  } catch (e) {
+    console.error('[startup] Failed to load runtime plugins:', e.message);
+  }
+
   const win = createWindow();
 
   try {
+    let agentExecutionSeq = 0;
     agentBridge = await startAgentBridge({
       configDir: CONFIG_DIR,
       getWindows: () => Array.from(windows),
+      getFocusedWindow: () => BrowserWindow.getFocusedWindow(),
+      // Same path as "Open as Project": the renderer opens ?openFile on load
+      openDocument: (filePath) => {
+        if (!OPENABLE_DOCUMENT_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+          throw new Error(`Not a document MRMD can open: ${filePath}`);
+        }
+        const docWin = createWindow({ show: false, query: { openProject: '1', openFile: filePath } });
+        agentDocumentWindows.add(docWin);
+        return docWin;
+      },
+      trackRuntimeExecution: (port, run) =>
+        runtimeService.trackExecution({ port }, `agent:${++agentExecutionSeq}`, run),
+      runtimeSnapshots: {
+        snapshot: (port, opts) => runtimeService.snapshot({ port }, opts),
+        restore: (port, opts) => runtimeService.restoreSnapshot({ port }, opts),
+        list: (port) => runtimeService.listSnapshots({ port }),
+      },
+      tokens: agentTokenService,
+      activityLog: agentActivityLog,
+      subRuntimes: agentSubRuntimes,
     });
     console.log(`[agent] Bridge ready at ${agentBridge.url}`);
   } catch (e) {
@@ -3026,6 +3405,63 @@ ipcMain.handle('cloud:deleteShare', async (_event, { shareId } = {}) => {
   });
 });
 
+ipcMain.handle('cloud:getSyncRules', (_event, { projectDir } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  const custom = getCloudSyncRules(projectDir);
+  return { rules: normalizeSyncRules(custom || {}), custom: Boolean(custom) };
+});
+
+ipcMain.handle('cloud:setSyncRules', async (_event, { projectDir, rules } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  const all = { ...settingsService.get('cloud.syncRules', {}) };
+  const key = path.resolve(projectDir);
+  // null resets the project to the defaults
+  if (rules) all[key] = normalizeSyncRules(rules);
+  else delete all[key];
+  settingsService.set('cloud.syncRules', all);
+  const unbridged = (await cloudSync?.applySyncRules(key)) || [];
+  return { rules: normalizeSyncRules(all[key] || {}), custom: Boolean(all[key]), unbridged };
+});
+
+// Dry run: what the given (or saved) rules would sync
+ipcMain.handle('cloud:previewSyncRules', (_event, { projectDir, rules = null } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  return planProjectSync(path.resolve(projectDir), rules || getCloudSyncRules(projectDir));
+});
+
+// End-to-end encryption: the relay only sees ciphertext of the project's
+// documents. Changing the key re-bridges the project's open bridges.
+ipcMain.handle('cloud:getE2ee', (_event, { projectDir } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  return cloudKeys.info(projectDir);
+});
+
+ipcMain.handle('cloud:enableE2ee', async (_event, { projectDir } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  const info = cloudKeys.create(projectDir);
+  const rebridged = (await cloudSync?.applyEncryption(path.resolve(projectDir))) || [];
+  return { ...info, rebridged };
+});
+
+ipcMain.handle('cloud:importE2eeKey', async (_event, { projectDir, key } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  const info = cloudKeys.import(projectDir, key);
+  const rebridged = (await cloudSync?.applyEncryption(path.resolve(projectDir))) || [];
+  return { ...info, rebridged };
+});
+
+ipcMain.handle('cloud:exportE2eeKey', (_event, { projectDir } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  return cloudKeys.export(projectDir);
+});
+
+ipcMain.handle('cloud:disableE2ee', async (_event, { projectDir } = {}) => {
+  if (!projectDir) throw new Error('projectDir is required');
+  cloudKeys.remove(projectDir);
+  const rebridged = (await cloudSync?.applyEncryption(path.resolve(projectDir))) || [];
+  return { ...cloudKeys.info(projectDir), rebridged };
+});
+
 // ============================================================================
 // SYSTEMD SERVICE MANAGEMENT (machine-agent)
 // ============================================================================
@@ -3055,10 +3491,16 @@ ipcMain.handle('systemd:logs', (_event, { lines } = {}) => {
   return systemd.getLogs(lines);
 });
 
-ipcMain.handle('cloud:bridgeDoc', async (_event, { projectDir, docName }) => {
+ipcMain.handle('cloud:bridgeDoc', async (event, { projectDir, docName }) => {
   if (!cloudSync) return { ok: false, reason: 'not-signed-in' };
   if (!projectDir || !docName) return { ok: false, reason: 'invalid-params' };
   try {
+    // Documents in hidden agent windows aren't being looked at
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (win && !agentDocumentWindows.has(win)) {
+      cloudDocsByWindow.set(win.id, { projectDir, docName });
+      updateCloudBridgePriorities();
+    }
     cloudSync.bridgeDoc(projectDir, docName);
     return { ok: true };
   } catch (err) {
@@ -3066,6 +3508,14 @@ ipcMain.handle('cloud:bridgeDoc', async (_event, { projectDir, docName }) => {
   }
 });
 
+ipcMain.handle('cloud:setMaxActiveBridges', (_event, { maxActive } = {}) => {
+  const value = Number(maxActive);
+  if (!Number.isInteger(value) || value < 1 || value > 1000) throw new Error('maxActive must be an integer from 1 to 1000');
+  settingsService.set('cloud.maxActiveBridges', value);
+  cloudSync?.setMaxActiveBridges(value);
+  return { maxActive: value };
+});
+
 ipcMain.handle('cloud:fetchAsset', async (_event, { localProjectRoot, relativePath }) => {
   if (!cloudAuth?.isSignedIn()) return { ok: false, reason: 'not-signed-in' };
   if (!relativePath) return { ok: false, reason: 'invalid-params' };
@@ -3157,7 +3607,9 @@ app.on('window-all-closed', () => {
     return;
   }
 
-  // Shutdown all runtime sessions (python, bash, r, julia, pty)
+  // Shutdown all runtime sessions (python, bash, r, julia, pty); sub-agent
+  // runtimes first, so their workspaces are removed too
+  agentSubRuntimes.dispose().catch(() => {});
   runtimeService.shutdown();
 
   stopMachineHub().catch(() => {});
@@ -3177,6 +3629,7 @@ app.on('window-all-closed', () => {
     agentBridge.close().catch(() => {});
     agentBridge = null;
   }
+  agentTokenService.flush();
 
   languageToolService.stop().catch(() => {});
 
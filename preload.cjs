@@ -113,9 +113,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
     /**
      * Restart a runtime.
      * @param {string} sessionName
+     * @param {{restore?: boolean}} [options] — Python: carry the namespace over via a snapshot
      * @returns {Promise<Object>}
      */
-    restart: (sessionName) => ipcRenderer.invoke('runtime:restart', { sessionName }),
+    restart: (sessionName, options = {}) =>
+      ipcRenderer.invoke('runtime:restart', { sessionName, restore: !!options.restore }),
+
+    /**
+     * Python namespace snapshots, stored in <project>/.mrmd/snapshots/<session>/.
+     * snapshot → { id, saved: [...], skipped: [{ name, type, error }], ... }
+     * restoreSnapshot (latest if no id) → { id, restored: [...], failed: [...] }
+     */
+    snapshot: (sessionName, label = null) =>
+      ipcRenderer.invoke('runtime:snapshot', { sessionName, label }),
+    restoreSnapshot: (sessionName, id = null) =>
+      ipcRenderer.invoke('runtime:restore', { sessionName, id }),
+    listSnapshots: (sessionName) =>
+      ipcRenderer.invoke('runtime:snapshots', { sessionName }),
+
+    /**
+     * A snapshot was saved or restored (also by agents or after a restart).
+     * Payload: { sessionName, language, action: 'saved'|'restored', id, ... }
+     */
+    onSnapshot: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:snapshot');
+      ipcRenderer.on('runtime:snapshot', (event, data) => callback(data));
+    },
 
     /**
      * Get or create ALL runtimes for a document.
@@ -161,20 +184,173 @@ contextBridge.exposeInMainWorld('electronAPI', {
         ipcRenderer.invoke('runtime:prefs:setDefault', { language, patch }),
       clearNotebook: (documentPath, language, projectRoot) =>
         ipcRenderer.invoke('runtime:prefs:clearNotebook', { documentPath, language, projectRoot }),
+      listProfiles: (language) =>
+        ipcRenderer.invoke('runtime:prefs:listProfiles', { language }),
+      // e.g. ('python', 'python:container:my-image', { kind: 'container', image, engine, pull })
+      upsertProfile: (language, profileId, profile) =>
+        ipcRenderer.invoke('runtime:prefs:upsertProfile', { language, profileId, profile }),
+      // limits: { maxMemoryMb, maxCpuSeconds, idleTimeoutMinutes } or null to clear
+      setProfileLimits: (language, profileId, limits) =>
+        ipcRenderer.invoke('runtime:prefs:setProfileLimits', { language, profileId, limits }),
+      // Idle reaper thresholds: { notebook, project, shared } minutes (0 = never, null = default)
+      getIdlePolicy: () => ipcRenderer.invoke('runtime:prefs:getIdlePolicy'),
+      setIdlePolicy: (patch) => ipcRenderer.invoke('runtime:prefs:setIdlePolicy', { patch }),
+    },
+
+    /**
+     * Compute targets: this computer plus SSH hosts
+     * ({ type: 'ssh', host, user?, port?, identityFile?, remoteRoot?, projectPaths? }).
+     * Pick one per notebook with prefs.setNotebook(doc, lang, { compute: { mode: 'target', targetId } }).
+     */
+    targets: {
+      list: () => ipcRenderer.invoke('runtime:targets:list'),
+      // targetId may be null for a new SSH target (id becomes ssh:<user@host>)
+      upsert: (targetId, target) => ipcRenderer.invoke('runtime:targets:upsert', { targetId, target }),
+      remove: (targetId) => ipcRenderer.invoke('runtime:targets:remove', { targetId }),
+      // Reachability check: { ok, latencyMs, tools: { python3, uv }, error? }
+      test: (targetId, target) => ipcRenderer.invoke('runtime:targets:test', { targetId, target }),
+    },
+
+    /**
+     * Crash history recorded by the runtime supervisor (newest first).
+     * @param {{sessionName?: string, language?: string, limit?: number}} [filter]
+     * @returns {Promise<Object[]>}
+     */
+    crashHistory: (filter = {}) => ipcRenderer.invoke('runtime:crashHistory', filter),
+
+    /**
+     * A runtime exited unexpectedly.
+     * Payload: { sessionName, language, exitCode, signal, reason, uptimeMs,
+     *            stderrTail, willRestart, gaveUp, attempt, delayMs }
+     */
+    onCrashed: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:crashed');
+      ipcRenderer.on('runtime:crashed', (event, data) => callback(data));
+    },
+
+    /**
+     * The supervisor restarted a crashed runtime.
+     * Payload: { sessionName, language, attempt, session }
+     */
+    onRestarted: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:restarted');
+      ipcRenderer.on('runtime:restarted', (event, data) => callback(data));
+    },
+
+    /**
+     * Report execution activity for the idle reaper.
+     * @param {{sessionName?: string, port?: number, event: 'start'|'end', execId: string}} activity
+     */
+    activity: (activity) => ipcRenderer.invoke('runtime:activity', activity),
+
+    /**
+     * Pin a session as keep-alive (never stopped by the idle reaper).
+     * @param {string} sessionName
+     * @param {boolean} keepAlive
+     */
+    setKeepAlive: (sessionName, keepAlive) =>
+      ipcRenderer.invoke('runtime:setKeepAlive', { sessionName, keepAlive }),
+
+    /**
+     * Start preparation progress (container image pulls).
+     * Payload: { sessionName, language, stage, detail }
+     */
+    onProgress: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:progress');
+      ipcRenderer.on('runtime:progress', (event, data) => callback(data));
+    },
+
+    /**
+     * SSH tunnel state of a remote session changed.
+     * Payload: { sessionName, language, host, state: 'connected'|'reconnecting'|'closed',
+     *            attempt?, delayMs?, reason? }
+     */
+    onTunnel: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:tunnel');
+      ipcRenderer.on('runtime:tunnel', (event, data) => callback(data));
+    },
+
+    /**
+     * The idle reaper stopped a session.
+     * Payload: { sessionName, language, scope, idleMinutes, thresholdMinutes }
+     */
+    onReaped: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:reaped');
+      ipcRenderer.on('runtime:reaped', (event, data) => callback(data));
+    },
+
+    /**
+     * Resource usage samples for all sessions (every few seconds, Linux only).
+     * Payload: { sessions: [{ sessionName, language, cpuPercent, rssBytes, cpuSeconds, pids, at }] }
+     */
+    onUsage: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:usage');
+      ipcRenderer.on('runtime:usage', (event, data) => callback(data));
+    },
+
+    /**
+     * A session crossed a resource limit from its profile.
+     * Payload: { sessionName, language, kind: 'memory'|'cpu'|'idle',
+     *            action: 'warn'|'interrupt'|'kill'|'stop', value, limit, unit, graceMs }
+     */
+    onLimit: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:limit');
+      ipcRenderer.on('runtime:limit', (event, data) => callback(data));
+    },
+
+    /**
+     * Tail a session's stdout/stderr log (~/.mrmd/sessions/logs/).
+     * With follow: true, new lines are pushed to onLog until unfollowLogs(followId).
+     * @param {string} sessionName
+     * @param {{lines?: number, follow?: boolean}} [opts]
+     * @returns {Promise<{sessionName, path, lines: string[], size, exists, alive, followId?}>}
+     */
+    logs: (sessionName, opts = {}) => ipcRenderer.invoke('runtime:logs', { sessionName, ...opts }),
+
+    unfollowLogs: (followId) => ipcRenderer.invoke('runtime:logs:unfollow', { followId }),
+
+    /**
+     * New lines appended to a followed log.
+     * Payload: { followId, sessionName, lines }
+     */
+    onLog: (callback) => {
+      ipcRenderer.removeAllListeners('runtime:log');
+      ipcRenderer.on('runtime:log', (event, data) => callback(data));
     },
 
     /**
      * Check if a language runtime is available on this system.
      * @param {string} language
+     * @param {string} [projectRoot] — also consider the project's runtime plugins
      * @returns {Promise<{available: boolean, error?: string}>}
      */
-    isAvailable: (language) => ipcRenderer.invoke('runtime:isAvailable', { language }),
+    isAvailable: (language, projectRoot) => ipcRenderer.invoke('runtime:isAvailable', { language, projectRoot }),
 
     /**
-     * List all supported runtime languages.
+     * List all supported runtime languages (built-ins + runtime plugins).
+     * @param {string} [projectRoot]
      * @returns {Promise<string[]>}
      */
-    languages: () => ipcRenderer.invoke('runtime:languages'),
+    languages: (projectRoot) => ipcRenderer.invoke('runtime:languages', { projectRoot }),
+
+    /**
+     * Describe supported languages and report runtime plugin load errors.
+     * @param {string} [projectRoot]
+     * @param {{reload?: boolean}} [options] — reload re-reads plugin files from disk
+     * @returns {Promise<{languages: Object[], errors: Object[]}>}
+     */
+    descriptors: (projectRoot, options = {}) =>
+      ipcRenderer.invoke('runtime:descriptors', { projectRoot, reload: !!options.reload }),
+
+    /**
+     * Trust a project's runtime plugins (they can run code the project
+     * ships), or stop trusting them.
+     * @param {string} projectRoot
+     * @param {boolean} [trusted=true]
+     * @returns {Promise<{languages: Object[], errors: Object[], untrusted: string[]}>}
+     */
+    trustProject: (projectRoot, trusted = true) =>
+      ipcRenderer.invoke('runtime:trustProject', { projectRoot, trusted }),
   },
 
   // ==========================================================================
@@ -332,6 +508,48 @@ contextBridge.exposeInMainWorld('electronAPI', {
     createShare: (payload) => ipcRenderer.invoke('cloud:createShare', payload),
     updateShare: (shareId, patch) => ipcRenderer.invoke('cloud:updateShare', { shareId, patch }),
     deleteShare: (shareId) => ipcRenderer.invoke('cloud:deleteShare', { shareId }),
+    getSyncRules: (projectDir) => ipcRenderer.invoke('cloud:getSyncRules', { projectDir }),
+    setSyncRules: (projectDir, rules) => ipcRenderer.invoke('cloud:setSyncRules', { projectDir, rules }),
+    previewSyncRules: (projectDir, rules) => ipcRenderer.invoke('cloud:previewSyncRules', { projectDir, rules }),
+    setMaxActiveBridges: (maxActive) => ipcRenderer.invoke('cloud:setMaxActiveBridges', { maxActive }),
+    getE2ee: (projectDir) => ipcRenderer.invoke('cloud:getE2ee', { projectDir }),
+    enableE2ee: (projectDir) => ipcRenderer.invoke('cloud:enableE2ee', { projectDir }),
+    disableE2ee: (projectDir) => ipcRenderer.invoke('cloud:disableE2ee', { projectDir }),
+    exportE2eeKey: (projectDir) => ipcRenderer.invoke('cloud:exportE2eeKey', { projectDir }),
+    importE2eeKey: (projectDir, key) => ipcRenderer.invoke('cloud:importE2eeKey', { projectDir, key }),
+  },
+
+  // ==========================================================================
+  // AGENT BRIDGE EVENTS
+  // ==========================================================================
+
+  agent: {
+    /**
+     * Report an editor event to the agent bridge's /events stream
+     * (cell-run, document-switch, selection).
+     */
+    publish: (kind, data) => ipcRenderer.invoke('agent:event', { kind, data }),
+
+    /**
+     * Named bridge tokens with scopes, expiry and a project allow-list.
+     * create() returns { token, secret }; the secret is shown only once.
+     */
+    tokens: {
+      list: () => ipcRenderer.invoke('agent:tokens:list'),
+      create: (options) => ipcRenderer.invoke('agent:tokens:create', options),
+      revoke: (id) => ipcRenderer.invoke('agent:tokens:revoke', { id }),
+      audit: (id) => ipcRenderer.invoke('agent:tokens:audit', { id }),
+      setFileTokenScopes: (scopes) => ipcRenderer.invoke('agent:tokens:setFileTokenScopes', { scopes }),
+      /** Hold cell edits and executions for approval; null follows the global setting */
+      setApproval: (id, requireApproval) => ipcRenderer.invoke('agent:tokens:setApproval', { id, requireApproval }),
+      setDefaultApproval: (requireApproval) => ipcRenderer.invoke('agent:tokens:setDefaultApproval', { requireApproval }),
+    },
+
+    /**
+     * Persistent agent activity of a project, newest first.
+     * filters: { since, kind, token, document, limit }
+     */
+    activity: (projectRoot, filters = {}) => ipcRenderer.invoke('agent:activity', { ...filters, projectRoot }),
   },
 
   // ==========================================================================
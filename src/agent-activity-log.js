@@ -0,0 +1,206 @@
+/**
+ * Agent activity log — the persistent record behind GET /agent/v1/history
+ * and the renderer's "Agent activity" panel.
+ *
+ * The bridge's history ring (agent-events.js) is capped and lost on restart.
+ * Every finished agent action (completed, failed, denied, approved, rejected)
+ * is also appended here, one JSON line each, with the request payload, a
+ * summary of the result, the token, timing and the cells it touched.
+ *
+ * Layout: <project>/.mrmd/agent-activity.jsonl, or agent-activity.jsonl in
+ * the config dir for actions outside any project. Files are only appended
+ * to; nothing here rewrites or trims them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+import { AGENT_ACTIVITY_LOG, PROJECT_AGENT_ACTIVITY_LOG } from './config.js';
+
+/** Longest string kept from a request payload or result */
+const MAX_STRING = 2000;
+
+function truncate(value, max = MAX_STRING) {
+  const s = String(value ?? '');
+  return s.length > max ? `${s.slice(0, max)}… [${s.length - max} more chars]` : s;
+}
+
+/**
+ * A request body as logged: long strings cut down, nesting kept shallow.
+ * @param {*} value
+ * @returns {*}
+ */
+export function summarizeRequest(value, depth = 0) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return truncate(value);
+  if (typeof value !== 'object') return value;
+  if (depth >= 3) return Array.isArray(value) ? `[${value.length} items]` : '{…}';
+  if (Array.isArray(value)) return value.slice(0, 50).map((v) => summarizeRequest(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, summarizeRequest(v, depth + 1)]));
+}
+
+/**
+ * What an action produced, small enough to log: execution status and
+ * output for cell runs and runtime executions, counts for the rest.
+ * @param {Object|null} result - renderer or MRP result
+ * @returns {Object|null}
+ */
+export function summarizeResult(result) {
+  if (!result || typeof result !== 'object') return null;
+  const execution = result.execution || (('stdout' in result || 'stderr' in result) ? result : null);
+  const summary = {};
+  if (result.cell) summary.cell = { index: result.cell.index, preview: result.cell.preview || '' };
+  if (Number.isInteger(result.count)) summary.count = result.count;
+  if (result.id) summary.id = result.id;
+  if (execution) {
+    summary.status = execution.status || (execution.error ? 'error' : 'ok');
+    if (execution.stdout) summary.stdout = truncate(execution.stdout, 500);
+    if (execution.stderr) summary.stderr = truncate(execution.stderr, 500);
+    if (execution.error) summary.error = truncate(typeof execution.error === 'string' ? execution.error : (execution.error.message || JSON.stringify(execution.error)), 500);
+    if (execution.duration) summary.duration = execution.duration;
+  } else if (result.output?.text) {
+    summary.output = truncate(result.output.text, 500);
+  }
+  return Object.keys(summary).length ? summary : null;
+}
+
+/**
+ * Cells an action touched, from a renderer cell result.
+ * @param {Object|null} result
+ * @returns {Object[]} [{index, language, startLine, endLine}]
+ */
+export function affectedCells(result) {
+  const cell = result?.cell;
+  if (!cell || !Number.isInteger(cell.index)) return [];
+  return [{
+    index: cell.index,
+    language: cell.language || null,
+    startLine: cell.startLine ?? null,
+    endLine: cell.endLine ?? null,
+  }];
+}
+
+function parseSince(since) {
+  if (since === null || since === undefined || since === '') return null;
+  const n = Number(since);
+  const ms = Number.isFinite(n) ? n : Date.parse(since);
+  if (Number.isNaN(ms)) throw new Error(`Invalid "since": ${since}`);
+  return ms;
+}
+
+function listParam(value) {
+  if (!value) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  return list.length ? new Set(list) : null;
+}
+
+/**
+ * Filter for history entries, shared by the log and the bridge's ring.
+ * @param {Object} filters
+ * @param {string|number} [filters.since] - ISO date or epoch ms; entries after it
+ * @param {string|string[]} [filters.kind] - one kind or a comma list
+ * @param {string} [filters.token] - token id
+ * @param {string} [filters.document] - document path
+ * @returns {function} (entry) => boolean
+ */
+export function createActivityFilter({ since = null, kind = null, token = null, document = null } = {}) {
+  const sinceMs = parseSince(since);
+  const kinds = listParam(kind);
+  const doc = document ? path.resolve(String(document)) : null;
+  return (entry) => {
+    if (sinceMs !== null && !(Date.parse(entry.at) > sinceMs)) return false;
+    if (kinds && !kinds.has(entry.kind)) return false;
+    if (token && entry.tokenId !== token) return false;
+    if (doc) {
+      const entryDoc = entry.document || entry.filePath;
+      if (!entryDoc || path.resolve(String(entryDoc)) !== doc) return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.globalFile] - log for actions outside any project
+ */
+export function createAgentActivityLog({ globalFile = AGENT_ACTIVITY_LOG } = {}) {
+  // One write chain per file so lines land in order
+  const writes = new Map();
+  // Projects written to this run; queried when no project is named
+  const knownProjects = new Set();
+
+  function logPath(projectRoot) {
+    return projectRoot ? path.join(path.resolve(projectRoot), PROJECT_AGENT_ACTIVITY_LOG) : globalFile;
+  }
+
+  /**
+   * Append one entry to its project's log (or the global one).
+   * @param {Object} entry - needs at and kind; projectRoot picks the file
+   * @returns {Promise<void>}
+   */
+  function append(entry) {
+    const file = logPath(entry.projectRoot);
+    if (entry.projectRoot) knownProjects.add(path.resolve(entry.projectRoot));
+    const line = `${JSON.stringify(entry)}\n`;
+    const previous = writes.get(file) || Promise.resolve();
+    const next = previous.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, line, 'utf8');
+    });
+    const settled = next.catch(() => {});
+    writes.set(file, settled);
+    settled.then(() => {
+      if (writes.get(file) === settled) writes.delete(file);
+    });
+    return next;
+  }
+
+  async function readLog(file, filter, out) {
+    if (!fs.existsSync(file)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A torn last line (crash mid-write) is skipped, not fatal
+        continue;
+      }
+      if (filter(entry)) out.push(entry);
+    }
+  }
+
+  /**
+   * Read entries back, newest first.
+   * @param {Object} [opts] - filters as in createActivityFilter, plus:
+   * @param {string[]} [opts.projects] - project roots to read (default: those
+   *   written this run)
+   * @param {boolean} [opts.includeGlobal] - also read the log of actions
+   *   outside any project
+   * @param {number} [opts.limit] - 0 for no limit
+   * @returns {Promise<Object[]>}
+   */
+  async function query({ projects = null, includeGlobal = true, limit = 200, ...filters } = {}) {
+    const filter = createActivityFilter(filters);
+    const roots = new Set((projects || [...knownProjects]).filter(Boolean).map((p) => path.resolve(p)));
+    const files = [...(includeGlobal ? [globalFile] : []), ...[...roots].map(logPath)];
+    const out = [];
+    // Wait for pending appends so a caller sees what it just logged
+    await Promise.all(files.map((file) => writes.get(file)));
+    for (const file of new Set(files)) await readLog(file, filter, out);
+    out.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+    return Number.isInteger(limit) && limit > 0 ? out.slice(0, limit) : out;
+  }
+
+  return {
+    append,
+    query,
+    logPath,
+    /** @returns {string[]} project roots written to this run */
+    projects: () => [...knownProjects],
+  };
+}
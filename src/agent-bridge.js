@@ -2,11 +2,34 @@ import http from 'http';
 import { randomBytes } from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
-import { BrowserWindow } from 'electron';
+import { createAgentEventLog, formatSseEvent, parseLastEventId } from './agent-events.js';
+import { affectedCells, createActivityFilter, summarizeRequest, summarizeResult } from './agent-activity-log.js';
+import { createMcpHandler } from './agent-mcp.js';
+import { FILE_TOKEN_DEFAULT_SCOPES, FILE_TOKEN_ID, secretsMatch, tokenAllowsProject } from './services/agent-token-service.js';
+import { AGENT_APPROVAL, AGENT_TRANSACTIONS, PYTHON_INTERPRETER_ENVS_DIR } from './config.js';
 
 const BRIDGE_CONFIG_FILE = 'agent-bridge.json';
 const API_PREFIX = '/agent/v1';
+const MCP_PATH = '/mcp';
 const HISTORY_LIMIT = 200;
+const SSE_KEEPALIVE_MS = 15000;
+// How long a document opened for an agent may take to load
+const DOCUMENT_OPEN_TIMEOUT_MS = 30000;
+// Largest file GET /assets returns (base64 in JSON)
+const ASSET_MAX_BYTES = 20 * 1024 * 1024;
+const ASSET_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.html': 'text/html',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+};
 
 function sendJson(res, status, data) {
   res.writeHead(status, {
@@ -41,6 +64,90 @@ function getAuthToken(req) {
   return match ? match[1] : null;
 }
 
+/**
+ * Scopes a request needs, by route. Cell edits that also run the cell
+ * (body.run) additionally need "execute" — checked once the body is read.
+ * @returns {string[]|null} null for unknown routes (answered with 404)
+ */
+function routeScopes(method, pathname) {
+  const route = pathname.slice(API_PREFIX.length);
+  if (method === 'GET' && ['/status', '/windows', '/document', '/cells', '/history', '/events', '/sections', '/frontmatter', '/outputs', '/assets'].includes(route)) return ['read-document'];
+  if (method === 'GET' && route === '/subruntimes') return ['execute'];
+  if (method !== 'POST') return null;
+  if (route === '/subruntimes' || route === '/subruntimes/map' || /^\/subruntimes\/[^/]+\/(execute|destroy)$/.test(route)) return ['execute'];
+  if (route === '/cells/find') return ['read-document'];
+  if (route === '/cells/run' || route === '/cells/run-all') return ['execute'];
+  if (['/cells/insert', '/cells/replace', '/transactions', '/sections', '/frontmatter', '/outputs/clear'].includes(route)) return ['edit-cells'];
+  if (/^\/runtime\/[^/]+\/variable\/[^/]+$/.test(route)) return ['runtime-variables'];
+  const action = /^\/runtime\/[^/]+\/([^/]+)$/.exec(route)?.[1];
+  if (action === 'execute') return ['execute'];
+  if (['variables', 'inspect', 'snapshots'].includes(action)) return ['runtime-variables'];
+  // A snapshot reads the namespace and writes a checkpoint restore can roll back to
+  if (action === 'snapshot') return ['runtime-variables', 'runtime-reset'];
+  if (['interrupt', 'reset', 'restore'].includes(action)) return ['runtime-reset'];
+  return null;
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function forbidden(message) {
+  return httpError(403, message);
+}
+
+/**
+ * Pull the window selector (windowId or documentPath) out of a request:
+ * the query string for GETs, the JSON body (or query string) for POSTs.
+ * The fields are removed from the body before it reaches the renderer.
+ */
+function takeWindowSelector(url, body = null) {
+  const selector = {
+    windowId: body?.windowId ?? url.searchParams.get('windowId'),
+    documentPath: body?.documentPath ?? url.searchParams.get('documentPath'),
+  };
+  if (body) {
+    delete body.windowId;
+    delete body.documentPath;
+  }
+  return selector;
+}
+
+/** An integer query parameter, or null when absent. */
+function intParam(url, name) {
+  const value = url.searchParams.get(name);
+  if (value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n)) throw httpError(400, `"${name}" must be an integer`);
+  return n;
+}
+
+/** ?path= for /sections: a JSON array of headings or a "/"-separated string. */
+function sectionPathParam(value) {
+  if (!value) return null;
+  if (!value.trim().startsWith('[')) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw httpError(400, 'Invalid section path');
+  }
+}
+
+function normalizeRuntimeLanguage(language) {
+  const l = String(language || '').toLowerCase();
+  return l === 'js' ? 'javascript' : l;
+}
+
+// Agent entries with one of these statuses are final and go to the activity log
+const PERSISTED_STATUSES = new Set(['completed', 'failed', 'denied', 'approved', 'rejected']);
+
+/** The project an event entry belongs to, for filtering by token allow-list. */
+function entryProject(entry) {
+  return entry.projectRoot || entry.document || entry.filePath || entry.cwd || null;
+}
+
 function makeRendererScript(method, payload) {
   return `(() => {
     const bridge = window.__mrmdAgentBridge;
@@ -55,6 +162,7 @@ function summarizePayload(value) {
   if (typeof value === 'string') return value.slice(0, 200);
   if (value && typeof value === 'object') {
     if (typeof value.code === 'string') return value.code.slice(0, 200);
+    if (typeof value.content === 'string') return value.content.slice(0, 200);
     if (typeof value.match === 'string') return value.match.slice(0, 200);
     if (typeof value.name === 'string') return value.name.slice(0, 200);
   }
@@ -75,56 +183,774 @@ async function forwardMrpJson(port, endpoint, body = {}, options = {}) {
   return data;
 }
 
-export async function startAgentBridge({ configDir, getWindows }) {
+/**
+ * @param {Object} opts
+ * @param {Object} [opts.tokens] - AgentTokenService; without it only the
+ *   agent-bridge.json token is accepted, with FILE_TOKEN_DEFAULT_SCOPES
+ * @param {function} [opts.getFocusedWindow] - () => BrowserWindow|null; the
+ *   focused window is tried first when a request names none
+ * @param {function} [opts.openDocument] - (filePath) => BrowserWindow; opens a
+ *   document in a new hidden window when an agent targets one that isn't open
+ * @param {Object} [opts.activityLog] - agent-activity-log.js instance; finished
+ *   agent actions are appended to it and /history reads it back
+ * @param {Object} [opts.subRuntimes] - agent-subruntimes.js instance behind
+ *   /subruntimes; a revoked token's sub-runtimes are stopped
+ */
+export async function startAgentBridge({ configDir, getWindows, getFocusedWindow = () => null, openDocument = null, trackRuntimeExecution = null, runtimeSnapshots = null, tokens = null, activityLog = null, subRuntimes = null }) {
   const token = randomBytes(24).toString('hex');
-  const history = [];
+  const events = createAgentEventLog({ limit: HISTORY_LIMIT });
+  const streams = new Set();
+  // Open edit transactions by id: {id, win, principal, timer, busy}
+  const transactions = new Map();
 
-  function addHistory(item) {
-    history.unshift({
-      id: `agent-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
-      at: new Date().toISOString(),
+  // Revoked tokens lose their open event streams and sub-runtimes right away
+  const unsubscribeRevoke = tokens?.onRevoke((tokenId) => {
+    for (const stream of streams) {
+      if (stream.principal.id === tokenId) stream.close();
+    }
+    subRuntimes?.destroyOwnedBy(tokenId).catch((e) => console.warn('[agent] Failed to stop sub-runtimes of a revoked token:', e.message));
+  });
+
+  /**
+   * Who is calling: the agent-bridge.json token or a named token.
+   * @returns {{principal: Object}|{error: string}}
+   */
+  function authenticate(req) {
+    const secret = getAuthToken(req);
+    if (secret && secretsMatch(secret, token)) {
+      const scopes = tokens ? tokens.getFileTokenScopes() : [...FILE_TOKEN_DEFAULT_SCOPES];
+      if (scopes.length === 0) return { error: 'The agent-bridge.json token is disabled' };
+      return { principal: { id: FILE_TOKEN_ID, name: BRIDGE_CONFIG_FILE, scopes, projects: null } };
+    }
+    if (!tokens) return { error: 'Unauthorized' };
+    const result = tokens.authenticate(secret);
+    return result.error ? result : { principal: result.token };
+  }
+
+  function addHistory(item, principal = null) {
+    const entry = events.add({
+      source: 'agent',
       ...item,
+      ...(principal ? { tokenId: principal.id, tokenName: principal.name } : {}),
+    });
+    if (principal && principal.id !== FILE_TOKEN_ID) {
+      const { kind, action, status, language, preview, error, method, path: requestPath, scopes, note, edits } = entry;
+      tokens?.recordAudit(principal.id, { seq: entry.seq, kind, action, status, language, preview, error, method, path: requestPath, scopes, note, edits });
+    }
+    if (principal && activityLog && PERSISTED_STATUSES.has(entry.status)) {
+      const { seq, result, selector, ...rest } = entry;
+      activityLog.append({ ...rest, result: summarizeResult(result) })
+        .catch((e) => console.warn('[agent] Failed to write activity log:', e.message));
+    }
+    return entry;
+  }
+
+  /**
+   * Run an agent action with "started" and "completed"/"failed" history
+   * entries. The final entry carries what the activity log keeps: the request,
+   * how long it took, the document and the cells it touched.
+   *
+   * @param {Object} principal
+   * @param {Object} info - {kind, language, request, target, extra}
+   * @param {function} run - () => Promise<{result, win?, document?}>; document
+   *   ({path, projectRoot}) saves reading it from win
+   * @returns {Promise<Object>} the action's result
+   */
+  async function trackAction(principal, { kind, language = null, request = null, target = null, extra = {} }, run) {
+    const base = { kind, ...(language ? { language } : {}), preview: summarizePayload(request), ...extra };
+    addHistory({ ...base, status: 'started' }, principal);
+    const startedAt = Date.now();
+    const where = async (win, doc) => {
+      const info = doc || (win && !win.isDestroyed() ? await readWindowDocument(win) : null);
+      return { document: info?.path || null, projectRoot: info?.projectRoot || null };
+    };
+
+    let outcome;
+    try {
+      outcome = await run();
+    } catch (error) {
+      addHistory({
+        ...base,
+        status: 'failed',
+        error: error?.message || String(error),
+        request: summarizeRequest(request),
+        durationMs: Date.now() - startedAt,
+        ...(await where(target)),
+      }, principal);
+      throw error;
+    }
+    const { result, win = target, document = null } = outcome;
+    addHistory({
+      ...base,
+      status: 'completed',
+      result,
+      request: summarizeRequest(request),
+      durationMs: Date.now() - startedAt,
+      ...(await where(win, document)),
+      cells: affectedCells(result),
+    }, principal);
+    return result;
+  }
+
+  /** Entries a token may see: its own, and others only from its allowed projects. */
+  function visibleTo(principal, entry) {
+    return entry.tokenId === principal.id || tokenAllowsProject(principal, entryProject(entry));
+  }
+
+  /**
+   * GET /history: the live ring merged with the persistent activity log of
+   * every project the token can see (open windows' projects and those logged
+   * to this run), newest first. Ring entries win over their logged copies,
+   * which only keep a summary of the result.
+   *
+   * @param {Object} principal
+   * @param {Object} filters - since, kind, token, document (see createActivityFilter)
+   * @param {Object} [opts]
+   * @param {string|null} [opts.project] - only entries under this project root
+   * @param {number} [opts.limit]
+   */
+  async function readHistory(principal, filters, { project = null, limit = HISTORY_LIMIT } = {}) {
+    let matches;
+    try {
+      matches = createActivityFilter(filters);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+    const scope = project ? { projects: [path.resolve(String(project))] } : null;
+    const wanted = (entry) => visibleTo(principal, entry) && matches(entry)
+      && (!scope || tokenAllowsProject(scope, entryProject(entry)));
+
+    const items = events.items.filter(wanted);
+    if (activityLog) {
+      let roots = scope ? scope.projects : [
+        ...(principal.projects || []),
+        ...(await listWindows(principal)).map((w) => w.projectRoot),
+        ...activityLog.projects(),
+      ];
+      roots = [...new Set(roots.filter((root) => root && tokenAllowsProject(principal, root)))];
+      const seen = new Set(items.map((entry) => entry.id));
+      const logged = await activityLog.query({ ...filters, projects: roots, limit: 0 });
+      items.push(...logged.filter((entry) => !seen.has(entry.id) && wanted(entry)));
+      items.sort((a, b) => Date.parse(b.at) - Date.parse(a.at) || (b.seq || 0) - (a.seq || 0));
+    }
+    return limit > 0 ? items.slice(0, limit) : items;
+  }
+
+  /**
+   * GET /events: replay what the client missed (Last-Event-ID), then stream
+   * new entries. ?kinds=a,b limits the stream to those event kinds.
+   */
+  function openEventStream(req, res, url, principal) {
+    const kinds = url.searchParams.get('kinds');
+    const wanted = kinds ? new Set(kinds.split(',').map((k) => k.trim()).filter(Boolean)) : null;
+    const send = (entry) => {
+      if ((!wanted || wanted.has(entry.kind)) && visibleTo(principal, entry)) res.write(formatSseEvent(entry));
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Access-Control-Allow-Origin': 'http://127.0.0.1',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 2000\n\n');
+
+    const lastSeq = parseLastEventId(req.headers['last-event-id'] ?? url.searchParams.get('lastEventId'));
+    if (lastSeq !== null) {
+      const missed = events.since(lastSeq);
+      if (missed.gap) {
+        res.write(`event: gap\ndata: ${JSON.stringify({ lastEventId: lastSeq, oldest: missed.items[0]?.seq ?? events.lastSeq + 1 })}\n\n`);
+      }
+      missed.items.forEach(send);
+    }
+
+    const unsubscribe = events.subscribe(send);
+    const keepAlive = setInterval(() => {
+      // Expiry has no event of its own; notice it here
+      if (tokens && !tokens.isActive(principal.id)) stream.close();
+      else res.write(': keep-alive\n\n');
+    }, SSE_KEEPALIVE_MS);
+    const stream = { res, principal, close: () => res.end() };
+    streams.add(stream);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+      streams.delete(stream);
     });
-    if (history.length > HISTORY_LIMIT) history.length = HISTORY_LIMIT;
   }
 
   function listCandidateWindows() {
     const windows = (typeof getWindows === 'function' ? getWindows() : [])
       .filter((win) => win && !win.isDestroyed());
-    const focused = BrowserWindow.getFocusedWindow();
+    const focused = getFocusedWindow();
     if (focused && !focused.isDestroyed()) {
       return [focused, ...windows.filter((win) => win.id !== focused.id)];
     }
     return windows;
   }
 
-  async function invokeRenderer(method, payload = {}) {
+  /**
+   * Call the renderer bridge in the focused window (or the next one that
+   * answers). A token with a project allow-list only reaches windows whose
+   * document is in one of its projects. `target` pins the call to one
+   * window (e.g. the one where the change was approved).
+   */
+  async function invokeRenderer(method, payload = {}, principal = null, target = null) {
     let lastError = null;
-    for (const win of listCandidateWindows()) {
+    let deniedDoc = null;
+    const candidates = target ? [target].filter((win) => !win.isDestroyed()) : listCandidateWindows();
+    for (const win of candidates) {
       try {
+        if (principal?.projects) {
+          const doc = await win.webContents.executeJavaScript(makeRendererScript('getDocument', {}), true);
+          if (!tokenAllowsProject(principal, doc?.projectRoot)) {
+            deniedDoc = doc;
+            lastError = forbidden(`Token "${principal.name}" is not allowed in ${doc?.projectRoot || 'documents outside a project'}`);
+            continue;
+          }
+        }
         const result = await win.webContents.executeJavaScript(makeRendererScript(method, payload), true);
         if (result && result.ok === false && result.error) {
+          if (result.status) {
+            // The document answered (stale version, no such section): not a
+            // reason to try the next window
+            throw Object.assign(httpError(result.status, result.error), { answered: true });
+          }
           throw new Error(result.error);
         }
         return { result, win };
       } catch (error) {
+        if (error.answered) throw error;
         lastError = error;
       }
     }
+    if (lastError?.status === 403) {
+      addHistory({
+        kind: 'denied',
+        status: 'denied',
+        preview: method,
+        error: lastError.message,
+        document: deniedDoc?.path || null,
+        projectRoot: deniedDoc?.projectRoot || null,
+      }, principal);
+    }
     throw lastError || new Error('No MRMD window with an active renderer bridge is available');
   }
 
-  async function getStatusSnapshot() {
-    const { result, win } = await invokeRenderer('getStatus', {});
+  async function getStatusSnapshot(principal, target = null) {
+    const { result, win } = await invokeRenderer('getStatus', {}, principal, target);
     return {
       ...(result || {}),
       window: {
         id: win.id,
         focused: win.isFocused(),
+        visible: win.isVisible(),
       },
     };
   }
 
+  async function readWindowDocument(win) {
+    try {
+      return await win.webContents.executeJavaScript(makeRendererScript('getDocument', {}), true);
+    } catch {
+      return null;
+    }
+  }
+
+  /** GET /windows: every window with its open document, focused first. */
+  async function listWindows(principal) {
+    const list = [];
+    for (const win of listCandidateWindows()) {
+      const doc = await readWindowDocument(win);
+      if (!tokenAllowsProject(principal, doc?.projectRoot)) continue;
+      list.push({
+        id: win.id,
+        focused: win.isFocused(),
+        visible: win.isVisible(),
+        document: doc?.path || null,
+        projectRoot: doc?.projectRoot || null,
+      });
+    }
+    return list;
+  }
+
+  async function waitForDocument(win, filePath) {
+    const deadline = Date.now() + DOCUMENT_OPEN_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      if (win.isDestroyed()) break;
+      const doc = await readWindowDocument(win);
+      if (doc?.path && path.resolve(doc.path) === filePath) return win;
+      await new Promise((resolve) => setTimeout(resolve, 250));
+    }
+    throw new Error(`Timed out opening ${filePath}`);
+  }
+
+  /**
+   * The window a request addresses: by id, by the document it has open, or
+   * (neither given) null for the focused-first default. A document open in
+   * several windows needs the id unless one of them is focused. One that
+   * isn't open anywhere is opened in a new hidden window, but only inside a
+   * known project: the token's allow-list, or else a project open in a window.
+   */
+  async function resolveTargetWindow(principal, { windowId, documentPath }) {
+    const wanted = documentPath ? path.resolve(String(documentPath)) : null;
+    if (windowId !== null && windowId !== undefined && windowId !== '') {
+      const win = listCandidateWindows().find((w) => String(w.id) === String(windowId));
+      if (!win) throw httpError(404, `No window with id ${windowId}`);
+      if (wanted) {
+        const doc = await readWindowDocument(win);
+        if (!doc?.path || path.resolve(doc.path) !== wanted) {
+          throw httpError(409, `Window ${windowId} does not have ${wanted} open`);
+        }
+      }
+      return win;
+    }
+    if (!wanted) return null;
+
+    const matches = [];
+    const openProjects = [];
+    for (const win of listCandidateWindows()) {
+      const doc = await readWindowDocument(win);
+      if (doc?.projectRoot) openProjects.push(path.resolve(doc.projectRoot));
+      if (doc?.path && path.resolve(doc.path) === wanted) matches.push(win);
+    }
+    if (matches.length === 1) return matches[0];
+    if (matches.length > 1) {
+      const focused = getFocusedWindow();
+      if (focused && matches.includes(focused)) return focused;
+      throw httpError(409, `${wanted} is open in windows ${matches.map((w) => w.id).join(', ')}; pick one with windowId`);
+    }
+
+    if (!tokenAllowsProject({ projects: principal.projects || openProjects }, wanted)) {
+      throw forbidden(principal.projects
+        ? `Token "${principal.name}" is not allowed to open ${wanted}`
+        : `${wanted} is not open and not inside an open project`);
+    }
+    try {
+      await fs.access(wanted);
+    } catch {
+      throw httpError(404, `Document not found: ${wanted}`);
+    }
+    if (typeof openDocument !== 'function') throw httpError(404, `${wanted} is not open in any window`);
+    return await waitForDocument(openDocument(wanted), wanted);
+  }
+
+  /**
+   * Approval mode: hold a cell edit, cell run or runtime execution until someone
+   * approves, edits or rejects it in the target (or focused) window. The
+   * reviewer's edited text goes back into the body through `applyEdit`
+   * (default: it replaces body.code).
+   *
+   * @returns {Promise<{body: Object, approval: Object|null, win: Object|null}>}
+   *   approval is null when the token doesn't need approval
+   */
+  async function reviewIfRequired({ principal, action, language = null, body, res, target = null, applyEdit = (b, code) => ({ ...b, code }) }) {
+    if (!tokens?.requiresApproval(principal.id)) return { body, approval: null, win: null };
+    // The card has to be seen: bring up a window that was opened hidden for an agent
+    if (target && !target.isDestroyed() && !target.isVisible()) target.show();
+
+    const id = randomBytes(8).toString('hex');
+    let decided = false;
+    // The agent gave up waiting: take the card down
+    res.on('close', () => {
+      if (decided) return;
+      for (const win of listCandidateWindows()) {
+        win.webContents.executeJavaScript(makeRendererScript('cancelReview', { id }), true).catch(() => {});
+      }
+    });
+
+    addHistory({ kind: 'approval', action, language, status: 'pending', preview: summarizePayload(body) }, principal);
+    let review;
+    try {
+      review = await invokeRenderer('reviewAction', {
+        id,
+        action,
+        language,
+        tokenName: principal.name,
+        body,
+        timeoutMs: AGENT_APPROVAL.timeoutMs,
+      }, principal, target);
+    } finally {
+      decided = true;
+    }
+
+    const { result, win } = review;
+    const doc = await readWindowDocument(win);
+    const edited = result?.decision === 'approved' && typeof result.code === 'string'
+      && (typeof result.edited === 'boolean' ? result.edited : result.code !== (body.code || ''));
+    const approval = {
+      decision: result?.decision === 'approved' ? 'approved' : 'rejected',
+      edited,
+      note: result?.note || null,
+      ...(result?.reason ? { reason: result.reason } : {}),
+    };
+    addHistory({
+      kind: 'approval',
+      action,
+      language,
+      status: approval.decision,
+      preview: summarizePayload(edited ? { code: result.code } : body),
+      note: approval.note,
+      ...(result?.reason ? { reason: result.reason } : {}),
+      ...(edited ? { edits: { before: result.proposed ?? body.code ?? '', after: result.code } } : {}),
+      request: summarizeRequest(body),
+      document: doc?.path || null,
+      projectRoot: doc?.projectRoot || null,
+    }, principal);
+
+    return { body: edited ? applyEdit(body, result.code) : body, approval, win };
+  }
+
+  /**
+   * Transactions group a token's cell edits into one undoable change (see
+   * the renderer's agentBeginTransaction). The bridge only routes: requests
+   * naming a transaction go to the window it was begun in, and one left
+   * idle is rolled back.
+   */
+  function scheduleTransactionExpiry(txn) {
+    clearTimeout(txn.timer);
+    txn.timer = setTimeout(() => {
+      if (txn.busy > 0) {
+        scheduleTransactionExpiry(txn);
+        return;
+      }
+      transactions.delete(txn.id);
+      if (txn.win.isDestroyed()) return;
+      trackAction(txn.principal, {
+        kind: 'transaction-rollback',
+        request: { id: txn.id },
+        target: txn.win,
+        extra: { transaction: txn.id, note: 'idle timeout' },
+      }, () => invokeRenderer('rollbackTransaction', { id: txn.id }, txn.principal, txn.win))
+        .catch((e) => console.warn('[agent] Failed to roll back idle transaction:', e.message));
+    }, AGENT_TRANSACTIONS.idleTimeoutMs);
+    txn.timer.unref?.();
+  }
+
+  /**
+   * The open transaction a request names (body.transaction), if any. The id
+   * stays in the body: the renderer needs it too.
+   * @returns {Object|null}
+   */
+  function findTransaction(principal, id) {
+    if (!id) return null;
+    const txn = transactions.get(String(id));
+    if (!txn || txn.principal.id !== principal.id) throw httpError(404, `No open transaction ${id}`);
+    if (txn.win.isDestroyed()) {
+      endTransaction(txn);
+      throw httpError(410, `Transaction ${id} ended: its window was closed`);
+    }
+    scheduleTransactionExpiry(txn);
+    return txn;
+  }
+
+  function endTransaction(txn) {
+    clearTimeout(txn.timer);
+    transactions.delete(txn.id);
+  }
+
+  /** Run a request inside a transaction (or none), holding off its idle rollback. */
+  async function withTransaction(txn, run) {
+    if (!txn) return run();
+    txn.busy += 1;
+    try {
+      return await run();
+    } finally {
+      txn.busy -= 1;
+      scheduleTransactionExpiry(txn);
+    }
+  }
+
+  /**
+   * POST /transactions: {action: "begin", label?} opens one in the target
+   * window; {action: "commit"|"rollback", id} ends it.
+   */
+  async function handleTransaction(principal, url, body) {
+    const action = body.action || 'begin';
+    if (action === 'begin') {
+      const target = await resolveTargetWindow(principal, takeWindowSelector(url, body));
+      let win = null;
+      const result = await trackAction(principal, { kind: 'transaction-begin', request: body, target }, async () => {
+        const outcome = await invokeRenderer('beginTransaction', { label: body.label || null, tokenName: principal.name }, principal, target);
+        win = outcome.win;
+        return outcome;
+      });
+      const txn = { id: result.transaction.id, win, principal, timer: null, busy: 0 };
+      transactions.set(txn.id, txn);
+      scheduleTransactionExpiry(txn);
+      return result;
+    }
+    if (action !== 'commit' && action !== 'rollback') {
+      throw httpError(400, `Unknown transaction action: ${action}`);
+    }
+    if (!body.id) throw httpError(400, `${action} needs the transaction id`);
+    const txn = findTransaction(principal, body.id);
+    try {
+      return await trackAction(principal, {
+        kind: `transaction-${action}`,
+        request: body,
+        target: txn.win,
+        extra: { transaction: txn.id },
+      }, () => invokeRenderer(`${action}Transaction`, { id: txn.id }, principal, txn.win));
+    } finally {
+      endTransaction(txn);
+    }
+  }
+
+  /**
+   * Writes to the document's prose, frontmatter or outputs. They take the
+   * same path as cell edits (transaction, approval when `review` is given,
+   * tracking); the renderer rejects a stale body.version with a 409.
+   * @param {function} [opts.review] - (body, reviewedText) => body, for
+   *   edits that go through approval
+   */
+  async function editDocument(principal, url, req, res, { kind, method, review = null }) {
+    const requested = await readJsonBody(req);
+    const txn = findTransaction(principal, requested.transaction);
+    const target = txn ? txn.win : await resolveTargetWindow(principal, takeWindowSelector(url, requested));
+    let body = requested;
+    let approval = null;
+    let win = null;
+    if (review) {
+      ({ body, approval, win } = await withTransaction(txn, () =>
+        reviewIfRequired({ principal, action: kind, body: requested, res, target, applyEdit: review })));
+      if (approval?.decision === 'rejected') {
+        sendRejected(res, approval);
+        return;
+      }
+    }
+    const result = await withTransaction(txn, () => trackAction(principal, {
+      kind,
+      request: body,
+      target: win || target,
+      extra: txn ? { transaction: txn.id } : {},
+    }, () => invokeRenderer(method, body, principal, win || target)));
+    sendJson(res, 200, { success: true, ...(result || {}), ...(approval ? { approval } : {}) });
+  }
+
+  /**
+   * GET /assets: a file an output links to (a plot, a table), resolved
+   * against the document's folder. Only files inside the document's project
+   * (or its folder, outside a project) are served.
+   */
+  async function readDocumentAsset(principal, target, assetPath) {
+    if (!assetPath) throw httpError(400, 'Give the asset path');
+    const { result: doc } = await invokeRenderer('getDocument', {}, principal, target);
+    if (!doc?.path) throw httpError(404, 'The document has not been saved yet');
+    let root;
+    let file;
+    try {
+      root = await fs.realpath(doc.projectRoot || path.dirname(doc.path));
+      file = await fs.realpath(path.resolve(path.dirname(doc.path), assetPath));
+    } catch {
+      throw httpError(404, `Asset not found: ${assetPath}`);
+    }
+    if (!file.startsWith(root + path.sep)) throw forbidden(`${assetPath} is outside ${root}`);
+    const stat = await fs.stat(file);
+    if (!stat.isFile()) throw httpError(404, `Asset not found: ${assetPath}`);
+    if (stat.size > ASSET_MAX_BYTES) throw httpError(413, `${assetPath} is larger than ${ASSET_MAX_BYTES} bytes`);
+    return {
+      path: file,
+      mimeType: ASSET_MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      size: stat.size,
+      encoding: 'base64',
+      data: (await fs.readFile(file)).toString('base64'),
+    };
+  }
+
+  /**
+   * Start options for sub-runtimes from a request body. Without a venv they
+   * inherit the environment of the target document's runtime of the same
+   * language; cwd must be somewhere the token may go.
+   */
+  async function subRuntimeOptions(principal, url, body) {
+    const language = normalizeRuntimeLanguage(body.language || 'python');
+    if (language === 'javascript') throw httpError(400, 'javascript runs inside the window; sub-runtimes need an MRP language');
+    if (body.cwd && !tokenAllowsProject(principal, path.resolve(String(body.cwd)))) {
+      throw forbidden(`Token "${principal.name}" is not allowed in ${body.cwd}`);
+    }
+    // The venv's python is what runs: it must be the token's or one mrmd manages
+    const venv = body.venv ? path.resolve(String(body.venv)) : null;
+    if (venv && !tokenAllowsProject(principal, venv) && !tokenAllowsProject({ projects: [PYTHON_INTERPRETER_ENVS_DIR] }, venv)) {
+      throw forbidden(`Token "${principal.name}" is not allowed to use the environment ${body.venv}`);
+    }
+    let inheritPort = null;
+    if (!body.venv) {
+      const target = await resolveTargetWindow(principal, takeWindowSelector(url, body));
+      inheritPort = await resolveRuntime(principal, language, target)
+        .then(({ runtime }) => runtime?.port || null)
+        .catch(() => null);
+    }
+    return {
+      language,
+      cwd: body.cwd || null,
+      venv,
+      inheritPort,
+      ttlMs: Number(body.ttlSeconds) > 0 ? Number(body.ttlSeconds) * 1000 : null,
+      label: body.label || null,
+    };
+  }
+
+  /**
+   * /subruntimes: private runtimes for sub-agents (see agent-subruntimes.js).
+   * GET lists the token's own; POST creates one; /map runs tasks in
+   * parallel; /:id/execute and /:id/destroy act on one.
+   */
+  async function handleSubRuntimes(req, res, url, principal, route) {
+    if (!subRuntimes) throw httpError(404, 'Sub-runtimes are not available');
+    if (req.method === 'GET') {
+      sendJson(res, 200, { success: true, subruntimes: subRuntimes.list(principal.id) });
+      return;
+    }
+    const body = await readJsonBody(req);
+
+    if (route === '/subruntimes') {
+      const options = await subRuntimeOptions(principal, url, body);
+      const subruntime = await trackAction(principal, {
+        kind: 'subruntime-create',
+        language: options.language,
+        request: body,
+        extra: { preview: options.label || options.language },
+      }, async () => ({ result: await subRuntimes.create(principal.id, options) }));
+      sendJson(res, 200, { success: true, subruntime });
+      return;
+    }
+
+    if (route === '/subruntimes/map') {
+      // One card can't review a batch of tasks
+      if (tokens?.requiresApproval(principal.id)) {
+        throw forbidden(`Token "${principal.name}" is in approval mode; run tasks one at a time with /subruntimes/:id/execute`);
+      }
+      const runtime = await subRuntimeOptions(principal, url, body);
+      const result = await trackAction(principal, {
+        kind: 'subruntime-map',
+        language: runtime.language,
+        request: body,
+        extra: { preview: `${Array.isArray(body.tasks) ? body.tasks.length : 0} tasks` },
+      }, async () => ({
+        result: await subRuntimes.map(principal.id, {
+          tasks: body.tasks,
+          concurrency: body.concurrency,
+          keep: !!body.keep,
+          reduce: body.reduce || null,
+          runtime,
+        }),
+      }));
+      sendJson(res, 200, { success: true, ...result });
+      return;
+    }
+
+    const [, id, action] = /^\/subruntimes\/([^/]+)\/(execute|destroy)$/.exec(route);
+    const subId = decodeURIComponent(id);
+    if (action === 'destroy') {
+      await trackAction(principal, { kind: 'subruntime-destroy', request: { id: subId } },
+        async () => ({ result: { destroyed: await subRuntimes.destroy(principal.id, subId) } }));
+      sendJson(res, 200, { success: true, destroyed: true });
+      return;
+    }
+
+    const subruntime = subRuntimes.list(principal.id).find((s) => s.id === subId);
+    if (!subruntime) throw httpError(404, `No sub-runtime ${subId}`);
+    const { body: reviewed, approval } = await reviewIfRequired({
+      principal,
+      action: 'subruntime-exec',
+      language: subruntime.language,
+      body,
+      res,
+    });
+    if (approval?.decision === 'rejected') {
+      sendRejected(res, approval);
+      return;
+    }
+    const result = await trackAction(principal, {
+      kind: 'subruntime-exec',
+      language: subruntime.language,
+      request: reviewed,
+      extra: { subruntime: subId },
+    }, async () => ({ result: await subRuntimes.execute(principal.id, subId, { code: reviewed.code || '', execId: reviewed.execId }) }));
+    sendJson(res, 200, { success: true, subruntime, result, ...(approval ? { approval } : {}) });
+  }
+
+  function sendRejected(res, approval) {
+    const detail = approval.reason || approval.note;
+    sendError(res, 403, detail ? `Rejected by reviewer: ${detail}` : 'Rejected by reviewer', { approval });
+  }
+
+  /**
+   * The runtime a request addresses and how to talk to it. MRP languages are
+   * reached over HTTP on their port; javascript runs inside the renderer, so
+   * its requests go through the window's bridge with the same shapes.
+   *
+   * @returns {Promise<{runtime: Object|null, call: function, document: Object|null}>}
+   *   call(endpoint, body); document is the window's ({path, projectRoot})
+   */
+  async function resolveRuntime(principal, language, target) {
+    const status = await getStatusSnapshot(principal, target);
+    const runtime = status?.runtimes?.[language];
+    const document = status?.document || null;
+
+    if (language === 'javascript') {
+      const win = target || listCandidateWindows().find((w) => w.id === status.window.id);
+      return {
+        runtime: runtime?.alive ? runtime : null,
+        document,
+        call: async (endpoint, body) =>
+          (await invokeRenderer('javascriptRuntime', { endpoint, body }, principal, win)).result,
+      };
+    }
+
+    return {
+      runtime: runtime?.port ? runtime : null,
+      document,
+      call: (endpoint, body) => forwardMrpJson(runtime.port, endpoint, body),
+    };
+  }
+
+  /**
+   * MCP streamable HTTP transport: JSON-RPC over POST, answered with plain
+   * JSON (no server-initiated stream). Tools call back into the REST routes
+   * with the caller's own token; see agent-mcp.js.
+   */
+  const mcp = createMcpHandler({
+    request: async (method, routePath, body, authorization) => {
+      const response = await fetch(`http://127.0.0.1:${port}${API_PREFIX}${routePath}`, {
+        method,
+        headers: {
+          Authorization: authorization,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      return { status: response.status, data: await response.json().catch(() => null) };
+    },
+  });
+
+  async function handleMcp(req, res) {
+    // Browsers can reach 127.0.0.1 too (DNS rebinding); only local pages may call
+    const origin = req.headers.origin;
+    if (origin && !/^https?:\/\/(127\.0\.0\.1|localhost)(:\d+)?$/.test(origin)) {
+      sendError(res, 403, `Origin not allowed: ${origin}`);
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST', 'Cache-Control': 'no-store' });
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const reply = await mcp.handleText(Buffer.concat(chunks).toString('utf8'), req.headers.authorization);
+    if (!reply) {
+      res.writeHead(202, { 'Cache-Control': 'no-store' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(reply));
+  }
+
   const server = http.createServer(async (req, res) => {
     try {
       if (req.method === 'OPTIONS') {
@@ -138,99 +964,255 @@ export async function startAgentBridge({ configDir, getWindows }) {
         return;
       }
 
-      if (getAuthToken(req) !== token) {
-        sendError(res, 401, 'Unauthorized');
+      const auth = authenticate(req);
+      if (auth.error) {
+        sendError(res, 401, auth.error);
         return;
       }
+      const { principal } = auth;
 
       const url = new URL(req.url || '/', 'http://127.0.0.1');
       const pathname = url.pathname;
 
+      if (pathname === MCP_PATH) {
+        await handleMcp(req, res);
+        return;
+      }
+
+      const required = routeScopes(req.method, pathname);
+      if (!required) {
+        sendError(res, 404, 'Not found');
+        return;
+      }
+      const requireScopes = (scopes) => {
+        const missing = scopes.filter((scope) => !principal.scopes.includes(scope));
+        if (missing.length > 0) {
+          addHistory({ kind: 'denied', status: 'denied', method: req.method, path: pathname, scopes: missing }, principal);
+          throw forbidden(`Token "${principal.name}" lacks scope: ${missing.join(', ')}`);
+        }
+      };
+      requireScopes(required);
+
       if (req.method === 'GET' && pathname === `${API_PREFIX}/status`) {
-        const status = await getStatusSnapshot();
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url));
+        const status = await getStatusSnapshot(principal, target);
         sendJson(res, 200, { success: true, ...status });
         return;
       }
 
+      if (req.method === 'GET' && pathname === `${API_PREFIX}/windows`) {
+        sendJson(res, 200, { success: true, windows: await listWindows(principal) });
+        return;
+      }
+
       if (req.method === 'GET' && pathname === `${API_PREFIX}/document`) {
-        const { result } = await invokeRenderer('getDocument', {});
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url));
+        const { result } = await invokeRenderer('getDocument', {}, principal, target);
         sendJson(res, 200, { success: true, ...(result || {}) });
         return;
       }
 
       if (req.method === 'GET' && pathname === `${API_PREFIX}/cells`) {
-        const { result } = await invokeRenderer('listCells', {});
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url));
+        const { result } = await invokeRenderer('listCells', {}, principal, target);
         sendJson(res, 200, { success: true, ...(result || {}) });
         return;
       }
 
       if (req.method === 'POST' && pathname === `${API_PREFIX}/cells/find`) {
         const body = await readJsonBody(req);
-        const { result } = await invokeRenderer('findCells', body);
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url, body));
+        const { result } = await invokeRenderer('findCells', body, principal, target);
         sendJson(res, 200, { success: true, ...(result || {}) });
         return;
       }
 
       if (req.method === 'GET' && pathname === `${API_PREFIX}/history`) {
-        sendJson(res, 200, { success: true, items: history });
+        // Filters: since (ISO date or epoch ms), kind (comma list), token (id;
+        // one token's audit trail), document, project; limit caps the list
+        const query = (name) => url.searchParams.get(name);
+        const items = await readHistory(principal, {
+          since: query('since'),
+          kind: query('kind'),
+          token: query('token'),
+          document: query('document'),
+        }, { project: query('project'), limit: Number(query('limit')) || HISTORY_LIMIT });
+        sendJson(res, 200, { success: true, items });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === `${API_PREFIX}/events`) {
+        openEventStream(req, res, url, principal);
         return;
       }
 
       if (req.method === 'POST' && pathname === `${API_PREFIX}/cells/run`) {
-        const body = await readJsonBody(req);
-        addHistory({ kind: 'cell-run', status: 'started', selector: body, preview: summarizePayload(body) });
-        const { result } = await invokeRenderer('runCell', body);
-        addHistory({ kind: 'cell-run', status: 'completed', selector: body, preview: summarizePayload(body), result });
-        sendJson(res, 200, { success: true, ...(result || {}) });
+        const requested = await readJsonBody(req);
+        const txn = findTransaction(principal, requested.transaction);
+        const target = txn ? txn.win : await resolveTargetWindow(principal, takeWindowSelector(url, requested));
+        const { body, approval, win } = await withTransaction(txn, () =>
+          reviewIfRequired({ principal, action: 'cell-run', body: requested, res, target }));
+        if (approval?.decision === 'rejected') {
+          sendRejected(res, approval);
+          return;
+        }
+        const result = await withTransaction(txn, () => trackAction(principal, {
+          kind: 'cell-run',
+          request: body,
+          target: win || target,
+          extra: { selector: body, ...(txn ? { transaction: txn.id } : {}) },
+        }, () => invokeRenderer('runCell', body, principal, win || target)));
+        sendJson(res, 200, { success: true, ...(result || {}), ...(approval ? { approval } : {}) });
         return;
       }
 
       if (req.method === 'POST' && pathname === `${API_PREFIX}/cells/run-all`) {
-        const body = await readJsonBody(req);
-        addHistory({ kind: 'cell-run-all', status: 'started' });
-        const { result } = await invokeRenderer('runAllCells', body);
-        addHistory({ kind: 'cell-run-all', status: 'completed', result });
+        const requested = await readJsonBody(req);
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url, requested));
+        const { body, approval, win } = await reviewIfRequired({ principal, action: 'cell-run-all', body: requested, res, target });
+        if (approval?.decision === 'rejected') {
+          sendRejected(res, approval);
+          return;
+        }
+        const result = await trackAction(principal, { kind: 'cell-run-all', request: body, target: win || target },
+          () => invokeRenderer('runAllCells', body, principal, win || target));
+        sendJson(res, 200, { success: true, ...(result || {}), ...(approval ? { approval } : {}) });
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === `${API_PREFIX}/transactions`) {
+        const result = await handleTransaction(principal, url, await readJsonBody(req));
         sendJson(res, 200, { success: true, ...(result || {}) });
         return;
       }
 
       if (req.method === 'POST' && pathname === `${API_PREFIX}/cells/insert`) {
-        const body = await readJsonBody(req);
-        addHistory({ kind: 'cell-insert', status: 'started', preview: summarizePayload(body) });
-        const { result } = await invokeRenderer('insertCell', body);
-        addHistory({ kind: 'cell-insert', status: 'completed', preview: summarizePayload(body), result });
-        sendJson(res, 200, { success: true, ...(result || {}) });
+        const requested = await readJsonBody(req);
+        if (requested.run) requireScopes(['execute']);
+        const txn = findTransaction(principal, requested.transaction);
+        const target = txn ? txn.win : await resolveTargetWindow(principal, takeWindowSelector(url, requested));
+        const { body, approval, win } = await withTransaction(txn, () =>
+          reviewIfRequired({ principal, action: 'cell-insert', body: requested, res, target }));
+        if (approval?.decision === 'rejected') {
+          sendRejected(res, approval);
+          return;
+        }
+        const result = await withTransaction(txn, () => trackAction(principal, {
+          kind: 'cell-insert',
+          request: body,
+          target: win || target,
+          extra: txn ? { transaction: txn.id } : {},
+        }, () => invokeRenderer('insertCell', body, principal, win || target)));
+        sendJson(res, 200, { success: true, ...(result || {}), ...(approval ? { approval } : {}) });
         return;
       }
 
       if (req.method === 'POST' && pathname === `${API_PREFIX}/cells/replace`) {
-        const body = await readJsonBody(req);
-        addHistory({ kind: 'cell-replace', status: 'started', preview: summarizePayload(body) });
-        const { result } = await invokeRenderer('replaceCell', body);
-        addHistory({ kind: 'cell-replace', status: 'completed', preview: summarizePayload(body), result });
+        const requested = await readJsonBody(req);
+        if (requested.run) requireScopes(['execute']);
+        const txn = findTransaction(principal, requested.transaction);
+        const target = txn ? txn.win : await resolveTargetWindow(principal, takeWindowSelector(url, requested));
+        const { body, approval, win } = await withTransaction(txn, () =>
+          reviewIfRequired({ principal, action: 'cell-replace', body: requested, res, target }));
+        if (approval?.decision === 'rejected') {
+          sendRejected(res, approval);
+          return;
+        }
+        const result = await withTransaction(txn, () => trackAction(principal, {
+          kind: 'cell-replace',
+          request: body,
+          target: win || target,
+          extra: txn ? { transaction: txn.id } : {},
+        }, () => invokeRenderer('replaceCell', body, principal, win || target)));
+        sendJson(res, 200, { success: true, ...(result || {}), ...(approval ? { approval } : {}) });
+        return;
+      }
+
+      // Sections, frontmatter and outputs: every read carries the document
+      // version; writes may send it back as body.version
+      if (req.method === 'GET' && pathname === `${API_PREFIX}/sections`) {
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url));
+        const { result } = await invokeRenderer('getSections', {
+          path: sectionPathParam(url.searchParams.get('path')),
+          index: intParam(url, 'index'),
+          subsections: url.searchParams.get('subsections') === 'true',
+        }, principal, target);
+        sendJson(res, 200, { success: true, ...(result || {}) });
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === `${API_PREFIX}/sections`) {
+        await editDocument(principal, url, req, res, {
+          kind: 'section-edit',
+          method: 'patchSection',
+          review: (body, content) => ({ ...body, content, mode: 'replace' }),
+        });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === `${API_PREFIX}/frontmatter`) {
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url));
+        const { result } = await invokeRenderer('getFrontmatter', {}, principal, target);
         sendJson(res, 200, { success: true, ...(result || {}) });
         return;
       }
 
+      if (req.method === 'POST' && pathname === `${API_PREFIX}/frontmatter`) {
+        await editDocument(principal, url, req, res, {
+          kind: 'frontmatter-edit',
+          method: 'updateFrontmatter',
+          review: (body, raw) => ({ ...body, raw }),
+        });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === `${API_PREFIX}/outputs`) {
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url));
+        const { result } = await invokeRenderer('getOutputs', {
+          cell: intParam(url, 'cell'),
+          execId: url.searchParams.get('execId'),
+        }, principal, target);
+        sendJson(res, 200, { success: true, ...(result || {}) });
+        return;
+      }
+
+      if (req.method === 'POST' && pathname === `${API_PREFIX}/outputs/clear`) {
+        // Reviewed like the other writes; the card has nothing to edit
+        await editDocument(principal, url, req, res, {
+          kind: 'outputs-clear',
+          method: 'clearOutputs',
+          review: (body) => body,
+        });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === `${API_PREFIX}/assets`) {
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url));
+        const asset = await readDocumentAsset(principal, target, url.searchParams.get('path'));
+        sendJson(res, 200, { success: true, ...asset });
+        return;
+      }
+
+      if (pathname === `${API_PREFIX}/subruntimes` || pathname.startsWith(`${API_PREFIX}/subruntimes/`)) {
+        await handleSubRuntimes(req, res, url, principal, pathname.slice(API_PREFIX.length));
+        return;
+      }
+
       const runtimeVarMatch = /^\/agent\/v1\/runtime\/([^/]+)\/variable\/([^/]+)$/.exec(pathname);
       if (runtimeVarMatch && req.method === 'POST') {
         const [, languageRaw, variableRaw] = runtimeVarMatch;
-        const language = decodeURIComponent(languageRaw).toLowerCase();
+        const language = normalizeRuntimeLanguage(decodeURIComponent(languageRaw));
         const variableName = decodeURIComponent(variableRaw);
-        if (language === 'javascript' || language === 'js') {
-          sendError(res, 501, 'JavaScript runtime bridge is not implemented yet');
-          return;
-        }
 
-        const status = await getStatusSnapshot();
-        const runtime = status?.runtimes?.[language];
-        if (!runtime?.port) {
+        const body = await readJsonBody(req);
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url, body));
+        const { runtime, call } = await resolveRuntime(principal, language, target);
+        if (!runtime) {
           sendError(res, 404, `No active ${language} runtime`);
           return;
         }
 
-        const body = await readJsonBody(req);
-        const result = await forwardMrpJson(runtime.port, `variables/${encodeURIComponent(variableName)}`, body);
+        const result = await call(`variables/${encodeURIComponent(variableName)}`, body);
         sendJson(res, 200, { success: true, language, runtime, result });
         return;
       }
@@ -238,49 +1220,71 @@ export async function startAgentBridge({ configDir, getWindows }) {
       const runtimeMatch = /^\/agent\/v1\/runtime\/([^/]+)\/([^/]+)$/.exec(pathname);
       if (runtimeMatch && req.method === 'POST') {
         const [, languageRaw, action] = runtimeMatch;
-        const language = decodeURIComponent(languageRaw).toLowerCase();
-        if (language === 'javascript' || language === 'js') {
-          sendError(res, 501, 'JavaScript runtime bridge is not implemented yet');
-          return;
-        }
+        const language = normalizeRuntimeLanguage(decodeURIComponent(languageRaw));
 
-        const status = await getStatusSnapshot();
-        const runtime = status?.runtimes?.[language];
-        if (!runtime?.port) {
+        let body = await readJsonBody(req);
+        const target = await resolveTargetWindow(principal, takeWindowSelector(url, body));
+        const { runtime, call, document } = await resolveRuntime(principal, language, target);
+        if (!runtime) {
           sendError(res, 404, `No active ${language} runtime`);
           return;
         }
 
-        const body = await readJsonBody(req);
+        // Runtime actions that change state are tracked; reads are not
+        const track = (kind, request, run, extra = {}) => trackAction(principal, { kind, language, request, target, extra },
+          async () => ({ result: await run(), document }));
+
         let result;
+        let approval = null;
         if (action === 'execute') {
-          addHistory({ kind: 'runtime-exec', language, status: 'started', preview: summarizePayload(body) });
-          result = await forwardMrpJson(runtime.port, 'execute', {
+          ({ body, approval } = await reviewIfRequired({ principal, action: 'runtime-exec', language, body, res, target }));
+          if (approval?.decision === 'rejected') {
+            sendRejected(res, approval);
+            return;
+          }
+          const execute = () => call('execute', {
             code: body.code || '',
             storeHistory: body.storeHistory !== false,
             execId: body.execId,
           });
-          addHistory({ kind: 'runtime-exec', language, status: 'completed', preview: summarizePayload(body), result });
+          result = await track('runtime-exec', body, () =>
+            (trackRuntimeExecution && runtime.port ? trackRuntimeExecution(runtime.port, execute) : execute()));
         } else if (action === 'variables') {
-          result = await forwardMrpJson(runtime.port, 'variables', body.filter ? body : { filter: { excludePrivate: true } });
+          result = await call('variables', body.filter ? body : { filter: { excludePrivate: true } });
         } else if (action === 'inspect') {
-          result = await forwardMrpJson(runtime.port, 'inspect', body);
+          result = await call('inspect', body);
         } else if (action === 'interrupt') {
-          result = await forwardMrpJson(runtime.port, 'interrupt', body);
+          result = await track('runtime-interrupt', body, () => call('interrupt', body));
         } else if (action === 'reset') {
-          result = await forwardMrpJson(runtime.port, 'reset', body);
+          result = await track('runtime-reset', body, () => call('reset', body));
+        } else if (['snapshot', 'restore', 'snapshots'].includes(action) && runtimeSnapshots && runtime.port) {
+          // Checkpoint the namespace (e.g. before a risky operation) and roll back to it
+          if (action === 'snapshot') {
+            result = await track('runtime-snapshot', body,
+              () => runtimeSnapshots.snapshot(runtime.port, { label: body.label || 'agent checkpoint' }),
+              { preview: body.label || '' });
+          } else if (action === 'restore') {
+            result = await track('runtime-restore', body,
+              () => runtimeSnapshots.restore(runtime.port, { id: body.id || null }),
+              { preview: body.id || 'latest' });
+          } else {
+            result = { snapshots: await runtimeSnapshots.list(runtime.port) };
+          }
+        } else if (['snapshot', 'restore', 'snapshots'].includes(action)) {
+          sendError(res, 400, `Snapshots are not supported for ${language}`);
+          return;
         } else {
           sendError(res, 404, `Unknown runtime action: ${action}`);
           return;
         }
 
-        sendJson(res, 200, { success: true, language, runtime, result });
+        sendJson(res, 200, { success: true, language, runtime, result, ...(approval ? { approval } : {}) });
         return;
       }
 
       sendError(res, 404, 'Not found');
     } catch (error) {
-      sendError(res, 500, error?.message || String(error));
+      sendError(res, error?.status || 500, error?.message || String(error));
     }
   });
 
@@ -305,6 +1309,7 @@ export async function startAgentBridge({ configDir, getWindows }) {
     port,
     token,
     url: `http://127.0.0.1:${port}${API_PREFIX}`,
+    mcpUrl: `http://127.0.0.1:${port}${MCP_PATH}`,
     startedAt: new Date().toISOString(),
   }, null, 2));
 
@@ -313,7 +1318,19 @@ export async function startAgentBridge({ configDir, getWindows }) {
     token,
     url: `http://127.0.0.1:${port}${API_PREFIX}`,
     configPath,
+    /**
+     * Record an app event (document switch, selection, cell run, runtime
+     * lifecycle, file save) in the history ring and push it to /events clients.
+     * @param {string} kind
+     * @param {Object} [data]
+     */
+    publish: (kind, data = {}) => {
+      events.add({ ...data, kind, source: 'app' });
+    },
     close: async () => {
+      unsubscribeRevoke?.();
+      for (const txn of transactions.values()) clearTimeout(txn.timer);
+      for (const stream of streams) stream.close();
       await new Promise((resolve) => server.close(() => resolve()));
     },
   };
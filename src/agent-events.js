@@ -0,0 +1,106 @@
+/**
+ * Agent bridge event log — the in-memory history ring behind
+ * GET /agent/v1/history and the GET /agent/v1/events SSE stream.
+ *
+ * Every entry gets a sequence number that doubles as its SSE event id, so a
+ * client reconnecting with Last-Event-ID is sent what it missed while that
+ * is still in the ring. If entries it never saw have already been dropped
+ * (or the id is from before an app restart), it gets a "gap" event first and
+ * should re-read /status.
+ *
+ * Selection changes are coalesced: only the newest one is kept in the ring
+ * (a resuming client needs the current cursor, not every move).
+ */
+
+const COALESCED_KINDS = new Set(['selection']);
+
+/**
+ * @param {Object} [opts]
+ * @param {number} [opts.limit] — entries kept in the ring
+ */
+export function createAgentEventLog({ limit = 200 } = {}) {
+  /** newest first, like /history always returned it */
+  const items = [];
+  const subscribers = new Set();
+  let seq = 0;
+  // Highest seq dropped because the ring was full (superseded selections don't count)
+  let droppedThrough = 0;
+
+  function add(item) {
+    const entry = {
+      seq: ++seq,
+      id: `agent-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      at: new Date().toISOString(),
+      ...item,
+    };
+    if (COALESCED_KINDS.has(entry.kind)) {
+      const previous = items.findIndex((x) => x.kind === entry.kind);
+      if (previous >= 0) items.splice(previous, 1);
+    }
+    items.unshift(entry);
+    while (items.length > limit) droppedThrough = Math.max(droppedThrough, items.pop().seq);
+
+    for (const fn of subscribers) {
+      try {
+        fn(entry);
+      } catch (e) {
+        console.warn('[agent] Event subscriber failed:', e.message);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Entries after a sequence number, oldest first.
+   * @param {number} lastSeq
+   * @returns {{items: Object[], gap: boolean}}
+   */
+  function since(lastSeq) {
+    // An id from a previous app run (seq restarts at 1): everything retained is new
+    const restarted = lastSeq > seq;
+    const from = restarted ? 0 : lastSeq;
+    return {
+      items: items.filter((x) => x.seq > from).reverse(),
+      gap: restarted || from < droppedThrough,
+    };
+  }
+
+  /**
+   * @param {function} fn — (entry) => void, called for every new entry
+   * @returns {function} unsubscribe
+   */
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  return {
+    items,
+    add,
+    since,
+    subscribe,
+    get lastSeq() {
+      return seq;
+    },
+  };
+}
+
+/**
+ * Serialize an entry as one SSE message.
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function formatSseEvent(entry) {
+  return `id: ${entry.seq}\nevent: ${entry.kind}\ndata: ${JSON.stringify(entry)}\n\n`;
+}
+
+/**
+ * Parse a Last-Event-ID header (or ?lastEventId=) value.
+ * @param {string|undefined|null} value
+ * @returns {number|null}
+ */
+export function parseLastEventId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
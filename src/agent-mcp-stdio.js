@@ -0,0 +1,71 @@
+/**
+ * MCP stdio launcher for the agent bridge.
+ *
+ * For MCP clients that spawn their servers: reads JSON-RPC messages (one per
+ * line) on stdin and answers on stdout, forwarding every tool call to the
+ * running app's agent bridge (see agent-mcp.js). The app must be running;
+ * the bridge address is re-read from agent-bridge.json on each call, so an
+ * app restart doesn't break the session.
+ *
+ * Usage:
+ *   npm run agent-mcp
+ *
+ * Optional env:
+ *   MRMD_AGENT_TOKEN=mrmd_...   a named token (default: the agent-bridge.json token)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+
+import { createMcpHandler } from './agent-mcp.js';
+import { CONFIG_DIR } from './config.js';
+
+const BRIDGE_CONFIG_PATH = path.join(CONFIG_DIR, 'agent-bridge.json');
+
+async function readBridgeConfig() {
+  try {
+    return JSON.parse(await fs.readFile(BRIDGE_CONFIG_PATH, 'utf8'));
+  } catch {
+    throw new Error(`MRMD is not running (no agent bridge at ${BRIDGE_CONFIG_PATH})`);
+  }
+}
+
+async function request(method, routePath, body) {
+  const config = await readBridgeConfig();
+  let response;
+  try {
+    response = await fetch(`${config.url}${routePath}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${process.env.MRMD_AGENT_TOKEN || config.token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (e) {
+    throw new Error(`Agent bridge unreachable at ${config.url}: ${e.message}`);
+  }
+  const data = await response.json().catch(() => null);
+  return { status: response.status, data };
+}
+
+const mcp = createMcpHandler({ request });
+const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+const inFlight = new Set();
+
+lines.on('line', (line) => {
+  if (!line.trim()) return;
+  // Messages are handled concurrently (a ping isn't held up by a long cell run)
+  const task = mcp.handleText(line)
+    .then((reply) => {
+      if (reply) process.stdout.write(`${JSON.stringify(reply)}\n`);
+    })
+    .catch((e) => console.error('[agent-mcp]', e.message))
+    .finally(() => inFlight.delete(task));
+  inFlight.add(task);
+});
+
+lines.on('close', () => {
+  Promise.allSettled([...inFlight]).then(() => process.exit(0));
+});
@@ -0,0 +1,462 @@
+/**
+ * MCP (Model Context Protocol) front-end for the agent bridge.
+ *
+ * Exposes the /agent/v1 routes as MCP tools and resources. It does not
+ * talk to windows or runtimes itself: every tool call becomes a request to
+ * the REST routes, so token scopes, project allow-lists, approval mode and
+ * window targeting apply exactly as they do for REST clients.
+ *
+ * Two transports share this handler:
+ * - streamable HTTP: POST /mcp on the bridge port (agent-bridge.js)
+ * - stdio: src/agent-mcp-stdio.js (npm run agent-mcp)
+ */
+
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = { name: 'mrmd-agent-bridge', version: '1.0.0' };
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+const RESOURCE_NOT_FOUND = -32002;
+
+const WINDOW_SELECTOR = {
+  windowId: { type: 'integer', description: 'Target window (see list_windows); defaults to the focused window' },
+  documentPath: { type: 'string', description: 'Target the window with this document open (opened hidden if it is inside an open or allowed project)' },
+};
+
+const CELL_SELECTOR = {
+  index: { type: 'integer', description: 'Cell index (0-based, see list_cells)' },
+  match: { type: 'string', description: 'First cell whose code contains this text' },
+  current: { type: 'boolean', description: 'The cell under the cursor' },
+};
+
+const TRANSACTION = { type: 'string', description: 'Group this edit into an open transaction (see begin_transaction)' };
+
+const VERSION = { type: 'string', description: 'Document version from the last read; the edit fails if the document changed since' };
+
+const SECTION_PATH = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Heading path, e.g. ["Methods", "Data"]; its last headings are enough when unambiguous',
+};
+
+const LANGUAGE = { type: 'string', description: 'Runtime language: python, r, julia, bash or javascript' };
+
+function schema(properties = {}, required = []) {
+  return { type: 'object', properties: { ...properties, ...WINDOW_SELECTOR }, ...(required.length ? { required } : {}) };
+}
+
+/**
+ * Tool name -> REST route. `route(args)` returns [method, path, body].
+ * Window selector args travel in the body for POSTs and the query for GETs.
+ */
+const TOOLS = [
+  {
+    name: 'get_status',
+    description: 'Open document, cursor/selection and running runtimes of a window.',
+    inputSchema: schema(),
+    route: (args) => ['GET', '/status', args],
+  },
+  {
+    name: 'list_windows',
+    description: 'Every app window with its open document and project.',
+    inputSchema: { type: 'object', properties: {} },
+    route: () => ['GET', '/windows'],
+  },
+  {
+    name: 'get_document',
+    description: 'Path, project root, cursor and selection of the open document.',
+    inputSchema: schema(),
+    route: (args) => ['GET', '/document', args],
+  },
+  {
+    name: 'list_cells',
+    description: 'All code cells of the open document with their code and line ranges.',
+    inputSchema: schema(),
+    route: (args) => ['GET', '/cells', args],
+  },
+  {
+    name: 'find_cells',
+    description: 'Code cells whose code contains a string, optionally of one language.',
+    inputSchema: schema({ match: { type: 'string' }, language: { type: 'string' } }),
+    route: (args) => ['POST', '/cells/find', args],
+  },
+  {
+    name: 'run_cell',
+    description: 'Run one code cell and return its output.',
+    inputSchema: schema({
+      ...CELL_SELECTOR,
+      language: { type: 'string', description: 'With match: only cells of this language' },
+      transaction: TRANSACTION,
+    }),
+    route: (args) => ['POST', '/cells/run', args],
+  },
+  {
+    name: 'run_all_cells',
+    description: 'Run every code cell of the document in order.',
+    inputSchema: schema(),
+    route: (args) => ['POST', '/cells/run-all', args],
+  },
+  {
+    name: 'insert_cell',
+    description: 'Insert a code cell (at the end, or after a cell index), optionally running it.',
+    inputSchema: schema({
+      code: { type: 'string' },
+      language: { type: 'string', description: 'Fence language (default python)' },
+      after: { type: 'integer', description: 'Insert after this cell index' },
+      run: { type: 'boolean' },
+      transaction: TRANSACTION,
+    }, ['code']),
+    route: (args) => ['POST', '/cells/insert', args],
+  },
+  {
+    name: 'replace_cell',
+    description: 'Replace the code of a cell, optionally running it.',
+    inputSchema: schema({
+      ...CELL_SELECTOR,
+      code: { type: 'string' },
+      language: { type: 'string' },
+      run: { type: 'boolean' },
+      transaction: TRANSACTION,
+    }, ['code']),
+    route: (args) => ['POST', '/cells/replace', args],
+  },
+  {
+    name: 'begin_transaction',
+    description: 'Start grouping edits into one change the user can undo in one step. Pass the returned id as "transaction" to insert_cell, replace_cell, run_cell, patch_section, update_frontmatter and clear_outputs.',
+    inputSchema: schema({ label: { type: 'string', description: 'What the change does' } }),
+    route: (args) => ['POST', '/transactions', { ...args, action: 'begin' }],
+  },
+  {
+    name: 'commit_transaction',
+    description: 'Keep the edits of a transaction as one undoable change.',
+    inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    route: ({ id }) => ['POST', '/transactions', { action: 'commit', id }],
+  },
+  {
+    name: 'rollback_transaction',
+    description: 'Undo every edit of a transaction, restoring the cells and outputs it changed.',
+    inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    route: ({ id }) => ['POST', '/transactions', { action: 'rollback', id }],
+  },
+  {
+    name: 'get_sections',
+    description: 'Outline of the document by heading, with the document version. With path (or index), also that section\'s text.',
+    inputSchema: schema({
+      path: SECTION_PATH,
+      index: { type: 'integer', description: 'Section index in the outline' },
+      subsections: { type: 'boolean', description: 'Include the text of subsections' },
+    }),
+    route: ({ path, ...args }) => ['GET', '/sections', { ...args, path: Array.isArray(path) ? JSON.stringify(path) : path }],
+  },
+  {
+    name: 'patch_section',
+    description: 'Replace, append to or prepend to the prose of a section (under its heading).',
+    inputSchema: schema({
+      path: SECTION_PATH,
+      index: { type: 'integer' },
+      content: { type: 'string', description: 'Markdown, without the heading line' },
+      mode: { type: 'string', enum: ['replace', 'append', 'prepend'] },
+      subsections: { type: 'boolean', description: 'Act on the section with its subsections (replace drops them)' },
+      version: VERSION,
+      transaction: TRANSACTION,
+    }, ['content']),
+    route: (args) => ['POST', '/sections', args],
+  },
+  {
+    name: 'get_frontmatter',
+    description: 'The YAML frontmatter: raw text and top-level keys with parsed values.',
+    inputSchema: schema(),
+    route: (args) => ['GET', '/frontmatter', args],
+  },
+  {
+    name: 'update_frontmatter',
+    description: 'Set or remove top-level frontmatter keys, or replace the whole block with raw YAML.',
+    inputSchema: schema({
+      set: { type: 'object', description: 'Keys to set (values written as JSON)' },
+      unset: { type: 'array', items: { type: 'string' } },
+      raw: { type: 'string', description: 'Whole frontmatter body; takes priority over set/unset' },
+      version: VERSION,
+      transaction: TRANSACTION,
+    }),
+    route: (args) => ['POST', '/frontmatter', args],
+  },
+  {
+    name: 'get_outputs',
+    description: 'Cell outputs in the document with the assets (plots, tables) they link to.',
+    inputSchema: schema({
+      cell: { type: 'integer', description: 'Only this cell (full output)' },
+      execId: { type: 'string', description: 'Only the output of this execution' },
+    }),
+    route: (args) => ['GET', '/outputs', args],
+  },
+  {
+    name: 'clear_outputs',
+    description: 'Remove outputs (and their asset links) from the document. Asset files are kept.',
+    inputSchema: schema({
+      cell: { type: 'integer' },
+      execId: { type: 'string' },
+      all: { type: 'boolean' },
+      version: VERSION,
+      transaction: TRANSACTION,
+    }),
+    route: (args) => ['POST', '/outputs/clear', args],
+  },
+  {
+    name: 'get_asset',
+    description: 'Read an asset file an output links to, base64-encoded.',
+    inputSchema: schema({ path: { type: 'string', description: 'As linked from the document' } }, ['path']),
+    route: (args) => ['GET', '/assets', args],
+  },
+  {
+    name: 'runtime_execute',
+    description: 'Execute code in a runtime without adding it to the document.',
+    inputSchema: schema({ language: LANGUAGE, code: { type: 'string' } }, ['language', 'code']),
+    route: ({ language, ...args }) => ['POST', `/runtime/${encodeURIComponent(language)}/execute`, args],
+  },
+  {
+    name: 'runtime_variables',
+    description: 'Variables defined in a runtime, or one variable in detail when name is given.',
+    inputSchema: schema({ language: LANGUAGE, name: { type: 'string' }, filter: { type: 'object' } }, ['language']),
+    route: ({ language, name, ...args }) => name
+      ? ['POST', `/runtime/${encodeURIComponent(language)}/variable/${encodeURIComponent(name)}`, args]
+      : ['POST', `/runtime/${encodeURIComponent(language)}/variables`, args],
+  },
+  {
+    name: 'runtime_inspect',
+    description: 'Inspect the object at a cursor position in a code snippet (type, value, docs).',
+    inputSchema: schema({
+      language: LANGUAGE,
+      code: { type: 'string' },
+      cursor: { type: 'integer', description: 'Offset in code (default: end)' },
+      detail: { type: 'integer' },
+    }, ['language', 'code']),
+    route: ({ language, ...args }) => ['POST', `/runtime/${encodeURIComponent(language)}/inspect`, {
+      ...args,
+      cursor: Number.isInteger(args.cursor) ? args.cursor : String(args.code || '').length,
+    }],
+  },
+  {
+    name: 'runtime_interrupt',
+    description: 'Interrupt the running execution of a runtime.',
+    inputSchema: schema({ language: LANGUAGE }, ['language']),
+    route: ({ language, ...args }) => ['POST', `/runtime/${encodeURIComponent(language)}/interrupt`, args],
+  },
+  {
+    name: 'create_subruntime',
+    description: 'Start a private runtime for a sub-agent, in its own workspace folder. Not attached to any notebook; stopped after its TTL.',
+    inputSchema: schema({
+      language: LANGUAGE,
+      venv: { type: 'string', description: 'Python environment (default: that of the document\'s python runtime)' },
+      cwd: { type: 'string', description: 'Working directory instead of a fresh workspace' },
+      ttlSeconds: { type: 'integer' },
+      label: { type: 'string' },
+    }),
+    route: (args) => ['POST', '/subruntimes', args],
+  },
+  {
+    name: 'list_subruntimes',
+    description: 'Sub-runtimes this token has running.',
+    inputSchema: { type: 'object', properties: {} },
+    route: () => ['GET', '/subruntimes'],
+  },
+  {
+    name: 'subruntime_execute',
+    description: 'Execute code in one of your sub-runtimes.',
+    inputSchema: { type: 'object', properties: { id: { type: 'string' }, code: { type: 'string' } }, required: ['id', 'code'] },
+    route: ({ id, code }) => ['POST', `/subruntimes/${encodeURIComponent(id)}/execute`, { code }],
+  },
+  {
+    name: 'subruntime_map',
+    description: 'Run tasks in parallel, each in a fresh sub-runtime (or a named one), and collect the results. An optional reduce step reads them from map-results.json in its working directory.',
+    inputSchema: schema({
+      tasks: {
+        type: 'array',
+        items: { anyOf: [{ type: 'string' }, { type: 'object', properties: { code: { type: 'string' }, runtime: { type: 'string' } } }] },
+        description: 'Code per task, or {code, runtime} to use an existing sub-runtime',
+      },
+      reduce: { type: 'object', properties: { code: { type: 'string' }, runtime: { type: 'string' } } },
+      language: LANGUAGE,
+      venv: { type: 'string' },
+      concurrency: { type: 'integer' },
+      keep: { type: 'boolean', description: 'Leave the fresh runtimes running (until their TTL)' },
+    }, ['tasks']),
+    route: (args) => ['POST', '/subruntimes/map', args],
+  },
+  {
+    name: 'destroy_subruntime',
+    description: 'Stop a sub-runtime and remove its workspace.',
+    inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+    route: ({ id }) => ['POST', `/subruntimes/${encodeURIComponent(id)}/destroy`, {}],
+  },
+  {
+    name: 'get_history',
+    description: 'Agent and app events (cell runs, edits, saves, runtime lifecycle), newest first, including agent actions from earlier sessions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: { type: 'string', description: 'Only entries after this ISO date' },
+        kind: { type: 'string', description: 'Comma-separated kinds, e.g. cell-run,cell-replace' },
+        token: { type: 'string', description: 'Only entries of this token id' },
+        document: { type: 'string', description: 'Only entries about this document path' },
+        limit: { type: 'integer' },
+      },
+    },
+    route: ({ since, kind, token, document, limit }) => ['GET', '/history', { since, kind, token, document, limit }],
+  },
+];
+
+const RESOURCES = [
+  { uri: 'mrmd://status', name: 'status', description: 'Focused window status', path: '/status' },
+  { uri: 'mrmd://windows', name: 'windows', description: 'Open windows and documents', path: '/windows' },
+  { uri: 'mrmd://document', name: 'document', description: 'Focused document', path: '/document' },
+  { uri: 'mrmd://cells', name: 'cells', description: 'Code cells of the focused document', path: '/cells' },
+  { uri: 'mrmd://sections', name: 'sections', description: 'Heading outline of the focused document', path: '/sections' },
+  { uri: 'mrmd://frontmatter', name: 'frontmatter', description: 'Frontmatter of the focused document', path: '/frontmatter' },
+  { uri: 'mrmd://history', name: 'history', description: 'Recent agent and app events', path: '/history' },
+];
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id: id ?? null, error: { code, message } };
+}
+
+function withQuery(path, params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+  }
+  const qs = query.toString();
+  return qs ? `${path}?${qs}` : path;
+}
+
+/**
+ * @param {Object} opts
+ * @param {function} opts.request - (method, path, body, context) => Promise<{status, data}>;
+ *   path is relative to /agent/v1 and may carry a query string; context is
+ *   whatever the transport passed to handle() (the HTTP transport passes the
+ *   caller's Authorization header)
+ */
+export function createMcpHandler({ request }) {
+  async function callRoute(method, path, args = {}, context) {
+    if (method === 'GET') return request('GET', withQuery(path, args), null, context);
+    return request(method, path, args, context);
+  }
+
+  async function callTool(params = {}, context) {
+    const tool = TOOLS.find((t) => t.name === params.name);
+    if (!tool) throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: INVALID_PARAMS });
+    const args = params.arguments && typeof params.arguments === 'object' ? { ...params.arguments } : {};
+    for (const key of tool.inputSchema.required || []) {
+      if (args[key] === undefined) throw Object.assign(new Error(`${tool.name}: missing argument "${key}"`), { code: INVALID_PARAMS });
+    }
+
+    const [method, path, body] = tool.route(args);
+    let status;
+    let data;
+    try {
+      ({ status, data } = await callRoute(method, path, body, context));
+    } catch (error) {
+      return { content: [{ type: 'text', text: error.message || String(error) }], isError: true };
+    }
+    const failed = status >= 400 || data?.success === false;
+    // Tool-level failures (unauthorized, missing scope, rejected by reviewer...)
+    // are results the model can read, not protocol errors
+    return {
+      content: [{ type: 'text', text: failed ? String(data?.error || `HTTP ${status}`) : JSON.stringify(data, null, 2) }],
+      ...(failed ? { isError: true } : {}),
+    };
+  }
+
+  async function readResource(params = {}, context) {
+    const resource = RESOURCES.find((r) => r.uri === params.uri);
+    if (!resource) throw Object.assign(new Error(`Unknown resource: ${params.uri}`), { code: RESOURCE_NOT_FOUND });
+    const { status, data } = await callRoute('GET', resource.path, {}, context);
+    if (status >= 400 || data?.success === false) {
+      throw Object.assign(new Error(String(data?.error || `HTTP ${status}`)), { code: INTERNAL_ERROR });
+    }
+    return { contents: [{ uri: resource.uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) }] };
+  }
+
+  async function handleOne(message, context) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      // Responses from the client (we never send requests) are ignored
+      if (message && message.jsonrpc === '2.0' && ('result' in message || 'error' in message)) return null;
+      return rpcError(message?.id, INVALID_REQUEST, 'Invalid JSON-RPC request');
+    }
+    const isNotification = message.id === undefined || message.id === null;
+    if (isNotification) return null;
+
+    const { id, method, params } = message;
+    try {
+      switch (method) {
+        case 'initialize': {
+          const requested = params?.protocolVersion;
+          return rpcResult(id, {
+            protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: { listChanged: false }, resources: { listChanged: false, subscribe: false } },
+            serverInfo: SERVER_INFO,
+            instructions: 'Tools act on the MRMD notebook app: read documents, edit and run code cells, and use the live runtimes.',
+          });
+        }
+        case 'ping':
+          return rpcResult(id, {});
+        case 'tools/list':
+          return rpcResult(id, { tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) });
+        case 'tools/call':
+          return rpcResult(id, await callTool(params, context));
+        case 'resources/list':
+          return rpcResult(id, {
+            resources: RESOURCES.map(({ uri, name, description }) => ({ uri, name, description, mimeType: 'application/json' })),
+          });
+        case 'resources/templates/list':
+          return rpcResult(id, { resourceTemplates: [] });
+        case 'resources/read':
+          return rpcResult(id, await readResource(params, context));
+        default:
+          return rpcError(id, METHOD_NOT_FOUND, `Method not found: ${method}`);
+      }
+    } catch (error) {
+      return rpcError(id, error.code || INTERNAL_ERROR, error.message || String(error));
+    }
+  }
+
+  /**
+   * Handle one JSON-RPC message or a batch.
+   * @param {Object|Object[]} payload - parsed JSON
+   * @param {*} [context] - passed through to request()
+   * @returns {Promise<Object|Object[]|null>} null when nothing needs an answer
+   */
+  async function handle(payload, context) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) return rpcError(null, INVALID_REQUEST, 'Empty batch');
+      const responses = (await Promise.all(payload.map((message) => handleOne(message, context)))).filter(Boolean);
+      return responses.length ? responses : null;
+    }
+    return handleOne(payload, context);
+  }
+
+  /**
+   * Handle raw text (one message or batch), answering parse errors.
+   * @param {string} text
+   * @param {*} [context]
+   */
+  async function handleText(text, context) {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      return rpcError(null, PARSE_ERROR, 'Parse error');
+    }
+    return handle(payload, context);
+  }
+
+  return { handle, handleText };
+}
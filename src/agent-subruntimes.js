@@ -0,0 +1,311 @@
+/**
+ * Sub-agent runtimes — private, short-lived runtime sessions an
+ * orchestrating agent starts through the bridge (/agent/v1/subruntimes).
+ *
+ * This is the "orchestrator pattern" of docs/specs/agentic-orchestration.md
+ * without the orchestrator having to spawn runtimes itself: map work over
+ * isolated REPLs, collect the results, reduce.
+ *
+ * Each sub-runtime is a RuntimeService session started with `ephemeral`
+ * set, so it is left out of runtime lists and never attached to a notebook.
+ * It belongs to the token that created it, runs in a private workspace
+ * folder (unless given a cwd), and is stopped when its TTL runs out, when
+ * the token is revoked, or when the app quits.
+ */
+
+import { randomBytes } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { AGENT_SUBRUNTIMES } from './config.js';
+
+/** File the reduce step finds the map results in, in its working directory */
+export const MAP_RESULTS_FILE = 'map-results.json';
+
+function statusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {Object} opts
+ * @param {function} opts.startRuntime - (config) => Promise<session info>
+ *   (RuntimeService.start)
+ * @param {function} opts.stopRuntime - (sessionName) => Promise
+ * @param {function} [opts.trackExecution] - (port, run) => Promise; marks
+ *   the runtime busy for the idle reaper while run() executes
+ * @param {function} [opts.describeRuntime] - (port) => {venv, pythonEnv,
+ *   projectRoot}|null; the environment of a running session to inherit
+ * @param {string} [opts.workspaceRoot] - parent of the private workspaces
+ * @param {Object} [opts.limits] - see AGENT_SUBRUNTIMES
+ */
+export function createAgentSubRuntimes({
+  startRuntime,
+  stopRuntime,
+  trackExecution = null,
+  describeRuntime = null,
+  workspaceRoot = path.join(os.tmpdir(), 'mrmd-subruntimes'),
+  limits = AGENT_SUBRUNTIMES,
+}) {
+  /** @type {Map<string, Object>} id -> {id, ownerId, language, label, session, workspace, ownWorkspace, createdAt, expiresAt, timer} */
+  const runtimes = new Map();
+  // Starts in flight per owner, counted against maxPerToken
+  const starting = new Map();
+
+  function describe(entry) {
+    return {
+      id: entry.id,
+      language: entry.language,
+      label: entry.label,
+      sessionName: entry.session.name,
+      port: entry.session.port,
+      workspace: entry.workspace,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+    };
+  }
+
+  function ownedBy(ownerId) {
+    return [...runtimes.values()].filter((entry) => entry.ownerId === ownerId);
+  }
+
+  /**
+   * Start a sub-runtime for a token.
+   * @param {string} ownerId - token id
+   * @param {Object} [opts]
+   * @param {string} [opts.language]
+   * @param {string} [opts.cwd] - working directory; default a new private workspace
+   * @param {string} [opts.venv] - python: environment to run in
+   * @param {Object} [opts.pythonEnv]
+   * @param {string} [opts.projectRoot] - enables the project's runtime plugins
+   * @param {number} [opts.inheritPort] - take venv, pythonEnv and projectRoot
+   *   (when not given) from the session on this port, e.g. the document's
+   * @param {number} [opts.ttlMs] - capped at limits.maxTtlMs
+   * @param {string} [opts.label]
+   * @returns {Promise<Object>} description
+   */
+  async function create(ownerId, { language = 'python', cwd = null, venv = null, pythonEnv = null, projectRoot = null, inheritPort = null, ttlMs = null, label = null } = {}) {
+    const pending = starting.get(ownerId) || 0;
+    if (ownedBy(ownerId).length + pending >= limits.maxPerToken) {
+      throw statusError(429, `At most ${limits.maxPerToken} sub-runtimes per token; destroy one first`);
+    }
+    const ttl = Math.min(Number(ttlMs) > 0 ? Number(ttlMs) : limits.ttlMs, limits.maxTtlMs);
+    const id = `sub-${randomBytes(6).toString('hex')}`;
+
+    let workspace = cwd ? path.resolve(cwd) : null;
+    const ownWorkspace = !workspace;
+    starting.set(ownerId, pending + 1);
+    try {
+      if (ownWorkspace) {
+        await fs.promises.mkdir(workspaceRoot, { recursive: true });
+        workspace = await fs.promises.mkdtemp(path.join(workspaceRoot, `${id}-`));
+      }
+      const inherited = (inheritPort && describeRuntime?.(inheritPort)) || {};
+      const session = await startRuntime({
+        name: `agent:${ownerId}:${language}:${id}`,
+        language,
+        cwd: workspace,
+        venv: venv || inherited.venv || null,
+        pythonEnv: pythonEnv || (venv ? null : inherited.pythonEnv) || null,
+        projectRoot: projectRoot || inherited.projectRoot || null,
+        ephemeral: { id, owner: ownerId },
+      });
+      const createdAt = Date.now();
+      const entry = {
+        id,
+        ownerId,
+        language,
+        label: label || null,
+        session,
+        workspace,
+        ownWorkspace,
+        createdAt: new Date(createdAt).toISOString(),
+        expiresAt: new Date(createdAt + ttl).toISOString(),
+        timer: null,
+      };
+      entry.timer = setTimeout(() => {
+        console.log(`[agent] Sub-runtime ${id} reached its TTL`);
+        release(entry).catch(() => {});
+      }, ttl);
+      entry.timer.unref?.();
+      runtimes.set(id, entry);
+      console.log(`[agent] Started sub-runtime ${id} (${language}) for token ${ownerId}`);
+      return describe(entry);
+    } catch (error) {
+      if (ownWorkspace && workspace) await fs.promises.rm(workspace, { recursive: true, force: true }).catch(() => {});
+      throw error;
+    } finally {
+      const left = (starting.get(ownerId) || 1) - 1;
+      if (left > 0) starting.set(ownerId, left);
+      else starting.delete(ownerId);
+    }
+  }
+
+  function find(ownerId, id) {
+    const entry = runtimes.get(String(id));
+    if (!entry || entry.ownerId !== ownerId) throw statusError(404, `No sub-runtime ${id}`);
+    return entry;
+  }
+
+  async function release(entry) {
+    if (runtimes.get(entry.id) !== entry) return false;
+    runtimes.delete(entry.id);
+    clearTimeout(entry.timer);
+    try {
+      await stopRuntime(entry.session.name);
+    } catch (e) {
+      console.warn(`[agent] Failed to stop sub-runtime ${entry.id}:`, e.message);
+    }
+    if (entry.ownWorkspace) {
+      await fs.promises.rm(entry.workspace, { recursive: true, force: true }).catch(() => {});
+    }
+    return true;
+  }
+
+  /**
+   * Execute code in one of a token's sub-runtimes (MRP execute).
+   * @returns {Promise<Object>} the MRP result
+   */
+  async function execute(ownerId, id, { code = '', execId = undefined } = {}) {
+    const entry = find(ownerId, id);
+    const run = async () => {
+      const response = await fetch(`http://127.0.0.1:${entry.session.port}/mrp/v1/execute`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: String(code), storeHistory: true, execId }),
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok) throw new Error(data?.error || data?.detail || `MRP request failed: ${response.status}`);
+      return data;
+    };
+    return trackExecution ? trackExecution(entry.session.port, run) : run();
+  }
+
+  /**
+   * Run tasks in parallel, each in its own sub-runtime: a named one
+   * (task.runtime) or a fresh one that is stopped afterwards (unless keep).
+   * A reduce step, if given, runs once every task is done and reads the
+   * results from map-results.json in its working directory.
+   *
+   * @param {string} ownerId
+   * @param {Object} opts
+   * @param {Array<string|{code: string, runtime?: string}>} opts.tasks
+   * @param {number} [opts.concurrency]
+   * @param {boolean} [opts.keep] - leave fresh runtimes running (until TTL)
+   * @param {{code: string, runtime?: string}} [opts.reduce]
+   * @param {Object} [opts.runtime] - options for fresh runtimes (see create)
+   * @returns {Promise<{results: Object[], reduce?: Object}>}
+   */
+  async function map(ownerId, { tasks, concurrency = null, keep = false, reduce = null, runtime = {} } = {}) {
+    if (!Array.isArray(tasks) || tasks.length === 0) throw statusError(400, 'tasks must be a non-empty array');
+    if (tasks.length > limits.maxMapTasks) throw statusError(400, `At most ${limits.maxMapTasks} tasks per map`);
+    const normalized = tasks.map((task) => (typeof task === 'string' ? { code: task } : (task || {})));
+    // Named runtimes must exist before anything starts
+    for (const task of normalized) if (task.runtime) find(ownerId, task.runtime);
+    if (reduce?.runtime) find(ownerId, reduce.runtime);
+
+    const runIn = async (task, label) => {
+      const started = Date.now();
+      let fresh = null;
+      try {
+        const id = task.runtime || (fresh = await create(ownerId, { ...runtime, label })).id;
+        const result = await execute(ownerId, id, { code: task.code });
+        return {
+          runtime: id,
+          status: result?.error || result?.success === false ? 'error' : 'ok',
+          result,
+          durationMs: Date.now() - started,
+        };
+      } catch (error) {
+        return { runtime: task.runtime || fresh?.id || null, status: 'failed', error: error.message, durationMs: Date.now() - started };
+      } finally {
+        if (fresh && !keep) await destroy(ownerId, fresh.id).catch(() => {});
+      }
+    };
+
+    const results = new Array(normalized.length);
+    // Fresh runtimes count against the token's cap: don't run wider than it allows
+    const free = limits.maxPerToken - ownedBy(ownerId).length - (starting.get(ownerId) || 0);
+    const width = Math.max(1, Math.min(Number(concurrency) || limits.mapConcurrency, normalized.length, free));
+    let next = 0;
+    await Promise.all(Array.from({ length: width }, async () => {
+      while (next < normalized.length) {
+        const index = next++;
+        results[index] = { index, ...(await runIn(normalized[index], `map task ${index}`)) };
+      }
+    }));
+
+    if (!reduce?.code) return { results };
+
+    // The reduce runtime needs its workspace before the code runs: start it first
+    let reduceTask = reduce;
+    let fresh = null;
+    try {
+      if (!reduce.runtime) {
+        fresh = await create(ownerId, { ...runtime, label: 'reduce' });
+        reduceTask = { ...reduce, runtime: fresh.id };
+      }
+      const workspace = find(ownerId, reduceTask.runtime).workspace;
+      await fs.promises.writeFile(path.join(workspace, MAP_RESULTS_FILE), JSON.stringify(results, null, 2));
+      const reduced = await runIn(reduceTask, 'reduce');
+      return { results, reduce: reduced };
+    } catch (error) {
+      return { results, reduce: { runtime: reduceTask.runtime || null, status: 'failed', error: error.message } };
+    } finally {
+      if (fresh && !keep) await destroy(ownerId, fresh.id).catch(() => {});
+    }
+  }
+
+  /** Stop one of a token's sub-runtimes. */
+  async function destroy(ownerId, id) {
+    return release(find(ownerId, id));
+  }
+
+  /** Stop every sub-runtime of a token (it was revoked). */
+  async function destroyOwnedBy(ownerId) {
+    await Promise.all(ownedBy(ownerId).map(release));
+  }
+
+  /**
+   * A sub-runtime's session ended on its own (crash, idle reaper): drop it.
+   * @param {string} sessionName
+   */
+  function forget(sessionName) {
+    for (const entry of runtimes.values()) {
+      if (entry.session.name !== sessionName) continue;
+      runtimes.delete(entry.id);
+      clearTimeout(entry.timer);
+      if (entry.ownWorkspace) fs.promises.rm(entry.workspace, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  return {
+    create,
+    execute,
+    map,
+    destroy,
+    destroyOwnedBy,
+    forget,
+    /** @returns {Object[]} a token's live sub-runtimes */
+    list: (ownerId) => ownedBy(ownerId).map(describe),
+    /**
+     * Stop everything (app quit). Private workspaces are gone when this
+     * returns: the app exits without waiting for the stops to settle.
+     */
+    dispose: () => {
+      const entries = [...runtimes.values()];
+      const stopped = Promise.all(entries.map(release));
+      for (const entry of entries) {
+        if (!entry.ownWorkspace) continue;
+        try {
+          fs.rmSync(entry.workspace, { recursive: true, force: true });
+        } catch (e) {
+          console.warn(`[agent] Failed to remove workspace of sub-runtime ${entry.id}:`, e.message);
+        }
+      }
+      return stopped;
+    },
+  };
+}
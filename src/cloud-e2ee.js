@@ -0,0 +1,210 @@
+/**
+ * Cloud end-to-end encryption — opt-in per project. DocBridge seals every
+ * message for the relay with the project key and opens what comes back, so
+ * the relay only ever stores and forwards ciphertext. For the same reason the
+ * project's sync server is kept off the runtime tunnel.
+ *
+ * Frame (always sent as binary):
+ *
+ *   0xE2 0xEE | version (1) | flags (1) | keyId (8) | iv (12) | tag (16) | ciphertext
+ *
+ * AES-256-GCM with the relay's project/document name as additional data, so
+ * a frame can't be replayed into another document. flags bit 0 keeps the
+ * original message's binary/text kind.
+ *
+ * Keys live in CLOUD_KEYS_FILE, keyed by project root. Collaborators share a
+ * project by importing the exported key; clients without it (the web editor,
+ * other machines) see nothing they can read, and the relay can no longer
+ * serve the document's content on its own.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { CLOUD_KEYS_FILE } from './config.js';
+
+const MAGIC = Buffer.from([0xe2, 0xee]);
+const VERSION = 1;
+const KEY_ID_BYTES = 8;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + 2 + KEY_ID_BYTES + IV_BYTES + TAG_BYTES;
+const EXPORT_PREFIX = 'mrmd-e2ee-v1:';
+
+/** @returns {Buffer} a new 256-bit project key */
+export function generateProjectKey() {
+  return crypto.randomBytes(32);
+}
+
+/**
+ * Short fingerprint of a key, shown to users comparing keys.
+ * @param {Buffer} key
+ * @returns {string} 16 hex characters
+ */
+export function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_BYTES).toString('hex');
+}
+
+/**
+ * @param {Buffer} key
+ * @returns {string} text to hand to collaborators
+ */
+export function exportProjectKey(key) {
+  return `${EXPORT_PREFIX}${key.toString('base64url')}`;
+}
+
+/**
+ * @param {string} text - from exportProjectKey
+ * @returns {Buffer}
+ */
+export function parseProjectKey(text) {
+  const value = String(text || '').trim();
+  if (!value.startsWith(EXPORT_PREFIX)) throw new Error(`Not a project key (expected ${EXPORT_PREFIX}...)`);
+  const key = Buffer.from(value.slice(EXPORT_PREFIX.length), 'base64url');
+  if (key.length !== 32) throw new Error('Project key must be 32 bytes');
+  return key;
+}
+
+/** Does this relay message look like an E2EE frame? */
+export function isEncryptedFrame(data) {
+  const bytes = Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+  return bytes.length >= HEADER_BYTES && bytes[0] === MAGIC[0] && bytes[1] === MAGIC[1];
+}
+
+/**
+ * Seal and open the messages of one relayed document.
+ *
+ * @param {Buffer} key
+ * @param {{projectName: string, docName: string}} doc
+ * @returns {{keyId: string, seal: (data, isBinary: boolean) => Buffer, open: (data) => ({data: Buffer, isBinary: boolean}|null)}}
+ */
+export function createDocCipher(key, { projectName, docName }) {
+  const keyId = keyIdOf(key);
+  const keyIdBytes = Buffer.from(keyId, 'hex');
+  const aad = Buffer.from(`${projectName}\n${docName}`);
+
+  function seal(data, isBinary = true) {
+    const plain = typeof data === 'string'
+      ? Buffer.from(data)
+      : Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(aad);
+    const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+    return Buffer.concat([MAGIC, Buffer.from([VERSION, isBinary ? 1 : 0]), keyIdBytes, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  /** null when the frame isn't ours: plaintext, another key, or tampered */
+  function open(data) {
+    if (!isEncryptedFrame(data)) return null;
+    const frame = Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+    let offset = MAGIC.length;
+    if (frame[offset++] !== VERSION) return null;
+    const isBinary = (frame[offset++] & 1) === 1;
+    if (!frame.subarray(offset, offset + KEY_ID_BYTES).equals(keyIdBytes)) return null;
+    offset += KEY_ID_BYTES;
+    const iv = frame.subarray(offset, offset + IV_BYTES);
+    const tag = frame.subarray(offset + IV_BYTES, HEADER_BYTES);
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(aad);
+      decipher.setAuthTag(tag);
+      const plain = Buffer.concat([decipher.update(frame.subarray(HEADER_BYTES)), decipher.final()]);
+      return { data: isBinary ? plain : plain.toString('utf8'), isBinary };
+    } catch {
+      return null;
+    }
+  }
+
+  return { keyId, seal, open };
+}
+
+/**
+ * Project keys on disk: { version, projects: { [projectDir]: {key, keyId, createdAt, imported} } }
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.file]
+ */
+export function createCloudKeyStore({ file = CLOUD_KEYS_FILE } = {}) {
+  let data = null;
+
+  function load() {
+    if (data) return data;
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      data = { version: 1, projects: raw?.projects && typeof raw.projects === 'object' ? raw.projects : {} };
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error('[cloud-e2ee] Failed to load keys:', e.message);
+      data = { version: 1, projects: {} };
+    }
+    return data;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  function set(projectDir, key, imported) {
+    load().projects[path.resolve(projectDir)] = {
+      key: key.toString('base64'),
+      keyId: keyIdOf(key),
+      createdAt: new Date().toISOString(),
+      imported,
+    };
+    save();
+    return info(projectDir);
+  }
+
+  /** @returns {{enabled: boolean, keyId: string|null, createdAt: string|null, imported: boolean}} */
+  function info(projectDir) {
+    const entry = load().projects[path.resolve(projectDir)];
+    return {
+      enabled: Boolean(entry),
+      keyId: entry?.keyId || null,
+      createdAt: entry?.createdAt || null,
+      imported: Boolean(entry?.imported),
+    };
+  }
+
+  return {
+    info,
+
+    /** @returns {Buffer|null} the project's key, null when E2EE is off */
+    get(projectDir) {
+      const entry = load().projects[path.resolve(projectDir)];
+      return entry ? Buffer.from(entry.key, 'base64') : null;
+    },
+
+    /** Turn E2EE on with a new key (replaces any existing one). */
+    create(projectDir) {
+      return set(projectDir, generateProjectKey(), false);
+    },
+
+    /** Turn E2EE on with a collaborator's key (from exportProjectKey). */
+    import(projectDir, text) {
+      return set(projectDir, parseProjectKey(text), true);
+    },
+
+    export(projectDir) {
+      const key = this.get(projectDir);
+      if (!key) throw new Error('End-to-end encryption is off for this project');
+      return { keyId: keyIdOf(key), key: exportProjectKey(key) };
+    },
+
+    remove(projectDir) {
+      const projects = load().projects;
+      const resolved = path.resolve(projectDir);
+      if (!projects[resolved]) return false;
+      delete projects[resolved];
+      save();
+      return true;
+    },
+
+    /** Re-read the file (it may be changed by another process). */
+    reload() {
+      data = null;
+    },
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Cloud sync outbox — document updates from the local mrmd-sync that could
+ * not be sent to the relay yet, kept on disk so they survive a dropped
+ * connection and an app restart.
+ *
+ * Each document gets a JSONL file in CLOUD_OUTBOX_DIR: a first line with
+ * its identity ({meta: {userId, projectName, docName}}) and one line per
+ * queued message ({at, bin, data: base64}). DocBridge queues into it while
+ * the relay side is down and drains it, oldest first, when the relay
+ * reconnects. Only messages carrying document content are queued (see
+ * carriesDocument); handshakes and awareness are stale once replayed.
+ *
+ * Whatever was sent but lost in flight is reconciled by the Yjs handshake
+ * the relay and the local server run through the bridge on every connect.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { CLOUD_OUTBOX, CLOUD_OUTBOX_DIR } from './config.js';
+
+/**
+ * Is this y-websocket message a document update (sync step 2 or update)?
+ * @param {ArrayBuffer|Buffer|Uint8Array|string} data
+ * @param {boolean} isBinary
+ */
+export function carriesDocument(data, isBinary) {
+  if (!isBinary || typeof data === 'string') return false;
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+  // messageSync (0), then syncStep2 (1) or update (2)
+  return bytes.length > 2 && bytes[0] === 0 && (bytes[1] === 1 || bytes[1] === 2);
+}
+
+function keyOf({ userId, projectName, docName }) {
+  return `${userId}\n${projectName}\n${docName}`;
+}
+
+/**
+ * @param {Object} [opts]
+ * @param {string} [opts.dir]
+ * @param {number} [opts.maxBytesPerDoc]
+ */
+export function createCloudOutbox({ dir = CLOUD_OUTBOX_DIR, maxBytesPerDoc = CLOUD_OUTBOX.maxBytesPerDoc } = {}) {
+  /** @type {Map<string, Object>} key -> queue */
+  const queues = new Map();
+  // Outbox files already loaded into `queues`
+  const loaded = new Set();
+
+  function fileFor(meta) {
+    const hash = createHash('sha1').update(keyOf(meta)).digest('hex').slice(0, 24);
+    return path.join(dir, `${hash}.jsonl`);
+  }
+
+  function readFile(file) {
+    let lines;
+    try {
+      lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    } catch {
+      return null;
+    }
+    let meta = null;
+    const entries = [];
+    for (const line of lines) {
+      try {
+        const parsed = JSON.parse(line);
+        if (parsed.meta) meta = parsed.meta;
+        else entries.push({ at: parsed.at, bin: parsed.bin !== false, data: Buffer.from(parsed.data, 'base64') });
+      } catch {
+        // A line cut short by a crash: skip it
+      }
+    }
+    return meta ? { meta, entries } : null;
+  }
+
+  function serialize(entry) {
+    return `${JSON.stringify({ at: entry.at, bin: entry.bin, data: entry.data.toString('base64') })}\n`;
+  }
+
+  function makeQueue(meta, entries = []) {
+    const file = fileFor(meta);
+    const queue = {
+      meta,
+      entries,
+      bytes: entries.reduce((sum, entry) => sum + entry.data.length, 0),
+      overflowed: false,
+
+      /** Queue one message; false if the document is past maxBytesPerDoc. */
+      append(data, isBinary = true) {
+        const buffer = Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+        if (queue.bytes + buffer.length > maxBytesPerDoc) {
+          if (!queue.overflowed) console.warn(`[cloud-sync] Outbox full for ${meta.projectName}/${meta.docName}; relying on resync`);
+          queue.overflowed = true;
+          return false;
+        }
+        const entry = { at: Date.now(), bin: isBinary, data: buffer };
+        try {
+          fs.mkdirSync(dir, { recursive: true });
+          if (queue.entries.length === 0) fs.writeFileSync(file, `${JSON.stringify({ meta })}\n`);
+          fs.appendFileSync(file, serialize(entry));
+        } catch (e) {
+          console.warn('[cloud-sync] Failed to persist outbox entry:', e.message);
+        }
+        queue.entries.push(entry);
+        queue.bytes += buffer.length;
+        return true;
+      },
+
+      /**
+       * Send the queued messages in order; stops at the first failure and
+       * keeps what was not sent.
+       * @param {(data: Buffer, isBinary: boolean) => Promise} send
+       * @returns {Promise<number>} messages sent
+       */
+      async drain(send) {
+        const batch = queue.entries.slice();
+        let sent = 0;
+        for (const entry of batch) {
+          try {
+            await send(entry.data, entry.bin);
+          } catch {
+            break;
+          }
+          sent += 1;
+        }
+        if (sent === 0) return 0;
+        // Entries appended while draining stay behind the unsent ones
+        const removed = queue.entries.splice(0, sent);
+        queue.bytes -= removed.reduce((sum, entry) => sum + entry.data.length, 0);
+        queue.overflowed = false;
+        try {
+          if (queue.entries.length === 0) fs.rmSync(file, { force: true });
+          else fs.writeFileSync(file, `${JSON.stringify({ meta })}\n${queue.entries.map(serialize).join('')}`);
+        } catch (e) {
+          console.warn('[cloud-sync] Failed to rewrite outbox:', e.message);
+        }
+        return sent;
+      },
+
+      status() {
+        const oldest = queue.entries[0]?.at ?? null;
+        return {
+          pendingMessages: queue.entries.length,
+          pendingBytes: queue.bytes,
+          oldestUnsyncedAt: oldest ? new Date(oldest).toISOString() : null,
+          oldestUnsyncedAgeMs: oldest ? Date.now() - oldest : null,
+          overflowed: queue.overflowed,
+        };
+      },
+    };
+    return queue;
+  }
+
+  /**
+   * The queue of one document, loading what an earlier run left on disk.
+   * @param {{userId: string, projectName: string, docName: string}} meta
+   */
+  function open(meta) {
+    const key = keyOf(meta);
+    if (!queues.has(key)) {
+      const file = fileFor(meta);
+      loaded.add(file);
+      queues.set(key, makeQueue(meta, readFile(file)?.entries || []));
+    }
+    return queues.get(key);
+  }
+
+  /**
+   * Documents with queued messages, including ones not opened in this run.
+   * @param {{userId?: string, projectName?: string}} [filter]
+   * @returns {Object[]} [{userId, projectName, docName, ...status}]
+   */
+  function pending({ userId = null, projectName = null } = {}) {
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter((name) => name.endsWith('.jsonl'));
+    } catch {
+      // No outbox yet
+    }
+    for (const name of files) {
+      const file = path.join(dir, name);
+      if (loaded.has(file)) continue;
+      loaded.add(file);
+      const stored = readFile(file);
+      if (stored && !queues.has(keyOf(stored.meta))) queues.set(keyOf(stored.meta), makeQueue(stored.meta, stored.entries));
+    }
+    return [...queues.values()]
+      .filter((queue) => queue.entries.length > 0)
+      .filter((queue) => (!userId || queue.meta.userId === userId) && (!projectName || queue.meta.projectName === projectName))
+      .map((queue) => ({ ...queue.meta, ...queue.status() }));
+  }
+
+  return { open, pending };
+}
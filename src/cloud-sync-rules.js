@@ -0,0 +1,209 @@
+/**
+ * Cloud sync rules — which documents of a project may leave this machine.
+ *
+ * Rules are kept per project (settings: cloud.syncRules[projectDir]) and
+ * enforced wherever documents cross to the relay: CloudSync._bridgeDoc,
+ * CloudSync.pushCatalog and the machine agent's pull of cloud documents.
+ *
+ *   { include: ['**'], exclude: ['drafts/'], syncHidden: false, maxBytes: 5242880 }
+ *
+ * Globs match the project-relative path with or without its extension
+ * ("notes/*.md", "notes/todo"); `**` spans folders, a trailing slash means
+ * everything below, and a pattern without a slash matches the file name
+ * anywhere. Independently of the rules, a document stays local when its
+ * folder (or a parent) holds a .mrmd-local file, or its frontmatter says
+ * `cloud: local`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { CLOUD_LOCAL_ONLY_MARKER, CLOUD_SYNC_RULES, PROJECT_SCAN_MAX_DEPTH } from './config.js';
+
+const DOC_EXTENSIONS = ['.md', '.qmd'];
+const SKIPPED_DIRS = new Set(['node_modules', '.venv', '__pycache__']);
+
+/**
+ * Fill in defaults and drop malformed values.
+ * @param {Object} [rules]
+ * @returns {{include: string[], exclude: string[], syncHidden: boolean, maxBytes: number}}
+ */
+export function normalizeSyncRules(rules = {}) {
+  const globs = (value, fallback) => (Array.isArray(value)
+    ? value.map((glob) => String(glob).trim()).filter(Boolean)
+    : fallback);
+  const maxBytes = Number(rules?.maxBytes);
+  return {
+    include: globs(rules?.include, CLOUD_SYNC_RULES.include),
+    exclude: globs(rules?.exclude, CLOUD_SYNC_RULES.exclude),
+    syncHidden: typeof rules?.syncHidden === 'boolean' ? rules.syncHidden : CLOUD_SYNC_RULES.syncHidden,
+    maxBytes: Number.isFinite(maxBytes) && maxBytes >= 0 ? maxBytes : CLOUD_SYNC_RULES.maxBytes,
+  };
+}
+
+/**
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let pattern = glob.replace(/\\/g, '/').replace(/^\.?\//, '');
+  if (pattern.endsWith('/')) pattern += '**';
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(globs, relPath) {
+  const withoutExt = relPath.replace(/\.(md|qmd)$/i, '');
+  const base = relPath.split('/').pop();
+  return globs.some((glob) => {
+    const re = globToRegExp(glob);
+    if (re.test(relPath) || re.test(withoutExt)) return true;
+    return !glob.includes('/') && (re.test(base) || re.test(base.replace(/\.(md|qmd)$/i, '')));
+  });
+}
+
+function hasLocalOnlyFrontmatter(file) {
+  let head = '';
+  try {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buffer = Buffer.alloc(4096);
+      head = buffer.toString('utf8', 0, fs.readSync(fd, buffer, 0, buffer.length, 0));
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch {
+    return false;
+  }
+  const frontmatter = head.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  return Boolean(frontmatter && /^cloud:\s*['"]?local['"]?\s*$/m.test(frontmatter[1]));
+}
+
+function hasLocalOnlyMarker(projectDir, relPath) {
+  const segments = relPath.split('/').slice(0, -1);
+  for (let depth = segments.length; depth >= 0; depth--) {
+    if (fs.existsSync(path.join(projectDir, ...segments.slice(0, depth), CLOUD_LOCAL_ONLY_MARKER))) return true;
+  }
+  return false;
+}
+
+/**
+ * Find the file behind a document name ("docs/intro" -> docs/intro.md).
+ * @returns {{relPath: string, file: string|null}}
+ */
+function resolveDocument(projectDir, docName) {
+  const name = String(docName || '').replace(/\\/g, '/').replace(/^\/+/, '');
+  const candidates = DOC_EXTENSIONS.some((ext) => name.toLowerCase().endsWith(ext))
+    ? [name]
+    : DOC_EXTENSIONS.map((ext) => `${name}${ext}`);
+  for (const relPath of candidates) {
+    const file = path.join(projectDir, relPath);
+    if (fs.existsSync(file)) return { relPath, file };
+  }
+  return { relPath: candidates[0], file: null };
+}
+
+/**
+ * May this document be synced to the cloud? Documents that don't exist
+ * locally (yet) are judged on their path alone.
+ *
+ * @param {string} projectDir
+ * @param {string} docName - project-relative, with or without extension
+ * @param {Object} [rules]
+ * @returns {{sync: boolean, reason: string|null, path: string, bytes: number|null}}
+ *   reason: 'outside-project' | 'hidden' | 'excluded' | 'not-included' |
+ *   'local-only' | 'too-large'
+ */
+export function checkDocument(projectDir, docName, rules) {
+  const { include, exclude, syncHidden, maxBytes } = normalizeSyncRules(rules);
+  const { relPath, file } = resolveDocument(projectDir, docName);
+  const verdict = (reason, bytes = null) => ({ sync: !reason, reason, path: relPath, bytes });
+
+  const resolved = path.resolve(projectDir, relPath);
+  if (resolved !== path.resolve(projectDir) && !resolved.startsWith(path.resolve(projectDir) + path.sep)) {
+    return verdict('outside-project');
+  }
+  const segments = relPath.split('/');
+  if (segments.some((segment) => segment.startsWith('.') || (!syncHidden && segment.startsWith('_')))) {
+    return verdict('hidden');
+  }
+  if (matchesAny(exclude, relPath)) return verdict('excluded');
+  if (!matchesAny(include, relPath)) return verdict('not-included');
+  if (hasLocalOnlyMarker(projectDir, relPath)) return verdict('local-only');
+  if (!file) return verdict(null);
+
+  let bytes = null;
+  try {
+    bytes = fs.statSync(file).size;
+  } catch {
+    // Gone since resolveDocument: judged on the path
+  }
+  if (maxBytes > 0 && bytes > maxBytes) return verdict('too-large', bytes);
+  if (hasLocalOnlyFrontmatter(file)) return verdict('local-only', bytes);
+  return verdict(null, bytes);
+}
+
+/**
+ * Dry run: every document of a project and whether the rules sync it.
+ *
+ * @param {string} projectDir
+ * @param {Object} [rules]
+ * @returns {{rules: Object, documents: Object[], totals: {documents: number, synced: number, skipped: number, syncedBytes: number}}}
+ */
+export function planProjectSync(projectDir, rules) {
+  const normalized = normalizeSyncRules(rules);
+  const documents = [];
+  const walk = (dir, depth) => {
+    if (depth > PROJECT_SCAN_MAX_DEPTH) return;
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || SKIPPED_DIRS.has(entry.name)) continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full, depth + 1);
+      } else if (DOC_EXTENSIONS.some((ext) => entry.name.toLowerCase().endsWith(ext))) {
+        const relPath = path.relative(projectDir, full).replace(/\\/g, '/');
+        const docName = relPath.replace(/\.(md|qmd)$/i, '');
+        documents.push({ docName, ...checkDocument(projectDir, relPath, normalized) });
+      }
+    }
+  };
+  walk(projectDir, 0);
+  documents.sort((a, b) => a.path.localeCompare(b.path));
+
+  const synced = documents.filter((doc) => doc.sync);
+  return {
+    rules: normalized,
+    documents,
+    totals: {
+      documents: documents.length,
+      synced: synced.length,
+      skipped: documents.length - synced.length,
+      syncedBytes: synced.reduce((sum, doc) => sum + (doc.bytes || 0), 0),
+    },
+  };
+}
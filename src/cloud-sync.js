@@ -4,6 +4,9 @@
  * Bridges the local mrmd-sync WebSocket to the markco.dev relay WebSocket.
  * Does NOT implement Yjs protocol — just forwards raw binary messages
  * between the two WebSocket connections. Both ends speak Yjs natively.
+ * Updates the relay can't take yet wait on disk (see cloud-outbox.js).
+ * Projects with end-to-end encryption on send the relay only ciphertext
+ * (see cloud-e2ee.js).
  *
  * Architecture:
  *   local mrmd-sync (filesystem)  ←→  CloudSync bridge  ←→  markco.dev relay (postgres)
@@ -18,6 +21,10 @@
 
 import { WebSocket } from 'ws';
 import { RuntimeTunnel } from './runtime-tunnel.js';
+import { createCloudOutbox, carriesDocument } from './cloud-outbox.js';
+import { checkDocument } from './cloud-sync-rules.js';
+import { createDocCipher, keyIdOf } from './cloud-e2ee.js';
+import { CLOUD_BRIDGES } from './config.js';
 
 function encodePathSegments(value) {
   return String(value).split('/').map(encodeURIComponent).join('/');
@@ -34,6 +41,11 @@ class DocBridge {
     this.remoteHeaders = opts.remoteHeaders || {};
     this.log = opts.log || console.log;
     this.docName = opts.docName;
+    // Persistent queue for document updates the relay hasn't received
+    this.outbox = opts.outbox || null;
+    // createDocCipher() of the project key when E2EE is on
+    this.cipher = opts.cipher || null;
+    this._undecryptable = 0;
 
     this.localWs = null;
     this.remoteWs = null;
@@ -54,17 +66,43 @@ class DocBridge {
     // the sync to never complete for many documents when bridges start in bulk.
     this._localBuffer = [];   // messages from remote waiting for local
     this._remoteBuffer = [];  // messages from local waiting for remote
-
-
+    // Set while the outbox replays; local updates keep queueing behind it
+    this._draining = false;
+    // Scheduling (see BridgeScheduler): priority class and whether it runs
+    this.priority = opts.priority || 'background';
+    this.basePriority = this.priority;
+    this.scheduleState = 'waiting';
+    this._paused = false;
   }
 
   start() {
+    this._paused = false;
+    this._startedAt = Date.now();
     this._connectLocal();
     this._connectRemote();
   }
 
+  /**
+   * Close both sides without giving up the bridge; start() resumes it.
+   * Local updates made meanwhile reach the relay through the Yjs handshake.
+   */
+  pause() {
+    this._paused = true;
+    clearTimeout(this._reconnectLocal);
+    clearTimeout(this._reconnectRemote);
+    this._reconnectLocal = null;
+    this._reconnectRemote = null;
+    try { this.localWs?.close(); } catch { /* ignore */ }
+    try { this.remoteWs?.close(); } catch { /* ignore */ }
+  }
+
+  /** What goes on the relay wire for a local message: [data, isBinary] */
+  _toRemote(data, isBinary) {
+    return this.cipher ? [this.cipher.seal(data, isBinary), true] : [data, isBinary];
+  }
+
   _connectLocal() {
-    if (this._destroyed) return;
+    if (this._destroyed || this._paused) return;
     try {
       this.localWs = new WebSocket(this.localUrl);
     } catch {
@@ -87,17 +125,19 @@ class DocBridge {
     this.localWs.on('message', (data, isBinary) => {
       this._lastMessageAt = Date.now();
       // Forward to remote (cloud relay)
-      if (this._remoteReady && this.remoteWs?.readyState === WebSocket.OPEN) {
-        try { this.remoteWs.send(data, { binary: isBinary }); } catch { /* ignore */ }
-      } else {
+      if (this._remoteReady && !this._draining && this.remoteWs?.readyState === WebSocket.OPEN) {
+        const [payload, binary] = this._toRemote(data, isBinary);
+        try { this.remoteWs.send(payload, { binary }); } catch { /* ignore */ }
+      } else if (!(this.outbox && carriesDocument(data, isBinary) && this.outbox.append(data, isBinary))) {
         this._remoteBuffer.push({ data, isBinary });
       }
     });
 
     this.localWs.on('close', () => {
       this._localReady = false;
-      this._localBuffer = [];
-      if (!this._destroyed) this._scheduleReconnect('local');
+      // Handshakes are stale once local reconnects; relay updates are not
+      this._localBuffer = this._localBuffer.filter((msg) => carriesDocument(msg.data, msg.isBinary));
+      if (!this._destroyed && !this._paused) this._scheduleReconnect('local');
     });
 
     this.localWs.on('error', (err) => {
@@ -106,7 +146,7 @@ class DocBridge {
   }
 
   _connectRemote() {
-    if (this._destroyed) return;
+    if (this._destroyed || this._paused) return;
     try {
       this.remoteWs = new WebSocket(this.remoteUrl, { headers: this.remoteHeaders });
     } catch {
@@ -116,12 +156,33 @@ class DocBridge {
 
     this.remoteWs.binaryType = 'arraybuffer';
 
-    this.remoteWs.on('open', () => {
+    this.remoteWs.on('open', async () => {
+      const remoteWs = this.remoteWs;
       this._remoteReady = true;
       this._remoteAttempts = 0; // reset backoff on success
+      // Replay updates queued on disk (this run or an earlier one) first;
+      // local updates queued during a pass go out in the next one
+      if (this.outbox?.entries.length) {
+        this._draining = true;
+        const send = (data, isBinary) => new Promise((resolve, reject) => {
+          if (remoteWs.readyState !== WebSocket.OPEN) return reject(new Error('closed'));
+          const [payload, binary] = this._toRemote(data, isBinary);
+          remoteWs.send(payload, { binary }, (err) => (err ? reject(err) : resolve()));
+        });
+        let sent = 0;
+        while (this.outbox.entries.length && remoteWs === this.remoteWs && remoteWs.readyState === WebSocket.OPEN) {
+          const passed = await this.outbox.drain(send);
+          if (!passed) break;
+          sent += passed;
+        }
+        this._draining = false;
+        if (sent) this.log(`[cloud-sync] Replayed ${sent} queued update${sent === 1 ? '' : 's'} for ${this.docName}`);
+        if (remoteWs !== this.remoteWs || remoteWs.readyState !== WebSocket.OPEN) return;
+      }
       // Flush buffered messages from local that arrived before remote was ready
       for (const msg of this._remoteBuffer) {
-        try { this.remoteWs.send(msg.data, { binary: msg.isBinary }); } catch { /* ignore */ }
+        const [payload, binary] = this._toRemote(msg.data, msg.isBinary);
+        try { remoteWs.send(payload, { binary }); } catch { /* ignore */ }
       }
       this._remoteBuffer = [];
     });
@@ -129,6 +190,19 @@ class DocBridge {
     this.remoteWs.on('message', (data, isBinary) => {
       this._lastMessageAt = Date.now();
 
+      // Only frames sealed with the project key reach the local server;
+      // plaintext from the relay or another key would corrupt nothing but
+      // can't be trusted either
+      if (this.cipher) {
+        const opened = this.cipher.open(data);
+        if (!opened) {
+          this._undecryptable += 1;
+          this._lastError = 'e2ee:undecryptable';
+          return;
+        }
+        ({ data, isBinary } = opened);
+      }
+
       // Simple collaboration mode: forward all Yjs traffic both ways.
       // We intentionally avoid special-casing sync step 2 here because it
       // can prevent the initial handshake from completing for browser
@@ -145,7 +219,7 @@ class DocBridge {
     this.remoteWs.on('close', () => {
       this._remoteReady = false;
       this._remoteBuffer = [];
-      if (!this._destroyed) this._scheduleReconnect('remote');
+      if (!this._destroyed && !this._paused) this._scheduleReconnect('remote');
     });
 
     this.remoteWs.on('error', (err) => {
@@ -154,7 +228,7 @@ class DocBridge {
   }
 
   _scheduleReconnect(which) {
-    if (this._destroyed) return;
+    if (this._destroyed || this._paused) return;
     const key = which === 'local' ? '_reconnectLocal' : '_reconnectRemote';
     if (this[key]) return;
 
@@ -177,6 +251,9 @@ class DocBridge {
   getStatus() {
     return {
       docName: this.docName,
+      priority: this.priority,
+      state: this.scheduleState,
+      e2ee: this.cipher ? { keyId: this.cipher.keyId, undecryptable: this._undecryptable } : null,
       localReady: this._localReady,
       remoteReady: this._remoteReady,
       connected: this._localReady && this._remoteReady,
@@ -184,6 +261,7 @@ class DocBridge {
       lastError: this._lastError,
       lastMessageAt: this._lastMessageAt,
       startedAt: this._startedAt,
+      ...(this.outbox?.status() || { pendingMessages: 0, pendingBytes: 0, oldestUnsyncedAt: null, oldestUnsyncedAgeMs: null }),
     };
   }
 
@@ -196,43 +274,138 @@ class DocBridge {
   }
 }
 
-// ─── Staggered connection queue ──────────────────────────────────────────────
+// ─── Bridge scheduling ───────────────────────────────────────────────────────
 // Instead of opening hundreds of WebSocket bridges simultaneously (which causes
-// a thundering herd that overwhelms the relay), we queue bridge starts and
-// drain them in small batches with delays between each batch.
-const BRIDGE_BATCH_SIZE = 8;       // connections to start per tick
-const BRIDGE_BATCH_DELAY_MS = 250; // pause between batches
-
-class BridgeQueue {
-  constructor() {
-    /** @type {Array<() => void>} */
-    this._queue = [];
+// a thundering herd that overwhelms the relay), bridges wait here and start in
+// small batches, highest priority first, up to a global cap. On a slow link the
+// document being edited must not wait behind background catalog bridges: when
+// the cap is reached, a higher class pauses the lowest active bridge, which
+// resumes once a slot frees up.
+
+/** Priority classes, highest first */
+export const BRIDGE_PRIORITIES = ['focused', 'open', 'shared', 'background'];
+
+function priorityRank(priority) {
+  const rank = BRIDGE_PRIORITIES.indexOf(priority);
+  return rank < 0 ? BRIDGE_PRIORITIES.length - 1 : rank;
+}
+
+export class BridgeScheduler {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxActive]
+   * @param {number} [opts.batchSize]
+   * @param {number} [opts.batchDelayMs]
+   * @param {function} [opts.log]
+   */
+  constructor({
+    maxActive = CLOUD_BRIDGES.maxActive,
+    batchSize = CLOUD_BRIDGES.batchSize,
+    batchDelayMs = CLOUD_BRIDGES.batchDelayMs,
+    log = console.log,
+  } = {}) {
+    this.maxActive = maxActive;
+    this.batchSize = batchSize;
+    this.batchDelayMs = batchDelayMs;
+    this.log = log;
+    /** @type {Set<DocBridge>} */
+    this._active = new Set();
+    /** @type {DocBridge[]} */
+    this._waiting = [];
+    this._seq = 0;
     this._draining = false;
   }
 
-  /** Enqueue a bridge start function. */
-  push(fn) {
-    this._queue.push(fn);
+  /** Queue a bridge to start (priority from bridge.priority). */
+  add(bridge) {
+    bridge.scheduleState = 'waiting';
+    bridge._queuedAt = this._seq++;
+    this._waiting.push(bridge);
+    this._kick();
+  }
+
+  /** Forget a bridge (stopping it is the caller's job); frees its slot. */
+  remove(bridge) {
+    this._active.delete(bridge);
+    this._waiting = this._waiting.filter((b) => b !== bridge);
+    bridge.scheduleState = 'stopped';
+    this._kick();
+  }
+
+  setPriority(bridge, priority) {
+    if (bridge.priority === priority) return;
+    bridge.priority = priority;
+    this._kick();
+  }
+
+  setMaxActive(maxActive) {
+    this.maxActive = maxActive;
+    this._kick();
+  }
+
+  /** Drop everything queued (does not stop running bridges). */
+  clear() {
+    this._waiting = [];
+    this._active.clear();
+  }
+
+  stats() {
+    const byPriority = Object.fromEntries(BRIDGE_PRIORITIES.map((p) => [p, { active: 0, waiting: 0 }]));
+    for (const bridge of this._active) byPriority[BRIDGE_PRIORITIES[priorityRank(bridge.priority)]].active += 1;
+    for (const bridge of this._waiting) byPriority[BRIDGE_PRIORITIES[priorityRank(bridge.priority)]].waiting += 1;
+    return { maxActive: this.maxActive, active: this._active.size, waiting: this._waiting.length, byPriority };
+  }
+
+  _lowestActive() {
+    let lowest = null;
+    for (const bridge of this._active) {
+      if (!lowest || priorityRank(bridge.priority) >= priorityRank(lowest.priority)) lowest = bridge;
+    }
+    return lowest;
+  }
+
+  _preempt(bridge) {
+    this._active.delete(bridge);
+    bridge.pause();
+    bridge.scheduleState = 'paused';
+    // Keeps its place among bridges of its class
+    this._waiting.push(bridge);
+    this.log(`[cloud-sync] Paused ${bridge.priority} bridge ${bridge.docName}`);
+  }
+
+  _kick() {
     if (!this._draining) this._drain();
   }
 
   async _drain() {
     this._draining = true;
-    while (this._queue.length > 0) {
-      const batch = this._queue.splice(0, BRIDGE_BATCH_SIZE);
-      for (const fn of batch) {
-        try { fn(); } catch { /* ignore */ }
-      }
-      if (this._queue.length > 0) {
-        await new Promise(r => setTimeout(r, BRIDGE_BATCH_DELAY_MS));
+    try {
+      while (true) {
+        // The cap was lowered: pause the lowest until we fit
+        while (this._active.size > this.maxActive) this._preempt(this._lowestActive());
+
+        this._waiting.sort((a, b) => priorityRank(a.priority) - priorityRank(b.priority) || a._queuedAt - b._queuedAt);
+        let started = 0;
+        while (started < this.batchSize && this._waiting.length > 0) {
+          const next = this._waiting[0];
+          if (this._active.size >= this.maxActive) {
+            const lowest = this._lowestActive();
+            if (!lowest || priorityRank(lowest.priority) <= priorityRank(next.priority)) break;
+            this._preempt(lowest);
+          }
+          this._waiting.shift();
+          this._active.add(next);
+          if (next.scheduleState === 'paused') this.log(`[cloud-sync] Resuming ${next.priority} bridge ${next.docName}`);
+          next.scheduleState = 'active';
+          try { next.start(); } catch { /* ignore */ }
+          started += 1;
+        }
+        if (started === 0 || this._waiting.length === 0) break;
+        await new Promise(r => setTimeout(r, this.batchDelayMs));
       }
+    } finally {
+      this._draining = false;
     }
-    this._draining = false;
-  }
-
-  /** Cancel all pending bridges (does not stop already-started ones). */
-  clear() {
-    this._queue.length = 0;
   }
 }
 
@@ -247,6 +420,12 @@ export class CloudSync {
    * @param {string} opts.userId - user UUID
    * @param {object} [opts.runtimeService] - RuntimeService instance for tunnel
    * @param {function} [opts.onVoiceTranscribe] - Voice transcription handler for tunnel
+   * @param {object} [opts.outbox] - createCloudOutbox() instance (default: CLOUD_OUTBOX_DIR)
+   * @param {function} [opts.syncRules] - (projectDir) => the project's sync rules
+   *   (see cloud-sync-rules.js), null for the defaults
+   * @param {number} [opts.maxActiveBridges] - concurrent bridges (default CLOUD_BRIDGES.maxActive)
+   * @param {function} [opts.e2eeKey] - (projectDir) => the project's E2EE key
+   *   (Buffer), null when the project isn't end-to-end encrypted
    * @param {function} [opts.log]
    */
   constructor(opts) {
@@ -255,6 +434,8 @@ export class CloudSync {
     this.userId = opts.userId;
     this.log = opts.log || console.log;
     this._onVoiceTranscribe = opts.onVoiceTranscribe || null;
+    this._syncRules = opts.syncRules || (() => null);
+    this._e2eeKey = opts.e2eeKey || (() => null);
 
     // Convert https to wss for relay
     this.relayBaseUrl = this.cloudUrl.replace(/^https:/, 'wss:').replace(/^http:/, 'ws:');
@@ -262,10 +443,18 @@ export class CloudSync {
     /** @type {Map<string, { bridges: Map<string, DocBridge>, port: number, projectName: string }>} */
     this._projects = new Map();
 
-    // Staggered bridge startup queue
-    this._bridgeQueue = new BridgeQueue();
+    // Staggered, prioritized bridge startup (see BridgeScheduler)
+    this._scheduler = new BridgeScheduler({
+      maxActive: opts.maxActiveBridges || CLOUD_BRIDGES.maxActive,
+      log: this.log,
+    });
+    /** @type {Map<string, 'focused'|'open'>} "projectDir\ndocName" -> class, from setOpenDocuments */
+    this._openDocs = new Map();
 
-    // Idle bridge teardown: close bridges with no Yjs traffic for 5+ minutes
+    // Document updates waiting for the relay, kept across restarts
+    this._outbox = opts.outbox || createCloudOutbox();
+
+    // Idle bridge teardown: close bridges with no Yjs traffic (per-class threshold)
     this._idleCheckInterval = setInterval(() => this._teardownIdleBridges(), 60000);
 
     // Runtime tunnel: expose local MRP servers to the web editor via relay
@@ -317,10 +506,38 @@ export class CloudSync {
 
     const bridges = new Map();
     this._projects.set(projectDir, { bridges, port: localSyncPort, projectName });
+    this._exportSyncPort(projectDir);
 
     for (const docName of docNames) {
       this._bridgeDoc(projectDir, localSyncPort, projectName, docName);
     }
+
+    // Documents with updates left over from an earlier run replay right away
+    for (const { docName } of this._outbox.pending({ userId: this.userId, projectName })) {
+      if (!bridges.has(docName)) {
+        this.log(`[cloud-sync] Replaying queued updates: ${projectName}/${docName}`);
+        this._bridgeDoc(projectDir, localSyncPort, projectName, docName);
+      }
+    }
+  }
+
+  /**
+   * Let the web editor reach a project's sync server through the runtime
+   * tunnel, within its sync rules. End-to-end encrypted projects are not
+   * exported: the tunnel would hand the relay their documents in plaintext.
+   */
+  _exportSyncPort(projectDir) {
+    const project = this._projects.get(projectDir);
+    if (!this._runtimeTunnel || !project) return;
+    if (this._e2eeKey(projectDir)) {
+      this._runtimeTunnel.unexportPort(project.port);
+      return;
+    }
+    this._runtimeTunnel.exportPort(project.port, {
+      kind: 'sync',
+      label: project.projectName,
+      checkPath: (docPath) => this._refuseTunnelDoc(projectDir, docPath),
+    });
   }
 
   /**
@@ -332,10 +549,58 @@ export class CloudSync {
     this._bridgeDoc(projectDir, project.port, project.projectName, docName);
   }
 
-  _bridgeDoc(projectDir, localSyncPort, projectName, docName) {
+  /**
+   * Tell the scheduler which documents are open in the app; they outrank
+   * shared and background bridges.
+   *
+   * @param {Array<{projectDir: string, docName: string, focused?: boolean}>} docs
+   */
+  setOpenDocuments(docs) {
+    this._openDocs = new Map();
+    for (const { projectDir, docName, focused } of docs) {
+      const key = `${projectDir}\n${docName}`;
+      if (focused || !this._openDocs.has(key)) this._openDocs.set(key, focused ? 'focused' : 'open');
+    }
+    for (const [dir, info] of this._projects) {
+      for (const [docName, bridge] of info.bridges) {
+        this._scheduler.setPriority(bridge, this._priorityFor(dir, docName, bridge.basePriority));
+      }
+    }
+  }
+
+  /**
+   * @param {number} maxActive - concurrent bridges
+   */
+  setMaxActiveBridges(maxActive) {
+    this._scheduler.setMaxActive(maxActive);
+  }
+
+  _priorityFor(projectDir, docName, basePriority) {
+    return this._openDocs.get(`${projectDir}\n${docName}`) || basePriority;
+  }
+
+  _unbridge(info, docName) {
+    const bridge = info.bridges.get(docName);
+    if (!bridge) return null;
+    this._scheduler.remove(bridge);
+    info.bridges.delete(docName);
+    return bridge.stop();
+  }
+
+  /**
+   * @param {string} [basePriority] - 'shared' for documents the relay asked
+   *   for, 'background' otherwise; open documents rank higher regardless
+   */
+  _bridgeDoc(projectDir, localSyncPort, projectName, docName, basePriority = 'background') {
     const project = this._projects.get(projectDir);
     if (!project) return;
 
+    const verdict = checkDocument(projectDir, docName, this._syncRules(projectDir));
+    if (!verdict.sync) {
+      this.log(`[cloud-sync] Not bridging ${projectName}/${docName}: ${verdict.reason}`);
+      return;
+    }
+
     const encodedDoc = encodePathSegments(docName);
     const encodedProject = encodePathSegments(projectName);
     const encodedUserId = encodeURIComponent(this.userId);
@@ -343,21 +608,25 @@ export class CloudSync {
     const localUrl = `ws://127.0.0.1:${localSyncPort}/${encodedDoc}`;
     const remoteUrl = `${this.relayBaseUrl}/sync/${encodedUserId}/${encodedProject}/${encodedDoc}?token=${encodeURIComponent(this.token)}`;
 
+    const key = this._e2eeKey(projectDir);
+
     const bridge = new DocBridge({
       localUrl,
       remoteUrl,
       remoteHeaders: { Authorization: `Bearer ${this.token}` },
       log: this.log,
       docName,
+      outbox: this._outbox.open({ userId: this.userId, projectName, docName }),
+      cipher: key ? createDocCipher(key, { projectName, docName }) : null,
+      priority: this._priorityFor(projectDir, docName, basePriority),
     });
+    bridge.basePriority = basePriority;
 
     // Register immediately so we don't double-bridge on next scan
     project.bridges.set(docName, bridge);
 
-    // Start through the staggered queue to avoid thundering herd
-    this._bridgeQueue.push(() => {
-      if (!bridge._destroyed) bridge.start();
-    });
+    // Start through the scheduler to avoid thundering herd
+    this._scheduler.add(bridge);
   }
 
   /**
@@ -368,12 +637,17 @@ export class CloudSync {
     // Find the project by name
     for (const [dir, info] of this._projects) {
       if (info.projectName === project) {
-        if (info.bridges.has(docPath)) {
-          // Already bridged — nothing to do
+        const existing = info.bridges.get(docPath);
+        if (existing) {
+          // Already bridged — someone else is on it now, though
+          if (existing.basePriority === 'background') {
+            existing.basePriority = 'shared';
+            this._scheduler.setPriority(existing, this._priorityFor(dir, docPath, 'shared'));
+          }
           return;
         }
         this.log(`[cloud-sync] On-demand bridge: ${project}/${docPath}`);
-        this._bridgeDoc(dir, info.port, info.projectName, docPath);
+        this._bridgeDoc(dir, info.port, info.projectName, docPath, 'shared');
         return;
       }
     }
@@ -404,6 +678,8 @@ export class CloudSync {
     for (const [dir, info] of this._projects) {
       if (info.projectName === project) {
         const safeDocPath = String(docPath || '').replace(/^\/+/, '');
+        // Not served through the tunnel (see _exportSyncPort)
+        if (this._e2eeKey(dir) || this._refuseTunnelDoc(dir, safeDocPath)) return null;
         return {
           projectRoot: dir,
           syncPort: info.port,
@@ -415,28 +691,110 @@ export class CloudSync {
   }
 
   /**
-   * Tear down bridges that have been idle (no Yjs messages) for 5+ minutes.
-   * The Yjs snapshot stays in the relay's Postgres for fast re-open.
+   * Why the relay may not open a document of this project's sync server
+   * through the runtime tunnel, or null. Sync rules apply there as they do
+   * to bridges: a local-only document isn't served to the web editor either.
+   *
+   * @param {string} projectDir
+   * @param {string} docPath - the sync server path, e.g. "/notes/intro"
+   * @returns {string|null}
+   */
+  _refuseTunnelDoc(projectDir, docPath) {
+    const verdict = checkDocument(projectDir, docPath.replace(/^\/+/, ''), this._syncRules(projectDir));
+    return verdict.sync ? null : `document kept local by sync rules (${verdict.reason})`;
+  }
+
+  /**
+   * Tear down bridges that have been idle (no Yjs messages) longer than
+   * their class allows (CLOUD_BRIDGES.idleMinutesByPriority). The Yjs snapshot stays in the relay's Postgres for fast re-open.
    */
   _teardownIdleBridges() {
-    const IDLE_MS = 5 * 60 * 1000; // 5 minutes
     const now = Date.now();
 
     for (const [, info] of this._projects) {
       for (const [docName, bridge] of info.bridges) {
-        // Only tear down bridges that are fully connected and idle
-        if (!bridge._localReady || !bridge._remoteReady) continue;
-
-        const lastActivity = bridge._lastMessageAt || bridge._startedAt;
-        if (now - lastActivity > IDLE_MS) {
+        // Open documents stay bridged however quiet they are
+        const idleMinutes = CLOUD_BRIDGES.idleMinutesByPriority[bridge.priority] ?? 0;
+        if (!idleMinutes) continue;
+        // Only tear down bridges that are fully connected, idle and drained
+        if (!bridge._localReady || !bridge._remoteReady || bridge.outbox?.entries.length) continue;
+
+        const lastActivity = Math.max(bridge._lastMessageAt || 0, bridge._startedAt);
+        if (now - lastActivity > idleMinutes * 60 * 1000) {
           this.log(`[cloud-sync] Idle teardown: ${info.projectName}/${docName}`);
-          bridge.stop();
-          info.bridges.delete(docName);
+          this._unbridge(info, docName);
         }
       }
     }
   }
 
+  /**
+   * Re-check a project's bridged documents after its sync rules changed and
+   * stop the ones that must now stay local.
+   *
+   * @param {string} projectDir
+   * @returns {Promise<string[]>} documents no longer bridged
+   */
+  async applySyncRules(projectDir) {
+    const project = this._projects.get(projectDir);
+    if (!project) return [];
+    const rules = this._syncRules(projectDir);
+    const stopped = [];
+    for (const docName of [...project.bridges.keys()]) {
+      if (checkDocument(projectDir, docName, rules).sync) continue;
+      await this._unbridge(project, docName);
+      stopped.push(docName);
+    }
+    if (stopped.length) this.log(`[cloud-sync] Sync rules of ${project.projectName} unbridged ${stopped.length} doc(s)`);
+    return stopped;
+  }
+
+  /**
+   * Re-bridge a project's documents whose encryption no longer matches its
+   * key (E2EE turned on or off, or a key imported), and export or withdraw
+   * its sync server from the tunnel to match. Queued updates are plaintext
+   * on disk and go out under the new key.
+   *
+   * @param {string} projectDir
+   * @returns {Promise<string[]>} documents re-bridged
+   */
+  async applyEncryption(projectDir) {
+    const project = this._projects.get(projectDir);
+    if (!project) return [];
+    this._exportSyncPort(projectDir);
+    const key = this._e2eeKey(projectDir);
+    const keyId = key ? keyIdOf(key) : null;
+    const rebridged = [];
+    for (const [docName, bridge] of [...project.bridges]) {
+      if ((bridge.cipher?.keyId || null) === keyId) continue;
+      await this._unbridge(project, docName);
+      this._bridgeDoc(projectDir, project.port, project.projectName, docName, bridge.basePriority);
+      rebridged.push(docName);
+    }
+    if (rebridged.length) {
+      this.log(`[cloud-sync] ${project.projectName}: E2EE ${keyId ? `on (key ${keyId})` : 'off'}, re-bridged ${rebridged.length} doc(s)`);
+    }
+    return rebridged;
+  }
+
+  /**
+   * Let the web editor reach a local service other than runtimes and sync
+   * servers through the runtime tunnel (e.g. the AI server).
+   *
+   * @param {number} port
+   * @param {{kind: 'ai', label?: string}} opts
+   */
+  exportTunnelPort(port, opts) {
+    this._runtimeTunnel?.exportPort(port, opts);
+  }
+
+  /**
+   * @param {number} port
+   */
+  unexportTunnelPort(port) {
+    this._runtimeTunnel?.unexportPort(port);
+  }
+
   /**
    * Stop syncing a specific project.
    */
@@ -444,11 +802,11 @@ export class CloudSync {
     const project = this._projects.get(projectDir);
     if (!project) return;
 
-    for (const bridge of project.bridges.values()) {
-      await bridge.stop();
+    for (const docName of [...project.bridges.keys()]) {
+      await this._unbridge(project, docName);
     }
-    project.bridges.clear();
     this._projects.delete(projectDir);
+    this._runtimeTunnel?.unexportPort(project.port);
     this.log(`[cloud-sync] Stopped project: ${projectDir}`);
   }
 
@@ -457,7 +815,7 @@ export class CloudSync {
    */
   async stopAll() {
     // Cancel any pending bridge starts first
-    this._bridgeQueue.clear();
+    this._scheduler.clear();
     clearInterval(this._idleCheckInterval);
     for (const projectDir of [...this._projects.keys()]) {
       await this.stopProject(projectDir);
@@ -479,10 +837,20 @@ export class CloudSync {
    * @param {string} [opts.machineName] - Human-readable machine name
    * @param {string} [opts.hostname] - OS hostname
    * @param {string[]} [opts.capabilities] - Runtime capabilities
-   * @param {Array<{project: string, docPath: string, contentHash?: string, byteSize?: number}>} opts.entries
+   * @param {Array<{project: string, projectDir: string, docPath: string, contentHash?: string, byteSize?: number}>} opts.entries
+   *   Entries the sync rules of their projectDir keep local, or without a
+   *   projectDir to judge them by, are left out; projectDir isn't sent.
    */
   async pushCatalog(machineId, opts = {}) {
-    const { machineName, hostname, capabilities, entries } = opts;
+    const { machineName, hostname, capabilities } = opts;
+    const entries = [];
+    for (const { projectDir, ...entry } of opts.entries || []) {
+      if (!projectDir) {
+        this.log(`[cloud-sync] Catalog entry ${entry.project}/${entry.docPath} has no project directory; left out`);
+        continue;
+      }
+      if (checkDocument(projectDir, entry.docPath, this._syncRules(projectDir)).sync) entries.push(entry);
+    }
     const relayHttpUrl = this.cloudUrl; // already http(s)
 
     const url = `${relayHttpUrl}/api/catalog/${encodeURIComponent(this.userId)}/${encodeURIComponent(machineId)}`;
@@ -498,7 +866,7 @@ export class CloudSync {
           machineName: machineName || null,
           hostname: hostname || null,
           capabilities: capabilities || [],
-          entries: entries || [],
+          entries,
         }),
         signal: AbortSignal.timeout(15000),
       });
@@ -543,14 +911,24 @@ export class CloudSync {
       });
     }
 
+    // Includes documents whose project isn't bridged in this run
+    const waiting = this._outbox.pending({ userId: this.userId });
+    const oldest = waiting.reduce((min, doc) => (min && min < doc.oldestUnsyncedAt ? min : doc.oldestUnsyncedAt), null);
+
     return {
       projects,
+      waiting,
       cloudUrl: this.cloudUrl,
       userId: this.userId,
+      tunnel: this._runtimeTunnel?.getStatus() || null,
+      scheduler: this._scheduler.stats(),
       totals: {
         projects: projects.length,
         documents: totalDocs,
         connectedDocuments: connectedDocs,
+        waitingDocuments: waiting.length,
+        pendingBytes: waiting.reduce((sum, doc) => sum + doc.pendingBytes, 0),
+        oldestUnsyncedAt: oldest,
       },
     };
   }
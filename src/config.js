@@ -49,6 +49,66 @@ export const RUNTIMES_DIR = path.join(os.homedir(), '.mrmd', 'runtimes');
  */
 export const SESSIONS_DIR = path.join(os.homedir(), '.mrmd', 'sessions');
 
+/**
+ * Per-session runtime stdout/stderr logs
+ */
+export const RUNTIME_LOGS_DIR = path.join(SESSIONS_DIR, 'logs');
+
+/**
+ * User runtime plugins directory (extra MRP spawn descriptors, *.json or *.js)
+ */
+export const RUNTIME_PLUGINS_DIR = path.join(CONFIG_DIR, 'runtimes');
+
+/**
+ * Project-level runtime plugins directory (relative to project root, *.json only)
+ */
+export const PROJECT_RUNTIME_PLUGINS_DIR = path.join('.mrmd', 'runtimes');
+
+/**
+ * Runtime namespace snapshots (relative to project root, one dir per session)
+ */
+export const PROJECT_SNAPSHOTS_DIR = path.join('.mrmd', 'snapshots');
+
+/**
+ * Agent activity log (relative to project root): one JSON line per agent
+ * action, append-only
+ */
+export const PROJECT_AGENT_ACTIVITY_LOG = path.join('.mrmd', 'agent-activity.jsonl');
+
+/**
+ * Agent activity log for actions outside any project
+ */
+export const AGENT_ACTIVITY_LOG = path.join(CONFIG_DIR, 'agent-activity.jsonl');
+
+/**
+ * Cloud sync outbox: document updates waiting for the relay, one JSONL file
+ * per document (see cloud-outbox.js)
+ */
+export const CLOUD_OUTBOX_DIR = path.join(CONFIG_DIR, 'cloud-outbox');
+
+/**
+ * Per-project end-to-end encryption keys for cloud-relayed documents
+ * (see cloud-e2ee.js); never leaves this machine unless exported
+ */
+export const CLOUD_KEYS_FILE = path.join(CONFIG_DIR, 'cloud-keys.json');
+
+/**
+ * Marker file: documents in a folder holding it (or below) never leave this
+ * machine, whatever the project's cloud sync rules say
+ */
+export const CLOUD_LOCAL_ONLY_MARKER = '.mrmd-local';
+
+/**
+ * Dependency lock snapshots (relative to project root, one file per session)
+ */
+export const PROJECT_LOCKS_DIR = path.join('.mrmd', 'locks');
+
+/**
+ * Julia environment holding declared notebook/project packages (relative to
+ * project root); stacked onto the mrmd-julia project via JULIA_LOAD_PATH
+ */
+export const PROJECT_JULIA_DEPS_ENV = path.join('.mrmd', 'julia-env');
+
 /**
  * Asset directory name within projects
  */
@@ -113,6 +173,218 @@ export const WEBSOCKET_PING_INTERVAL = 30000;
  */
 export const WEBSOCKET_PONG_TIMEOUT = 5000;
 
+// ============================================================================
+// RUNTIME SUPERVISION
+// ============================================================================
+
+/**
+ * Default restart policy for runtimes that exit unexpectedly.
+ * mode: 'never' | 'on-failure' (non-zero exit or signal) | 'always'
+ * Restart delays double from initialBackoffMs up to maxBackoffMs; the
+ * attempt counter resets once a runtime stays up for resetAfterMs.
+ */
+export const RUNTIME_RESTART_POLICY = {
+  mode: 'on-failure',
+  maxRestarts: 3,
+  initialBackoffMs: 1000,
+  maxBackoffMs: 30000,
+  resetAfterMs: 10 * 60 * 1000,
+  // Restore the session's latest namespace snapshot after an automatic restart
+  restoreSnapshot: false,
+};
+
+/**
+ * Crash history entries kept in memory (across all sessions)
+ */
+export const RUNTIME_CRASH_HISTORY_LIMIT = 100;
+
+/**
+ * Last stderr lines attached to a crash report
+ */
+export const RUNTIME_STDERR_TAIL_LINES = 20;
+
+/**
+ * Runtime log rotation: a session log is rotated once it exceeds maxBytes,
+ * keeping maxFiles old copies (name.log.1 … name.log.N). Logs untouched for
+ * retentionDays are deleted at startup.
+ */
+export const RUNTIME_LOG_ROTATION = {
+  maxBytes: 5 * 1024 * 1024,
+  maxFiles: 3,
+  checkIntervalMs: 60 * 1000,
+  retentionDays: 14,
+};
+
+/**
+ * Default number of lines returned by runtime:logs
+ */
+export const RUNTIME_LOG_TAIL_LINES = 200;
+
+/**
+ * Runtime resource sampling (CPU% / RSS per session process tree, Linux /proc).
+ * Profile limits ({ maxMemoryMb, maxCpuSeconds }) are enforced in stages:
+ * warn, then after breachGraceMs interrupt or kill. A runtime counts as still
+ * busy after an interrupt above busyCpuPercent. (A profile's
+ * idleTimeoutMinutes is applied by the idle reaper.)
+ */
+export const RUNTIME_MONITOR = {
+  sampleIntervalMs: 5000,
+  historySamples: 60,
+  breachGraceMs: 30 * 1000,
+  busyCpuPercent: 10,
+};
+
+/**
+ * Idle runtime reaper: sessions with no execution for longer than the
+ * threshold of their scope are stopped. 0 disables reaping for a scope.
+ * "shared" covers global sessions and anything not named by scope.
+ */
+export const RUNTIME_IDLE_REAPER = {
+  checkIntervalMs: 60 * 1000,
+  idleMinutesByScope: {
+    notebook: 60,
+    project: 240,
+    shared: 0,
+  },
+};
+
+/**
+ * Python namespace snapshots (see runtime-snapshots.js): the newest `keep`
+ * snapshots of a session are kept; timeoutMs bounds how long serializing
+ * or loading a large namespace may block the runtime.
+ */
+export const RUNTIME_SNAPSHOTS = {
+  keep: 5,
+  timeoutMs: 10 * 60 * 1000,
+};
+
+/**
+ * Declared runtime dependencies (see runtime-dependencies.js): checkTimeoutMs
+ * bounds the diff against the environment, installTimeoutMs each package install.
+ */
+export const RUNTIME_DEPENDENCIES = {
+  checkTimeoutMs: 60 * 1000,
+  installTimeoutMs: 10 * 60 * 1000,
+  rRepos: 'https://cloud.r-project.org',
+};
+
+/**
+ * Agent bridge approval mode (see agent-bridge.js): a held cell edit or
+ * runtime execution is rejected if nobody decides within timeoutMs.
+ */
+export const AGENT_APPROVAL = {
+  timeoutMs: 5 * 60 * 1000,
+};
+
+/**
+ * Agent edit transactions (POST /agent/v1/transactions): one left idle this
+ * long is rolled back.
+ */
+export const AGENT_TRANSACTIONS = {
+  idleTimeoutMs: 10 * 60 * 1000,
+};
+
+/**
+ * Sub-agent runtimes (POST /agent/v1/subruntimes, see agent-subruntimes.js).
+ * ttlMs: default lifetime, a request may ask for up to maxTtlMs.
+ * maxPerToken: live sub-runtimes one token may hold.
+ * mapConcurrency: default parallelism of /subruntimes/map; maxMapTasks caps one call.
+ */
+export const AGENT_SUBRUNTIMES = {
+  ttlMs: 30 * 60 * 1000,
+  maxTtlMs: 4 * 60 * 60 * 1000,
+  maxPerToken: 8,
+  mapConcurrency: 4,
+  maxMapTasks: 100,
+};
+
+/**
+ * Runtime tunnel allow-list (see runtime-tunnel.js).
+ * runtimePaths: path prefixes the relay may reach on runtime session ports
+ * (MRP, plus the PTY socket).
+ * syncPaths / aiPaths: { http, ws } prefixes for exported sync and AI ports.
+ * blockedHistory: blocked attempts kept for the cloud diagnostics.
+ */
+export const RUNTIME_TUNNEL = {
+  runtimePaths: ['/mrp/v1', '/api/pty'],
+  syncPaths: { http: [], ws: ['/'] },
+  aiPaths: { http: ['/'], ws: [] },
+  blockedHistory: 50,
+};
+
+/**
+ * Cloud sync outbox (see cloud-outbox.js).
+ * maxBytesPerDoc: past this a document stops queueing; its updates then only
+ * reach the relay through the Yjs handshake when the bridge reconnects.
+ */
+export const CLOUD_OUTBOX = {
+  maxBytesPerDoc: 32 * 1024 * 1024,
+};
+
+/**
+ * Cloud document bridges (see cloud-sync.js). Bridges start in priority
+ * order — focused, open, shared, background — at most batchSize per
+ * batchDelayMs, and at most maxActive at once (settings:
+ * cloud.maxActiveBridges); a higher class preempts the lowest active one.
+ * idleMinutesByPriority: idle bridges of a class are closed (0 = never).
+ */
+export const CLOUD_BRIDGES = {
+  maxActive: 32,
+  batchSize: 8,
+  batchDelayMs: 250,
+  idleMinutesByPriority: {
+    focused: 0,
+    open: 0,
+    shared: 15,
+    background: 5,
+  },
+};
+
+/**
+ * Default cloud sync rules of a project (see cloud-sync-rules.js).
+ * include / exclude: globs over project-relative document paths.
+ * syncHidden: also sync FSML-hidden (_folder) documents.
+ * maxBytes: larger documents stay local (0 = no cap).
+ */
+export const CLOUD_SYNC_RULES = {
+  include: ['**'],
+  exclude: [],
+  syncHidden: false,
+  maxBytes: 5 * 1024 * 1024,
+};
+
+/**
+ * Container runtime profiles (kind: 'container', see runtime-containers.js).
+ * engines: tried in order when a profile doesn't name one.
+ * pull: 'missing' | 'always' | 'never'.
+ * Windows hosts mount the project at windowsWorkdir (host paths don't exist in Linux containers).
+ */
+export const RUNTIME_CONTAINER = {
+  engines: ['podman', 'docker'],
+  pull: 'missing',
+  stopTimeoutSec: 10,
+  extraStartupMs: 30 * 1000,
+  windowsWorkdir: '/work',
+};
+
+/**
+ * SSH compute targets (type: 'ssh', see runtime-ssh.js).
+ * serverAlive*: how quickly ssh notices a dead link (interval × count).
+ * A dropped tunnel is re-opened with delays doubling from
+ * reconnectInitialMs up to reconnectMaxMs, for as long as the session lives.
+ * remoteLogDir is relative to the remote $HOME.
+ */
+export const RUNTIME_SSH = {
+  connectTimeoutSec: 15,
+  serverAliveIntervalSec: 15,
+  serverAliveCountMax: 3,
+  reconnectInitialMs: 1000,
+  reconnectMaxMs: 30 * 1000,
+  extraStartupMs: 20 * 1000,
+  stopTimeoutSec: 5,
+  remoteLogDir: '.mrmd/remote-logs',
+};
+
 // ============================================================================
 // FILE SCANNING
 // ============================================================================
@@ -187,6 +459,12 @@ export const SYSTEM_PYTHON_PATHS = getSystemPythonPaths();
  */
 export const CONDA_PATHS = getCondaPaths();
 
+/**
+ * Managed venvs for "system-interpreter" Python profiles (one per interpreter,
+ * created with --system-site-packages so the interpreter's packages stay visible)
+ */
+export const PYTHON_INTERPRETER_ENVS_DIR = path.join(os.homedir(), '.mrmd', 'python-envs');
+
 /**
  * Common uv installation paths
  * Platform-aware: includes Windows paths on Windows
@@ -25,6 +25,8 @@ import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 
 import { CloudSync } from './cloud-sync.js';
+import { checkDocument } from './cloud-sync-rules.js';
+import { createCloudKeyStore } from './cloud-e2ee.js';
 import { RuntimeService, SettingsService, RuntimePreferencesService, ProjectService } from './services/index.js';
 import { findFreePort, waitForPort } from './utils/index.js';
 import { DIR_HASH_LENGTH, SYNC_SERVER_MEMORY_MB } from './config.js';
@@ -43,9 +45,12 @@ const MACHINE_ID = process.env.MRMD_MACHINE_ID || `${os.hostname()}-${os.userInf
 const MACHINE_NAME = process.env.MRMD_MACHINE_NAME || os.hostname();
 
 const settings = new SettingsService();
+const cloudKeys = createCloudKeyStore();
 const projectService = new ProjectService();
 const runtimeService = new RuntimeService();
-const runtimePreferencesService = new RuntimePreferencesService({ projectService });
+const runtimePreferencesService = new RuntimePreferencesService({ projectService, runtimeService });
+runtimeService.setRestartPolicyResolver((language) => runtimePreferencesService.getRestartPolicy(language));
+runtimeService.setIdlePolicyResolver(() => runtimePreferencesService.getIdlePolicy());
 
 /** @type {Map<string, { proc: import('child_process').ChildProcess, port: number, dir: string }>} */
 const syncServers = new Map();
@@ -60,6 +65,11 @@ function log(...args) {
   console.log('[machine-agent]', ...args);
 }
 
+/** A project's cloud sync rules, as set in the app's settings. */
+function syncRulesFor(projectDir) {
+  return settings.get('cloud.syncRules', {})?.[path.resolve(projectDir)] || null;
+}
+
 function computeDirHash(dir) {
   return crypto.createHash('sha256').update(path.resolve(dir)).digest('hex').slice(0, DIR_HASH_LENGTH);
 }
@@ -208,6 +218,8 @@ async function registerProject(server) {
 /** Pull cloud-created docs into local filesystem (missing files only). */
 async function pullProjectFromCloud(projectDir) {
   if (!cloudToken || !cloudUserId) return;
+  // The relay can't read end-to-end encrypted projects; whatever it serves isn't theirs
+  if (cloudKeys.get(projectDir)) return;
 
   const projectName = path.basename(projectDir);
   const url = `${CLOUD_URL}/api/sync/documents?project=${encodeURIComponent(projectName)}&content=1`;
@@ -227,10 +239,18 @@ async function pullProjectFromCloud(projectDir) {
   }
 
   const docs = data?.documents || [];
+  const rules = syncRulesFor(projectDir);
   for (const doc of docs) {
     const filePath = path.join(projectDir, `${doc.docPath}.md`);
     if (fs.existsSync(filePath)) continue; // only materialize missing docs
 
+    // Nothing lands where the sync rules say documents stay local
+    const verdict = checkDocument(projectDir, doc.docPath, rules);
+    if (!verdict.sync) {
+      log(`not pulling cloud doc ${doc.docPath}: ${verdict.reason}`);
+      continue;
+    }
+
     try {
       fs.mkdirSync(path.dirname(filePath), { recursive: true });
       fs.writeFileSync(filePath, doc.content || '', 'utf8');
@@ -244,6 +264,10 @@ async function pullProjectFromCloud(projectDir) {
 async function syncScan() {
   if (stopping) return;
 
+  // Sync rules and E2EE keys may have been edited in the app since the last scan
+  settings.reload();
+  cloudKeys.reload();
+
   const projectDirs = discoverProjects();
   for (const dir of projectDirs) {
     try {
@@ -260,11 +284,13 @@ async function syncScan() {
   for (const server of syncServers.values()) {
     try {
       await registerProject(server);
+      await cloudSync?.applySyncRules(server.dir);
+      await cloudSync?.applyEncryption(server.dir);
       // Collect catalog entries
       const projectName = path.basename(server.dir);
       const docs = discoverDocNames(server.dir);
       for (const docName of docs) {
-        catalogEntries.push({ project: projectName, docPath: docName });
+        catalogEntries.push({ project: projectName, projectDir: server.dir, docPath: docName });
       }
     } catch (err) {
       log(`failed registering ${server.dir}: ${err.message}`);
@@ -294,12 +320,18 @@ async function start() {
   cloudToken = token;
   cloudUserId = user.id;
 
+  // Advertise plugin languages in the catalog and tunnel capabilities
+  await runtimeService.loadPlugins();
+
   cloudSync = new CloudSync({
     cloudUrl: CLOUD_URL,
     token,
     userId: user.id,
     runtimeService,
     runtimePreferencesService,
+    syncRules: syncRulesFor,
+    e2eeKey: (projectDir) => cloudKeys.get(projectDir),
+    maxActiveBridges: settings.get('cloud.maxActiveBridges', null),
     log: (...args) => log(...args),
   });
 
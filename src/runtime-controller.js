@@ -69,13 +69,14 @@
           }
           const cfg = await resolvePythonStartConfig(options?.config || {});
           await startPythonRuntimeFromConfig(cfg, 'manual-start');
-        } else if (['bash', 'r', 'julia'].includes(normalized)) {
+        } else if (normalized === 'pty') {
+          await registerPtyWithEditor();
+        } else {
+          // bash, r, julia and runtime-plugin languages share the generic MRP path
           const ok = await registerRuntimeWithEditor(normalized);
           if (!ok) {
             throw new Error(`${normalized} runtime could not start`);
           }
-        } else if (normalized === 'pty') {
-          await registerPtyWithEditor();
         }
 
         setError(normalized, null);
@@ -88,7 +89,7 @@
       }
     }
 
-    async function restart(language) {
+    async function restart(language, options = {}) {
       const normalized = normalizeRuntimeLanguage(language);
       setPending(normalized, true);
       setError(normalized, null);
@@ -102,18 +103,16 @@
         );
 
         if (runtime?.id) {
-          const restarted = await electronAPI.runtime.restart(runtime.id);
+          const restarted = await electronAPI.runtime.restart(runtime.id, options);
           if (restarted?.name && restarted?.port) {
             pinRuntimeAttachment(normalized, restarted, 'manual-restart');
           }
         }
 
-        if (normalized === 'python') {
-          await registerRuntimeWithEditor('python');
-        } else if (['bash', 'r', 'julia'].includes(normalized)) {
-          await registerRuntimeWithEditor(normalized);
-        } else if (normalized === 'pty') {
+        if (normalized === 'pty') {
           await registerPtyWithEditor();
+        } else {
+          await registerRuntimeWithEditor(normalized);
         }
 
         setError(normalized, null);
@@ -34,11 +34,47 @@
  *   → {t:"ws-close", id}
  *   ← {t:"ws-close", id, code, reason}
  *   ← {t:"ws-error", id, error}
+ *
+ * ── Allow-list ──
+ *   The relay may only reach ports of this machine's runtime sessions (on MRP
+ *   paths) and ports exported with exportPort() (a project's sync server,
+ *   the AI server), whose exporter may refuse paths of its own (a sync
+ *   server's local-only documents). Anything else is answered with
+ *   http-error / ws-error and recorded for the cloud diagnostics
+ *   (getStatus().blocked).
  */
 
 import os from 'os';
 import { WebSocket } from 'ws';
 
+import { RUNTIME_TUNNEL } from './config.js';
+
+/**
+ * Normalize a path named by the relay; null if it could escape its prefix.
+ * WebSocket paths arrive without their leading slash.
+ */
+function normalizeTunnelPath(raw, transport) {
+  if (typeof raw !== 'string') return null;
+  const path = transport === 'ws' ? `/${raw.replace(/^\/+/, '')}` : raw;
+  if (!path.startsWith('/') || path.startsWith('//')) return null;
+  let decoded;
+  try {
+    decoded = decodeURIComponent(path.split(/[?#]/)[0]);
+  } catch {
+    return null;
+  }
+  if (/[\\\0]/.test(decoded)) return null;
+  if (decoded.split('/').some((segment) => segment === '..' || segment === '.')) return null;
+  return path;
+}
+
+function pathHasPrefix(path, prefix) {
+  if (prefix === '/') return true;
+  const pathname = path.split(/[?#]/)[0];
+  const base = prefix.replace(/\/+$/, '');
+  return pathname === base || pathname.startsWith(`${base}/`);
+}
+
 export class RuntimeTunnel {
   /**
    * @param {object} opts
@@ -75,6 +111,12 @@ export class RuntimeTunnel {
 
     /** @type {Map<string, AbortController>} id → HTTP abort controller */
     this._httpSessions = new Map();
+
+    /** @type {Map<number, {kind: string, label: string|null, checkPath: function|null}>} port → exported service */
+    this._exportedPorts = new Map();
+    /** Recent blocked relay requests, newest last */
+    this._blocked = [];
+    this._blockedCount = 0;
   }
 
   start() {
@@ -260,13 +302,17 @@ export class RuntimeTunnel {
 
   async _ensureEffectiveRuntime(documentPath, language, projectRoot) {
     const l = String(language || '').toLowerCase();
-    const normalized = (l === 'py' || l === 'python3') ? 'python' :
+    const builtinNormalized = (l === 'py' || l === 'python3') ? 'python' :
                        (l === 'sh' || l === 'shell' || l === 'zsh') ? 'bash' :
                        (l === 'rlang') ? 'r' :
                        (l === 'jl') ? 'julia' :
                        (l === 'term' || l === 'terminal') ? 'pty' : l;
 
-    const supported = new Set(this.runtimeService.supportedLanguages?.() || []);
+    // Pick up runtime plugins declared by this project before checking support
+    if (projectRoot) await this.runtimeService.loadPlugins?.({ projectRoot });
+    const normalized = this.runtimeService.resolveLanguage?.(builtinNormalized, projectRoot) || builtinNormalized;
+
+    const supported = new Set(this.runtimeService.supportedLanguages?.(projectRoot) || []);
     if (!supported.has(normalized)) {
       return {
         language: normalized,
@@ -392,13 +438,121 @@ export class RuntimeTunnel {
     }
   }
 
+  // ── Allow-list ────────────────────────────────────────────────────────
+
+  /**
+   * Let the relay reach a port that is not a runtime session.
+   * @param {number} port
+   * @param {object} opts
+   * @param {'sync'|'ai'} opts.kind - picks the allowed paths (RUNTIME_TUNNEL)
+   * @param {string} [opts.label] - shown in diagnostics
+   * @param {function} [opts.checkPath] - (decodedPathname) => why the relay
+   *   may not reach it, or null to allow
+   */
+  exportPort(port, { kind, label = null, checkPath = null } = {}) {
+    if (kind !== 'sync' && kind !== 'ai') throw new Error(`Unknown tunnel export kind: ${kind}`);
+    this._exportedPorts.set(Number(port), { kind, label, checkPath });
+  }
+
+  /**
+   * Withdraw an exported port; WebSockets the relay already has open to it
+   * are closed.
+   * @param {number} port
+   */
+  unexportPort(port) {
+    const target = Number(port);
+    this._exportedPorts.delete(target);
+    for (const session of this._wsSessions.values()) {
+      if (session.port !== target) continue;
+      try { session.localWs?.close(); } catch { /* ignore */ }
+    }
+  }
+
+  _isRuntimePort(port) {
+    for (const session of this.runtimeService?.sessions?.values() || []) {
+      // Sub-agent runtimes belong to local agents, not the web editor
+      if (session.port === port && !session.ephemeral) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check a relay request against the allow-list.
+   * @param {'http'|'ws'} transport
+   * @returns {{allowed: true, path: string} | {allowed: false, reason: string}}
+   */
+  _authorize(transport, port, rawPath) {
+    const target = Number(port);
+    if (!Number.isInteger(target) || target < 1 || target > 65535) {
+      return { allowed: false, reason: 'invalid port' };
+    }
+    const path = normalizeTunnelPath(rawPath, transport);
+    if (path === null) return { allowed: false, reason: 'invalid path' };
+
+    const runtime = this._isRuntimePort(target);
+    const exported = this._exportedPorts.get(target);
+    if (!runtime && !exported) {
+      return { allowed: false, reason: 'port is not a runtime session or exported service' };
+    }
+    const prefixes = runtime ? [...RUNTIME_TUNNEL.runtimePaths] : [];
+    if (exported) {
+      const paths = exported.kind === 'sync' ? RUNTIME_TUNNEL.syncPaths : RUNTIME_TUNNEL.aiPaths;
+      prefixes.push(...paths[transport]);
+    }
+    if (!prefixes.some((prefix) => pathHasPrefix(path, prefix))) {
+      return { allowed: false, reason: `path not allowed on ${exported ? exported.kind : 'runtime'} port` };
+    }
+    if (exported?.checkPath && !runtime) {
+      const reason = exported.checkPath(decodeURIComponent(path.split(/[?#]/)[0]));
+      if (reason) return { allowed: false, reason };
+    }
+    return { allowed: true, path };
+  }
+
+  _block(transport, msg, reason) {
+    const entry = {
+      at: new Date().toISOString(),
+      transport,
+      port: msg.port ?? null,
+      path: String(msg.path ?? '').slice(0, 200),
+      reason,
+    };
+    this._blocked.push(entry);
+    if (this._blocked.length > RUNTIME_TUNNEL.blockedHistory) this._blocked.shift();
+    this._blockedCount += 1;
+    console.warn(`[runtime-tunnel] Blocked ${transport} request to port ${entry.port} ${entry.path}: ${reason}`);
+    this._send({ t: `${transport}-error`, id: msg.id, error: `Blocked by tunnel allow-list: ${reason}` });
+  }
+
+  /**
+   * Tunnel state for the cloud diagnostics.
+   */
+  getStatus() {
+    return {
+      connected: this._connected,
+      machineId: this.machineId,
+      exportedPorts: [...this._exportedPorts].map(([port, { kind, label }]) => ({ port, kind, label })),
+      blocked: { count: this._blockedCount, recent: [...this._blocked] },
+    };
+  }
+
   // ── HTTP proxy ────────────────────────────────────────────────────────
 
   async _handleHttpReq(msg) {
-    const { id, port, method, path, headers, body } = msg;
+    const { id, port, method, headers, body } = msg;
+    const access = this._authorize('http', port, msg.path);
+    if (!access.allowed) {
+      this._block('http', msg, access.reason);
+      return;
+    }
+    const { path } = access;
     const ac = new AbortController();
     this._httpSessions.set(id, ac);
 
+    // Executions proxied from the web editor count as activity for the idle reaper
+    const activityKey = /^\/?mrp\/v1\/execute/.test(path || '') ? `tunnel:${id}` : null;
+    if (activityKey) this.runtimeService?.beginExecution?.({ port }, activityKey);
+
     try {
       const url = `http://127.0.0.1:${port}${path}`;
       const fetchOpts = {
@@ -442,20 +596,27 @@ export class RuntimeTunnel {
       }
     } finally {
       this._httpSessions.delete(id);
+      if (activityKey) this.runtimeService?.endExecution?.(activityKey);
     }
   }
 
   // ── WebSocket proxy ───────────────────────────────────────────────────
 
   _handleWsOpen(msg) {
-    const { id, port, path } = msg;
+    const { id, port } = msg;
 
     if (this._wsSessions.has(id)) {
       this._send({ t: 'ws-error', id, error: 'Session ID already in use' });
       return;
     }
 
-    const url = `ws://127.0.0.1:${port}/${path}`;
+    const access = this._authorize('ws', port, msg.path);
+    if (!access.allowed) {
+      this._block('ws', msg, access.reason);
+      return;
+    }
+
+    const url = `ws://127.0.0.1:${port}${access.path}`;
     let localWs;
     try {
       localWs = new WebSocket(url);
@@ -467,7 +628,7 @@ export class RuntimeTunnel {
     // Track connection state and queue messages until local WS is open.
     // Messages from the consumer can arrive before the local WS connects;
     // without queuing they would be silently dropped (e.g. initial resize).
-    const session = { localWs, ready: false, queue: [] };
+    const session = { localWs, port: Number(port), ready: false, queue: [] };
     this._wsSessions.set(id, session);
 
     localWs.on('open', () => {
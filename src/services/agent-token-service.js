@@ -0,0 +1,380 @@
+/**
+ * AgentTokenService
+ *
+ * Named, scoped tokens for the agent bridge (see agent-bridge.js).
+ *
+ * Each token carries a scope set, an optional expiry and an optional project
+ * allow-list. Only a sha256 of the secret is stored; the secret itself is
+ * returned once by create(). Tokens are checked on every request, so
+ * revoking one (or letting it expire) takes effect immediately.
+ *
+ * The per-launch token written to agent-bridge.json keeps working for
+ * existing agents; its scopes default to all of them and can be narrowed
+ * (or emptied to disable it) from settings.
+ *
+ * Every token keeps its own audit trail of what it did and what it was
+ * refused, independent of the bridge's shared history ring.
+ *
+ * Approval mode holds a token's cell edits and runtime executions until
+ * someone approves them in the app. Each token can require it, opt out, or
+ * (requireApproval: null) follow the global setting, which also covers the
+ * agent-bridge.json token.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { CONFIG_DIR } from '../config.js';
+
+const TOKENS_FILE = path.join(CONFIG_DIR, 'agent-tokens.json');
+
+export const AGENT_TOKEN_SCOPES = [
+  'read-document',
+  'edit-cells',
+  'execute',
+  'runtime-variables',
+  'runtime-reset',
+];
+
+export const FILE_TOKEN_ID = 'file';
+
+// Anything that can read agent-bridge.json holds its token: it only reads
+// documents until the user grants more in settings
+export const FILE_TOKEN_DEFAULT_SCOPES = ['read-document'];
+
+const TOKEN_PREFIX = 'mrmd_';
+const AUDIT_LIMIT = 100;
+// lastUsedAt is kept in memory and written at most this often per token
+const LAST_USED_SAVE_MS = 60 * 1000;
+// Audit entries are written at most this often (they arrive per request)
+const AUDIT_SAVE_MS = 2000;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret || '')).digest('hex');
+}
+
+/**
+ * Compare two secrets (or their hashes) in constant time.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function secretsMatch(a, b) {
+  const left = Buffer.from(String(a ?? ''));
+  const right = Buffer.from(String(b ?? ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function normalizePath(p) {
+  if (!p) return null;
+  try {
+    return path.resolve(String(p));
+  } catch {
+    return String(p);
+  }
+}
+
+/**
+ * @param {string[]|string} scopes
+ * @returns {string[]} known scopes in canonical order
+ */
+export function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+  const wanted = new Set(list.map((s) => String(s || '').trim()).filter(Boolean));
+  for (const scope of wanted) {
+    if (!AGENT_TOKEN_SCOPES.includes(scope)) {
+      throw new Error(`Unknown agent token scope: ${scope}`);
+    }
+  }
+  return AGENT_TOKEN_SCOPES.filter((s) => wanted.has(s));
+}
+
+/**
+ * Is a document's project covered by a token's allow-list?
+ * A token without an allow-list may be used anywhere; with one, documents
+ * outside any project are refused.
+ *
+ * @param {{projects: string[]|null}} token
+ * @param {string|null} projectRoot
+ * @returns {boolean}
+ */
+export function tokenAllowsProject(token, projectRoot) {
+  if (!token?.projects) return true;
+  const root = normalizePath(projectRoot);
+  if (!root) return false;
+  return token.projects.some((allowed) => root === allowed || root.startsWith(allowed + path.sep));
+}
+
+function publicToken(record) {
+  const { hash, audit, ...rest } = record;
+  return { ...rest };
+}
+
+export default class AgentTokenService {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.file] - Where tokens are stored (tests point this elsewhere)
+   */
+  constructor({ file = TOKENS_FILE } = {}) {
+    this.file = file;
+    this._data = null;
+    this._revokeListeners = new Set();
+    this._lastUsedSaved = new Map();
+    this._auditSaveTimer = null;
+  }
+
+  _ensureLoaded() {
+    if (this._data) return this._data;
+
+    try {
+      if (fs.existsSync(this.file)) {
+        const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this._data = {
+          version: 1,
+          requireApproval: raw?.requireApproval === true,
+          tokens: Array.isArray(raw?.tokens) ? raw.tokens : [],
+          // Only scopes the user chose are kept; files written before the
+          // default was narrowed carry every scope without having asked
+          fileToken: raw?.fileToken?.custom === true && Array.isArray(raw.fileToken.scopes)
+            ? { scopes: normalizeScopes(raw.fileToken.scopes), custom: true }
+            : { scopes: [...FILE_TOKEN_DEFAULT_SCOPES] },
+        };
+      } else {
+        this._data = { version: 1, requireApproval: false, tokens: [], fileToken: { scopes: [...FILE_TOKEN_DEFAULT_SCOPES] } };
+      }
+    } catch (e) {
+      console.error('[agent-tokens] Failed to load tokens:', e.message);
+      this._data = { version: 1, requireApproval: false, tokens: [], fileToken: { scopes: [...FILE_TOKEN_DEFAULT_SCOPES] } };
+    }
+
+    return this._data;
+  }
+
+  _save() {
+    clearTimeout(this._auditSaveTimer);
+    this._auditSaveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this._data, null, 2), { mode: 0o600 });
+      return true;
+    } catch (e) {
+      console.error('[agent-tokens] Failed to save tokens:', e.message);
+      return false;
+    }
+  }
+
+  _find(id) {
+    const record = this._ensureLoaded().tokens.find((t) => t.id === id);
+    if (!record) throw new Error(`Unknown agent token: ${id}`);
+    return record;
+  }
+
+  /**
+   * @returns {Object[]} tokens without secrets, newest first
+   */
+  list() {
+    const now = Date.now();
+    return this._ensureLoaded().tokens
+      .map((t) => ({
+        ...publicToken(t),
+        active: !t.revokedAt && !(t.expiresAt && Date.parse(t.expiresAt) <= now),
+      }))
+      .reverse();
+  }
+
+  /**
+   * @param {Object} opts
+   * @param {string} opts.name
+   * @param {string[]} opts.scopes
+   * @param {string|null} [opts.expiresAt] - ISO date; null never expires
+   * @param {string[]|null} [opts.projects] - Project roots; null allows any
+   * @param {boolean|null} [opts.requireApproval] - null follows the global setting
+   * @returns {{token: Object, secret: string}} the secret is not retrievable later
+   */
+  create({ name, scopes, expiresAt = null, projects = null, requireApproval = null } = {}) {
+    const label = String(name || '').trim();
+    if (!label) throw new Error('Agent token needs a name');
+
+    const scopeList = normalizeScopes(scopes);
+    if (scopeList.length === 0) throw new Error('Agent token needs at least one scope');
+
+    let expiry = null;
+    if (expiresAt) {
+      const ms = Date.parse(expiresAt);
+      if (Number.isNaN(ms)) throw new Error(`Invalid expiry: ${expiresAt}`);
+      if (ms <= Date.now()) throw new Error('Expiry is in the past');
+      expiry = new Date(ms).toISOString();
+    }
+
+    let projectList = null;
+    if (projects !== null && projects !== undefined) {
+      const list = (Array.isArray(projects) ? projects : [projects]).map(normalizePath).filter(Boolean);
+      if (list.length === 0) throw new Error('Project allow-list is empty');
+      projectList = [...new Set(list)];
+    }
+
+    const data = this._ensureLoaded();
+    const secret = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      name: label,
+      hash: hashSecret(secret),
+      scopes: scopeList,
+      expiresAt: expiry,
+      projects: projectList,
+      requireApproval: requireApproval === null || requireApproval === undefined ? null : Boolean(requireApproval),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+      audit: [],
+    };
+    data.tokens.push(record);
+    this._save();
+
+    return { token: publicToken(record), secret };
+  }
+
+  /**
+   * Revoke a token. Requests already in flight finish; open event streams
+   * are closed by the bridge via onRevoke.
+   * @param {string} id
+   */
+  revoke(id) {
+    const record = this._find(id);
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this._save();
+      this._notifyRevoked(id);
+    }
+    return publicToken(record);
+  }
+
+  _notifyRevoked(id) {
+    for (const fn of this._revokeListeners) {
+      try {
+        fn(id);
+      } catch (e) {
+        console.warn('[agent-tokens] Revoke listener failed:', e.message);
+      }
+    }
+  }
+
+  /**
+   * @param {function} fn - (tokenId) => void
+   * @returns {function} unsubscribe
+   */
+  onRevoke(fn) {
+    this._revokeListeners.add(fn);
+    return () => this._revokeListeners.delete(fn);
+  }
+
+  /**
+   * Look up the token a request presents.
+   * @param {string|null} secret
+   * @returns {{token: Object}|{error: string}}
+   */
+  authenticate(secret) {
+    if (!secret) return { error: 'Unauthorized' };
+    const hash = hashSecret(secret);
+    const record = this._ensureLoaded().tokens.find((t) => secretsMatch(t.hash, hash));
+    if (!record) return { error: 'Unauthorized' };
+    if (record.revokedAt) return { error: 'Token revoked' };
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) return { error: 'Token expired' };
+
+    const now = Date.now();
+    record.lastUsedAt = new Date(now).toISOString();
+    if (now - (this._lastUsedSaved.get(record.id) || 0) >= LAST_USED_SAVE_MS) {
+      this._lastUsedSaved.set(record.id, now);
+      this._save();
+    }
+    return { token: publicToken(record) };
+  }
+
+  /**
+   * Is a token still usable? Checked by long-lived event streams.
+   * @param {string} id
+   */
+  isActive(id) {
+    if (id === FILE_TOKEN_ID) return this.getFileTokenScopes().length > 0;
+    const record = this._ensureLoaded().tokens.find((t) => t.id === id);
+    return !!record && !record.revokedAt && !(record.expiresAt && Date.parse(record.expiresAt) <= Date.now());
+  }
+
+  /**
+   * Scopes granted to the agent-bridge.json token; empty means disabled.
+   * Until the user sets them: FILE_TOKEN_DEFAULT_SCOPES.
+   * @returns {string[]}
+   */
+  getFileTokenScopes() {
+    return [...this._ensureLoaded().fileToken.scopes];
+  }
+
+  setFileTokenScopes(scopes) {
+    const data = this._ensureLoaded();
+    data.fileToken = { scopes: normalizeScopes(scopes), custom: true };
+    this._save();
+    // Streams opened with the old scopes reconnect and are checked again
+    this._notifyRevoked(FILE_TOKEN_ID);
+    return [...data.fileToken.scopes];
+  }
+
+  /**
+   * @param {string} id
+   * @param {boolean|null} value - null follows the global setting
+   */
+  setApproval(id, value) {
+    const record = this._find(id);
+    record.requireApproval = value === null || value === undefined ? null : Boolean(value);
+    this._save();
+    return publicToken(record);
+  }
+
+  getDefaultApproval() {
+    return this._ensureLoaded().requireApproval;
+  }
+
+  setDefaultApproval(value) {
+    this._ensureLoaded().requireApproval = Boolean(value);
+    this._save();
+    return this._data.requireApproval;
+  }
+
+  /**
+   * Must this token's cell edits and executions wait for approval?
+   * @param {string} id
+   */
+  requiresApproval(id) {
+    const record = id === FILE_TOKEN_ID ? null : this._ensureLoaded().tokens.find((t) => t.id === id);
+    return record?.requireApproval ?? this.getDefaultApproval();
+  }
+
+  /**
+   * Append to a token's audit trail (the file token has none).
+   * @param {string} id
+   * @param {Object} entry - {kind, status, method, path, preview, ...}
+   */
+  recordAudit(id, entry) {
+    const record = this._ensureLoaded().tokens.find((t) => t.id === id);
+    if (!record) return;
+    record.audit = Array.isArray(record.audit) ? record.audit : [];
+    record.audit.unshift({ at: new Date().toISOString(), ...entry });
+    record.audit.length = Math.min(record.audit.length, AUDIT_LIMIT);
+    if (!this._auditSaveTimer) {
+      this._auditSaveTimer = setTimeout(() => this._save(), AUDIT_SAVE_MS);
+      this._auditSaveTimer.unref?.();
+    }
+  }
+
+  /** Write audit entries still waiting for the next save (call on quit). */
+  flush() {
+    if (this._auditSaveTimer) this._save();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object[]} newest first
+   */
+  audit(id) {
+    return [...(this._find(id).audit || [])];
+  }
+}
@@ -14,6 +14,7 @@ import RuntimePreferencesService from './runtime-preferences-service.js';
 import SpellcheckPreferencesService from './spellcheck-preferences-service.js';
 import LanguageToolService from './languagetool-service.js';
 import LanguageToolPreferencesService from './languagetool-preferences-service.js';
+import AgentTokenService from './agent-token-service.js';
 
 export {
   ProjectService,
@@ -25,4 +26,5 @@ export {
   SpellcheckPreferencesService,
   LanguageToolService,
   LanguageToolPreferencesService,
+  AgentTokenService,
 };
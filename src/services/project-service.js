@@ -175,7 +175,8 @@ class ProjectService {
    * Watch project for changes (cross-platform using chokidar)
    *
    * @param {string} projectRoot - Project root path
-   * @param {Function} onChange - Callback when files change
+   * @param {Function} onChange - Callback when files change, with the batched
+   *   changes as [{ filePath, event }] (event: chokidar add/change/unlink/addDir/unlinkDir)
    * @returns {{ close: Function }}
    */
   watch(projectRoot, onChange) {
@@ -210,25 +211,27 @@ class ProjectService {
     // bulk rename) into a single cache invalidation + callback.
     let debounceTimer = null;
     const DEBOUNCE_MS = 150;
+    const pending = new Map(); // filePath -> last chokidar event
 
-    const handleChange = (filePath) => {
+    const handleChange = (event, filePath) => {
       // Only care about markdown-like doc files and directories
       if (isDocPath(filePath) || !path.extname(filePath)) {
+        pending.set(filePath, event);
         // Batch rapid changes
         if (debounceTimer) clearTimeout(debounceTimer);
         debounceTimer = setTimeout(() => {
           debounceTimer = null;
+          const changes = [...pending].map(([changedPath, changeEvent]) => ({ filePath: changedPath, event: changeEvent }));
+          pending.clear();
           this.invalidate(projectRoot);
-          onChange();
+          onChange(changes);
         }, DEBOUNCE_MS);
       }
     };
 
-    watcher.on('add', handleChange);
-    watcher.on('change', handleChange);
-    watcher.on('unlink', handleChange);
-    watcher.on('addDir', handleChange);
-    watcher.on('unlinkDir', handleChange);
+    for (const event of ['add', 'change', 'unlink', 'addDir', 'unlinkDir']) {
+      watcher.on(event, (filePath) => handleChange(event, filePath));
+    }
     watcher.on('error', (err) => {
       console.warn(`[project:watch] watcher error for ${projectRoot}:`, err?.message || err);
     });
@@ -0,0 +1,470 @@
+/**
+ * Python environment profiles — how a python runtime profile maps to an
+ * environment on disk, and how that environment is prepared before start.
+ *
+ * Profile kinds (stored in runtime preferences under profiles.python):
+ *   venv               { venvPath }                    plain virtualenv (default: <projectRoot>/.venv)
+ *   conda              { envName } or { prefix }       existing conda/mamba environment
+ *   pixi               { manifestPath, environment }   pixi project (pixi.toml or pyproject [tool.pixi])
+ *   uv-project         { projectDir }                  uv project, synced from uv.lock before start
+ *   system-interpreter { interpreterPath }             a bare interpreter; mrmd-python goes in a
+ *                                                      managed venv that sees its site-packages
+ *
+ * Every kind resolves to an environment prefix: the directory whose bin/
+ * (Scripts\ on Windows) holds mrmd-python. The python descriptor in
+ * RuntimeService uses that prefix as config.venv and calls
+ * preparePythonEnv() from its preStart hook.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+
+import { createVenv, installMrmdPython, ensureUv } from '../utils/index.js';
+import { getVenvPython, getVenvExecutable, findInPath, isWin } from '../utils/platform.js';
+import { CONDA_PATHS, PYTHON_INTERPRETER_ENVS_DIR } from '../config.js';
+
+const PYTHON_ENV_KINDS = ['venv', 'conda', 'pixi', 'uv-project', 'system-interpreter'];
+
+/** Kinds whose environments are conda-style prefixes rather than venvs */
+const CONDA_STYLE_KINDS = new Set(['conda', 'pixi']);
+
+/** Output kept from a failed tool run for the error message */
+const TOOL_OUTPUT_TAIL = 800;
+
+function sha(input, len = 8) {
+  return crypto.createHash('sha256').update(String(input || '')).digest('hex').slice(0, len);
+}
+
+/**
+ * Python interpreter inside an environment prefix.
+ * @param {string} kind
+ * @param {string} prefix
+ * @returns {string}
+ */
+function envPython(kind, prefix) {
+  if (isWin && CONDA_STYLE_KINDS.has(kind)) return path.join(prefix, 'python.exe');
+  return getVenvPython(prefix);
+}
+
+/**
+ * Profile id for a python profile; the inverse of profileFromId().
+ * @param {Object} profile
+ * @returns {string}
+ */
+function pythonProfileId(profile) {
+  switch (profile?.kind) {
+    case 'conda':
+      return `python:conda:${profile.prefix || profile.envName}`;
+    case 'pixi': {
+      const environment = profile.environment || 'default';
+      return `python:pixi:${profile.manifestPath}${environment === 'default' ? '' : `#${environment}`}`;
+    }
+    case 'uv-project':
+      return `python:uv-project:${profile.projectDir}`;
+    case 'system-interpreter':
+      return `python:interpreter:${profile.interpreterPath}`;
+    default:
+      return `python:venv:${profile?.venvPath}`;
+  }
+}
+
+/**
+ * Build a profile from a generated profile id (so a picker selection or an
+ * agent can refer to an environment without registering a profile first).
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function profileFromId(id) {
+  const match = /^python:(venv|conda|pixi|uv-project|interpreter):(.+)$/.exec(String(id || ''));
+  if (!match) return null;
+  const [, prefix, key] = match;
+
+  switch (prefix) {
+    case 'venv':
+      return { kind: 'venv', venvPath: key, label: path.basename(key) || '.venv' };
+    case 'conda':
+      return path.isAbsolute(key)
+        ? { kind: 'conda', prefix: key, label: `conda: ${path.basename(key)}` }
+        : { kind: 'conda', envName: key, label: `conda: ${key}` };
+    case 'pixi': {
+      const [manifestPath, environment = 'default'] = key.split('#');
+      const project = path.basename(path.dirname(manifestPath));
+      return {
+        kind: 'pixi',
+        manifestPath,
+        environment,
+        label: environment === 'default' ? `pixi: ${project}` : `pixi: ${project} (${environment})`,
+      };
+    }
+    case 'uv-project':
+      return { kind: 'uv-project', projectDir: key, label: `uv: ${path.basename(key)}` };
+    case 'interpreter':
+      return { kind: 'system-interpreter', interpreterPath: key, label: path.basename(key) };
+    default:
+      return null;
+  }
+}
+
+// ── Conda ─────────────────────────────────────────────────────────────────
+
+/**
+ * Conda/mamba installation roots: the common install locations from
+ * CONDA_PATHS plus whatever the environment points at.
+ * @param {Object} [opts]
+ * @param {string} [opts.home]
+ * @param {Object} [opts.env]
+ * @returns {string[]}
+ */
+function condaRoots({ home = os.homedir(), env = process.env } = {}) {
+  const roots = CONDA_PATHS.map((p) => path.dirname(path.isAbsolute(p) ? p : path.join(home, p)));
+  // CONDA_EXE is <root>/bin/conda (<root>\Scripts\conda.exe on Windows)
+  if (env.CONDA_EXE) roots.unshift(path.dirname(path.dirname(env.CONDA_EXE)));
+  if (env.MAMBA_ROOT_PREFIX) roots.unshift(env.MAMBA_ROOT_PREFIX);
+  return [...new Set(roots)];
+}
+
+/**
+ * Every conda environment we can find without running conda: the base
+ * environment and envs/ of each install root, plus ~/.conda/environments.txt
+ * (conda records every environment it creates there, wherever it lives).
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.home]
+ * @param {Object} [opts.env]
+ * @returns {{name: string, prefix: string}[]}
+ */
+function listCondaEnvs({ home = os.homedir(), env = process.env } = {}) {
+  const found = new Map();
+  const add = (name, prefix) => {
+    if (!found.has(prefix) && fs.existsSync(envPython('conda', prefix))) found.set(prefix, { name, prefix });
+  };
+
+  for (const root of condaRoots({ home, env })) {
+    add('base', root);
+    try {
+      for (const entry of fs.readdirSync(path.join(root, 'envs'))) {
+        add(entry, path.join(root, 'envs', entry));
+      }
+    } catch {
+      // No envs/ in this root
+    }
+  }
+
+  try {
+    const listed = fs.readFileSync(path.join(home, '.conda', 'environments.txt'), 'utf8');
+    for (const line of listed.split(/\r?\n/)) {
+      const prefix = line.trim();
+      if (prefix) add(path.basename(prefix), prefix);
+    }
+  } catch {
+    // No environments.txt
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Prefix of a named conda environment, or null.
+ */
+function findCondaPrefix(envName, opts = {}) {
+  return listCondaEnvs(opts).find((e) => e.name === envName)?.prefix || null;
+}
+
+// ── Resolution ────────────────────────────────────────────────────────────
+
+/**
+ * Resolve a python profile to its environment.
+ *
+ * @param {Object|null} profile — stored profile ({ kind, ... }); null/system means the project .venv
+ * @param {Object} opts
+ * @param {string} opts.projectRoot
+ * @param {Object} [opts.condaOptions] — { home, env } for conda lookup (tests)
+ * @returns {{kind: string, prefix: string|null, python: string|null, label: string, envName?: string,
+ *   manifestPath?: string, environment?: string, projectDir?: string, interpreterPath?: string}}
+ *   prefix is null when a named conda environment cannot be found
+ */
+function resolvePythonEnv(profile, { projectRoot, condaOptions = {} } = {}) {
+  const kind = PYTHON_ENV_KINDS.includes(profile?.kind) ? profile.kind : 'venv';
+  let out;
+
+  switch (kind) {
+    case 'conda': {
+      const prefix = profile.prefix
+        ? path.resolve(profile.prefix)
+        : findCondaPrefix(profile.envName, condaOptions);
+      out = {
+        kind,
+        prefix,
+        envName: profile.envName || (prefix ? path.basename(prefix) : null),
+      };
+      break;
+    }
+    case 'pixi': {
+      const manifestPath = path.resolve(projectRoot || '.', profile.manifestPath || 'pixi.toml');
+      const environment = profile.environment || 'default';
+      out = {
+        kind,
+        manifestPath,
+        environment,
+        prefix: path.join(path.dirname(manifestPath), '.pixi', 'envs', environment),
+      };
+      break;
+    }
+    case 'uv-project': {
+      const projectDir = path.resolve(projectRoot || '.', profile.projectDir || '.');
+      out = { kind, projectDir, prefix: path.join(projectDir, '.venv') };
+      break;
+    }
+    case 'system-interpreter': {
+      const interpreterPath = profile.interpreterPath;
+      const slug = path.basename(interpreterPath || 'python').replace(/\.exe$/i, '');
+      out = {
+        kind,
+        interpreterPath,
+        prefix: path.join(PYTHON_INTERPRETER_ENVS_DIR, `${slug}-${sha(interpreterPath)}`),
+      };
+      break;
+    }
+    default: {
+      const venvPath = profile?.kind === 'venv' && profile.venvPath
+        ? profile.venvPath
+        : path.join(projectRoot || '.', '.venv');
+      out = { kind: 'venv', prefix: path.resolve(venvPath) };
+    }
+  }
+
+  out.python = out.prefix ? envPython(kind, out.prefix) : null;
+  out.label = profile?.label
+    || (kind === 'venv' ? path.basename(out.prefix) : profileFromId(pythonProfileId(profile))?.label)
+    || kind;
+  return out;
+}
+
+/**
+ * Environment variables that activate a resolved environment for the runtime.
+ * @param {Object} env — from resolvePythonEnv
+ * @param {Object} [base] — variables to extend (default: process.env)
+ * @returns {Object}
+ */
+function pythonEnvVars(env, base = process.env) {
+  if (!CONDA_STYLE_KINDS.has(env.kind)) {
+    return { VIRTUAL_ENV: env.prefix };
+  }
+
+  // conda-style prefixes are activated by PATH; conda on Windows also needs
+  // the prefix root and Library\bin for DLLs
+  const bins = isWin
+    ? [env.prefix, path.join(env.prefix, 'Library', 'bin'), path.join(env.prefix, 'Scripts')]
+    : [path.join(env.prefix, 'bin')];
+  const pathKey = Object.keys(base).find((k) => k.toUpperCase() === 'PATH') || 'PATH';
+  const vars = {
+    CONDA_PREFIX: env.prefix,
+    CONDA_DEFAULT_ENV: env.envName || env.environment || path.basename(env.prefix),
+    [pathKey]: [...bins, base[pathKey]].filter(Boolean).join(path.delimiter),
+  };
+  if (env.kind === 'pixi') vars.PIXI_PROJECT_MANIFEST = env.manifestPath;
+  return vars;
+}
+
+// ── Preparation ───────────────────────────────────────────────────────────
+
+function runTool(command, args, { cwd, label }) {
+  return new Promise((resolve, reject) => {
+    console.log(`[python-env] Running: ${command} ${args.join(' ')}`);
+    const proc = spawn(command, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+    let output = '';
+    const collect = (d) => {
+      output = (output + d.toString()).slice(-TOOL_OUTPUT_TAIL * 4);
+    };
+    proc.stdout.on('data', collect);
+    proc.stderr.on('data', collect);
+    proc.on('error', (e) => reject(new Error(`Failed to run ${label}: ${e.message}`)));
+    proc.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${label} failed (code ${code}): ${output.trim().slice(-TOOL_OUTPUT_TAIL)}`));
+    });
+  });
+}
+
+function findPixi() {
+  return findInPath('pixi', [path.join(os.homedir(), '.pixi', 'bin', isWin ? 'pixi.exe' : 'pixi')]);
+}
+
+/**
+ * Make a resolved environment ready to run mrmd-python: create or sync it
+ * as its kind requires, then install mrmd-python if it is missing.
+ *
+ *   venv               create the venv if missing
+ *   conda              must already exist (never created implicitly)
+ *   pixi               `pixi install` for the manifest environment
+ *   uv-project         `uv sync --inexact` (--frozen when uv.lock exists) so the
+ *                      lockfile is applied without dropping mrmd-python
+ *   system-interpreter create the managed venv from the interpreter
+ *
+ * @param {Object} env — from resolvePythonEnv
+ * @param {Object} [opts]
+ * @param {function} [opts.onProgress] — (stage, detail)
+ */
+async function preparePythonEnv(env, { onProgress } = {}) {
+  const report = (stage, detail) => {
+    console.log(`[python-env] ${stage}: ${detail}`);
+    onProgress?.(stage, detail);
+  };
+
+  switch (env.kind) {
+    case 'conda':
+      if (!env.prefix || !fs.existsSync(env.python)) {
+        throw new Error(env.prefix
+          ? `Conda environment at ${env.prefix} has no Python`
+          : `Conda environment "${env.envName}" not found`);
+      }
+      break;
+
+    case 'pixi': {
+      if (!fs.existsSync(env.manifestPath)) throw new Error(`Pixi manifest not found: ${env.manifestPath}`);
+      const pixi = findPixi();
+      if (!pixi) throw new Error('pixi is not installed (https://pixi.sh)');
+      report('syncing', `pixi environment "${env.environment}"`);
+      await runTool(pixi, ['install', '--manifest-path', env.manifestPath, '--environment', env.environment], {
+        cwd: path.dirname(env.manifestPath),
+        label: 'pixi install',
+      });
+      break;
+    }
+
+    case 'uv-project': {
+      if (!fs.existsSync(path.join(env.projectDir, 'pyproject.toml'))) {
+        throw new Error(`No pyproject.toml in ${env.projectDir}`);
+      }
+      const uv = await ensureUv();
+      const args = ['sync', '--project', env.projectDir, '--inexact'];
+      if (fs.existsSync(path.join(env.projectDir, 'uv.lock'))) args.push('--frozen');
+      report('syncing', `uv project ${env.projectDir}`);
+      await runTool(uv, args, { cwd: env.projectDir, label: 'uv sync' });
+      break;
+    }
+
+    case 'system-interpreter':
+      if (!env.interpreterPath || !fs.existsSync(env.interpreterPath)) {
+        throw new Error(`Python interpreter not found: ${env.interpreterPath}`);
+      }
+      if (!fs.existsSync(env.python)) {
+        const uv = await ensureUv();
+        report('creating', `environment for ${env.interpreterPath}`);
+        fs.mkdirSync(path.dirname(env.prefix), { recursive: true });
+        await runTool(uv, ['venv', '--python', env.interpreterPath, '--system-site-packages', env.prefix], {
+          label: 'uv venv',
+        });
+      }
+      break;
+
+    default:
+      // Auto-create venv if it doesn't exist (zero-config experience)
+      if (!fs.existsSync(env.python)) {
+        report('creating', `venv at ${env.prefix}`);
+        await createVenv(env.prefix);
+      }
+  }
+
+  if (!fs.existsSync(env.python)) {
+    throw new Error(`No Python found in ${env.prefix} after preparing ${env.kind} environment`);
+  }
+
+  const mrmdPython = getVenvExecutable(env.prefix, 'mrmd-python');
+  if (!fs.existsSync(mrmdPython)) {
+    report('installing', `mrmd-python in ${env.prefix}`);
+    await installMrmdPython(env.prefix, { pythonPath: env.python, onProgress });
+    if (!fs.existsSync(mrmdPython)) {
+      throw new Error(`Failed to install mrmd-python in ${env.prefix}`);
+    }
+  }
+}
+
+// ── Discovery ─────────────────────────────────────────────────────────────
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * pixi and uv-project profiles for a project directory.
+ * @param {string} projectDir
+ * @returns {Object[]} profiles
+ */
+function discoverProjectProfiles(projectDir) {
+  if (!projectDir) return [];
+  const profiles = [];
+  const pyproject = readText(path.join(projectDir, 'pyproject.toml'));
+
+  const pixiToml = path.join(projectDir, 'pixi.toml');
+  if (fs.existsSync(pixiToml)) {
+    profiles.push(profileFromId(`python:pixi:${pixiToml}`));
+  } else if (pyproject && /^\[tool\.pixi[.\]]/m.test(pyproject)) {
+    profiles.push(profileFromId(`python:pixi:${path.join(projectDir, 'pyproject.toml')}`));
+  }
+
+  if (pyproject && (fs.existsSync(path.join(projectDir, 'uv.lock')) || /^\[tool\.uv[.\]]/m.test(pyproject))) {
+    profiles.push(profileFromId(`python:uv-project:${projectDir}`));
+  }
+
+  return profiles;
+}
+
+/**
+ * Picker entry for a profile, in the shape discoverVenvs() emits
+ * (see getEnvInfo), plus its profile id and resolved environment.
+ *
+ * @param {Object} profile
+ * @param {Object} opts
+ * @param {string} opts.projectRoot
+ * @param {string} opts.source — picker section (system / project / conda / …)
+ * @returns {Object}
+ */
+function describePythonEnv(profile, { projectRoot, source }) {
+  const env = resolvePythonEnv(profile, { projectRoot });
+  const hasPython = !!env.python && fs.existsSync(env.python);
+  // Environments the profile creates or syncs on start are selectable before they exist
+  const createdOnStart = env.kind === 'pixi' || env.kind === 'uv-project' || env.kind === 'system-interpreter';
+
+  let pythonVersion = null;
+  const pyvenvCfg = env.prefix ? readText(path.join(env.prefix, 'pyvenv.cfg')) : null;
+  const versionMatch = pyvenvCfg?.match(/version(?:_info)?\s*=\s*(\d+\.\d+)/);
+  if (versionMatch) pythonVersion = versionMatch[1];
+
+  return {
+    path: env.prefix,
+    displayPath: env.interpreterPath || env.manifestPath || env.projectDir || env.prefix,
+    pythonVersion,
+    hasPython: hasPython || createdOnStart,
+    hasMrmdPython: !!env.prefix && fs.existsSync(getVenvExecutable(env.prefix, 'mrmd-python')),
+    needsSync: createdOnStart && !hasPython,
+    projectName: env.label,
+    name: env.label,
+    envType: env.kind,
+    profileId: pythonProfileId(profile),
+    pythonEnv: env,
+    source,
+  };
+}
+
+export {
+  PYTHON_ENV_KINDS,
+  envPython,
+  pythonProfileId,
+  profileFromId,
+  condaRoots,
+  listCondaEnvs,
+  findCondaPrefix,
+  resolvePythonEnv,
+  pythonEnvVars,
+  preparePythonEnv,
+  discoverProjectProfiles,
+  describePythonEnv,
+};
@@ -0,0 +1,315 @@
+/**
+ * Container runtimes — run an MRP runtime inside a Docker/Podman image
+ *
+ * A runtime profile of kind "container" starts the language's runtime
+ * (mrmd-python, mrmd-bash, mrmd-r, mrmd-julia) inside an image instead of
+ * on the host:
+ *
+ *   { kind: 'container', image: 'ghcr.io/me/analysis:2024', engine?: 'docker' | 'podman',
+ *     pull?: 'missing' | 'always' | 'never', command?: [...], env?: {...}, args?: [...] }
+ *
+ * RuntimeService spawns `<engine> run --rm ...` in the foreground, so the
+ * engine CLI is the child process: its output goes to the session log and
+ * its exit (= the container's exit) goes through the normal supervision
+ * path. The project directory is bind-mounted so the runtime cwd is the same
+ * path inside and outside the container (/work on Windows hosts), and the
+ * MRP port is published on 127.0.0.1 only.
+ *
+ * The runtime inside must listen on 0.0.0.0 for the published port to reach
+ * it; the default commands pass --host 0.0.0.0, images with other entry
+ * points set `command` (template variables: ${port} ${cwd} ${name}).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+import { findInPath, isWin } from '../utils/platform.js';
+import { RUNTIME_CONTAINER } from '../config.js';
+import { expandTemplate } from './runtime-plugins.js';
+
+const ENGINES = ['docker', 'podman'];
+const PULL_MODES = ['missing', 'always', 'never'];
+
+/** Runtime command inside the container, per language */
+const CONTAINER_COMMANDS = {
+  python: ['mrmd-python', '--id', '${name}', '--foreground', '--port', '${port}', '--host', '0.0.0.0', '--cwd', '${cwd}'],
+  bash: ['mrmd-bash', '--port', '${port}', '--host', '0.0.0.0', '--cwd', '${cwd}'],
+  r: ['mrmd-r', '--port', '${port}', '--host', '0.0.0.0', '--cwd', '${cwd}'],
+  julia: ['mrmd-julia', '--port', '${port}', '--host', '0.0.0.0', '--cwd', '${cwd}'],
+};
+
+/** Docker/Podman layer progress lines ("<id>: Pull complete", "Copying blob <id> done") */
+const DOCKER_LAYER_RE = /^([0-9a-f]{12}): (Pulling fs layer|Waiting|Downloading|Verifying Checksum|Download complete|Extracting|Pull complete|Already exists)/;
+const PODMAN_BLOB_RE = /^Copying blob (?:sha256:)?([0-9a-f]{6,})(?:\s+(done|skipped))?/;
+
+/**
+ * Validate and fill in a container profile.
+ * @param {Object} spec
+ * @returns {{image: string, engine: string|null, pull: string, command: string[]|null, env: Object, args: string[]}}
+ */
+function normalizeContainerSpec(spec = {}) {
+  const image = typeof spec.image === 'string' ? spec.image.trim() : '';
+  if (!image) throw new Error('Container profile needs an "image"');
+  if (spec.engine && !ENGINES.includes(spec.engine)) {
+    throw new Error(`Unknown container engine "${spec.engine}" (expected ${ENGINES.join(' or ')})`);
+  }
+  const isStrings = (v) => Array.isArray(v) && v.every((a) => typeof a === 'string');
+  return {
+    image,
+    engine: spec.engine || null,
+    pull: PULL_MODES.includes(spec.pull) ? spec.pull : RUNTIME_CONTAINER.pull,
+    command: isStrings(spec.command) && spec.command.length > 0 ? [...spec.command] : null,
+    env: spec.env && typeof spec.env === 'object' && !Array.isArray(spec.env) ? { ...spec.env } : {},
+    args: isStrings(spec.args) ? [...spec.args] : [],
+  };
+}
+
+/**
+ * Find the container engine CLI.
+ * @param {string|null} preferred — 'docker' | 'podman' | null (first of RUNTIME_CONTAINER.engines)
+ * @param {function} [find] — (name) => path|null
+ * @returns {{engine: string, path: string}|null}
+ */
+function findContainerEngine(preferred = null, find = findInPath) {
+  const candidates = preferred ? [preferred] : RUNTIME_CONTAINER.engines;
+  for (const engine of candidates) {
+    const found = find(engine);
+    if (found) return { engine, path: found };
+  }
+  return null;
+}
+
+/**
+ * Container name for a session (engine names allow [a-zA-Z0-9_.-]).
+ * @param {string} sessionName
+ * @returns {string}
+ */
+function containerName(sessionName) {
+  return `mrmd-${String(sessionName).replace(/[^a-zA-Z0-9_.-]+/g, '-')}`;
+}
+
+/**
+ * Where the project is mounted inside the container, and the runtime cwd there.
+ * @param {string} projectRoot — host project directory
+ * @param {string} cwd — host runtime cwd
+ * @returns {{mountTarget: string, workdir: string}}
+ */
+function containerPaths(projectRoot, cwd) {
+  if (!isWin) return { mountTarget: projectRoot, workdir: cwd || projectRoot };
+  const mountTarget = RUNTIME_CONTAINER.windowsWorkdir;
+  const rel = cwd ? path.relative(projectRoot, cwd) : '';
+  const inside = rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+  return {
+    mountTarget,
+    workdir: inside ? path.posix.join(mountTarget, ...rel.split(path.sep)) : mountTarget,
+  };
+}
+
+/**
+ * `<engine> run` arguments for a session.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.spec — normalized container spec
+ * @param {string} opts.engine — 'docker' | 'podman'
+ * @param {string} opts.sessionName
+ * @param {string} opts.language
+ * @param {number} opts.port — MRP port (same inside and outside)
+ * @param {string} opts.cwd — host runtime cwd
+ * @param {string} opts.projectRoot — host project directory (bind-mounted)
+ * @param {Object} [opts.limits] — normalized runtime limits; memory is enforced by the engine
+ * @returns {string[]}
+ */
+function buildContainerRunArgs({ spec, engine, sessionName, language, port, cwd, projectRoot, limits = {} }) {
+  const root = projectRoot || cwd;
+  const { mountTarget, workdir } = containerPaths(root, cwd);
+  const template = spec.command || CONTAINER_COMMANDS[language];
+  if (!template) {
+    throw new Error(`No container command for ${language}; set "command" in the container profile`);
+  }
+  const vars = { port, cwd: workdir, name: sessionName };
+
+  const args = [
+    'run', '--rm', '--init',
+    '--name', containerName(sessionName),
+    '--label', `mrmd.session=${sessionName}`,
+    '-p', `127.0.0.1:${port}:${port}`,
+    '-v', `${root}:${mountTarget}`,
+    '-w', workdir,
+  ];
+  // Rootless podman: files written to the mount stay owned by the user
+  if (engine === 'podman' && !isWin) args.push('--userns=keep-id');
+  if (limits.maxMemoryMb) args.push('--memory', `${Math.round(limits.maxMemoryMb)}m`);
+  for (const [key, value] of Object.entries(spec.env)) {
+    args.push('-e', `${key}=${expandTemplate(value, vars)}`);
+  }
+  args.push(...spec.args, spec.image, ...template.map((a) => expandTemplate(a, vars)));
+  return args;
+}
+
+/**
+ * Fold one line of pull output into per-layer state.
+ * @param {string} line
+ * @param {Map<string, boolean>} layers — layer id -> complete
+ * @returns {boolean} whether the line was a layer progress line
+ */
+function parsePullProgress(line, layers) {
+  const text = line.trim();
+  const docker = DOCKER_LAYER_RE.exec(text);
+  if (docker) {
+    const [, id, status] = docker;
+    layers.set(id, status === 'Pull complete' || status === 'Already exists' || layers.get(id) === true);
+    return true;
+  }
+  const podman = PODMAN_BLOB_RE.exec(text);
+  if (podman) {
+    const [, id, status] = podman;
+    layers.set(id, !!status || layers.get(id) === true);
+    return true;
+  }
+  return false;
+}
+
+function runEngine(enginePath, args, { onLine = null, timeoutMs = 0 } = {}) {
+  return new Promise((resolve) => {
+    const proc = spawn(enginePath, args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+    let output = '';
+    let partial = '';
+    const collect = (d) => {
+      const text = d.toString();
+      output = (output + text).slice(-4000);
+      if (!onLine) return;
+      const lines = (partial + text).split(/\r?\n|\r/);
+      partial = lines.pop();
+      for (const line of lines) if (line.trim()) onLine(line);
+    };
+    proc.stdout.on('data', collect);
+    proc.stderr.on('data', collect);
+    const timer = timeoutMs ? setTimeout(() => proc.kill('SIGKILL'), timeoutMs) : null;
+    proc.on('error', (e) => {
+      if (timer) clearTimeout(timer);
+      resolve({ code: -1, output: e.message });
+    });
+    proc.on('close', (code) => {
+      if (timer) clearTimeout(timer);
+      resolve({ code, output: output.trim() });
+    });
+  });
+}
+
+/**
+ * Make sure the image is available locally, pulling it per the spec's pull
+ * mode. Progress is reported like installMrmdPython's onProgress.
+ *
+ * @param {string} enginePath
+ * @param {Object} spec — normalized container spec
+ * @param {Object} [opts]
+ * @param {function} [opts.onProgress] — (stage, detail)
+ */
+async function ensureContainerImage(enginePath, spec, { onProgress } = {}) {
+  const report = (stage, detail) => {
+    console.log(`[container] ${stage}: ${detail}`);
+    if (onProgress) onProgress(stage, detail);
+  };
+
+  report('checking', `image ${spec.image}`);
+  const present = (await runEngine(enginePath, ['image', 'inspect', spec.image], { timeoutMs: 30000 })).code === 0;
+  if (present && spec.pull !== 'always') return;
+  if (!present && spec.pull === 'never') {
+    throw new Error(`Container image ${spec.image} is not available locally (pull: never)`);
+  }
+
+  report('pulling', spec.image);
+  const layers = new Map();
+  let lastReported = '';
+  const result = await runEngine(enginePath, ['pull', spec.image], {
+    onLine: (line) => {
+      if (!parsePullProgress(line, layers)) return;
+      const done = [...layers.values()].filter(Boolean).length;
+      const detail = `${spec.image}: ${done}/${layers.size} layers`;
+      if (detail !== lastReported) {
+        lastReported = detail;
+        report('pulling', detail);
+      }
+    },
+  });
+  if (result.code !== 0) {
+    throw new Error(`Pulling ${spec.image} failed: ${result.output.slice(-500)}`);
+  }
+  report('complete', `image ${spec.image} ready`);
+}
+
+/**
+ * Stop a session's container and wait for it to go away. The foreground
+ * `<engine> run` process exits on its own once the container is gone.
+ *
+ * @param {string} enginePath
+ * @param {string} name — container name
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutSec] — grace period before the engine kills it
+ * @returns {Promise<boolean>} true if the engine reported success
+ */
+async function stopContainer(enginePath, name, { timeoutSec = RUNTIME_CONTAINER.stopTimeoutSec } = {}) {
+  const stopped = await runEngine(enginePath, ['stop', '-t', String(timeoutSec), name], {
+    timeoutMs: (timeoutSec + 15) * 1000,
+  });
+  // --rm normally removes it; make sure nothing is left holding the name
+  await runEngine(enginePath, ['rm', '-f', name], { timeoutMs: 15000 });
+  if (stopped.code !== 0 && !/no such container/i.test(stopped.output)) {
+    console.warn(`[container] Stopping ${name} failed: ${stopped.output}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Wait until the runtime answers MRP. A published port accepts connections
+ * as soon as the container starts (the engine's proxy holds it), so an open
+ * port alone doesn't mean the runtime is up.
+ *
+ * @param {number} port
+ * @param {Object} [opts]
+ * @param {number} [opts.timeout]
+ * @param {number} [opts.interval]
+ */
+async function waitForMrp(port, { timeout = 10000, interval = 250 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), 2000);
+      const res = await fetch(`http://127.0.0.1:${port}/mrp/v1/capabilities`, { signal: controller.signal });
+      clearTimeout(timer);
+      if (res.ok) return;
+    } catch {
+      // Not up yet
+    }
+    await new Promise((r) => setTimeout(r, interval));
+  }
+  throw new Error(`Timeout waiting for runtime on port ${port}`);
+}
+
+/**
+ * Whether a path can be bind-mounted (exists and is a directory).
+ */
+function isMountableDir(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+export {
+  CONTAINER_COMMANDS,
+  normalizeContainerSpec,
+  findContainerEngine,
+  containerName,
+  containerPaths,
+  buildContainerRunArgs,
+  parsePullProgress,
+  ensureContainerImage,
+  stopContainer,
+  waitForMrp,
+  isMountableDir,
+};
@@ -0,0 +1,365 @@
+/**
+ * Runtime dependencies — packages a notebook or project declares for its
+ * runtime, kept in app-owned runtime preferences (dependenciesByLanguage)
+ * rather than in the markdown.
+ *
+ * Before a runtime starts, RuntimeService diffs the declared list against
+ * the environment, installs what is missing one package at a time (so a
+ * failure names the package) and records a lock snapshot:
+ *
+ *   python  pip requirement specs ("numpy", "pandas>=2,<3", "requests[socks]")
+ *           installed with `uv pip install` into the session's environment
+ *   r       CRAN package names, installed with install.packages()
+ *   julia   registered package names, optionally "Name@version", added to the
+ *           project's deps environment (PROJECT_JULIA_DEPS_ENV), which the
+ *           runtime sees through JULIA_LOAD_PATH
+ *
+ * The lock file (<project>/.mrmd/locks/<session>.json) records what the
+ * declared packages resolved to; for python it also lists every installed
+ * distribution.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+import { PROJECT_LOCKS_DIR, PROJECT_JULIA_DEPS_ENV, RUNTIME_DEPENDENCIES } from '../config.js';
+import { ensureUv } from '../utils/index.js';
+
+const DEPENDENCY_LANGUAGES = ['python', 'r', 'julia'];
+
+/** Output kept from a failed install for the error message */
+const OUTPUT_TAIL = 800;
+
+const PYTHON_SPEC = /^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[A-Za-z0-9._,\s-]+\])?\s*((?:===|[<>=!~]=?)\s*[A-Za-z0-9.*+!_-]+(?:\s*,\s*(?:===|[<>=!~]=?)\s*[A-Za-z0-9.*+!_-]+)*)?$/;
+const R_SPEC = /^[A-Za-z][A-Za-z0-9.]*$/;
+const JULIA_SPEC = /^([A-Za-z_][A-Za-z0-9_]*)(?:@([0-9][0-9A-Za-z.^~+-]*))?$/;
+
+/**
+ * Parse one declared dependency.
+ * @param {string} language
+ * @param {string} spec
+ * @returns {{spec: string, name: string, key: string, version: string|null}}
+ */
+function parseDependency(language, spec) {
+  const text = String(spec || '').trim();
+  let match;
+  switch (language) {
+    case 'python':
+      match = PYTHON_SPEC.exec(text);
+      if (!match) break;
+      return {
+        spec: text,
+        name: match[1],
+        // PEP 503 normalized name: "Foo_Bar" and "foo-bar" are the same distribution
+        key: match[1].replace(/[-_.]+/g, '-').toLowerCase(),
+        version: match[3] ? match[3].replace(/\s+/g, '') : null,
+      };
+    case 'r':
+      if (!R_SPEC.test(text)) break;
+      return { spec: text, name: text, key: text, version: null };
+    case 'julia':
+      match = JULIA_SPEC.exec(text);
+      if (!match) break;
+      return { spec: text, name: match[1], key: match[1], version: match[2] || null };
+    default:
+      throw new Error(`Dependency declarations are not supported for ${language}`);
+  }
+  throw new Error(`Invalid ${language} dependency: "${text}"`);
+}
+
+/**
+ * Validate a declared list (array, or a newline/comma separated string; a
+ * comma only separates packages when a name follows it, so "pandas>=2,<3"
+ * stays one spec); a later entry for the same package replaces an earlier one.
+ * @param {string} language
+ * @param {string[]|string} list
+ * @returns {string[]} specs
+ */
+function normalizeDependencies(language, list) {
+  const items = Array.isArray(list) ? list : String(list || '').split(/\n|,(?=\s*[A-Za-z0-9])(?![^[]*\])/);
+  const byKey = new Map();
+  for (const item of items) {
+    if (!String(item || '').trim()) continue;
+    const dep = parseDependency(language, item);
+    byKey.delete(dep.key);
+    byKey.set(dep.key, dep.spec);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Project declarations extended by the notebook's (notebook wins per package).
+ * @param {string} language
+ * @param {string[]} [projectDeps]
+ * @param {string[]} [notebookDeps]
+ * @returns {string[]}
+ */
+function mergeDependencies(language, projectDeps = [], notebookDeps = []) {
+  return normalizeDependencies(language, [...(projectDeps || []), ...(notebookDeps || [])]);
+}
+
+/**
+ * Lock snapshot path for a session.
+ * @param {{name: string, projectRoot?: string, cwd: string}} config
+ * @returns {string}
+ */
+function lockPath(config) {
+  const safeName = String(config.name).replace(/[^a-zA-Z0-9._-]/g, '-');
+  return path.join(config.projectRoot || config.cwd, PROJECT_LOCKS_DIR, `${safeName}.json`);
+}
+
+/**
+ * Julia environment holding a session's declared packages.
+ * @param {{projectRoot?: string, cwd: string}} config
+ * @returns {string}
+ */
+function juliaDepsEnv(config) {
+  return path.join(config.projectRoot || config.cwd, PROJECT_JULIA_DEPS_ENV);
+}
+
+function runCommand(command, args, { cwd, env, timeout, label }) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, {
+      cwd,
+      env: env || process.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+    let stdout = '';
+    let output = '';
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      proc.kill('SIGKILL');
+    }, timeout);
+    proc.stdout.on('data', (d) => {
+      stdout += d.toString();
+      output = (output + d.toString()).slice(-OUTPUT_TAIL * 4);
+    });
+    proc.stderr.on('data', (d) => {
+      output = (output + d.toString()).slice(-OUTPUT_TAIL * 4);
+    });
+    proc.on('error', (e) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to run ${label}: ${e.message}`));
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(stdout);
+      else if (timedOut) reject(new Error(`${label} timed out after ${Math.round(timeout / 1000)}s`));
+      else reject(new Error(`${label} failed (code ${code}): ${output.trim().slice(-OUTPUT_TAIL)}`));
+    });
+  });
+}
+
+// ── Python ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads [{name, key, spec, version}] from argv[1]; prints installed versions,
+ * whether each spec is satisfied, and every installed distribution.
+ */
+const PYTHON_INSPECT = `
+import json, re, sys
+from importlib import metadata
+try:
+    from packaging.requirements import Requirement
+except ImportError:
+    try:
+        from pip._vendor.packaging.requirements import Requirement
+    except ImportError:
+        Requirement = None
+installed = {}
+for d in metadata.distributions():
+    name = d.metadata['Name']
+    if name:
+        installed[re.sub(r'[-_.]+', '-', name).lower()] = d.version
+packages = {}
+for dep in json.loads(sys.argv[1]):
+    version = installed.get(dep['key'])
+    ok = version is not None
+    if ok and dep['version']:
+        ok = Requirement is not None and Requirement(dep['spec']).specifier.contains(version, prereleases=True)
+    packages[dep['key']] = {'version': version, 'satisfied': ok}
+print(json.dumps({'packages': packages, 'all': installed}))
+`;
+
+const PYTHON_BACKEND = {
+  async inspect({ interpreter }, deps) {
+    const out = await runCommand(interpreter, ['-c', PYTHON_INSPECT, JSON.stringify(deps)], {
+      timeout: RUNTIME_DEPENDENCIES.checkTimeoutMs,
+      label: 'python dependency check',
+    });
+    return JSON.parse(out.trim().split('\n').pop());
+  },
+
+  async install({ interpreter }, dep) {
+    const uv = await ensureUv();
+    await runCommand(uv, ['pip', 'install', '--python', interpreter, dep.spec], {
+      cwd: path.dirname(interpreter),
+      timeout: RUNTIME_DEPENDENCIES.installTimeoutMs,
+      label: 'uv pip install',
+    });
+  },
+
+  environment({ interpreter }) {
+    return { python: interpreter };
+  },
+};
+
+// ── R ─────────────────────────────────────────────────────────────────────
+
+const R_INSPECT = 'for (p in commandArgs(TRUE)) cat(p, "\\t", if (requireNamespace(p, quietly = TRUE)) as.character(packageVersion(p)) else "", "\\n", sep = "")';
+
+const R_BACKEND = {
+  async inspect({ interpreter }, deps) {
+    const out = await runCommand(interpreter, ['-e', R_INSPECT, '--args', ...deps.map((d) => d.name)], {
+      timeout: RUNTIME_DEPENDENCIES.checkTimeoutMs,
+      label: 'R dependency check',
+    });
+    const versions = Object.fromEntries(out.split('\n').filter(Boolean).map((line) => line.split('\t')));
+    const packages = {};
+    for (const dep of deps) {
+      const version = versions[dep.name] || null;
+      packages[dep.key] = { version, satisfied: !!version };
+    }
+    return { packages };
+  },
+
+  async install({ interpreter }, dep) {
+    // install.packages() only warns when a package fails; turn that into an error
+    const script = [
+      'options(warn = 2)',
+      `install.packages(commandArgs(TRUE)[1], repos = "${RUNTIME_DEPENDENCIES.rRepos}", quiet = TRUE)`,
+    ].join('; ');
+    await runCommand(interpreter, ['-e', script, '--args', dep.name], {
+      timeout: RUNTIME_DEPENDENCIES.installTimeoutMs,
+      label: 'install.packages',
+    });
+  },
+
+  environment({ interpreter }) {
+    return { rscript: interpreter, libsUser: process.env.R_LIBS_USER || null };
+  },
+};
+
+// ── Julia ─────────────────────────────────────────────────────────────────
+
+const JULIA_INSPECT = 'import Pkg; for (_, d) in Pkg.dependencies(); d.is_direct_dep && println(d.name, "\\t", d.version); end';
+const JULIA_ADD = 'import Pkg; length(ARGS) > 1 ? Pkg.add(Pkg.PackageSpec(name = ARGS[1], version = ARGS[2])) : Pkg.add(ARGS[1])';
+
+const JULIA_BACKEND = {
+  async inspect({ interpreter, envDir }, deps) {
+    fs.mkdirSync(envDir, { recursive: true });
+    const out = await runCommand(interpreter, [`--project=${envDir}`, '-e', JULIA_INSPECT], {
+      cwd: envDir,
+      timeout: RUNTIME_DEPENDENCIES.checkTimeoutMs,
+      label: 'Julia dependency check',
+    });
+    const versions = Object.fromEntries(out.split('\n').filter(Boolean).map((line) => line.split('\t')));
+    const packages = {};
+    for (const dep of deps) {
+      const version = versions[dep.name] || null;
+      const satisfied = !!version && (!dep.version || version === dep.version || version.startsWith(`${dep.version}.`));
+      packages[dep.key] = { version, satisfied };
+    }
+    return { packages };
+  },
+
+  async install({ interpreter, envDir }, dep) {
+    const args = [`--project=${envDir}`, '-e', JULIA_ADD, dep.name];
+    if (dep.version) args.push(dep.version);
+    await runCommand(interpreter, args, {
+      cwd: envDir,
+      timeout: RUNTIME_DEPENDENCIES.installTimeoutMs,
+      label: 'Pkg.add',
+    });
+  },
+
+  environment({ interpreter, envDir }) {
+    return { julia: interpreter, project: envDir };
+  },
+};
+
+const BACKENDS = { python: PYTHON_BACKEND, r: R_BACKEND, julia: JULIA_BACKEND };
+
+/**
+ * Bring an environment in line with a declared dependency list and write
+ * the lock snapshot. Packages are installed one at a time; the first
+ * failure stops the sync with an error naming the package (error.package).
+ *
+ * @param {Object} opts
+ * @param {string} opts.language
+ * @param {string[]} opts.dependencies — declared specs
+ * @param {string} opts.interpreter — python in the environment / Rscript / julia
+ * @param {string} opts.lockFile — where to write the lock snapshot
+ * @param {string} [opts.sessionName]
+ * @param {string} [opts.envDir] — julia deps environment
+ * @param {function} [opts.onProgress] — (stage, detail)
+ * @returns {Promise<{installed: string[], lock: Object}>}
+ */
+async function syncDependencies({ language, dependencies, interpreter, lockFile, sessionName = null, envDir = null, onProgress }) {
+  const backend = BACKENDS[language];
+  if (!backend) throw new Error(`Dependency declarations are not supported for ${language}`);
+  if (!interpreter) throw new Error(`No ${language} interpreter to install dependencies into`);
+
+  const report = (stage, detail) => {
+    console.log(`[runtime:deps] ${stage}: ${detail}`);
+    onProgress?.(stage, detail);
+  };
+  const ctx = { interpreter, envDir };
+  const deps = normalizeDependencies(language, dependencies).map((spec) => parseDependency(language, spec));
+
+  report('checking', `${deps.length} ${language} package${deps.length === 1 ? '' : 's'}`);
+  let state = await backend.inspect(ctx, deps);
+  const missing = deps.filter((d) => !state.packages[d.key]?.satisfied);
+
+  for (const [i, dep] of missing.entries()) {
+    report('installing', `${dep.spec} (${i + 1}/${missing.length})`);
+    try {
+      await backend.install(ctx, dep);
+    } catch (e) {
+      const err = new Error(`Failed to install ${language} package "${dep.spec}": ${e.message}`);
+      err.package = dep.spec;
+      throw err;
+    }
+  }
+
+  if (missing.length) {
+    state = await backend.inspect(ctx, deps);
+    const unsatisfied = deps.find((d) => !state.packages[d.key]?.satisfied);
+    if (unsatisfied) {
+      const found = state.packages[unsatisfied.key]?.version;
+      const err = new Error(`${language} package "${unsatisfied.spec}" is still not satisfied after installing${found ? ` (found ${found})` : ''}`);
+      err.package = unsatisfied.spec;
+      throw err;
+    }
+  }
+
+  const lock = {
+    language,
+    sessionName,
+    createdAt: new Date().toISOString(),
+    environment: backend.environment(ctx),
+    declared: deps.map((d) => d.spec),
+    resolved: Object.fromEntries(deps.map((d) => [d.name, state.packages[d.key]?.version || null])),
+    ...(state.all ? { installed: state.all } : {}),
+  };
+  fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+  fs.writeFileSync(lockFile, JSON.stringify(lock, null, 2));
+
+  report('complete', missing.length
+    ? `installed ${missing.map((d) => d.spec).join(', ')}`
+    : 'all declared packages present');
+  return { installed: missing.map((d) => d.spec), lock };
+}
+
+export {
+  DEPENDENCY_LANGUAGES,
+  parseDependency,
+  normalizeDependencies,
+  mergeDependencies,
+  lockPath,
+  juliaDepsEnv,
+  syncDependencies,
+};
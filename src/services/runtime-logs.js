@@ -0,0 +1,256 @@
+/**
+ * Runtime logs — rotating on-disk stdout/stderr log per runtime session
+ *
+ * Runtimes are spawned with their stdout/stderr redirected straight to a log
+ * file descriptor (see RuntimeService._startInternal). The child writes to the
+ * file itself, so there are no pipes for Electron to drain: a busy or stalled
+ * main process can never block a runtime on a full pipe buffer, and detached
+ * runtimes keep logging after the app quits.
+ *
+ * Layout: ~/.mrmd/sessions/logs/<session-name>.log (+ .log.1 … .log.N)
+ *
+ * Rotation is copy-then-truncate: the child holds the file open in append
+ * mode, so truncating the live file is safe and its next write lands at the
+ * new end of file.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { RUNTIME_LOGS_DIR, RUNTIME_LOG_ROTATION, RUNTIME_LOG_TAIL_LINES } from '../config.js';
+
+const RUN_HEADER_PREFIX = '=== ';
+const RUN_HEADER_SUFFIX = ' ===';
+
+/** Bytes read from the end of a log to serve a tail request */
+const TAIL_READ_BYTES = 256 * 1024;
+
+/** Maximum bytes forwarded per follow poll (a flood is skipped, not buffered) */
+const FOLLOW_MAX_CHUNK = 1024 * 1024;
+
+/**
+ * Log file path for a session.
+ * @param {string} sessionName
+ * @param {string} [dir]
+ * @returns {string}
+ */
+function runtimeLogPath(sessionName, dir = RUNTIME_LOGS_DIR) {
+  return path.join(dir, String(sessionName).replace(/[:/\\]/g, '-') + '.log');
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Rotate a log: name.log.(N-1) → name.log.N, …, name.log → name.log.1, then
+ * truncate name.log in place.
+ * @param {string} logPath
+ * @param {Object} [opts]
+ * @param {number} [opts.maxFiles]
+ */
+function rotateRuntimeLog(logPath, { maxFiles = RUNTIME_LOG_ROTATION.maxFiles } = {}) {
+  if (!fs.existsSync(logPath)) return;
+
+  if (maxFiles > 0) {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      const from = `${logPath}.${i}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${logPath}.${i + 1}`);
+    }
+    fs.copyFileSync(logPath, `${logPath}.1`);
+  }
+  fs.truncateSync(logPath, 0);
+}
+
+/**
+ * Rotate a log if it has grown past the size limit.
+ * @returns {boolean} true if rotated
+ */
+function rotateRuntimeLogIfNeeded(logPath, rotation = RUNTIME_LOG_ROTATION) {
+  if (fileSize(logPath) <= rotation.maxBytes) return false;
+  try {
+    rotateRuntimeLog(logPath, rotation);
+    return true;
+  } catch (e) {
+    console.warn(`[runtime:logs] Failed to rotate ${logPath}:`, e.message);
+    return false;
+  }
+}
+
+/**
+ * Open a session log for a new run: rotate if oversized, append a run
+ * header, and return an append-mode file descriptor for the child's stdio.
+ * The caller closes the fd once the child has been spawned.
+ *
+ * @param {string} sessionName
+ * @param {Object} [opts]
+ * @param {string} [opts.header] — text for the run header line
+ * @param {string} [opts.dir]
+ * @returns {{fd: number, path: string}}
+ */
+function openRuntimeLog(sessionName, { header = '', dir = RUNTIME_LOGS_DIR } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const logPath = runtimeLogPath(sessionName, dir);
+  rotateRuntimeLogIfNeeded(logPath);
+
+  const fd = fs.openSync(logPath, 'a');
+  const line = `${RUN_HEADER_PREFIX}${new Date().toISOString()} ${header || sessionName}${RUN_HEADER_SUFFIX}\n`;
+  fs.writeSync(fd, (fileSize(logPath) > 0 ? '\n' : '') + line);
+  return { fd, path: logPath };
+}
+
+function readRange(filePath, start, end) {
+  const length = Math.max(0, end - start);
+  if (length === 0) return '';
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buf, 0, length, start);
+    return buf.subarray(0, bytesRead).toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function tailLines(filePath, count) {
+  const size = fileSize(filePath);
+  if (size === 0) return { lines: [], truncated: false };
+  const start = Math.max(0, size - TAIL_READ_BYTES);
+  let lines = readRange(filePath, start, size).split(/\r?\n/);
+  // First line may be cut mid-way when we didn't read from the start
+  if (start > 0) lines = lines.slice(1);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return { lines: lines.slice(-count), truncated: start > 0 || lines.length > count };
+}
+
+/**
+ * Last N lines of a session log, reaching into the newest rotated file when
+ * the live file is shorter than requested.
+ *
+ * @param {string} logPath
+ * @param {Object} [opts]
+ * @param {number} [opts.lines]
+ * @returns {{path: string, lines: string[], size: number, exists: boolean}}
+ */
+function readRuntimeLogTail(logPath, { lines = RUNTIME_LOG_TAIL_LINES } = {}) {
+  const count = Math.max(1, Math.floor(Number(lines) || RUNTIME_LOG_TAIL_LINES));
+  const exists = fs.existsSync(logPath);
+  if (!exists) return { path: logPath, lines: [], size: 0, exists: false };
+
+  const current = tailLines(logPath, count);
+  let out = current.lines;
+  if (out.length < count && !current.truncated && fs.existsSync(`${logPath}.1`)) {
+    out = [...tailLines(`${logPath}.1`, count - out.length).lines, ...out];
+  }
+  return { path: logPath, lines: out, size: fileSize(logPath), exists: true };
+}
+
+/**
+ * Lines written by the most recent run (after the last run header).
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function linesSinceLastRun(lines) {
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].startsWith(RUN_HEADER_PREFIX) && lines[i].endsWith(RUN_HEADER_SUFFIX)) {
+      return lines.slice(i + 1);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Follow a log file, calling onLines with complete new lines as they are
+ * appended. Polls with fs.watchFile (works on every platform and across
+ * copy-then-truncate rotation).
+ *
+ * @param {string} logPath
+ * @param {function(string[]): void} onLines
+ * @param {Object} [opts]
+ * @param {number} [opts.intervalMs]
+ * @param {number} [opts.fromOffset] — default: current end of file
+ * @returns {function} stop following
+ */
+function followRuntimeLog(logPath, onLines, { intervalMs = 500, fromOffset = null } = {}) {
+  let offset = fromOffset ?? fileSize(logPath);
+  let partial = '';
+
+  const poll = (curr) => {
+    if (curr.size < offset) {
+      // Rotated or truncated: start over from the top of the live file
+      offset = 0;
+      partial = '';
+    }
+    if (curr.size === offset) return;
+
+    let start = offset;
+    if (curr.size - start > FOLLOW_MAX_CHUNK) {
+      start = curr.size - FOLLOW_MAX_CHUNK;
+      partial = '';
+    }
+
+    let text;
+    try {
+      text = readRange(logPath, start, curr.size);
+    } catch (e) {
+      console.warn(`[runtime:logs] Failed to read ${logPath}:`, e.message);
+      return;
+    }
+    offset = curr.size;
+
+    const lines = (partial + text).split(/\r?\n/);
+    partial = lines.pop();
+    if (lines.length > 0) {
+      try {
+        onLines(lines);
+      } catch (e) {
+        console.warn('[runtime:logs] Follow listener failed:', e.message);
+      }
+    }
+  };
+
+  fs.watchFile(logPath, { interval: intervalMs, persistent: false }, poll);
+  return () => fs.unwatchFile(logPath, poll);
+}
+
+/**
+ * Delete session logs (and rotated copies) not modified for retentionDays.
+ * @param {Object} [opts]
+ * @param {string} [opts.dir]
+ * @param {number} [opts.retentionDays]
+ * @param {Set<string>} [opts.keep] — log paths of live sessions
+ * @returns {number} files removed
+ */
+function pruneRuntimeLogs({ dir = RUNTIME_LOGS_DIR, retentionDays = RUNTIME_LOG_ROTATION.retentionDays, keep = new Set() } = {}) {
+  if (!fs.existsSync(dir)) return 0;
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!/\.log(\.\d+)?$/.test(file)) continue;
+    const filePath = path.join(dir, file);
+    if (keep.has(filePath.replace(/\.\d+$/, ''))) continue;
+    try {
+      if (fs.statSync(filePath).mtimeMs < cutoff) {
+        fs.unlinkSync(filePath);
+        removed++;
+      }
+    } catch {}
+  }
+  return removed;
+}
+
+export {
+  runtimeLogPath,
+  openRuntimeLog,
+  rotateRuntimeLog,
+  rotateRuntimeLogIfNeeded,
+  readRuntimeLogTail,
+  linesSinceLastRun,
+  followRuntimeLog,
+  pruneRuntimeLogs,
+};
@@ -0,0 +1,357 @@
+/**
+ * RuntimeMonitor — resource usage sampling + limit enforcement for runtimes
+ *
+ * Every sampleIntervalMs the monitor walks /proc (Linux only) and sums CPU
+ * time and RSS over each session's process tree (the runtime PID plus all of
+ * its descendants, so helpers and multiprocessing workers are included).
+ *
+ * Sessions may carry limits from their runtime profile:
+ *   { maxMemoryMb, maxCpuSeconds, idleTimeoutMinutes }
+ * The monitor enforces the first two; idleTimeoutMinutes is the session's
+ * threshold for the idle reaper (runtime-reaper.js), which owns idle stops.
+ *
+ * A breach is handled in stages so a notebook never dies without warning:
+ *   memory  — warn, then kill if still over after the grace period
+ *   cpu     — warn, then interrupt; kill if still burning CPU afterwards.
+ *             An interrupt that works re-arms the budget from that point.
+ *
+ * On other platforms sampling is a no-op and limits are not enforced.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+import { RUNTIME_MONITOR } from '../config.js';
+
+const MB = 1024 * 1024;
+
+let _sysconf = null;
+
+/**
+ * Clock ticks per second and page size, for decoding /proc/<pid>/stat.
+ */
+function sysconf() {
+  if (_sysconf) return _sysconf;
+  const read = (name, fallback) => {
+    try {
+      const value = Number(execFileSync('getconf', [name], { encoding: 'utf8', timeout: 2000 }).trim());
+      return value > 0 ? value : fallback;
+    } catch {
+      return fallback;
+    }
+  };
+  _sysconf = { clockTicks: read('CLK_TCK', 100), pageSize: read('PAGESIZE', 4096) };
+  return _sysconf;
+}
+
+/**
+ * Parse /proc/<pid>/stat.
+ * @param {string} text
+ * @returns {{ppid: number, cpuTicks: number, rssPages: number}|null}
+ */
+function parseProcStat(text) {
+  // comm (field 2) may contain spaces and parens; fields resume after the last ')'
+  const end = text.lastIndexOf(')');
+  if (end === -1) return null;
+  const fields = text.slice(end + 2).split(' ');
+  // fields[0] = state (3), [1] = ppid (4), [11] = utime (14), [12] = stime (15), [21] = rss (24)
+  return {
+    ppid: Number(fields[1]),
+    cpuTicks: Number(fields[11]) + Number(fields[12]),
+    rssPages: Number(fields[21]),
+  };
+}
+
+/**
+ * Snapshot every process in /proc.
+ * @param {string} [procRoot]
+ * @returns {Map<number, {ppid: number, cpuTicks: number, rssPages: number}>}
+ */
+function readProcessTable(procRoot = '/proc') {
+  const table = new Map();
+  for (const entry of fs.readdirSync(procRoot)) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = parseProcStat(fs.readFileSync(path.join(procRoot, entry, 'stat'), 'utf8'));
+      if (stat) table.set(Number(entry), stat);
+    } catch {
+      // Process exited while we were scanning
+    }
+  }
+  return table;
+}
+
+/**
+ * Sum CPU seconds and RSS over a PID and its descendants.
+ * @param {number} rootPid
+ * @param {Map} table — from readProcessTable
+ * @returns {{cpuSeconds: number, rssBytes: number, pids: number[]}|null} null if rootPid is gone
+ */
+function sumProcessTree(rootPid, table, { clockTicks, pageSize } = sysconf()) {
+  if (!table.has(rootPid)) return null;
+
+  const children = new Map();
+  for (const [pid, stat] of table) {
+    if (!children.has(stat.ppid)) children.set(stat.ppid, []);
+    children.get(stat.ppid).push(pid);
+  }
+
+  const pids = [];
+  const queue = [rootPid];
+  let ticks = 0;
+  let pages = 0;
+  while (queue.length > 0) {
+    const pid = queue.shift();
+    const stat = table.get(pid);
+    if (!stat) continue;
+    pids.push(pid);
+    ticks += stat.cpuTicks;
+    pages += stat.rssPages;
+    queue.push(...(children.get(pid) || []));
+  }
+
+  return { cpuSeconds: ticks / clockTicks, rssBytes: pages * pageSize, pids };
+}
+
+/**
+ * Drop unset / non-positive limit values.
+ * @param {Object} [limits]
+ * @returns {{maxMemoryMb?: number, maxCpuSeconds?: number, idleTimeoutMinutes?: number}}
+ */
+function normalizeLimits(limits) {
+  const out = {};
+  for (const key of ['maxMemoryMb', 'maxCpuSeconds', 'idleTimeoutMinutes']) {
+    const value = Number(limits?.[key]);
+    if (Number.isFinite(value) && value > 0) out[key] = value;
+  }
+  return out;
+}
+
+class RuntimeMonitor {
+  /**
+   * @param {Object} opts
+   * @param {function} opts.getSessions — () => session info objects ({ name, pid, limits, ... })
+   * @param {function} opts.interrupt — async (session) => void
+   * @param {function} opts.stop — async (sessionName, reason) => void
+   * @param {function} opts.emit — (type, payload) => void; 'usage' and 'limit'
+   * @param {Object} [opts.options] — overrides for RUNTIME_MONITOR
+   * @param {function} [opts.readTable] — process table reader (tests)
+   */
+  constructor({ getSessions, interrupt, stop, emit, options = {}, readTable = readProcessTable }) {
+    this._getSessions = getSessions;
+    this._interrupt = interrupt;
+    this._stop = stop;
+    this._emit = emit;
+    this._options = { ...RUNTIME_MONITOR, ...options };
+    this._readTable = readTable;
+    this.supported = process.platform === 'linux';
+
+    /** @type {Map<string, Object>} session name -> sampling + breach state */
+    this._state = new Map();
+
+    this._timer = null;
+  }
+
+  /**
+   * Start sampling if there is anything to sample. Idempotent; the timer
+   * stops itself once no sessions are left.
+   */
+  ensureRunning() {
+    if (!this.supported || this._timer) return;
+    this._timer = setInterval(() => this.sample(), this._options.sampleIntervalMs);
+    this._timer.unref?.();
+  }
+
+  dispose() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+    this._state.clear();
+  }
+
+  /**
+   * Latest usage for a session, with the recent history for sparklines.
+   * @param {string} name
+   * @returns {{cpuPercent: number, rssBytes: number, cpuSeconds: number, pids: number, at: string, history: Object[], breaches: string[]}|null}
+   */
+  usage(name) {
+    const state = this._state.get(name);
+    if (!state?.last) return null;
+    return {
+      ...state.last,
+      history: state.history.map(({ cpuPercent, rssBytes }) => ({ cpuPercent, rssBytes })),
+      breaches: Object.keys(state.breaches),
+    };
+  }
+
+  /**
+   * Whether the last sample showed the session actively using CPU.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isBusy(name) {
+    return (this._state.get(name)?.last?.cpuPercent || 0) >= this._options.busyCpuPercent;
+  }
+
+  /**
+   * Take one sample of every session and apply limits.
+   * @param {number} [now]
+   * @returns {Object[]} usage entries emitted
+   */
+  sample(now = Date.now()) {
+    const sessions = this._getSessions().filter((s) => s.pid);
+    if (sessions.length === 0) {
+      this.dispose();
+      return [];
+    }
+
+    let table;
+    try {
+      table = this._readTable();
+    } catch (e) {
+      console.warn('[runtime:monitor] Failed to read process table:', e.message);
+      return [];
+    }
+
+    const live = new Set();
+    const usage = [];
+    for (const session of sessions) {
+      const totals = sumProcessTree(session.pid, table);
+      if (!totals) continue;
+      live.add(session.name);
+
+      const state = this._stateFor(session.name, totals, now);
+      const elapsed = (now - state.prevAt) / 1000;
+      const cpuPercent = elapsed > 0
+        ? Math.max(0, ((totals.cpuSeconds - state.prevCpu) / elapsed) * 100)
+        : 0;
+      state.prevCpu = totals.cpuSeconds;
+      state.prevAt = now;
+
+      state.last = {
+        sessionName: session.name,
+        language: session.language,
+        cpuPercent: Math.round(cpuPercent * 10) / 10,
+        rssBytes: totals.rssBytes,
+        cpuSeconds: Math.round(totals.cpuSeconds * 10) / 10,
+        pids: totals.pids.length,
+        at: new Date(now).toISOString(),
+      };
+      state.history.push(state.last);
+      if (state.history.length > this._options.historySamples) {
+        state.history.splice(0, state.history.length - this._options.historySamples);
+      }
+
+      this._enforce(session, state, totals, cpuPercent, now);
+      usage.push({ ...state.last, breaches: Object.keys(state.breaches) });
+    }
+
+    for (const name of [...this._state.keys()]) {
+      if (!live.has(name)) this._state.delete(name);
+    }
+
+    if (usage.length > 0) this._emit('usage', { sessions: usage });
+    return usage;
+  }
+
+  // ── Internal ────────────────────────────────────────────────────────────
+
+  _stateFor(name, totals, now) {
+    let state = this._state.get(name);
+    if (!state) {
+      state = {
+        prevCpu: totals.cpuSeconds,
+        prevAt: now,
+        cpuBaseline: 0,
+        history: [],
+        last: null,
+        breaches: {},
+      };
+      this._state.set(name, state);
+    }
+    return state;
+  }
+
+  _enforce(session, state, totals, cpuPercent, now) {
+    const limits = normalizeLimits(session.limits);
+    const { breachGraceMs, busyCpuPercent } = this._options;
+
+    if (limits.maxMemoryMb) {
+      const over = totals.rssBytes > limits.maxMemoryMb * MB;
+      this._stage(session, state, 'memory', over, now, {
+        value: Math.round(totals.rssBytes / MB),
+        limit: limits.maxMemoryMb,
+        unit: 'MB',
+        escalate: (breach) => (now - breach.since >= breachGraceMs ? 'kill' : null),
+      });
+    }
+
+    if (limits.maxCpuSeconds) {
+      const used = totals.cpuSeconds - state.cpuBaseline;
+      const breach = state.breaches.cpu;
+      if (breach?.stage === 'interrupt' && now - breach.since >= breachGraceMs && cpuPercent < busyCpuPercent) {
+        // The interrupt worked: re-arm the budget from here
+        state.cpuBaseline = totals.cpuSeconds;
+        delete state.breaches.cpu;
+      } else {
+        this._stage(session, state, 'cpu', used > limits.maxCpuSeconds, now, {
+          value: Math.round(used),
+          limit: limits.maxCpuSeconds,
+          unit: 's',
+          escalate: (b) => {
+            if (now - b.since < breachGraceMs) return null;
+            return b.stage === 'warn' ? 'interrupt' : 'kill';
+          },
+        });
+      }
+    }
+  }
+
+  /**
+   * Advance a breach through warn → interrupt/kill.
+   */
+  _stage(session, state, kind, over, now, { value, limit, unit, escalate }) {
+    const breach = state.breaches[kind];
+    if (!over) {
+      if (breach) delete state.breaches[kind];
+      return;
+    }
+
+    let action = null;
+    if (!breach) {
+      action = 'warn';
+    } else if (breach.stage !== 'kill') {
+      action = escalate(breach);
+    }
+    if (!action) return;
+
+    state.breaches[kind] = { stage: action, since: now };
+
+    const payload = {
+      sessionName: session.name,
+      language: session.language,
+      kind,
+      action,
+      value,
+      limit,
+      unit,
+      graceMs: action === 'warn' ? this._options.breachGraceMs : 0,
+      at: new Date(now).toISOString(),
+    };
+    console.warn(`[runtime:monitor] "${session.name}" ${kind} limit: ${value}${unit} > ${limit}${unit} → ${action}`);
+    this._emit('limit', payload);
+
+    if (action === 'interrupt') {
+      Promise.resolve(this._interrupt(session)).catch((e) => {
+        console.warn(`[runtime:monitor] Interrupt of "${session.name}" failed:`, e.message);
+      });
+    } else if (action === 'kill') {
+      Promise.resolve(this._stop(session.name, `${kind} limit`)).catch((e) => {
+        console.warn(`[runtime:monitor] Stopping "${session.name}" failed:`, e.message);
+      });
+    }
+  }
+}
+
+export default RuntimeMonitor;
+export { parseProcStat, readProcessTable, sumProcessTree, normalizeLimits };
@@ -0,0 +1,456 @@
+/**
+ * Runtime plugins — extra spawn descriptors discovered on disk
+ *
+ * Built-in languages live in LANGUAGE_REGISTRY (runtime-service.js). Any other
+ * MRP-speaking runtime (Deno, Lua, Ruby, Go, ...) can be added without forking
+ * the app by dropping a plugin file into one of:
+ *
+ *   <CONFIG_DIR>/runtimes/*.json|*.js|*.mjs   — user plugins
+ *   <projectRoot>/.mrmd/runtimes/*.json       — project plugins
+ *
+ * Project plugins come with whatever repository was cloned, and their args
+ * and env can make an installed program run code the project ships
+ * ("sh -c ...", NODE_OPTIONS, a script under ${projectRoot}). So they are
+ * not loaded at all until the user trusts the project (loadRuntimePlugins'
+ * `trusted`; the runtimes panel asks). Even then they are declarative JSON
+ * only, their executables are bare names on PATH or paths under ${home}
+ * (outside the project), and "preStart" is refused.
+ *
+ * Declarative (JSON) plugin:
+ *
+ *   {
+ *     "language": "deno",
+ *     "label": "Deno",
+ *     "aliases": ["ts", "typescript"],
+ *     "executable": { "names": ["deno"], "paths": ["${home}/.deno/bin/deno"] },
+ *     "args": ["run", "-A", "${pluginDir}/mrp-deno.ts", "--port", "${port}", "--cwd", "${cwd}"],
+ *     "env": { "DENO_DIR": "${home}/.cache/deno" },
+ *     "startupTimeout": 20000,
+ *     "preStart": { "args": ["cache", "${pluginDir}/mrp-deno.ts"], "timeout": 120000 },
+ *     "installHint": "Install Deno from https://deno.land"
+ *   }
+ *
+ * Template variables: ${port} ${cwd} ${name} ${venv} ${home} ${pluginDir}
+ * ${projectRoot} ${executable}.
+ *
+ * Script (JS) plugin: default-export a SpawnDescriptor (or an array of them,
+ * or a function returning either) with a `language` key added. It gets the
+ * same hooks as the built-ins: findExecutable/buildArgs/buildEnv/validate/
+ * preStart/spawnCwd or buildSpawnArgs.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { pathToFileURL } from 'url';
+
+import { findInPath, getVenvExecutable } from '../utils/platform.js';
+
+const LANGUAGE_KEY_RE = /^[a-z][a-z0-9_+-]{0,31}$/;
+
+const TEMPLATE_VARS = new Set([
+  'port', 'cwd', 'name', 'venv', 'home', 'pluginDir', 'projectRoot', 'executable',
+]);
+
+const HOOKS = [
+  'findExecutable', 'buildArgs', 'buildEnv', 'validate', 'preStart',
+  'spawnCwd', 'buildSpawnArgs', 'extraInfo',
+];
+
+const MAX_STARTUP_TIMEOUT = 10 * 60 * 1000;
+const DEFAULT_PRESTART_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Substitute ${var} placeholders in a plugin string.
+ * @param {string} value
+ * @param {Object<string, *>} vars
+ * @returns {string}
+ */
+function expandTemplate(value, vars) {
+  return String(value).replace(/\$\{(\w+)\}/g, (match, key) => {
+    const v = vars[key];
+    return v === undefined || v === null ? '' : String(v);
+  });
+}
+
+function templateVars(config = {}, pluginDir, extra = {}) {
+  return {
+    cwd: config.cwd || '',
+    name: config.name || '',
+    venv: config.venv || '',
+    projectRoot: config.projectRoot || '',
+    home: os.homedir(),
+    pluginDir,
+    ...extra,
+  };
+}
+
+function unknownTemplateVars(value) {
+  const unknown = [];
+  for (const [, key] of String(value).matchAll(/\$\{(\w+)\}/g)) {
+    if (!TEMPLATE_VARS.has(key)) unknown.push(key);
+  }
+  return unknown;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((v) => typeof v === 'string');
+}
+
+function checkCommon(spec, problems) {
+  if (typeof spec.language !== 'string' || !LANGUAGE_KEY_RE.test(spec.language)) {
+    problems.push('"language" must be a lowercase identifier (e.g. "deno")');
+  }
+  if (spec.aliases !== undefined && !isStringArray(spec.aliases)) {
+    problems.push('"aliases" must be an array of strings');
+  }
+  if (spec.label !== undefined && typeof spec.label !== 'string') {
+    problems.push('"label" must be a string');
+  }
+  if (spec.startupTimeout !== undefined) {
+    const t = spec.startupTimeout;
+    if (typeof t !== 'number' || !Number.isFinite(t) || t <= 0 || t > MAX_STARTUP_TIMEOUT) {
+      problems.push(`"startupTimeout" must be a number of ms between 1 and ${MAX_STARTUP_TIMEOUT}`);
+    }
+  }
+}
+
+/**
+ * Validate a declarative (JSON) plugin spec.
+ * @param {Object} spec
+ * @param {Object} [options]
+ * @param {boolean} [options.project] — apply the project plugin limits
+ * @returns {string[]} problems — empty when valid
+ */
+function validateDeclarativeSpec(spec, { project = false } = {}) {
+  const problems = [];
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return ['plugin must be a JSON object'];
+  }
+
+  checkCommon(spec, problems);
+
+  const exe = spec.executable;
+  if (typeof exe === 'string') {
+    if (!exe) problems.push('"executable" must not be empty');
+  } else if (exe && typeof exe === 'object') {
+    if (!isStringArray(exe.names) || exe.names.length === 0) {
+      problems.push('"executable.names" must be a non-empty array of strings');
+    }
+    if (exe.paths !== undefined && !isStringArray(exe.paths)) {
+      problems.push('"executable.paths" must be an array of strings');
+    }
+  } else {
+    problems.push('"executable" is required (a name on PATH or { names, paths })');
+  }
+
+  if (!isStringArray(spec.args)) {
+    problems.push('"args" must be an array of strings');
+  } else if (!spec.args.some((a) => a.includes('${port}'))) {
+    problems.push('"args" must pass the MRP port (use "${port}")');
+  }
+
+  if (spec.env !== undefined) {
+    const ok = spec.env && typeof spec.env === 'object' && !Array.isArray(spec.env)
+      && Object.values(spec.env).every((v) => typeof v === 'string');
+    if (!ok) problems.push('"env" must be an object of string values');
+  }
+  if (spec.spawnCwd !== undefined && typeof spec.spawnCwd !== 'string') {
+    problems.push('"spawnCwd" must be a string');
+  }
+  if (spec.preStart !== undefined) {
+    const ps = spec.preStart;
+    if (!ps || typeof ps !== 'object' || !isStringArray(ps.args)) {
+      problems.push('"preStart" must be { args: string[], command?, timeout? }');
+    } else {
+      if (ps.command !== undefined && typeof ps.command !== 'string') {
+        problems.push('"preStart.command" must be a string');
+      }
+      if (ps.timeout !== undefined && (typeof ps.timeout !== 'number' || ps.timeout <= 0)) {
+        problems.push('"preStart.timeout" must be a positive number of ms');
+      }
+    }
+  }
+  if (spec.installHint !== undefined && typeof spec.installHint !== 'string') {
+    problems.push('"installHint" must be a string');
+  }
+
+  if (project) {
+    const names = typeof exe === 'string' ? [exe] : (exe && isStringArray(exe.names) ? exe.names : []);
+    if (names.some((n) => n.includes('/') || n.includes('\\'))) {
+      problems.push('project plugins must name executables on PATH, not paths (use "executable.paths" under ${home})');
+    }
+    const paths = exe && isStringArray(exe.paths) ? exe.paths : [];
+    if (paths.some((p) => !p.startsWith('${home}/') || p.slice('${home}/'.length).includes('${') || p.split(/[\\/]/).includes('..'))) {
+      problems.push('project plugins may only list "executable.paths" under ${home}');
+    }
+    if (spec.preStart !== undefined) {
+      problems.push('project plugins cannot declare "preStart"; put it in a user plugin');
+    }
+  }
+
+  const templated = [
+    ...(isStringArray(spec.args) ? spec.args : []),
+    ...(spec.env && typeof spec.env === 'object' ? Object.values(spec.env) : []),
+    ...(exe && isStringArray(exe.paths) ? exe.paths : []),
+    ...(spec.preStart && isStringArray(spec.preStart.args) ? spec.preStart.args : []),
+    ...(typeof spec.spawnCwd === 'string' ? [spec.spawnCwd] : []),
+  ];
+  const unknown = new Set(templated.flatMap(unknownTemplateVars));
+  if (unknown.size > 0) {
+    problems.push(`unknown template variable(s): ${[...unknown].map((k) => '${' + k + '}').join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a script (JS) plugin descriptor.
+ * @param {Object} desc
+ * @returns {string[]} problems — empty when valid
+ */
+function validateScriptDescriptor(desc) {
+  const problems = [];
+  if (!desc || typeof desc !== 'object') {
+    return ['default export must be a descriptor object, an array, or a function returning one'];
+  }
+
+  checkCommon(desc, problems);
+
+  for (const hook of HOOKS) {
+    if (desc[hook] !== undefined && typeof desc[hook] !== 'function') {
+      problems.push(`"${hook}" must be a function`);
+    }
+  }
+  const direct = typeof desc.findExecutable === 'function' && typeof desc.buildArgs === 'function';
+  if (!direct && typeof desc.buildSpawnArgs !== 'function') {
+    problems.push('descriptor needs findExecutable + buildArgs, or buildSpawnArgs');
+  }
+
+  return problems;
+}
+
+/**
+ * Turn a validated JSON spec into a SpawnDescriptor.
+ * @param {Object} spec
+ * @param {string} file — plugin file path (for ${pluginDir} and error messages)
+ * @param {Object} [options]
+ * @param {string} [options.projectRoot] — for project plugins: executables
+ *   inside the project are never used
+ * @returns {Object}
+ */
+function createDeclarativeDescriptor(spec, file, { projectRoot = null } = {}) {
+  const pluginDir = path.dirname(file);
+  const label = spec.label || spec.language;
+  const exeSpec = typeof spec.executable === 'string'
+    ? { names: [spec.executable], paths: [] }
+    : { names: spec.executable.names, paths: spec.executable.paths || [] };
+
+  return {
+    language: spec.language,
+    label,
+    aliases: [spec.language, ...(spec.aliases || [])],
+    startupTimeout: spec.startupTimeout || 10000,
+    source: file,
+    builtin: false,
+
+    findExecutable(config) {
+      const vars = templateVars(config, pluginDir);
+      const paths = exeSpec.paths
+        .map((p) => expandTemplate(p, vars))
+        .filter((p) => !projectRoot || !isInside(projectRoot, p));
+      for (const name of exeSpec.names) {
+        // Names with a separator are paths relative to the plugin directory,
+        // used as given: a missing one is not looked up on PATH instead
+        if (name.includes('/') || name.includes('\\')) {
+          const candidate = path.resolve(pluginDir, expandTemplate(name, vars));
+          if (fs.existsSync(candidate)) return candidate;
+          continue;
+        }
+        const found = findInPath(name, paths);
+        if (found) return found;
+      }
+      return null;
+    },
+
+    validate() {
+      if (this.findExecutable({})) return { available: true };
+      return {
+        available: false,
+        error: spec.installHint || `${label} runtime not found (looked for: ${exeSpec.names.join(', ')}).`,
+      };
+    },
+
+    buildArgs(exe, port, config) {
+      const vars = templateVars(config, pluginDir, { port, executable: exe });
+      return spec.args.map((a) => expandTemplate(a, vars));
+    },
+
+    buildEnv(config) {
+      const vars = templateVars(config, pluginDir);
+      const env = { ...process.env };
+      for (const [key, value] of Object.entries(spec.env || {})) {
+        env[key] = expandTemplate(value, vars);
+      }
+      if (config?.venv) env.VIRTUAL_ENV = config.venv;
+      return env;
+    },
+
+    spawnCwd(config) {
+      if (!spec.spawnCwd) return config?.cwd;
+      return path.resolve(pluginDir, expandTemplate(spec.spawnCwd, templateVars(config, pluginDir)));
+    },
+
+    async preStart(config) {
+      if (!spec.preStart) return;
+      const exe = this.findExecutable(config);
+      const command = spec.preStart.command
+        ? (findInPath(spec.preStart.command) || spec.preStart.command)
+        : exe;
+      if (!command) return;
+
+      const vars = templateVars(config, pluginDir, { executable: exe });
+      const args = spec.preStart.args.map((a) => expandTemplate(a, vars));
+      await new Promise((resolve, reject) => {
+        execFile(command, args, {
+          cwd: this.spawnCwd(config),
+          env: this.buildEnv(config),
+          timeout: spec.preStart.timeout || DEFAULT_PRESTART_TIMEOUT,
+          maxBuffer: 10 * 1024 * 1024,
+          windowsHide: true,
+        }, (err, stdout, stderr) => {
+          if (!err) return resolve();
+          const details = String(stderr || stdout || err.message || '').trim();
+          reject(new Error(`Failed to prepare ${label} runtime: ${details.slice(0, 600)}`));
+        });
+      });
+    },
+  };
+}
+
+function isInside(dir, file) {
+  const real = (p) => {
+    try {
+      return fs.realpathSync(p);
+    } catch {
+      return path.resolve(p);
+    }
+  };
+  const relative = path.relative(real(dir), real(file));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+async function importScriptPlugin(file) {
+  const stat = await fs.promises.stat(file);
+  // Cache-bust so a reload picks up edits to the plugin file
+  const mod = await import(`${pathToFileURL(file).href}?mtime=${stat.mtimeMs}`);
+  let exported = mod.default ?? mod.descriptor;
+  if (typeof exported === 'function') {
+    exported = await exported({ findInPath, getVenvExecutable });
+  }
+  return Array.isArray(exported) ? exported : [exported];
+}
+
+/**
+ * Load every plugin file in a directory.
+ *
+ * Invalid files are skipped and reported in `errors` — one bad plugin must
+ * not take the other runtimes down with it.
+ *
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {boolean} [options.allowScripts=true] — load *.js / *.mjs plugins
+ * @param {Map<string, string>} [options.reserved] — alias -> owning language,
+ *   for languages registered before this directory (built-ins, user plugins)
+ * @param {string} [options.projectRoot] — set when loading a project's
+ *   plugins: applies the project plugin limits (see the header)
+ * @param {boolean} [options.trusted=true] — false for a project the user
+ *   hasn't trusted: nothing is read, the plugin files are only listed
+ * @returns {Promise<{ descriptors: Map<string, Object>, errors: { file: string, error: string }[], untrusted: string[] }>}
+ *   untrusted: plugin files skipped because the project isn't trusted
+ */
+async function loadRuntimePlugins(dir, { allowScripts = true, reserved = new Map(), projectRoot = null, trusted = true } = {}) {
+  const descriptors = new Map();
+  const errors = [];
+  const untrusted = [];
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code !== 'ENOENT') errors.push({ file: dir, error: `Cannot read plugin directory: ${e.message}` });
+    return { descriptors, errors, untrusted };
+  }
+
+  const claimed = new Map(reserved);
+  const files = entries
+    .filter((e) => e.isFile() && /\.(json|js|mjs)$/.test(e.name))
+    .map((e) => path.join(dir, e.name))
+    .sort();
+
+  if (projectRoot && !trusted) {
+    untrusted.push(...files);
+    return { descriptors, errors, untrusted };
+  }
+
+  for (const file of files) {
+    const isScript = !file.endsWith('.json');
+    if (isScript && !allowScripts) {
+      errors.push({ file, error: 'Script plugins are only loaded from the user config directory; use a .json plugin here.' });
+      continue;
+    }
+
+    let candidates;
+    try {
+      if (isScript) {
+        candidates = await importScriptPlugin(file);
+      } else {
+        candidates = [JSON.parse(await fs.promises.readFile(file, 'utf8'))];
+      }
+    } catch (e) {
+      errors.push({ file, error: `Failed to load plugin: ${e.message}` });
+      continue;
+    }
+
+    for (const candidate of candidates) {
+      const problems = isScript
+        ? validateScriptDescriptor(candidate)
+        : validateDeclarativeSpec(candidate, { project: Boolean(projectRoot) });
+      if (problems.length > 0) {
+        errors.push({ file, error: `Invalid runtime plugin: ${problems.join('; ')}` });
+        continue;
+      }
+
+      const descriptor = isScript
+        ? {
+          ...candidate,
+          label: candidate.label || candidate.language,
+          aliases: [...new Set([candidate.language, ...(candidate.aliases || [])])],
+          source: file,
+          builtin: false,
+        }
+        : createDeclarativeDescriptor(candidate, file, { projectRoot });
+
+      const conflicts = descriptor.aliases.filter((a) => claimed.has(a.toLowerCase()));
+      if (conflicts.length > 0) {
+        const owners = conflicts.map((a) => `"${a}" (${claimed.get(a.toLowerCase())})`).join(', ');
+        errors.push({ file, error: `Runtime plugin "${descriptor.language}" conflicts with already registered name(s): ${owners}` });
+        continue;
+      }
+
+      for (const alias of descriptor.aliases) claimed.set(alias.toLowerCase(), descriptor.language);
+      descriptors.set(descriptor.language, descriptor);
+    }
+  }
+
+  return { descriptors, errors, untrusted };
+}
+
+export {
+  loadRuntimePlugins,
+  validateDeclarativeSpec,
+  validateScriptDescriptor,
+  createDeclarativeDescriptor,
+  expandTemplate,
+};
@@ -2,7 +2,17 @@
  * RuntimePreferencesService
  *
  * App-owned runtime preferences (scope/profile/cwd) stored outside markdown docs.
- * Phase 1: local compute target only.
+ *
+ * Compute targets (compute.knownTargets) are "local" or "ssh"; an ssh
+ * target runs the runtime on another machine (see runtime-ssh.js).
+ *
+ * Python profiles come in several kinds (venv, conda, pixi, uv-project,
+ * system-interpreter); see python-env-profiles.js for how each resolves.
+ * Any language can use a "container" profile (see runtime-containers.js).
+ *
+ * Projects and notebooks can declare packages per language
+ * (dependenciesByLanguage); a notebook's list extends its project's and is
+ * installed before the runtime starts (see runtime-dependencies.js).
  */
 
 import fs from 'fs';
@@ -10,6 +20,10 @@ import path from 'path';
 import os from 'os';
 import crypto from 'crypto';
 import { CONFIG_DIR } from '../config.js';
+import { profileFromId, resolvePythonEnv } from './python-env-profiles.js';
+import { normalizeContainerSpec } from './runtime-containers.js';
+import { normalizeSshTarget } from './runtime-ssh.js';
+import { DEPENDENCY_LANGUAGES, normalizeDependencies, mergeDependencies } from './runtime-dependencies.js';
 
 const PREFS_FILE = path.join(CONFIG_DIR, 'runtime-preferences.json');
 
@@ -65,6 +79,11 @@ const DEFAULT_PREFS = {
       bash: { mode: 'policy', targetId: null },
       pty: { mode: 'policy', targetId: null },
     },
+    // Partial crash restart policies; unset fields fall back to RUNTIME_RESTART_POLICY
+    restartPolicyByLanguage: {},
+    // Idle reaper thresholds in minutes per scope (notebook / project / shared);
+    // unset scopes fall back to RUNTIME_IDLE_REAPER, 0 never reaps
+    idleMinutesByScope: {},
   },
   projects: {},
   profiles: {
@@ -114,8 +133,9 @@ function deepClone(obj) {
 }
 
 class RuntimePreferencesService {
-  constructor({ projectService } = {}) {
+  constructor({ projectService, runtimeService } = {}) {
     this.projectService = projectService || null;
+    this.runtimeService = runtimeService || null;
     this._prefs = null;
   }
 
@@ -171,6 +191,14 @@ class RuntimePreferencesService {
         ...DEFAULT_PREFS.defaults.computeByLanguage,
         ...(merged.defaults?.computeByLanguage || {}),
       },
+      restartPolicyByLanguage: {
+        ...DEFAULT_PREFS.defaults.restartPolicyByLanguage,
+        ...(merged.defaults?.restartPolicyByLanguage || {}),
+      },
+      idleMinutesByScope: {
+        ...DEFAULT_PREFS.defaults.idleMinutesByScope,
+        ...(merged.defaults?.idleMinutesByScope || {}),
+      },
     };
 
     merged.projects = merged.projects || {};
@@ -262,6 +290,7 @@ class RuntimePreferencesService {
           cwdModeByLanguage: {},
           cwdByLanguage: {},
           computeByLanguage: {},
+          dependenciesByLanguage: {},
         },
         notebooks: {},
       };
@@ -279,11 +308,26 @@ class RuntimePreferencesService {
         cwdByLanguage: {},
         computeByLanguage: {},
         attachmentByLanguage: {},
+        dependenciesByLanguage: {},
       };
     }
     return projectNode.notebooks[docRelPath];
   }
 
+  /**
+   * Replace a node's declared packages for a language (empty/null clears).
+   * Throws on a spec that isn't valid for the language.
+   */
+  _setDependencies(node, lang, list) {
+    if (!DEPENDENCY_LANGUAGES.includes(lang)) {
+      throw new Error(`Dependency declarations are not supported for ${lang}`);
+    }
+    const deps = normalizeDependencies(lang, list || []);
+    node.dependenciesByLanguage = node.dependenciesByLanguage || {};
+    if (deps.length) node.dependenciesByLanguage[lang] = deps;
+    else delete node.dependenciesByLanguage[lang];
+  }
+
   _pick(preferred, fallback) {
     return preferred !== undefined && preferred !== null && preferred !== '' ? preferred : fallback;
   }
@@ -302,12 +346,16 @@ class RuntimePreferencesService {
 
     let profile = byLang[resolvedId] || null;
 
-    if (!profile && lang === 'python' && resolvedId.startsWith('python:venv:')) {
-      profile = {
-        kind: 'venv',
-        venvPath: resolvedId.slice('python:venv:'.length),
-        label: path.basename(resolvedId.slice('python:venv:'.length)) || '.venv',
-      };
+    // Generated ids (python:venv:<path>, python:conda:<name|prefix>, python:pixi:<manifest>,
+    // python:uv-project:<dir>, python:interpreter:<path>) register their profile on first use
+    if (!profile && resolvedId.startsWith(`${lang}:container:`)) {
+      const image = resolvedId.slice(`${lang}:container:`.length);
+      profile = { kind: 'container', image, label: `${image} (container)` };
+      prefs.profiles[lang] = prefs.profiles[lang] || {};
+      prefs.profiles[lang][resolvedId] = profile;
+      this._save();
+    } else if (!profile && lang === 'python' && profileFromId(resolvedId)) {
+      profile = profileFromId(resolvedId);
       prefs.profiles.python = prefs.profiles.python || {};
       prefs.profiles.python[resolvedId] = profile;
       this._save();
@@ -322,8 +370,9 @@ class RuntimePreferencesService {
     return projectRoot;
   }
 
-  _sessionName({ scope, language, profileId, projectId, docRelPath }) {
-    const profileHash = sha(profileId || 'default', 8);
+  _sessionName({ scope, language, profileId, projectId, docRelPath, remoteTargetId = null }) {
+    // Remote runtimes get their own name so they never collide with local ones
+    const profileHash = sha(remoteTargetId ? `${profileId || 'default'}@${remoteTargetId}` : (profileId || 'default'), 8);
     const docHash = sha(docRelPath || 'doc', 10);
 
     if (scope === 'global') return `rt:global:${language}:${profileHash}`;
@@ -377,6 +426,9 @@ class RuntimePreferencesService {
     const pjCwd = projectNode.overrides?.cwdByLanguage?.[lang];
     const customCwd = this._pick(nbCwd, pjCwd);
 
+    const projectDependencies = projectNode.overrides?.dependenciesByLanguage?.[lang] || [];
+    const notebookDependencies = notebookNode.dependenciesByLanguage?.[lang] || [];
+
     const nbCompute = notebookNode.computeByLanguage?.[lang];
     const pjCompute = projectNode.overrides?.computeByLanguage?.[lang];
     const defCompute = prefs.defaults.computeByLanguage?.[lang] || { mode: 'policy' };
@@ -401,6 +453,14 @@ class RuntimePreferencesService {
       }
     }
 
+    let target = prefs.compute?.knownTargets?.[targetId] || null;
+    if (!target) {
+      console.warn(`[runtime-prefs] Unknown compute target "${targetId}", using this computer`);
+      targetId = localTarget;
+      target = prefs.compute?.knownTargets?.[localTarget] || { type: 'local' };
+    }
+    const isRemote = target.type === 'ssh';
+
     const cwd = this._computeCwd({
       cwdMode,
       customCwd,
@@ -414,11 +474,14 @@ class RuntimePreferencesService {
       profileId,
       projectId: context.projectId,
       docRelPath: context.docRelPath,
+      remoteTargetId: isRemote ? targetId : null,
     });
 
     const out = {
       language: lang,
       targetId,
+      target: { id: targetId, ...target },
+      computeMode: computePref.mode === 'target' && computePref.targetId ? 'target' : 'policy',
       scope,
       profileId,
       profile: profile || null,
@@ -430,14 +493,18 @@ class RuntimePreferencesService {
       documentPath: context.documentPath,
       sessionName,
       deviceKind,
+      dependencies: DEPENDENCY_LANGUAGES.includes(lang)
+        ? mergeDependencies(lang, projectDependencies, notebookDependencies)
+        : [],
+      projectDependencies,
+      notebookDependencies,
     };
 
-    if (lang === 'python') {
-      if (profile?.kind === 'venv' && profile?.venvPath) {
-        out.venv = normalizePath(profile.venvPath);
-      } else {
-        out.venv = normalizePath(path.join(context.projectRoot, '.venv'));
-      }
+    if (lang === 'python' && profile?.kind !== 'container' && !isRemote) {
+      // venv / conda / pixi / uv-project / system-interpreter; anything else
+      // (e.g. the default "system" profile) runs from <projectRoot>/.venv
+      out.pythonEnv = resolvePythonEnv(profile, { projectRoot: context.projectRoot });
+      out.venv = out.pythonEnv.prefix;
     }
 
     return out;
@@ -448,9 +515,25 @@ class RuntimePreferencesService {
       name: effective.sessionName,
       language: effective.language,
       cwd: effective.cwd,
+      projectRoot: effective.projectRoot,
+      limits: effective.profile?.limits || {},
     };
     if (effective.language === 'python') {
       cfg.venv = effective.venv;
+      cfg.pythonEnv = effective.pythonEnv || null;
+    }
+    if (effective.profile?.kind === 'container') {
+      cfg.container = effective.profile;
+    } else if (effective.dependencies?.length) {
+      cfg.dependencies = effective.dependencies;
+    }
+    if (effective.target?.type === 'ssh') {
+      // The remote side brings its own environment (see runtime-ssh.js)
+      cfg.target = effective.target;
+      delete cfg.venv;
+      delete cfg.pythonEnv;
+      delete cfg.container;
+      delete cfg.dependencies;
     }
     return cfg;
   }
@@ -463,6 +546,11 @@ class RuntimePreferencesService {
     const projectNode = this._ensureProjectNode(context.projectId, context.projectRoot);
     const notebookNode = this._ensureNotebookNode(projectNode, context.docRelPath);
 
+    // First, so an invalid spec rejects the patch before anything changes
+    if (patch.dependencies !== undefined) {
+      this._setDependencies(notebookNode, lang, patch.dependencies);
+    }
+
     if (patch.scope) notebookNode.scopeByLanguage[lang] = patch.scope;
     if (patch.cwdMode) notebookNode.cwdModeByLanguage[lang] = patch.cwdMode;
     if (patch.cwd !== undefined) notebookNode.cwdByLanguage[lang] = patch.cwd;
@@ -503,6 +591,10 @@ class RuntimePreferencesService {
     const prefs = this._ensureLoaded();
     const projectNode = this._ensureProjectNode(projectId, root);
 
+    if (patch.dependencies !== undefined) {
+      this._setDependencies(projectNode.overrides, lang, patch.dependencies);
+    }
+
     if (patch.scope) projectNode.overrides.scopeByLanguage[lang] = patch.scope;
     if (patch.profileId) projectNode.overrides.profileByLanguage[lang] = patch.profileId;
     if (patch.cwdMode) projectNode.overrides.cwdModeByLanguage[lang] = patch.cwdMode;
@@ -538,6 +630,16 @@ class RuntimePreferencesService {
     if (patch.scope) prefs.defaults.scopeByLanguage[lang] = patch.scope;
     if (patch.profileId) prefs.defaults.profileByLanguage[lang] = patch.profileId;
     if (patch.cwdMode) prefs.defaults.cwdModeByLanguage[lang] = patch.cwdMode;
+    if (patch.restartPolicy !== undefined) {
+      if (patch.restartPolicy) {
+        prefs.defaults.restartPolicyByLanguage[lang] = {
+          ...(prefs.defaults.restartPolicyByLanguage[lang] || {}),
+          ...patch.restartPolicy,
+        };
+      } else {
+        delete prefs.defaults.restartPolicyByLanguage[lang];
+      }
+    }
 
     if (patch.venv && lang === 'python') {
       const venvPath = normalizePath(patch.venv);
@@ -556,9 +658,53 @@ class RuntimePreferencesService {
       scope: prefs.defaults.scopeByLanguage[lang],
       profileId: prefs.defaults.profileByLanguage[lang],
       cwdMode: prefs.defaults.cwdModeByLanguage[lang],
+      restartPolicy: prefs.defaults.restartPolicyByLanguage[lang] || null,
     };
   }
 
+  /**
+   * User override of the crash restart policy for a language (partial, may be null).
+   * @param {string} language
+   * @returns {Object|null}
+   */
+  getRestartPolicy(language) {
+    const lang = normalizeLanguage(language);
+    const prefs = this._ensureLoaded();
+    return prefs.defaults.restartPolicyByLanguage?.[lang] || null;
+  }
+
+  /**
+   * User idle reaper thresholds (partial; minutes per scope).
+   * @returns {{notebook?: number, project?: number, shared?: number}}
+   */
+  getIdlePolicy() {
+    const prefs = this._ensureLoaded();
+    return deepClone(prefs.defaults.idleMinutesByScope || {});
+  }
+
+  /**
+   * Update idle reaper thresholds. A null value restores the default for that scope.
+   * @param {{notebook?: number|null, project?: number|null, shared?: number|null}} patch
+   * @returns {Object} stored thresholds
+   */
+  setIdlePolicy(patch = {}) {
+    const prefs = this._ensureLoaded();
+    const byScope = prefs.defaults.idleMinutesByScope;
+    for (const scope of ['notebook', 'project', 'shared']) {
+      if (!(scope in patch)) continue;
+      const value = patch[scope];
+      if (value === null || value === undefined) {
+        delete byScope[scope];
+      } else if (Number.isFinite(Number(value)) && Number(value) >= 0) {
+        byScope[scope] = Number(value);
+      } else {
+        throw new Error(`Invalid idle threshold for ${scope}: ${value}`);
+      }
+    }
+    this._save();
+    return deepClone(byScope);
+  }
+
   async clearNotebookOverride({ documentPath, language, projectRoot = null }) {
     const lang = normalizeLanguage(language);
     const context = await this.getContext(documentPath, projectRoot);
@@ -589,13 +735,109 @@ class RuntimePreferencesService {
     const lang = normalizeLanguage(language);
     const prefs = this._ensureLoaded();
     prefs.profiles[lang] = prefs.profiles[lang] || {};
-    prefs.profiles[lang][id] = { ...(prefs.profiles[lang][id] || {}), ...(profile || {}) };
+    const next = { ...(prefs.profiles[lang][id] || {}), ...(profile || {}) };
+    if (next.kind === 'container') normalizeContainerSpec(next); // throws on a bad image/engine
+    prefs.profiles[lang][id] = next;
     this._save();
     return { id, ...prefs.profiles[lang][id] };
   }
 
-  supportedLanguages() {
-    return [...LANGUAGES];
+  listComputeTargets() {
+    const prefs = this._ensureLoaded();
+    const primary = prefs.compute?.primaryComputeTargetId;
+    return Object.entries(prefs.compute?.knownTargets || {}).map(([id, target]) => ({
+      id,
+      ...target,
+      primary: id === primary,
+    }));
+  }
+
+  /**
+   * Add or update a compute target. SSH targets are validated and get an id
+   * of `ssh:<user@host>` when none is given.
+   * @returns {Object} saved target with its id
+   */
+  upsertComputeTarget(id, target = {}) {
+    const prefs = this._ensureLoaded();
+    const known = prefs.compute.knownTargets;
+    const next = { ...(id ? known[id] || {} : {}), ...target };
+    if (next.type !== 'ssh') throw new Error(`Unsupported compute target type: ${next.type}`);
+
+    const normalized = normalizeSshTarget(next); // throws on a bad host/user/port
+    const targetId = id || `ssh:${normalized.user ? `${normalized.user}@` : ''}${normalized.host}`;
+    if (known[targetId]?.type === 'local') throw new Error(`Cannot replace the local target ${targetId}`);
+
+    known[targetId] = { ...next, label: next.label || normalized.label };
+    this._save();
+    return { id: targetId, ...known[targetId] };
+  }
+
+  /**
+   * Remove a compute target; languages pinned to it fall back to policy and
+   * a primary target falls back to this computer.
+   * @returns {boolean} whether it existed
+   */
+  removeComputeTarget(id) {
+    const prefs = this._ensureLoaded();
+    const known = prefs.compute.knownTargets;
+    if (!known[id]) return false;
+    if (known[id].type === 'local') throw new Error('The local compute target cannot be removed');
+
+    delete known[id];
+    if (prefs.compute.primaryComputeTargetId === id) {
+      prefs.compute.primaryComputeTargetId = prefs.identity?.currentMachineId || `local:${os.hostname()}`;
+    }
+
+    const unpin = (byLanguage) => {
+      for (const [lang, pref] of Object.entries(byLanguage || {})) {
+        if (pref?.targetId === id) byLanguage[lang] = { mode: 'policy', targetId: null };
+      }
+    };
+    unpin(prefs.defaults.computeByLanguage);
+    for (const projectNode of Object.values(prefs.projects || {})) {
+      unpin(projectNode.overrides?.computeByLanguage);
+      for (const notebookNode of Object.values(projectNode.notebooks || {})) {
+        unpin(notebookNode.computeByLanguage);
+      }
+    }
+
+    this._save();
+    return true;
+  }
+
+  /**
+   * Set resource limits on a profile; null clears them. Limits apply to
+   * runtimes started with the profile (see RuntimeMonitor):
+   *   { maxMemoryMb, maxCpuSeconds, idleTimeoutMinutes }
+   * @returns {Object} updated profile
+   */
+  setProfileLimits(language, profileId, limits) {
+    const lang = normalizeLanguage(language);
+    const prefs = this._ensureLoaded();
+    const profile = prefs.profiles?.[lang]?.[profileId];
+    if (!profile) throw new Error(`Unknown ${lang} profile: ${profileId}`);
+
+    if (limits) {
+      profile.limits = { ...(profile.limits || {}), ...limits };
+      for (const [key, value] of Object.entries(profile.limits)) {
+        if (value === null || value === undefined || value === '') delete profile.limits[key];
+      }
+    } else {
+      delete profile.limits;
+    }
+    this._save();
+    return { id: profileId, ...profile };
+  }
+
+  /**
+   * Languages that can carry preferences: the built-ins plus any runtime
+   * plugins the RuntimeService has loaded (for projectRoot, if given).
+   * @param {string} [projectRoot]
+   * @returns {string[]}
+   */
+  supportedLanguages(projectRoot = null) {
+    const fromRuntimes = this.runtimeService?.supportedLanguages?.(projectRoot) || [];
+    return [...new Set([...LANGUAGES, ...fromRuntimes])];
   }
 }
 
@@ -0,0 +1,246 @@
+/**
+ * RuntimeReaper — stops runtime sessions that have been idle too long
+ *
+ * Notebook-scoped sessions are created per document and otherwise keep
+ * running long after their window is gone. The reaper tracks, per session:
+ *   - the last time an execution started or finished
+ *   - executions currently in flight (keyed by their source, e.g.
+ *     "renderer:<webContentsId>:<execId>", "agent:<n>", "tunnel:<id>")
+ *
+ * Every checkIntervalMs it stops sessions whose idle time exceeds the
+ * threshold for their scope (notebook / project / shared), or the
+ * idleTimeoutMinutes limit of their runtime profile when it has one. A session is
+ * never reaped while an execution is in flight, while it is pinned
+ * keep-alive, or while it is visibly busy (isBusy, from the resource monitor).
+ */
+
+import { RUNTIME_IDLE_REAPER } from '../config.js';
+
+const SCOPES = ['notebook', 'project', 'shared'];
+
+/**
+ * Reaper scope for a session name (see RuntimePreferencesService._sessionName).
+ * @param {string} sessionName
+ * @returns {'notebook'|'project'|'shared'}
+ */
+function scopeOfSession(sessionName) {
+  const match = /^rt:(notebook|project|global):/.exec(String(sessionName || ''));
+  if (!match) return 'shared';
+  return match[1] === 'global' ? 'shared' : match[1];
+}
+
+/**
+ * Fill in a (possibly partial) per-scope threshold map, in minutes.
+ * @param {Object} [policy]
+ * @returns {{notebook: number, project: number, shared: number}}
+ */
+function normalizeIdlePolicy(policy = {}) {
+  const out = {};
+  for (const scope of SCOPES) {
+    const value = Number(policy?.[scope]);
+    out[scope] = Number.isFinite(value) && value >= 0
+      ? value
+      : RUNTIME_IDLE_REAPER.idleMinutesByScope[scope];
+  }
+  return out;
+}
+
+/**
+ * Idle minutes before a session is stopped: its profile's idleTimeoutMinutes
+ * limit if set, else its scope's threshold (0 = never).
+ * @param {Object} session — session info
+ * @param {{notebook: number, project: number, shared: number}} policy
+ * @returns {number}
+ */
+function thresholdFor(session, policy) {
+  const limit = Number(session.limits?.idleTimeoutMinutes);
+  if (Number.isFinite(limit) && limit > 0) return limit;
+  return policy[scopeOfSession(session.name)];
+}
+
+class RuntimeReaper {
+  /**
+   * @param {Object} opts
+   * @param {function} opts.getSessions — () => session info objects ({ name, language, startedAt, keepAlive, limits })
+   * @param {function} opts.stop — async (sessionName) => void
+   * @param {function} opts.emit — (type, payload) => void; 'reaped'
+   * @param {function} [opts.resolvePolicy] — () => partial { notebook, project, shared } minutes
+   * @param {function} [opts.isBusy] — (sessionName) => boolean
+   * @param {number} [opts.checkIntervalMs]
+   */
+  constructor({ getSessions, stop, emit, resolvePolicy = null, isBusy = null, checkIntervalMs = RUNTIME_IDLE_REAPER.checkIntervalMs }) {
+    this._getSessions = getSessions;
+    this._stop = stop;
+    this._emit = emit;
+    this._resolvePolicy = resolvePolicy;
+    this._isBusy = isBusy;
+    this._checkIntervalMs = checkIntervalMs;
+
+    /** @type {Map<string, number>} session name -> last execute activity (ms) */
+    this._lastActivity = new Map();
+
+    /** @type {Map<string, string>} in-flight execution key -> session name */
+    this._inFlight = new Map();
+
+    this._timer = null;
+  }
+
+  setPolicyResolver(fn) {
+    this._resolvePolicy = fn;
+  }
+
+  policy() {
+    let policy = {};
+    try {
+      policy = this._resolvePolicy?.() || {};
+    } catch (e) {
+      console.warn('[runtime:reaper] Failed to resolve idle policy:', e.message);
+    }
+    return normalizeIdlePolicy(policy);
+  }
+
+  ensureRunning() {
+    if (this._timer) return;
+    this._timer = setInterval(() => this.sweep(), this._checkIntervalMs);
+    this._timer.unref?.();
+  }
+
+  dispose() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * An execution started on a session.
+   * @param {string} sessionName
+   * @param {string} key — unique per execution, prefixed by its source
+   */
+  begin(sessionName, key) {
+    this._inFlight.set(key, sessionName);
+    this.touch(sessionName);
+  }
+
+  /**
+   * An execution finished (or was abandoned).
+   * @param {string} key
+   */
+  end(key) {
+    const sessionName = this._inFlight.get(key);
+    if (!sessionName) return;
+    this._inFlight.delete(key);
+    this.touch(sessionName);
+  }
+
+  /**
+   * Drop every in-flight execution whose key starts with prefix (e.g. a
+   * renderer that went away mid-execution).
+   * @param {string} prefix
+   */
+  endAll(prefix) {
+    for (const [key, sessionName] of [...this._inFlight]) {
+      if (key.startsWith(prefix)) {
+        this._inFlight.delete(key);
+        this.touch(sessionName);
+      }
+    }
+  }
+
+  touch(sessionName, at = Date.now()) {
+    this._lastActivity.set(sessionName, at);
+  }
+
+  forget(sessionName) {
+    this._lastActivity.delete(sessionName);
+    for (const [key, name] of [...this._inFlight]) {
+      if (name === sessionName) this._inFlight.delete(key);
+    }
+  }
+
+  inFlightCount(sessionName) {
+    let count = 0;
+    for (const name of this._inFlight.values()) {
+      if (name === sessionName) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Idle status for the runtimes panel.
+   * @param {Object} session — session info
+   * @param {number} [now]
+   * @returns {{scope: string, lastActivityAt: string, idleMinutes: number, inFlight: number, keepAlive: boolean, reapAfterMinutes: number}}
+   */
+  status(session, now = Date.now()) {
+    const scope = scopeOfSession(session.name);
+    const last = this._lastActivityOf(session, now);
+    return {
+      scope,
+      lastActivityAt: new Date(last).toISOString(),
+      idleMinutes: Math.floor((now - last) / 60000),
+      inFlight: this.inFlightCount(session.name),
+      keepAlive: !!session.keepAlive,
+      reapAfterMinutes: thresholdFor(session, this.policy()),
+    };
+  }
+
+  /**
+   * Stop every session past its scope's idle threshold.
+   * @param {number} [now]
+   * @returns {string[]} names of reaped sessions
+   */
+  sweep(now = Date.now()) {
+    const sessions = this._getSessions();
+    if (sessions.length === 0) {
+      this.dispose();
+      return [];
+    }
+
+    const policy = this.policy();
+    const reaped = [];
+    for (const session of sessions) {
+      const scope = scopeOfSession(session.name);
+      const thresholdMinutes = thresholdFor(session, policy);
+      if (!thresholdMinutes || session.keepAlive) continue;
+      if (this.inFlightCount(session.name) > 0) continue;
+      if (this._isBusy?.(session.name)) {
+        this.touch(session.name, now);
+        continue;
+      }
+
+      const idleMs = now - this._lastActivityOf(session, now);
+      if (idleMs < thresholdMinutes * 60 * 1000) continue;
+
+      const idleMinutes = Math.floor(idleMs / 60000);
+      console.log(`[runtime:reaper] Stopping idle ${scope} session "${session.name}" (idle ${idleMinutes}min > ${thresholdMinutes}min)`);
+      reaped.push(session.name);
+      this.forget(session.name);
+      Promise.resolve(this._stop(session.name)).catch((e) => {
+        console.warn(`[runtime:reaper] Failed to stop "${session.name}":`, e.message);
+      });
+      this._emit('reaped', {
+        sessionName: session.name,
+        language: session.language,
+        scope,
+        idleMinutes,
+        thresholdMinutes,
+      });
+    }
+    return reaped;
+  }
+
+  // ── Internal ────────────────────────────────────────────────────────────
+
+  _lastActivityOf(session, now) {
+    if (!this._lastActivity.has(session.name)) {
+      // Never executed since we started tracking: count from session start
+      // (recovered sessions from a previous app run count from now)
+      const startedAt = Date.parse(session.startedAt);
+      const started = session.recovered || !Number.isFinite(startedAt) ? now : startedAt;
+      this._lastActivity.set(session.name, started);
+    }
+    return this._lastActivity.get(session.name);
+  }
+}
+
+export default RuntimeReaper;
+export { scopeOfSession, normalizeIdlePolicy };
@@ -9,7 +9,7 @@
  *   2. Find free port
  *   3. Spawn process
  *   4. Wait for port
- *   5. Register in ~/.mrmd/sessions/
+ *   5. Register in ~/.mrmd/sessions/ (stdout/stderr → ~/.mrmd/sessions/logs/)
  *   6. Return { name, port, url, ... }
  *
  * The ONLY differences between languages are:
@@ -18,6 +18,12 @@
  *   - Startup timeout (Julia is slow)
  *
  * Those differences are encoded as "spawn descriptors" in LANGUAGE_REGISTRY.
+ * Extra languages can be added as runtime plugins (see runtime-plugins.js)
+ * without touching this file.
+ *
+ * A session can also run on an SSH compute target (config.target, see
+ * runtime-ssh.js): the runtime is started on the remote host and a local
+ * port forwarded to it is registered instead of a child process.
  */
 
 import { Project } from 'mrmd-project';
@@ -26,17 +32,77 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 
-import { findFreePort, waitForPort, installMrmdPython, createVenv } from '../utils/index.js';
-import { getVenvExecutable, killProcessTree, isProcessAlive, getDirname, isWin } from '../utils/platform.js';
-import { SESSIONS_DIR, PYTHON_DEPS } from '../config.js';
+import { findFreePort, waitForPort } from '../utils/index.js';
+import { getVenvExecutable, killProcessTree, isProcessAlive, getDirname, findInPath, isWin } from '../utils/platform.js';
+import {
+  SESSIONS_DIR,
+  PYTHON_DEPS,
+  RUNTIME_PLUGINS_DIR,
+  PROJECT_RUNTIME_PLUGINS_DIR,
+  RUNTIME_STDERR_TAIL_LINES,
+  RUNTIME_LOGS_DIR,
+  RUNTIME_LOG_ROTATION,
+  RUNTIME_LOG_TAIL_LINES,
+  RUNTIME_CONTAINER,
+  RUNTIME_SSH,
+} from '../config.js';
+import { loadRuntimePlugins } from './runtime-plugins.js';
+import RuntimeSupervisor from './runtime-supervisor.js';
+import RuntimeMonitor, { normalizeLimits } from './runtime-monitor.js';
+import RuntimeReaper from './runtime-reaper.js';
+import {
+  runtimeLogPath,
+  openRuntimeLog,
+  rotateRuntimeLogIfNeeded,
+  readRuntimeLogTail,
+  linesSinceLastRun,
+  followRuntimeLog,
+  pruneRuntimeLogs,
+} from './runtime-logs.js';
+import { preparePythonEnv, pythonEnvVars } from './python-env-profiles.js';
+import {
+  normalizeContainerSpec,
+  findContainerEngine,
+  containerName,
+  buildContainerRunArgs,
+  ensureContainerImage,
+  stopContainer,
+  waitForMrp,
+  isMountableDir,
+} from './runtime-containers.js';
+import {
+  snapshotId,
+  snapshotDir,
+  buildSnapshotCode,
+  buildRestoreCode,
+  buildListCode,
+  runSnapshotCode,
+} from './runtime-snapshots.js';
+import {
+  DEPENDENCY_LANGUAGES,
+  lockPath,
+  juliaDepsEnv,
+  syncDependencies,
+} from './runtime-dependencies.js';
+import {
+  normalizeSshTarget,
+  remotePaths,
+  remoteCommand,
+  startRemoteRuntime,
+  stopRemoteRuntime,
+  isRemoteRuntimeAlive,
+  readRemoteLog,
+  SshTunnel,
+} from './runtime-ssh.js';
 
 // ============================================================================
-// LANGUAGE REGISTRY — add new languages here
+// LANGUAGE REGISTRY — built-in languages (others come from runtime plugins)
 // ============================================================================
 
 /**
  * @typedef {Object} SpawnDescriptor
  * @property {string[]} aliases           — language identifiers this handles
+ * @property {string}   [label]           — display name for the runtimes panel
  * @property {number}   [startupTimeout]  — ms to wait for port (default 10000)
  * @property {boolean}  [needsVenv]       — whether project config includes a venv
  * @property {function} findExecutable    — (config, service) => string|null
@@ -44,6 +110,8 @@ import { SESSIONS_DIR, PYTHON_DEPS } from '../config.js';
  * @property {function} [buildEnv]        — (config, service) => env object
  * @property {function} [validate]        — (service) => { available, error? }
  * @property {function} [preStart]        — async (config, service) => void (e.g. install deps)
+ * @property {function} [spawnCwd]        — (config) => string, cwd for the spawned process
+ * @property {Object}   [restartPolicy]   — default crash restart policy (see RUNTIME_RESTART_POLICY)
  */
 
 /**
@@ -71,23 +139,6 @@ function getSiblingPath(packageName, markerFile) {
   return null;
 }
 
-/**
- * Find an interpreter in common system paths or PATH
- */
-function findInPath(name, extraPaths = []) {
-  for (const p of extraPaths) {
-    if (p && fs.existsSync(p)) return p;
-  }
-  // Check PATH
-  const pathDirs = (process.env.PATH || '').split(path.delimiter);
-  const exe = isWin ? name + '.exe' : name;
-  for (const dir of pathDirs) {
-    const candidate = path.join(dir, exe);
-    if (fs.existsSync(candidate)) return candidate;
-  }
-  return null;
-}
-
 // Import platform helpers that may or may not exist on all platforms.
 // These are optional — if missing, the language just won't auto-detect its interpreter.
 import { getRscriptPaths, getJuliaPaths } from '../utils/platform.js';
@@ -116,9 +167,23 @@ function getLegacyPythonRuntimePaths(runtimeId) {
   return [...new Set(candidates)];
 }
 
+/**
+ * Resolved python environment for a start config. Configs without a
+ * pythonEnv for their venv (explicit venv from the picker, older callers)
+ * are plain venvs.
+ */
+function pythonEnvOf(config) {
+  const env = config.pythonEnv;
+  if (env?.kind && (!config.venv || !env.prefix || env.prefix === config.venv)) {
+    return { ...env, prefix: env.prefix || config.venv };
+  }
+  return { kind: 'venv', prefix: config.venv, python: config.venv ? getVenvExecutable(config.venv, 'python') : null };
+}
+
 const LANGUAGE_REGISTRY = {
   // ── Python ──────────────────────────────────────────────────────────────
   python: {
+    label: 'Python',
     aliases: ['python', 'py', 'python3'],
     startupTimeout: 15000,
     needsVenv: true,
@@ -153,38 +218,21 @@ const LANGUAGE_REGISTRY = {
     buildEnv(config) {
       return {
         ...process.env,
-        VIRTUAL_ENV: config.venv,
+        ...pythonEnvVars(pythonEnvOf(config)),
         PYTHONUTF8: process.env.PYTHONUTF8 || '1',
       };
     },
 
     async preStart(config) {
-      // Auto-create venv if it doesn't exist (zero-config experience)
-      const pythonPath = getVenvExecutable(config.venv, 'python');
-      if (!fs.existsSync(pythonPath)) {
-        console.log(`[runtime] Venv not found at ${config.venv}, creating automatically...`);
-        await createVenv(config.venv);
-        if (!fs.existsSync(pythonPath)) {
-          throw new Error(`Failed to create venv at ${config.venv}`);
-        }
-        console.log(`[runtime] Venv created successfully at ${config.venv}`);
-      }
-
-      // Auto-install mrmd-python if missing
-      const mrmdPythonPath = getVenvExecutable(config.venv, 'mrmd-python');
-      if (!fs.existsSync(mrmdPythonPath)) {
-        console.log(`[runtime] mrmd-python not found in ${config.venv}, installing...`);
-        await installMrmdPython(config.venv);
-        if (!fs.existsSync(mrmdPythonPath)) {
-          throw new Error(`Failed to install mrmd-python in ${config.venv}`);
-        }
-        console.log(`[runtime] mrmd-python installed successfully`);
-      }
+      // Create / sync the environment and install mrmd-python as the
+      // profile kind requires (zero-config for the default project .venv)
+      await preparePythonEnv(pythonEnvOf(config));
     },
   },
 
   // ── Bash ────────────────────────────────────────────────────────────────
   bash: {
+    label: 'Bash',
     aliases: ['bash', 'sh', 'shell'],
     startupTimeout: 10000,
 
@@ -225,6 +273,7 @@ const LANGUAGE_REGISTRY = {
 
   // ── R ───────────────────────────────────────────────────────────────────
   r: {
+    label: 'R',
     aliases: ['r', 'rlang'],
     startupTimeout: 15000,
 
@@ -341,6 +390,7 @@ const LANGUAGE_REGISTRY = {
 
   // ── Julia ───────────────────────────────────────────────────────────────
   julia: {
+    label: 'Julia',
     aliases: ['julia', 'jl'],
     startupTimeout: 60000, // Julia JIT is slow
 
@@ -418,9 +468,14 @@ const LANGUAGE_REGISTRY = {
       ];
     },
 
-    buildEnv() {
+    buildEnv(config) {
       this._resolve();
-      return { ...process.env, JULIA_PROJECT: this._packageDir };
+      const env = { ...process.env, JULIA_PROJECT: this._packageDir };
+      if (config?.dependencies?.length) {
+        // Declared packages live in their own environment, stacked after mrmd-julia's
+        env.JULIA_LOAD_PATH = ['@', juliaDepsEnv(config), '@stdlib'].join(path.delimiter);
+      }
+      return env;
     },
 
     spawnCwd() {
@@ -431,6 +486,7 @@ const LANGUAGE_REGISTRY = {
 
   // ── PTY (terminal blocks) ──────────────────────────────────────────────
   pty: {
+    label: 'Terminal',
     aliases: ['term'],
     startupTimeout: 10000,
 
@@ -497,10 +553,72 @@ class RuntimeService {
     /** @type {Set<string>} session names currently being explicitly stopped */
     this._stopping = new Set();
 
+    /** @type {WeakSet<import('child_process').ChildProcess>} processes we asked to exit */
+    this._expectedExits = new WeakSet();
+
+    /** @type {NodeJS.Timeout|null} periodic size check for live session logs */
+    this._logRotationTimer = null;
+
+    /** @type {Set<function>} runtime event listeners (crashed, restarted) */
+    this._listeners = new Set();
+
+    /** @type {function|null} (language, config) => partial restart policy from user prefs */
+    this._restartPolicyResolver = null;
+
+    /** @type {function|null} (projectRoot) => whether the user trusts the project's runtime plugins */
+    this._projectTrustResolver = null;
+
+    this.supervisor = new RuntimeSupervisor({
+      restart: async (config, policy) => {
+        const info = await this.start(config);
+        if (!policy?.restoreSnapshot || config.language !== 'python') return info;
+        return { ...info, restoredSnapshot: await this._restoreAfterStart(info.name) };
+      },
+      emit: (type, payload) => this._emit(type, payload),
+      resolvePolicy: (language, config) => this._restartPolicyFor(language, config),
+    });
+
+    this.monitor = new RuntimeMonitor({
+      // Container processes belong to the engine, not to our process tree;
+      // their memory limit is handed to the engine instead (see buildContainerRunArgs).
+      // Remote sessions have no local process at all.
+      getSessions: () => [...this.sessions.values()].filter((s) => !s.container && !s.remote),
+      interrupt: (session) => this._interruptSession(session),
+      stop: (name) => this.stop(name),
+      emit: (type, payload) => this._emit(type, payload),
+    });
+
+    this.reaper = new RuntimeReaper({
+      getSessions: () => [...this.sessions.values()],
+      stop: (name) => this.stop(name),
+      emit: (type, payload) => this._emit(type, payload),
+      isBusy: (name) => this.monitor.isBusy(name),
+    });
+
     /** @type {Map<string, boolean>} executable path -> supports --managed */
     this._pythonManagedSupport = new Map();
 
+    /** @type {Promise<{descriptors: Map<string, SpawnDescriptor>, errors: Object[]}>|null} user plugins */
+    this._userPlugins = null;
+
+    /** @type {Map<string, Promise<{descriptors: Map<string, SpawnDescriptor>, errors: Object[]}>>} projectRoot -> project plugins */
+    this._projectPlugins = new Map();
+
+    /** @type {Map<string, Object>} settled plugin sets, keyed 'user' or projectRoot (for sync lookups) */
+    this._loadedPlugins = new Map();
+
+    /** @type {Map<string, SshTunnel>} session name -> port forward of a remote session */
+    this._tunnels = new Map();
+
+    /** @type {Set<string>} dependency lists already synced into an environment this run */
+    this._syncedDependencies = new Set();
+
     this._loadRegistry();
+    this._pruneLogs();
+    if (this.sessions.size > 0) {
+      this.monitor.ensureRunning();
+      this.reaper.ensureRunning();
+    }
   }
 
   // ── Public API ──────────────────────────────────────────────────────────
@@ -508,11 +626,14 @@ class RuntimeService {
   /**
    * List all running sessions, optionally filtered by language.
    * @param {string} [language] — filter by language
+   * @param {Object} [opts]
+   * @param {boolean} [opts.ephemeral] — include sub-agent runtimes (config.ephemeral)
    * @returns {Object[]}
    */
-  list(language) {
+  list(language, { ephemeral = false } = {}) {
     const result = [];
     for (const [name, info] of this.sessions) {
+      if (info.ephemeral && !ephemeral) continue;
       // For daemonized Python, the PID in our session map may be the
       // *launcher* PID (which exits immediately) rather than the daemon PID.
       // Don't prune based on PID alone — let _verifySession handle it via
@@ -530,7 +651,12 @@ class RuntimeService {
       }
 
       if (!language || info.language === language) {
-        result.push(info);
+        result.push({
+          ...info,
+          lastCrash: this.supervisor.lastCrash(name),
+          usage: this.monitor.usage(name),
+          idle: this.reaper.status(info),
+        });
       }
     }
     return result;
@@ -544,6 +670,16 @@ class RuntimeService {
    * @param {string} config.language — language key ("python", "bash", "r", "julia", "term")
    * @param {string} config.cwd      — working directory
    * @param {string} [config.venv]   — venv path (python only)
+   * @param {Object} [config.pythonEnv] — resolved python environment profile (see python-env-profiles.js)
+   * @param {string} [config.projectRoot] — project root (enables project runtime plugins)
+   * @param {Object} [config.limits] — { maxMemoryMb, maxCpuSeconds, idleTimeoutMinutes }
+   *   (see RuntimeMonitor; the idle limit is applied by RuntimeReaper)
+   * @param {boolean} [config.keepAlive] — exempt from the idle reaper
+   * @param {Object} [config.container] — container profile ({ image, engine, pull, ... }, see runtime-containers.js)
+   * @param {Object} [config.target] — compute target; { type: 'ssh', host, ... } runs it remotely (see runtime-ssh.js)
+   * @param {string[]} [config.dependencies] — declared packages to install before start (see runtime-dependencies.js)
+   * @param {Object} [config.ephemeral] — sub-agent runtime ({ id, owner }, see agent-subruntimes.js):
+   *   hidden from list(), never restarted after a crash, stopped if found on the next launch
    * @returns {Promise<Object>} session info
    */
   async start(config) {
@@ -568,19 +704,27 @@ class RuntimeService {
   }
 
   async _startInternal(config) {
-    const { name, language, cwd, venv } = config;
+    const { name, language, cwd, venv, projectRoot } = config;
+    const limits = normalizeLimits(config.limits);
     if (!name || !language) {
       throw new Error('config.name and config.language are required');
     }
 
+    await this.loadPlugins({ projectRoot });
+
     // Reuse if already running
     const existing = this.sessions.get(name);
     if (existing?.alive) {
+      // A remote session whose tunnel is (re)connecting comes back on the same port
+      const tunnelState = this._tunnels.get(name)?.state;
+      if (existing.remote && tunnelState && tunnelState !== 'connected') return existing;
+
       const pidAlive = !existing.pid || isProcessAlive(existing.pid);
 
       if (pidAlive) {
         // If we have a child process handle, trust it. Otherwise verify port.
         if (this.processes.has(name)) {
+          if (config.limits !== undefined) existing.limits = limits;
           return existing;
         }
         const reachable = await this._verifySession(name);
@@ -591,17 +735,28 @@ class RuntimeService {
       this._removeRegistry(name);
     }
 
-    const descriptor = this._getDescriptor(language);
-
-    // Validate
-    if (descriptor.validate) {
-      const v = descriptor.validate();
-      if (!v.available) throw new Error(v.error);
+    const descriptor = this._getDescriptor(language, projectRoot);
+    if (config.target?.type === 'ssh') {
+      return this._startRemote(config, descriptor, limits);
     }
+    const container = config.container ? normalizeContainerSpec(config.container) : null;
 
-    // Pre-start hook (e.g. install mrmd-python)
-    if (descriptor.preStart) {
-      await descriptor.preStart(config, this);
+    // Validate + pre-start hook (e.g. install mrmd-python). Container
+    // runtimes bring their own runtime in the image; only the image is prepared.
+    let engine = null;
+    if (container) {
+      engine = await this._prepareContainer(config, container);
+    } else {
+      if (descriptor.validate) {
+        const v = descriptor.validate();
+        if (!v.available) throw new Error(v.error);
+      }
+      if (descriptor.preStart) {
+        await descriptor.preStart(config, this);
+      }
+      if (config.dependencies?.length) {
+        await this._syncDependencies(config, descriptor);
+      }
     }
 
     // Clean up any stale legacy daemon entries for this session name.
@@ -609,7 +764,7 @@ class RuntimeService {
     // We now run in foreground under RuntimeService management, so these
     // entries are usually stale.
     // However, if a legacy daemon is genuinely alive AND serving MRP, reuse it.
-    if (language === 'python') {
+    if (language === 'python' && !container) {
       const reused = await this._maybeReuseLegacyPythonRuntime(config);
       if (reused) {
         console.log(`[runtime] Reusing existing python runtime PID=${reused.pid} port=${reused.port}`);
@@ -619,26 +774,57 @@ class RuntimeService {
 
     // Find port
     const port = await findFreePort();
-    const timeout = descriptor.startupTimeout || 10000;
+    const timeout = (descriptor.startupTimeout || 10000) + (container ? RUNTIME_CONTAINER.extraStartupMs : 0);
 
     console.log(`[runtime] Starting "${name}" (${language}) on port ${port}...`);
 
-    // Spawn — two modes:
+    // Spawn — three modes:
     //   1. buildSpawnArgs() for uv-based runtimes (bash, pty)
     //   2. findExecutable() + buildArgs() for direct executables (python, r, julia)
+    //   3. `<engine> run` in the foreground for container profiles
     //
     // On Unix we prefer detached process groups so helpers can survive app restarts.
     // On Windows, detached console subprocesses can still flash visible console
     // windows even with windowsHide enabled, so keep them attached there.
-    // IMPORTANT: use stdio: 'ignore' for child stability.
+    // IMPORTANT: never pipe child output by default (child stability).
+    // stdout/stderr go straight to the session log file descriptor instead;
+    // MRMD_RUNTIME_PIPE_LOGS=1 pipes through the app (echoed to the console
+    // and copied into the same log).
     const usePipedLogs = process.env.MRMD_RUNTIME_PIPE_LOGS === '1';
-    const childStdio = usePipedLogs ? ['pipe', 'pipe', 'pipe'] : 'ignore';
+    let log = null;
+    try {
+      log = openRuntimeLog(name, { header: `start ${name} (${language}, port ${port})` });
+    } catch (e) {
+      console.warn(`[runtime] Could not open log for ${name}, output will be discarded:`, e.message);
+    }
+    const childStdio = usePipedLogs
+      ? ['ignore', 'pipe', 'pipe']
+      : (log ? ['ignore', log.fd, log.fd] : 'ignore');
     const childDetached = !isWin;
-    console.log(`[runtime] Spawn stdio mode for ${name}: ${usePipedLogs ? 'pipe' : 'ignore'}`);
+    console.log(`[runtime] Spawn stdio mode for ${name}: ${usePipedLogs ? 'pipe' : (log ? `log ${log.path}` : 'ignore')}`);
 
     let proc;
     let managed = false;
-    if (typeof descriptor.buildSpawnArgs === 'function') {
+    if (container) {
+      const args = buildContainerRunArgs({
+        spec: container,
+        engine: engine.engine,
+        sessionName: name,
+        language,
+        port,
+        cwd,
+        projectRoot,
+        limits,
+      });
+      console.log(`[runtime] Container spawn: ${engine.path} ${args.join(' ')}`);
+      proc = spawn(engine.path, args, {
+        cwd,
+        stdio: childStdio,
+        detached: childDetached,
+        windowsHide: true, // Prevent visible console windows on Windows
+      });
+      if (childDetached) proc.unref();
+    } else if (typeof descriptor.buildSpawnArgs === 'function') {
       const spawn_info = descriptor.buildSpawnArgs(port, config);
       proc = spawn(spawn_info.command, spawn_info.args, {
         cwd: spawn_info.cwd || cwd,
@@ -650,13 +836,14 @@ class RuntimeService {
     } else {
       const exe = descriptor.findExecutable(config, this);
       if (!exe) {
+        this._closeLogFd(log);
         throw new Error(`No executable found for ${language}. Is it installed?`);
       }
 
       managed = language === 'python' && this._supportsPythonManagedFlag(exe);
       const args = descriptor.buildArgs(exe, port, config, this);
       const env = descriptor.buildEnv ? descriptor.buildEnv(config, this) : process.env;
-      const spawnCwd = descriptor.spawnCwd ? descriptor.spawnCwd() : cwd;
+      const spawnCwd = descriptor.spawnCwd ? descriptor.spawnCwd(config) : cwd;
 
       if (language === 'python') {
         console.log(`[runtime] Python spawn: ${exe} ${args.join(' ')}`);
@@ -672,6 +859,9 @@ class RuntimeService {
       if (childDetached) proc.unref();
     }
 
+    // The child has its own copy of the log fd; ours is only needed to tee piped output
+    if (!usePipedLogs) this._closeLogFd(log);
+
     // Handle spawn errors (e.g. uv not installed)
     const spawnError = new Promise((_, reject) => {
       proc.on('error', (err) => {
@@ -685,23 +875,32 @@ class RuntimeService {
     });
 
     // If the process exits before the port opens, fail fast with a useful
-    // error instead of waiting for the full port timeout.
+    // error (including the last log lines) instead of waiting for the full
+    // port timeout.
     const earlyExit = new Promise((_, reject) => {
       proc.once('exit', (code, signal) => {
-        reject(new Error(`Runtime process exited before ready (code=${code}, signal=${signal})`));
+        const tail = this._lastRunOutput(name, 10);
+        reject(new Error(`Runtime process exited before ready (code=${code}, signal=${signal})` +
+          (tail.length ? `\n${tail.join('\n')}` : '')));
       });
     });
 
-    if (proc.stdout) {
-      proc.stdout.on('data', (d) => console.log(`[runtime:${name}]`, d.toString().trim()));
-    }
-    if (proc.stderr) {
-      proc.stderr.on('data', (d) => console.error(`[runtime:${name}]`, d.toString().trim()));
+    if (usePipedLogs) {
+      const tee = (stream, print) => stream?.on('data', (d) => {
+        print(`[runtime:${name}]`, d.toString().trim());
+        if (log) {
+          try { fs.writeSync(log.fd, d); } catch {}
+        }
+      });
+      tee(proc.stdout, console.log);
+      tee(proc.stderr, console.error);
+      proc.once('close', () => this._closeLogFd(log));
     }
 
     // Wait for ready
+    // (a published container port is open before the runtime inside is up)
     await Promise.race([
-      waitForPort(port, { timeout }),
+      container ? waitForMrp(port, { timeout }) : waitForPort(port, { timeout }),
       spawnError,
       earlyExit,
     ]);
@@ -716,8 +915,18 @@ class RuntimeService {
       url: `http://127.0.0.1:${port}/mrp/v1`,
       cwd,
       venv: venv || null,
+      pythonEnv: config.pythonEnv || null,
+      projectRoot: projectRoot || null,
       daemonized: false,
       managed,
+      logPath: log?.path || null,
+      limits,
+      keepAlive: !!config.keepAlive,
+      dependencies: config.dependencies || [],
+      ephemeral: config.ephemeral || null,
+      container: container
+        ? { engine: engine.engine, enginePath: engine.path, name: containerName(name), image: container.image, spec: config.container }
+        : null,
       startedAt: new Date().toISOString(),
       alive: true,
       ...(descriptor.extraInfo ? descriptor.extraInfo(port, config) : {}),
@@ -726,19 +935,44 @@ class RuntimeService {
     this.sessions.set(name, info);
     this.processes.set(name, proc);
     this._saveRegistry(info);
+    this._ensureLogRotation();
+    this.monitor.ensureRunning();
+    this.reaper.ensureRunning();
 
     // Handle exit
     proc.on('exit', (code, signal) => {
-      const expectedStop = this._stopping.has(name);
+      const expectedStop = this._stopping.has(name) || this._expectedExits.has(proc);
       console.log(`[runtime:${name}] Exited (code=${code}, signal=${signal})${expectedStop ? ' [expected-stop]' : ' [unexpected]'} `);
+
+      // A restart may already have registered a new process under this name
+      if (this.processes.get(name) !== proc) return;
+
       const session = this.sessions.get(name);
       if (session) session.alive = false;
       this.sessions.delete(name);
       this.processes.delete(name);
       this._removeRegistry(name);
       this._stopping.delete(name);
+
+      if (!expectedStop && info.ephemeral) {
+        // Its owner starts a new one if it still needs it
+        this._emit('stopped', { sessionName: name, language, exitCode: code, signal });
+      } else if (!expectedStop) {
+        this.supervisor.handleExit({
+          config: {
+            name, language, cwd, venv, pythonEnv: info.pythonEnv, projectRoot, limits,
+            keepAlive: !!info.keepAlive,
+            container: config.container || null,
+          },
+          session: session || info,
+          code,
+          signal,
+          stderrTail: this._lastRunOutput(name, RUNTIME_STDERR_TAIL_LINES),
+        });
+      }
     });
 
+    this._emit('started', { sessionName: name, language, port, pid: info.pid, cwd });
     return info;
   }
 
@@ -752,6 +986,10 @@ class RuntimeService {
     if (!session) return false;
 
     this._stopping.add(sessionName);
+    this.supervisor.cancel(sessionName);
+    this.reaper.forget(sessionName);
+    const proc = this.processes.get(sessionName);
+    if (proc) this._expectedExits.add(proc);
     console.log(`[runtime] Stopping "${sessionName}" (PID=${session.pid})...`);
     if (process.env.MRMD_RUNTIME_DEBUG_STOP === '1') {
       const stack = new Error().stack?.split('\n').slice(1, 8).join('\n');
@@ -763,7 +1001,14 @@ class RuntimeService {
 
       // Safety: never kill an unverified recovered PID blindly.
       // PID reuse can target unrelated processes after crashes/reboots.
-      if (session.pid && hasManagedProcessHandle) {
+      if (session.container) {
+        // Stop the container through the engine (graceful SIGTERM, then
+        // kill after the timeout); the foreground `run` process exits with it
+        await stopContainer(session.container.enginePath, session.container.name);
+      } else if (session.remote) {
+        this._closeTunnel(sessionName);
+        await stopRemoteRuntime(normalizeSshTarget(session.remote.target), session.remote.pid);
+      } else if (session.pid && hasManagedProcessHandle) {
         await killProcessTree(session.pid, killSignal);
       } else if (session.pid) {
         const reachable = await this._verifySession(sessionName);
@@ -788,15 +1033,19 @@ class RuntimeService {
     this.processes.delete(sessionName);
     this._removeRegistry(sessionName);
     this._stopping.delete(sessionName);
+    this._emit('stopped', { sessionName, language: session.language });
     return true;
   }
 
   /**
    * Restart a runtime session.
    * @param {string} sessionName
-   * @returns {Promise<Object>}
+   * @param {Object} [opts]
+   * @param {boolean} [opts.restore] — Python: snapshot the namespace before stopping
+   *   (if the runtime is up) and restore it afterwards; falls back to the latest snapshot
+   * @returns {Promise<Object>} session info (+ restoredSnapshot report when restoring)
    */
-  async restart(sessionName) {
+  async restart(sessionName, { restore = false } = {}) {
     let session = this.sessions.get(sessionName);
 
     // If not in memory, try to recover config from the on-disk registry
@@ -817,11 +1066,29 @@ class RuntimeService {
       language: session.language,
       cwd: session.cwd,
       venv: session.venv,
+      pythonEnv: session.pythonEnv || null,
+      projectRoot: session.projectRoot || null,
+      limits: session.limits || {},
+      container: session.container?.spec || null,
+      target: session.remote?.target || null,
+      dependencies: session.dependencies || [],
+      keepAlive: !!session.keepAlive,
     };
 
+    let restoreId = null;
+    if (restore && session.language === 'python' && this.sessions.get(sessionName)?.alive) {
+      try {
+        restoreId = (await this.snapshot({ sessionName }, { label: 'before restart' })).id;
+      } catch (e) {
+        console.warn(`[runtime] Snapshot before restarting "${sessionName}" failed, will restore the latest one:`, e.message);
+      }
+    }
+
     await this.stop(sessionName);
     await new Promise(r => setTimeout(r, 500)); // Wait for port release
-    return this.start(config);
+    const info = await this.start(config);
+    if (!restore || session.language !== 'python') return info;
+    return { ...info, restoredSnapshot: await this._restoreAfterStart(info.name, restoreId) };
   }
 
   /**
@@ -845,30 +1112,322 @@ class RuntimeService {
   }
 
   /**
-   * Get or create ALL runtimes needed for a document.
    * Check if a language is available (has interpreter + package installed).
+   * Plugin languages must have been loaded with loadPlugins() first.
    * @param {string} language
+   * @param {string} [projectRoot] — also consider this project's plugins
    * @returns {{ available: boolean, error?: string }}
    */
-  isAvailable(language) {
-    const descriptor = LANGUAGE_REGISTRY[language];
-    if (!descriptor) return { available: false, error: `Unknown language: ${language}` };
-    if (descriptor.validate) return descriptor.validate();
+  isAvailable(language, projectRoot = null) {
+    const key = this.resolveLanguage(language, projectRoot);
+    if (!key) return { available: false, error: `Unknown language: ${language}` };
+    const descriptor = this._getDescriptor(key, projectRoot);
+    if (descriptor.validate) {
+      try {
+        return descriptor.validate();
+      } catch (e) {
+        return { available: false, error: e.message };
+      }
+    }
     return { available: true };
   }
 
   /**
-   * Get all supported languages.
+   * Get all supported languages (built-ins + loaded plugins).
+   * @param {string} [projectRoot] — also include this project's plugins
    * @returns {string[]}
    */
-  supportedLanguages() {
-    return Object.keys(LANGUAGE_REGISTRY);
+  supportedLanguages(projectRoot = null) {
+    return this._registryEntries(projectRoot).map(([key]) => key);
+  }
+
+  /**
+   * Resolve a language name or alias to its registry key.
+   * @param {string} language
+   * @param {string} [projectRoot]
+   * @returns {string|null}
+   */
+  resolveLanguage(language, projectRoot = null) {
+    const lang = String(language || '').toLowerCase();
+    if (!lang) return null;
+    const entries = this._registryEntries(projectRoot);
+    for (const [key] of entries) {
+      if (key === lang) return key;
+    }
+    for (const [key, desc] of entries) {
+      if ((desc.aliases || []).some((a) => a.toLowerCase() === lang)) return key;
+    }
+    return null;
+  }
+
+  /**
+   * Discover runtime plugins in the user config dir and, if given, a project.
+   * Results are cached per directory; pass force to re-read from disk.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.projectRoot]
+   * @param {boolean} [options.force]
+   * @returns {Promise<Object>} same shape as describeLanguages()
+   */
+  async loadPlugins({ projectRoot = null, force = false } = {}) {
+    if (force) {
+      this._userPlugins = null;
+      this._projectPlugins.clear();
+      this._loadedPlugins.clear();
+    }
+
+    if (!this._userPlugins) {
+      this._userPlugins = loadRuntimePlugins(RUNTIME_PLUGINS_DIR, {
+        reserved: this._reservedAliases(),
+      }).then((loaded) => {
+        this._loadedPlugins.set('user', loaded);
+        this._logPlugins(RUNTIME_PLUGINS_DIR, loaded);
+        return loaded;
+      });
+    }
+    await this._userPlugins;
+
+    const root = projectRoot ? path.resolve(projectRoot) : null;
+    if (root && !this._projectPlugins.has(root)) {
+      const dir = path.join(root, PROJECT_RUNTIME_PLUGINS_DIR);
+      this._projectPlugins.set(root, loadRuntimePlugins(dir, {
+        allowScripts: false,
+        projectRoot: root,
+        trusted: Boolean(this._projectTrustResolver?.(root)),
+        reserved: this._reservedAliases({ includeUser: true }),
+      }).then((loaded) => {
+        this._loadedPlugins.set(root, loaded);
+        this._logPlugins(dir, loaded);
+        return loaded;
+      }));
+    }
+    if (root) await this._projectPlugins.get(root);
+
+    return this.describeLanguages(root);
+  }
+
+  /**
+   * Describe every known language for UIs, plus plugin load errors.
+   * @param {string} [projectRoot]
+   * @returns {{ languages: Object[], errors: { file: string, error: string }[], untrusted: string[] }}
+   *   untrusted: the project's plugin files, not loaded until it is trusted
+   */
+  describeLanguages(projectRoot = null) {
+    const root = projectRoot ? path.resolve(projectRoot) : null;
+    const languages = this._registryEntries(root).map(([key, desc]) => ({
+      language: key,
+      label: desc.label || key,
+      aliases: [...new Set([key, ...(desc.aliases || [])])],
+      builtin: desc.builtin !== false,
+      source: desc.source || null,
+      startupTimeout: desc.startupTimeout || 10000,
+    }));
+    const errors = [
+      ...(this._loadedPlugins.get('user')?.errors || []),
+      ...(root ? this._loadedPlugins.get(root)?.errors || [] : []),
+    ];
+    const untrusted = root ? this._loadedPlugins.get(root)?.untrusted || [] : [];
+    return { languages, errors, untrusted };
+  }
+
+  /**
+   * Subscribe to runtime events.
+   *
+   *   'crashed'   — { sessionName, language, exitCode, signal, reason, uptimeMs,
+   *                   stderrTail, willRestart, gaveUp, attempt, delayMs, ... }
+   *   'restarted' — { sessionName, language, attempt, session }
+   *
+   * @param {function} listener — (type, payload) => void
+   * @returns {function} unsubscribe
+   */
+  onEvent(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Provide per-language restart policy overrides (from user preferences).
+   * @param {function} resolver — (language, config) => partial policy | null
+   */
+  setRestartPolicyResolver(resolver) {
+    this._restartPolicyResolver = resolver;
+  }
+
+  /**
+   * Provide the user's trust decisions for project runtime plugins (see
+   * runtime-plugins.js). Without a resolver no project plugins are loaded.
+   * @param {function} resolver — (projectRoot) => boolean
+   */
+  setProjectTrustResolver(resolver) {
+    this._projectTrustResolver = resolver;
+  }
+
+  /**
+   * Crash history, newest first.
+   * @param {{sessionName?: string, language?: string, limit?: number}} [filter]
+   * @returns {Object[]}
+   */
+  crashHistory(filter = {}) {
+    return this.supervisor.history(filter);
+  }
+
+  /**
+   * Provide the per-scope idle thresholds (from user preferences).
+   * @param {function} resolver — () => partial { notebook, project, shared } minutes
+   */
+  setIdlePolicyResolver(resolver) {
+    this.reaper.setPolicyResolver(resolver);
+  }
+
+  /**
+   * Pin (or unpin) a session so the idle reaper never stops it.
+   * @param {string} sessionName
+   * @param {boolean} keepAlive
+   * @returns {boolean} false if the session is unknown
+   */
+  setKeepAlive(sessionName, keepAlive) {
+    const session = this.sessions.get(sessionName);
+    if (!session) return false;
+    session.keepAlive = !!keepAlive;
+    this._saveRegistry(session);
+    return true;
+  }
+
+  /**
+   * Save a Python session's user namespace under
+   * <project>/.mrmd/snapshots/<session>/ (see runtime-snapshots.js).
+   * @param {{sessionName?: string, port?: number}} target
+   * @param {{label?: string}} [opts]
+   * @returns {Promise<Object>} manifest { id, createdAt, saved, skipped, modules, bytes, ... }
+   */
+  async snapshot(target, { label = null } = {}) {
+    const session = this._snapshotSession(target);
+    const id = snapshotId();
+    const code = buildSnapshotCode({ dir: snapshotDir(session), id, label });
+    const manifest = await this.trackExecution({ sessionName: session.name }, `snapshot:${id}`,
+      () => runSnapshotCode(session.port, code));
+
+    console.log(`[runtime] Snapshot ${id} of "${session.name}": ${manifest.saved.length} saved, ${manifest.skipped.length} skipped`);
+    this._emit('snapshot', {
+      sessionName: session.name,
+      language: session.language,
+      action: 'saved',
+      id,
+      label,
+      saved: manifest.saved.length,
+      skipped: manifest.skipped,
+    });
+    return { sessionName: session.name, ...manifest };
+  }
+
+  /**
+   * Load a snapshot (the newest if no id) into a running Python session.
+   * Existing variables with the same names are overwritten.
+   * @param {{sessionName?: string, port?: number}} target
+   * @param {{id?: string}} [opts]
+   * @returns {Promise<Object>} { id, createdAt, restored, modules, failed, skipped }
+   */
+  async restoreSnapshot(target, { id = null } = {}) {
+    const session = this._snapshotSession(target);
+    if (id && !/^[\w.-]+$/.test(id)) throw new Error(`Invalid snapshot id: ${id}`);
+    const code = buildRestoreCode({ dir: snapshotDir(session), id });
+    const report = await this.trackExecution({ sessionName: session.name }, `restore:${id || 'latest'}`,
+      () => runSnapshotCode(session.port, code));
+
+    console.log(`[runtime] Restored snapshot ${report.id} into "${session.name}": ${report.restored.length} restored, ${report.failed.length} failed`);
+    this._emit('snapshot', {
+      sessionName: session.name,
+      language: session.language,
+      action: 'restored',
+      id: report.id,
+      restored: report.restored.length,
+      failed: report.failed,
+    });
+    return { sessionName: session.name, ...report };
+  }
+
+  /**
+   * Snapshots of a Python session, newest first.
+   * @param {{sessionName?: string, port?: number}} target
+   * @returns {Promise<Object[]>} [{ id, label, createdAt, backend, bytes, saved, skipped }]
+   */
+  async listSnapshots(target) {
+    const session = this._snapshotSession(target);
+    const { snapshots } = await runSnapshotCode(session.port, buildListCode({ dir: snapshotDir(session) }), {
+      timeoutMs: 30000,
+    });
+    return snapshots;
+  }
+
+  /**
+   * Record the start of an execution for idle tracking.
+   * @param {{sessionName?: string, port?: number}} target
+   * @param {string} key — unique per execution, prefixed by its source
+   * @returns {string|null} session name, or null if no session matches
+   */
+  beginExecution(target, key) {
+    const name = this._findSessionName(target);
+    if (name) this.reaper.begin(name, key);
+    return name;
+  }
+
+  endExecution(key) {
+    this.reaper.end(key);
+  }
+
+  /** End all in-flight executions from one source (e.g. a closed window). */
+  endExecutions(keyPrefix) {
+    this.reaper.endAll(keyPrefix);
+  }
+
+  /**
+   * Run fn as a tracked execution against the session matching target.
+   * @param {{sessionName?: string, port?: number}} target
+   * @param {string} key
+   * @param {function} fn — async () => result
+   */
+  async trackExecution(target, key, fn) {
+    this.beginExecution(target, key);
+    try {
+      return await fn();
+    } finally {
+      this.endExecution(key);
+    }
+  }
+
+  /**
+   * Last lines of a session's stdout/stderr log. Works for stopped and
+   * crashed sessions too, as long as the log file is still on disk.
+   * @param {string} sessionName
+   * @param {{lines?: number}} [opts]
+   * @returns {{sessionName: string, path: string, lines: string[], size: number, exists: boolean, alive: boolean}}
+   */
+  logs(sessionName, { lines = RUNTIME_LOG_TAIL_LINES } = {}) {
+    const tail = readRuntimeLogTail(this._logPathFor(sessionName), { lines });
+    return { sessionName, ...tail, alive: this.sessions.has(sessionName) };
+  }
+
+  /**
+   * Stream lines appended to a session log from now on.
+   * @param {string} sessionName
+   * @param {function(string[]): void} onLines
+   * @returns {function} unsubscribe
+   */
+  followLogs(sessionName, onLines) {
+    return followRuntimeLog(this._logPathFor(sessionName), onLines);
   }
 
   /**
    * Shutdown all sessions.
    */
   shutdown() {
+    this.supervisor.cancelAll();
+    this.monitor.dispose();
+    this.reaper.dispose();
+    if (this._logRotationTimer) {
+      clearInterval(this._logRotationTimer);
+      this._logRotationTimer = null;
+    }
     for (const [name] of this.sessions) {
       this.stop(name).catch(e => {
         console.warn(`[runtime] Error stopping ${name} during shutdown:`, e.message);
@@ -949,15 +1508,410 @@ class RuntimeService {
     return null;
   }
 
-  _getDescriptor(language) {
-    const lang = language.toLowerCase();
-    // Direct match
-    if (LANGUAGE_REGISTRY[lang]) return LANGUAGE_REGISTRY[lang];
-    // Alias match
+  _getDescriptor(language, projectRoot = null) {
+    const key = this.resolveLanguage(language, projectRoot);
+    if (!key) throw new Error(`No runtime descriptor for language: ${language}`);
+    return this._registryEntries(projectRoot).find(([k]) => k === key)[1];
+  }
+
+  /**
+   * Built-ins first, then user plugins, then project plugins. Plugins can't
+   * shadow earlier names — the loader rejects conflicting aliases.
+   * @returns {[string, SpawnDescriptor][]}
+   */
+  _registryEntries(projectRoot = null) {
+    const entries = Object.entries(LANGUAGE_REGISTRY);
+    const user = this._loadedPlugins.get('user');
+    if (user) entries.push(...user.descriptors);
+    if (projectRoot) {
+      const project = this._loadedPlugins.get(path.resolve(projectRoot));
+      if (project) entries.push(...project.descriptors);
+    }
+    return entries;
+  }
+
+  _reservedAliases({ includeUser = false } = {}) {
+    const reserved = new Map();
     for (const [key, desc] of Object.entries(LANGUAGE_REGISTRY)) {
-      if (desc.aliases.includes(lang)) return LANGUAGE_REGISTRY[key];
+      for (const alias of [key, ...desc.aliases]) reserved.set(alias.toLowerCase(), key);
+    }
+    if (includeUser) {
+      for (const [key, desc] of this._loadedPlugins.get('user')?.descriptors || []) {
+        for (const alias of desc.aliases) reserved.set(alias.toLowerCase(), key);
+      }
+    }
+    return reserved;
+  }
+
+  _restartPolicyFor(language, config = {}) {
+    let descriptorPolicy = {};
+    try {
+      descriptorPolicy = this._getDescriptor(language, config.projectRoot)?.restartPolicy || {};
+    } catch {}
+    const userPolicy = this._restartPolicyResolver?.(language, config) || {};
+    return { ...descriptorPolicy, ...userPolicy };
+  }
+
+  _snapshotSession(target) {
+    const name = this._findSessionName(target);
+    const session = name ? this.sessions.get(name) : null;
+    if (!session) throw new Error(`Session "${target?.sessionName || target?.port}" not found`);
+    if (session.language !== 'python') {
+      throw new Error(`Snapshots are only supported for Python runtimes, not ${session.language}`);
+    }
+    return session;
+  }
+
+  /**
+   * Restore after a restart; failures are reported, not thrown (the
+   * runtime itself is up).
+   */
+  async _restoreAfterStart(sessionName, id = null) {
+    try {
+      return await this.restoreSnapshot({ sessionName }, { id });
+    } catch (e) {
+      console.warn(`[runtime] Restoring a snapshot into "${sessionName}" failed:`, e.message);
+      return { error: e.message };
+    }
+  }
+
+  _findSessionName({ sessionName = null, port = null } = {}) {
+    if (sessionName && this.sessions.has(sessionName)) return sessionName;
+    if (port) {
+      for (const [name, info] of this.sessions) {
+        if (info.port === Number(port)) return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Ask a runtime to interrupt its current execution (CPU limit enforcement).
+   */
+  async _interruptSession(session) {
+    if (!session?.port) return;
+    const res = await fetch(`http://127.0.0.1:${session.port}/mrp/v1/interrupt`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}',
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!res.ok) throw new Error(`interrupt failed: ${res.status}`);
+  }
+
+  /**
+   * Find the container engine and make sure the image is available.
+   * Pull progress is emitted as 'progress' events.
+   * @returns {Promise<{engine: string, path: string}>}
+   */
+  async _prepareContainer(config, spec) {
+    const engine = findContainerEngine(spec.engine);
+    if (!engine) {
+      throw new Error(spec.engine
+        ? `${spec.engine} is not installed`
+        : 'No container engine found (install Podman or Docker)');
+    }
+    const mountDir = config.projectRoot || config.cwd;
+    if (!isMountableDir(mountDir)) {
+      throw new Error(`Cannot mount ${mountDir} into the container: not a directory`);
+    }
+    await ensureContainerImage(engine.path, spec, {
+      onProgress: (stage, detail) => this._emit('progress', {
+        sessionName: config.name,
+        language: config.language,
+        stage,
+        detail,
+      }),
+    });
+    return engine;
+  }
+
+  /**
+   * Install missing declared packages before start and write the lock
+   * snapshot. Progress is emitted as 'progress' events; a failed install
+   * throws an error naming the package. Skipped once a list has been synced
+   * into an environment during this app run.
+   */
+  async _syncDependencies(config, descriptor) {
+    const language = DEPENDENCY_LANGUAGES.find((l) => LANGUAGE_REGISTRY[l] === descriptor);
+    if (!language) {
+      console.warn(`[runtime] "${config.name}": dependency declarations are not supported for ${config.language}, ignoring`);
+      return;
+    }
+    const interpreter = language === 'python'
+      ? pythonEnvOf(config).python
+      : descriptor.findExecutable(config, this);
+    const lockFile = lockPath(config);
+    const key = `${language}|${interpreter}|${config.projectRoot || config.cwd}|${config.dependencies.join(',')}`;
+    if (this._syncedDependencies.has(key) && fs.existsSync(lockFile)) return;
+
+    await syncDependencies({
+      language,
+      dependencies: config.dependencies,
+      interpreter,
+      lockFile,
+      sessionName: config.name,
+      envDir: language === 'julia' ? juliaDepsEnv(config) : null,
+      onProgress: (stage, detail) => this._emit('progress', {
+        sessionName: config.name,
+        language: config.language,
+        stage,
+        detail,
+      }),
+    });
+    this._syncedDependencies.add(key);
+  }
+
+  /**
+   * Start a runtime on an SSH target and forward a local port to it. The
+   * session looks like a local one (port/url are local); the remote side is
+   * described by info.remote and there is no local process.
+   */
+  async _startRemote(config, descriptor, limits) {
+    const { name, language, cwd, projectRoot } = config;
+    const target = normalizeSshTarget(config.target);
+    const { remoteProjectRoot, remoteCwd } = remotePaths(target, { projectRoot, cwd });
+    const command = remoteCommand(target, language, { name, remoteCwd, remoteProjectRoot });
+    const timeout = (descriptor.startupTimeout || 10000) + RUNTIME_SSH.extraStartupMs;
+
+    console.log(`[runtime] Starting "${name}" (${language}) on ${target.label} in ${remoteCwd}...`);
+    this._emit('progress', { sessionName: name, language, stage: 'connecting', detail: target.label });
+    const launched = await startRemoteRuntime(target, { command, cwd: remoteCwd, name });
+
+    const port = await findFreePort();
+    const tunnel = new SshTunnel({
+      target,
+      localPort: port,
+      remotePort: launched.port,
+      onState: (state, detail) => this._onTunnelState(name, tunnel, state, detail),
+    });
+    try {
+      await tunnel.open();
+      await waitForMrp(port, { timeout });
+    } catch (e) {
+      tunnel.close();
+      const tail = await readRemoteLog(target, launched.logPath, 10);
+      await stopRemoteRuntime(target, launched.pid);
+      throw new Error(`Runtime on ${target.label} did not start: ${e.message}` +
+        (tail.length ? `\n${tail.join('\n')}` : ''));
+    }
+
+    const info = {
+      name,
+      language,
+      pid: null,
+      port,
+      url: `http://127.0.0.1:${port}/mrp/v1`,
+      cwd,
+      venv: null,
+      pythonEnv: null,
+      projectRoot: projectRoot || null,
+      daemonized: false,
+      managed: false,
+      logPath: null,
+      limits,
+      keepAlive: !!config.keepAlive,
+      container: null,
+      remote: {
+        type: 'ssh',
+        targetId: config.target.id || null,
+        label: target.label,
+        host: target.host,
+        pid: launched.pid,
+        port: launched.port,
+        cwd: remoteCwd,
+        projectRoot: remoteProjectRoot,
+        logPath: launched.logPath,
+        tunnel: 'connected',
+        target: config.target,
+      },
+      startedAt: new Date().toISOString(),
+      alive: true,
+    };
+
+    this.sessions.set(name, info);
+    this._tunnels.set(name, tunnel);
+    this._saveRegistry(info);
+    this.reaper.ensureRunning();
+    console.log(`[runtime] "${name}" running on ${target.label} (PID ${launched.pid}), forwarded to port ${port}`);
+    this._emit('started', { sessionName: name, language, port, pid: null, cwd, host: target.label });
+    return info;
+  }
+
+  /**
+   * Re-open the tunnel of a remote session from a previous app run. The
+   * remote runtime kept running; it gets a new local port. An unreachable
+   * host is retried in the background like a dropped tunnel.
+   */
+  async _resumeRemote(info) {
+    let tunnel = null;
+    try {
+      const target = normalizeSshTarget(info.remote.target);
+      const port = await findFreePort();
+      tunnel = new SshTunnel({
+        target,
+        localPort: port,
+        remotePort: info.remote.port,
+        onState: (state, detail) => this._onTunnelState(info.name, tunnel, state, detail),
+      });
+      this._tunnels.set(info.name, tunnel);
+      info.port = port;
+      info.url = `http://127.0.0.1:${port}/mrp/v1`;
+
+      if (await tunnel.open({ retry: true })) {
+        await this._checkRemote(info.name);
+      }
+    } catch (e) {
+      console.warn(`[runtime] Could not resume remote session ${info.name}: ${e.message}`);
+      if (this._tunnels.get(info.name) === tunnel) this._closeTunnel(info.name);
+      if (this.sessions.get(info.name) === info) {
+        this.sessions.delete(info.name);
+        this._removeRegistry(info.name);
+      }
+    }
+  }
+
+  /**
+   * Tunnel state changes of a remote session: mirrored on info.remote.tunnel
+   * and emitted as 'tunnel' events. After a reconnect the runtime is checked,
+   * since it may have died while the link was down.
+   */
+  _onTunnelState(name, tunnel, state, detail) {
+    if (this._tunnels.get(name) !== tunnel) return;
+    const session = this.sessions.get(name);
+    if (!session?.remote) return;
+
+    session.remote.tunnel = state;
+    this._emit('tunnel', {
+      sessionName: name,
+      language: session.language,
+      host: session.remote.label,
+      state,
+      ...detail,
+    });
+    if (state === 'connected' && detail.attempt > 0) {
+      this._checkRemote(name).catch((e) => {
+        console.warn(`[runtime] Checking remote session ${name} failed:`, e.message);
+      });
+    }
+  }
+
+  /**
+   * Verify a remote session answers MRP through its tunnel. If it doesn't and
+   * the remote process is gone, treat it like a local process exit
+   * (supervisor restart policy applies).
+   */
+  async _checkRemote(name) {
+    const session = this.sessions.get(name);
+    if (!session?.remote) return;
+    try {
+      await waitForMrp(session.port, { timeout: 5000 });
+      if (session.recovered) {
+        session.recovered = false;
+        this._saveRegistry(session);
+        console.log(`[runtime] Reconnected to remote runtime: ${name} on ${session.remote.label} (port ${session.port})`);
+      }
+      return;
+    } catch {}
+
+    const target = normalizeSshTarget(session.remote.target);
+    const alive = await isRemoteRuntimeAlive(target, session.remote.pid);
+    if (alive !== false || this.sessions.get(name) !== session || this._stopping.has(name)) return;
+
+    console.log(`[runtime:${name}] Remote process ${session.remote.pid} on ${session.remote.label} exited [unexpected]`);
+    this._closeTunnel(name);
+    session.alive = false;
+    this.sessions.delete(name);
+    this._removeRegistry(name);
+    this.supervisor.handleExit({
+      config: {
+        name,
+        language: session.language,
+        cwd: session.cwd,
+        projectRoot: session.projectRoot,
+        limits: session.limits || {},
+        keepAlive: !!session.keepAlive,
+        target: session.remote.target,
+      },
+      session,
+      code: null,
+      signal: null,
+      stderrTail: await readRemoteLog(target, session.remote.logPath, RUNTIME_STDERR_TAIL_LINES),
+    });
+  }
+
+  _closeTunnel(name) {
+    const tunnel = this._tunnels.get(name);
+    if (!tunnel) return;
+    this._tunnels.delete(name);
+    tunnel.close();
+  }
+
+  /**
+   * Output lines of the current/last run of a session (crash reports, early exits).
+   */
+  _lastRunOutput(name, count) {
+    try {
+      const { lines } = readRuntimeLogTail(this._logPathFor(name), { lines: RUNTIME_LOG_TAIL_LINES });
+      return linesSinceLastRun(lines).filter((line) => line.trim()).slice(-count);
+    } catch {
+      return [];
+    }
+  }
+
+  _logPathFor(sessionName) {
+    return this.sessions.get(sessionName)?.logPath || runtimeLogPath(sessionName);
+  }
+
+  _closeLogFd(log) {
+    if (!log || log.fd === null) return;
+    try {
+      fs.closeSync(log.fd);
+    } catch {}
+    log.fd = null;
+  }
+
+  /**
+   * Live runtimes hold their log open, so rotation (copy + truncate) is
+   * checked periodically rather than only at spawn time.
+   */
+  _ensureLogRotation() {
+    if (this._logRotationTimer) return;
+    this._logRotationTimer = setInterval(() => {
+      for (const info of this.sessions.values()) {
+        if (info.logPath) rotateRuntimeLogIfNeeded(info.logPath);
+      }
+    }, RUNTIME_LOG_ROTATION.checkIntervalMs);
+    this._logRotationTimer.unref?.();
+  }
+
+  _pruneLogs() {
+    try {
+      const keep = new Set([...this.sessions.values()].map((info) => info.logPath).filter(Boolean));
+      const removed = pruneRuntimeLogs({ dir: RUNTIME_LOGS_DIR, keep });
+      if (removed > 0) console.log(`[runtime] Pruned ${removed} old runtime log file(s)`);
+    } catch (e) {
+      console.warn('[runtime] Failed to prune runtime logs:', e.message);
+    }
+  }
+
+  _emit(type, payload) {
+    for (const listener of this._listeners) {
+      try {
+        listener(type, payload);
+      } catch (e) {
+        console.warn(`[runtime] Event listener failed for ${type}:`, e.message);
+      }
+    }
+  }
+
+  _logPlugins(dir, loaded) {
+    if (loaded.descriptors.size > 0) {
+      console.log(`[runtime] Loaded runtime plugin(s) from ${dir}: ${[...loaded.descriptors.keys()].join(', ')}`);
+    }
+    for (const { file, error } of loaded.errors) {
+      console.warn(`[runtime] Skipping runtime plugin ${file}: ${error}`);
     }
-    throw new Error(`No runtime descriptor for language: ${language}`);
   }
 
   _supportsPythonManagedFlag(exe) {
@@ -994,7 +1948,21 @@ class RuntimeService {
       for (const file of files) {
         try {
           const info = JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, file), 'utf8'));
-          if (info.pid && isProcessAlive(info.pid)) {
+          if (info.ephemeral) {
+            // Sub-agent runtimes end with the app run that started them
+            if (info.pid && isProcessAlive(info.pid)) {
+              this.sessions.set(info.name, info);
+              this.stop(info.name).catch(() => {});
+            } else {
+              fs.unlinkSync(path.join(SESSIONS_DIR, file));
+            }
+          } else if (info.remote) {
+            // Remote runtimes outlive the app; only the tunnel needs re-opening
+            info.alive = true;
+            info.recovered = true;
+            this.sessions.set(info.name, info);
+            this._resumeRemote(info);
+          } else if (info.pid && isProcessAlive(info.pid)) {
             info.alive = true;
             info.recovered = true;
             // Ensure url is present for older registry entries
@@ -1043,6 +2011,7 @@ class RuntimeService {
     } catch {
       // Port not reachable — process may have died or port was reused
       console.warn(`[runtime] Surviving process ${name} not reachable on port ${session.port}, removing`);
+      this._closeTunnel(name);
       this.sessions.delete(name);
       this._removeRegistry(name);
       return false;
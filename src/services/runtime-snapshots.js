@@ -0,0 +1,269 @@
+/**
+ * Runtime snapshots — save and restore a Python session's user namespace
+ *
+ * A snapshot is taken by the runtime itself: RuntimeService sends a small
+ * Python program through MRP /execute that serializes every top-level user
+ * variable with dill (falling back to cloudpickle, then pickle) and writes
+ *
+ *   <project>/.mrmd/snapshots/<session>/<id>/namespace.pkl
+ *   <project>/.mrmd/snapshots/<session>/<id>/manifest.json
+ *
+ * Variables are serialized one by one, so objects that can't be pickled
+ * (sockets, locks, live connections, ...) are skipped and reported instead of
+ * failing the whole snapshot. Imported modules are recorded by name and
+ * re-imported on restore. References shared between two top-level names
+ * are not preserved (each is restored as its own copy).
+ *
+ * Because the runtime writes the files, the directory is resolved as the
+ * runtime sees it: the remote project for SSH sessions, the mount point for
+ * container sessions on Windows hosts.
+ */
+
+import path from 'path';
+
+import { PROJECT_SNAPSHOTS_DIR, RUNTIME_SNAPSHOTS } from '../config.js';
+import { containerPaths } from './runtime-containers.js';
+
+/** Prefix of the report line the snapshot programs print */
+const REPORT_MARKER = '__MRMD_SNAPSHOT__ ';
+
+/** Top-level names that belong to the runtime/IPython, not the user */
+const IGNORED_NAMES = ['In', 'Out', 'exit', 'quit', 'get_ipython'];
+
+/**
+ * Snapshot id for a point in time: sortable, filesystem-safe.
+ * @param {Date} [date]
+ * @returns {string} e.g. "20261019-142501-123"
+ */
+function snapshotId(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+}
+
+/**
+ * Directory holding a session's snapshots, as seen by the runtime.
+ * @param {Object} session — RuntimeService session info
+ * @returns {string}
+ */
+function snapshotDir(session) {
+  const safeName = String(session.name).replace(/[^a-zA-Z0-9._-]/g, '-');
+  const parts = [...PROJECT_SNAPSHOTS_DIR.split(/[\\/]/), safeName];
+  if (session.remote) {
+    return path.posix.join(session.remote.projectRoot || session.remote.cwd, ...parts);
+  }
+  const root = session.projectRoot || session.cwd;
+  if (session.container) {
+    return path.posix.join(containerPaths(root, session.cwd).mountTarget, ...parts);
+  }
+  return path.join(root, ...parts);
+}
+
+/** Python literal for a JS value (JSON strings/numbers/bools are valid Python, bar true/false/null) */
+function py(value) {
+  if (value === null || value === undefined) return 'None';
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  return JSON.stringify(value);
+}
+
+const PY_SERIALIZER = `
+    try:
+        import dill as _ser
+    except ImportError:
+        try:
+            import cloudpickle as _ser
+        except ImportError:
+            import pickle as _ser`;
+
+const PY_LIST = `
+    def _ids(root):
+        if not os.path.isdir(root):
+            return []
+        return sorted(x for x in os.listdir(root) if os.path.isfile(os.path.join(root, x, 'manifest.json')))`;
+
+/**
+ * Python program that snapshots the namespace and prunes old snapshots.
+ * @param {{dir: string, id: string, label?: string, keep?: number}} opts
+ * @returns {string}
+ */
+function buildSnapshotCode({ dir, id, label = null, keep = RUNTIME_SNAPSHOTS.keep }) {
+  return `
+def __mrmd_snapshot(root, snap_id, label, keep):
+    import json, os, pickle, shutil, sys, time, types
+${PY_SERIALIZER}
+${PY_LIST}
+    root = os.path.expanduser(root)
+    target = os.path.join(root, snap_id)
+    os.makedirs(target, exist_ok=True)
+    ns = globals()
+    saved, modules, skipped = [], {}, []
+    tmp = os.path.join(target, 'namespace.pkl.tmp')
+    with open(tmp, 'wb') as f:
+        for name, value in list(ns.items()):
+            if name.startswith('_') or name in ${py(IGNORED_NAMES)}:
+                continue
+            if isinstance(value, types.ModuleType):
+                modules[name] = value.__name__
+                continue
+            try:
+                data = _ser.dumps(value)
+            except Exception as e:
+                skipped.append({'name': name, 'type': type(value).__name__, 'error': (str(e) or type(e).__name__)[:200]})
+                continue
+            pickle.dump((name, data), f)
+            saved.append(name)
+    os.replace(tmp, os.path.join(target, 'namespace.pkl'))
+    manifest = {
+        'id': snap_id,
+        'label': label,
+        'createdAt': time.strftime('%Y-%m-%dT%H:%M:%SZ', time.gmtime()),
+        'backend': _ser.__name__,
+        'python': sys.version.split()[0],
+        'saved': sorted(saved),
+        'modules': modules,
+        'skipped': skipped,
+        'bytes': os.path.getsize(os.path.join(target, 'namespace.pkl')),
+    }
+    with open(os.path.join(target, 'manifest.json'), 'w') as f:
+        json.dump(manifest, f, indent=2)
+    if keep > 0:
+        for old in _ids(root)[:-keep]:
+            shutil.rmtree(os.path.join(root, old), ignore_errors=True)
+    print(${py(REPORT_MARKER)} + json.dumps(manifest))
+
+try:
+    __mrmd_snapshot(${py(dir)}, ${py(id)}, ${py(label)}, ${Number(keep) || 0})
+finally:
+    del __mrmd_snapshot
+`;
+}
+
+/**
+ * Python program that loads a snapshot (the newest if id is null) into the namespace.
+ * @param {{dir: string, id?: string|null}} opts
+ * @returns {string}
+ */
+function buildRestoreCode({ dir, id = null }) {
+  return `
+def __mrmd_restore(root, snap_id):
+    import importlib, json, os, pickle
+${PY_LIST}
+    root = os.path.expanduser(root)
+    if not snap_id:
+        ids = _ids(root)
+        if not ids:
+            raise FileNotFoundError('No snapshots in ' + root)
+        snap_id = ids[-1]
+    target = os.path.join(root, snap_id)
+    with open(os.path.join(target, 'manifest.json')) as f:
+        manifest = json.load(f)
+    _ser = importlib.import_module(manifest.get('backend') or 'pickle')
+    ns = globals()
+    restored, failed = [], []
+    for alias, module in (manifest.get('modules') or {}).items():
+        try:
+            ns[alias] = importlib.import_module(module)
+        except Exception as e:
+            failed.append({'name': alias, 'type': 'module', 'error': (str(e) or type(e).__name__)[:200]})
+    with open(os.path.join(target, 'namespace.pkl'), 'rb') as f:
+        while True:
+            try:
+                name, data = pickle.load(f)
+            except EOFError:
+                break
+            try:
+                ns[name] = _ser.loads(data)
+                restored.append(name)
+            except Exception as e:
+                failed.append({'name': name, 'type': 'value', 'error': (str(e) or type(e).__name__)[:200]})
+    print(${py(REPORT_MARKER)} + json.dumps({
+        'id': snap_id,
+        'createdAt': manifest.get('createdAt'),
+        'restored': sorted(restored),
+        'modules': sorted((manifest.get('modules') or {}).keys()),
+        'failed': failed,
+        'skipped': manifest.get('skipped') or [],
+    }))
+
+try:
+    __mrmd_restore(${py(dir)}, ${py(id)})
+finally:
+    del __mrmd_restore
+`;
+}
+
+/**
+ * Python program that lists a session's snapshot manifests (newest first).
+ * @param {{dir: string}} opts
+ * @returns {string}
+ */
+function buildListCode({ dir }) {
+  return `
+def __mrmd_snapshots(root):
+    import json, os
+${PY_LIST}
+    root = os.path.expanduser(root)
+    manifests = []
+    for snap_id in reversed(_ids(root)):
+        try:
+            with open(os.path.join(root, snap_id, 'manifest.json')) as f:
+                m = json.load(f)
+            entry = {k: m.get(k) for k in ('id', 'label', 'createdAt', 'backend', 'bytes')}
+            entry['saved'] = len(m.get('saved') or [])
+            entry['skipped'] = len(m.get('skipped') or [])
+            manifests.append(entry)
+        except Exception:
+            pass
+    print(${py(REPORT_MARKER)} + json.dumps({'snapshots': manifests}))
+
+try:
+    __mrmd_snapshots(${py(dir)})
+finally:
+    del __mrmd_snapshots
+`;
+}
+
+/**
+ * Pull the report out of an MRP execute result.
+ * @param {Object} result — MRP /execute response
+ * @returns {Object}
+ */
+function parseSnapshotReport(result) {
+  const error = result?.error;
+  if (error) {
+    const message = typeof error === 'string' ? error : [error.type || error.ename, error.message || error.evalue].filter(Boolean).join(': ');
+    throw new Error(message || 'snapshot code failed');
+  }
+  const line = String(result?.stdout || '').split('\n').reverse().find((l) => l.startsWith(REPORT_MARKER));
+  if (!line) throw new Error('Runtime did not report a snapshot result');
+  return JSON.parse(line.slice(REPORT_MARKER.length));
+}
+
+/**
+ * Run one of the programs above on a runtime and return its report.
+ * @param {number} port — local MRP port
+ * @param {string} code
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs]
+ * @returns {Promise<Object>}
+ */
+async function runSnapshotCode(port, code, { timeoutMs = RUNTIME_SNAPSHOTS.timeoutMs } = {}) {
+  const res = await fetch(`http://127.0.0.1:${port}/mrp/v1/execute`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code, storeHistory: false }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(data?.error || data?.detail || `MRP execute failed: ${res.status}`);
+  return parseSnapshotReport(data);
+}
+
+export {
+  REPORT_MARKER,
+  snapshotId,
+  snapshotDir,
+  buildSnapshotCode,
+  buildRestoreCode,
+  buildListCode,
+  parseSnapshotReport,
+  runSnapshotCode,
+};
@@ -0,0 +1,499 @@
+/**
+ * SSH compute targets — run an MRP runtime on another machine
+ *
+ * A known compute target of type "ssh" (compute.knownTargets in the runtime
+ * preferences) describes how to reach a remote host:
+ *
+ *   { type: 'ssh', host: 'gpu-box', user?: 'me', port?: 22, identityFile?: '~/.ssh/id_ed25519',
+ *     remoteRoot?: '~/projects', projectPaths?: { '/local/project': '/remote/project' },
+ *     remoteVenv?: '/remote/project/.venv', commands?: { r: [...], julia: [...] } }
+ *
+ * Starting a runtime on it takes three steps, all through the system `ssh`
+ * binary (so ~/.ssh/config, agents and ProxyJump work as usual):
+ *
+ *   1. a one-shot `ssh host sh -c ...` picks a free port on the remote host,
+ *      starts the runtime there under nohup and reports its pid and port;
+ *   2. an `ssh -N -L` tunnel forwards a local port to the remote one;
+ *   3. RuntimeService registers the local port as a normal session.
+ *
+ * The tunnel re-opens itself when the link drops (SshTunnel), and the
+ * remote runtime keeps running meanwhile, so sessions survive network
+ * hiccups and laptop sleep. The remote project path is the projectPaths
+ * entry for the local project root, or remoteRoot/<project dir name>.
+ *
+ * Runtime commands are templates like the container ones (${port} ${cwd}
+ * ${name} ${venv} ${projectRoot}); python and bash have defaults, other
+ * languages need `commands` on the target. ssh runs non-interactively
+ * (BatchMode), so keys must be loaded or passwordless.
+ */
+
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+
+import { findInPath, isWin } from '../utils/platform.js';
+import { waitForPort } from '../utils/network.js';
+import { RUNTIME_SSH } from '../config.js';
+import { expandTemplate } from './runtime-plugins.js';
+
+/** Default runtime command on the remote host, per language */
+const REMOTE_COMMANDS = {
+  python: ['${venv}/bin/mrmd-python', '--id', '${name}', '--foreground', '--port', '${port}', '--venv', '${venv}', '--cwd', '${cwd}'],
+  bash: ['uv', 'tool', 'run', '--from', 'mrmd-bash', 'mrmd-bash', '--port', '${port}', '--cwd', '${cwd}'],
+};
+
+/** Stand-in for ${port}: the port is only known once the launch script runs */
+const PORT_TOKEN = '@MRMD_PORT@';
+
+/** First line of launch script output the parser looks for */
+const LAUNCH_MARKER = 'MRMD_REMOTE';
+
+/** Launch script exit code when the remote cwd doesn't exist */
+const EXIT_NO_CWD = 97;
+
+const HOST_RE = /^[A-Za-z0-9._:%[\]-]+$/;
+const USER_RE = /^[A-Za-z0-9._][A-Za-z0-9._-]*$/;
+
+/**
+ * Validate and fill in an SSH target.
+ * @param {Object} target
+ * @returns {Object} normalized target (see module comment)
+ */
+function normalizeSshTarget(target = {}) {
+  const host = String(target.host || '').trim();
+  if (!host) throw new Error('SSH target needs a "host"');
+  if (host.startsWith('-') || !HOST_RE.test(host)) throw new Error(`Invalid SSH host: ${host}`);
+
+  const user = target.user ? String(target.user).trim() : null;
+  if (user && !USER_RE.test(user)) throw new Error(`Invalid SSH user: ${user}`);
+
+  let port = null;
+  if (target.port !== undefined && target.port !== null && target.port !== '') {
+    port = Number(target.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`Invalid SSH port: ${target.port}`);
+  }
+
+  let identityFile = target.identityFile ? String(target.identityFile) : null;
+  if (identityFile && (identityFile === '~' || identityFile.startsWith('~/'))) {
+    identityFile = path.join(os.homedir(), identityFile.slice(1));
+  }
+
+  return {
+    type: 'ssh',
+    host,
+    user,
+    port,
+    identityFile,
+    label: target.label || (user ? `${user}@${host}` : host),
+    remoteRoot: target.remoteRoot || null,
+    projectPaths: { ...(target.projectPaths || {}) },
+    remoteVenv: target.remoteVenv || null,
+    commands: { ...(target.commands || {}) },
+  };
+}
+
+/** `ssh` executable (Windows ships OpenSSH in System32) */
+function findSsh() {
+  const extra = isWin
+    ? [path.join(process.env.SystemRoot || 'C:\\Windows', 'System32', 'OpenSSH', 'ssh.exe')]
+    : [];
+  return findInPath('ssh', extra);
+}
+
+/**
+ * ssh arguments up to and including the destination.
+ * @param {Object} target — normalized target
+ * @param {string[]} [extra] — additional options (e.g. -N -L ...)
+ * @returns {string[]}
+ */
+function buildSshArgs(target, extra = []) {
+  const args = [
+    '-o', 'BatchMode=yes',
+    '-o', `ConnectTimeout=${RUNTIME_SSH.connectTimeoutSec}`,
+    '-o', `ServerAliveInterval=${RUNTIME_SSH.serverAliveIntervalSec}`,
+    '-o', `ServerAliveCountMax=${RUNTIME_SSH.serverAliveCountMax}`,
+  ];
+  if (target.port) args.push('-p', String(target.port));
+  if (target.identityFile) args.push('-i', target.identityFile, '-o', 'IdentitiesOnly=yes');
+  args.push(...extra);
+  args.push(target.user ? `${target.user}@${target.host}` : target.host);
+  return args;
+}
+
+/** Single-quote a string for POSIX sh */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote one argument for the remote shell. A leading ~ stays expandable
+ * (it's the remote user's home, which we can't know locally) and the
+ * ${port} stand-in becomes "$PORT".
+ */
+function quoteRemoteArg(value) {
+  const s = String(value);
+  let quoted;
+  if (s === '~') quoted = '"$HOME"';
+  else if (s.startsWith('~/')) quoted = `"$HOME"/${shellQuote(s.slice(2))}`;
+  else quoted = shellQuote(s);
+  return quoted.split(PORT_TOKEN).join(`'"$PORT"'`);
+}
+
+/**
+ * Map a local project root / cwd to paths on the target.
+ * @param {Object} target — normalized target
+ * @param {{projectRoot?: string, cwd?: string}} where
+ * @returns {{remoteProjectRoot: string, remoteCwd: string}}
+ */
+function remotePaths(target, { projectRoot, cwd } = {}) {
+  let remoteProjectRoot = null;
+  if (projectRoot) {
+    const local = path.resolve(projectRoot);
+    const mapped = Object.entries(target.projectPaths || {}).find(([from]) => path.resolve(from) === local);
+    if (mapped) remoteProjectRoot = mapped[1];
+    else if (target.remoteRoot) remoteProjectRoot = path.posix.join(target.remoteRoot, path.basename(local));
+  }
+  if (!remoteProjectRoot) {
+    throw new Error(`No remote path for ${projectRoot || 'this project'} on ${target.label} (set remoteRoot or projectPaths)`);
+  }
+
+  let remoteCwd = remoteProjectRoot;
+  if (cwd && projectRoot) {
+    const rel = path.relative(path.resolve(projectRoot), path.resolve(cwd));
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) {
+      remoteCwd = path.posix.join(remoteProjectRoot, ...rel.split(path.sep));
+    }
+  }
+  return { remoteProjectRoot, remoteCwd };
+}
+
+/**
+ * Runtime command for a language on the target, templates expanded
+ * (the port stays a stand-in until the launch script picks it).
+ * @returns {string[]}
+ */
+function remoteCommand(target, language, { name, remoteCwd, remoteProjectRoot }) {
+  const template = target.commands?.[language] || REMOTE_COMMANDS[language];
+  if (!Array.isArray(template) || template.length === 0) {
+    throw new Error(`No remote command for ${language} on ${target.label} (set commands.${language} on the target)`);
+  }
+  const vars = {
+    name,
+    cwd: remoteCwd,
+    projectRoot: remoteProjectRoot,
+    venv: target.remoteVenv || path.posix.join(remoteProjectRoot, '.venv'),
+    port: PORT_TOKEN,
+  };
+  return template.map((arg) => expandTemplate(arg, vars));
+}
+
+/**
+ * POSIX sh script that starts the runtime in the background and prints
+ * `MRMD_REMOTE pid=<pid> port=<port> log=<path>`. The runtime gets its own
+ * process group (setsid, where available) so stopping it takes its children.
+ */
+function buildRemoteLaunchScript({ command, cwd, name }) {
+  const logDir = RUNTIME_SSH.remoteLogDir;
+  const logName = `${String(name).replace(/[^a-zA-Z0-9._-]/g, '-')}.log`;
+  return [
+    `cd ${quoteRemoteArg(cwd)} || exit ${EXIT_NO_CWD}`,
+    `PORT=$(python3 -c 'import socket; s = socket.socket(); s.bind(("127.0.0.1", 0)); print(s.getsockname()[1])' 2>/dev/null) || PORT=$(( ($$ * 7919) % 40000 + 20000 ))`,
+    `mkdir -p "$HOME/${logDir}"`,
+    `LOG="$HOME/${logDir}/${logName}"`,
+    'if command -v setsid >/dev/null 2>&1; then RUN=setsid; else RUN=; fi',
+    `$RUN nohup ${command.map(quoteRemoteArg).join(' ')} > "$LOG" 2>&1 < /dev/null &`,
+    `echo "${LAUNCH_MARKER} pid=$! port=$PORT log=$LOG"`,
+  ].join('\n');
+}
+
+/**
+ * @param {string} output — launch script stdout
+ * @returns {{pid: number, port: number, logPath: string}|null}
+ */
+function parseLaunchOutput(output) {
+  const match = String(output || '').match(new RegExp(`^${LAUNCH_MARKER} pid=(\\d+) port=(\\d+) log=(.*)$`, 'm'));
+  if (!match) return null;
+  return { pid: Number(match[1]), port: Number(match[2]), logPath: match[3].trim() };
+}
+
+/**
+ * Run a sh script on the target.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runSsh(target, script, { timeoutMs = (RUNTIME_SSH.connectTimeoutSec + 15) * 1000, sshPath = findSsh() } = {}) {
+  if (!sshPath) return Promise.resolve({ code: -1, stdout: '', stderr: 'ssh not found (install OpenSSH)' });
+
+  return new Promise((resolve) => {
+    // ssh hands the remote command to the login shell as one string
+    const proc = spawn(sshPath, [...buildSshArgs(target), `sh -c ${shellQuote(script)}`], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+    let stdout = '';
+    let stderr = '';
+    proc.stdout.on('data', (d) => { stdout = (stdout + d).slice(-8000); });
+    proc.stderr.on('data', (d) => { stderr = (stderr + d).slice(-4000); });
+    const timer = setTimeout(() => proc.kill('SIGKILL'), timeoutMs);
+    proc.on('error', (e) => {
+      clearTimeout(timer);
+      resolve({ code: -1, stdout, stderr: e.message });
+    });
+    proc.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code: code === null ? -1 : code, stdout, stderr });
+    });
+  });
+}
+
+function sshFailure(target, result) {
+  return (result.stderr || result.stdout).trim().split('\n').slice(-3).join('\n')
+    || `ssh to ${target.label} exited with code ${result.code}`;
+}
+
+/**
+ * Start a runtime on the target (returns once it's launched, not ready).
+ * @param {Object} target — normalized target
+ * @param {{command: string[], cwd: string, name: string}} launch
+ * @returns {Promise<{pid: number, port: number, logPath: string}>}
+ */
+async function startRemoteRuntime(target, launch) {
+  const result = await runSsh(target, buildRemoteLaunchScript(launch));
+  if (result.code === EXIT_NO_CWD) {
+    throw new Error(`Remote directory ${launch.cwd} does not exist on ${target.label}`);
+  }
+  const launched = parseLaunchOutput(result.stdout);
+  if (result.code !== 0 || !launched) {
+    throw new Error(`Starting runtime on ${target.label} failed: ${sshFailure(target, result)}`);
+  }
+  return launched;
+}
+
+/**
+ * Stop a remote runtime: SIGTERM its process group, SIGKILL after the timeout.
+ * @returns {Promise<boolean>} true if ssh reported success
+ */
+async function stopRemoteRuntime(target, pid, { timeoutSec = RUNTIME_SSH.stopTimeoutSec } = {}) {
+  if (!Number.isInteger(pid) || pid <= 1) return false;
+  const script = [
+    `kill -TERM -- -${pid} 2>/dev/null || kill -TERM ${pid} 2>/dev/null || exit 0`,
+    'i=0',
+    `while kill -0 ${pid} 2>/dev/null; do`,
+    `  i=$((i + 1)); if [ $i -gt ${timeoutSec} ]; then kill -KILL -- -${pid} 2>/dev/null || kill -KILL ${pid}; break; fi`,
+    '  sleep 1',
+    'done',
+  ].join('\n');
+  const result = await runSsh(target, script, {
+    timeoutMs: (RUNTIME_SSH.connectTimeoutSec + timeoutSec + 10) * 1000,
+  });
+  if (result.code !== 0) {
+    console.warn(`[ssh] Stopping PID ${pid} on ${target.label} failed: ${sshFailure(target, result)}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @returns {Promise<boolean|null>} whether the remote pid is alive; null if the host is unreachable
+ */
+async function isRemoteRuntimeAlive(target, pid) {
+  if (!Number.isInteger(pid) || pid <= 1) return false;
+  const result = await runSsh(target, `if kill -0 ${pid} 2>/dev/null; then echo alive; else echo gone; fi`);
+  if (result.code !== 0) return null;
+  return result.stdout.includes('alive');
+}
+
+/**
+ * Last lines of a remote runtime log (best-effort, [] on failure).
+ * @returns {Promise<string[]>}
+ */
+async function readRemoteLog(target, logPath, lines = 20) {
+  if (!logPath) return [];
+  const result = await runSsh(target, `tail -n ${Number(lines) || 20} ${shellQuote(logPath)} 2>/dev/null`);
+  if (result.code !== 0) return [];
+  return result.stdout.split('\n').filter((line) => line.trim());
+}
+
+/**
+ * Check that the target is reachable without prompting and which runtime
+ * tools it has.
+ * @returns {Promise<{ok: boolean, latencyMs: number, tools: Object<string, boolean>, error?: string}>}
+ */
+async function testSshTarget(target) {
+  const started = Date.now();
+  const result = await runSsh(target, 'echo MRMD_OK; for t in python3 uv; do command -v "$t" >/dev/null 2>&1 && echo "tool $t"; done');
+  const latencyMs = Date.now() - started;
+  const ok = result.code === 0 && result.stdout.includes('MRMD_OK');
+  const tools = {
+    python3: /^tool python3$/m.test(result.stdout),
+    uv: /^tool uv$/m.test(result.stdout),
+  };
+  return ok ? { ok, latencyMs, tools } : { ok, latencyMs, tools, error: sshFailure(target, result) };
+}
+
+/**
+ * `ssh -N -L` port forward that re-opens itself when the connection drops.
+ *
+ * The local port stays the same across reconnects, so the session's URL
+ * never changes. State changes go to onState(state, detail):
+ *   'connected'    { attempt }                    (attempt 0 = first open)
+ *   'reconnecting' { attempt, delayMs, reason }
+ *   'closed'       {}
+ */
+class SshTunnel {
+  /**
+   * @param {Object} opts
+   * @param {Object} opts.target — normalized target
+   * @param {number} opts.localPort
+   * @param {number} opts.remotePort
+   * @param {function} [opts.onState]
+   * @param {string} [opts.sshPath]
+   */
+  constructor({ target, localPort, remotePort, onState = null, sshPath = findSsh() }) {
+    this.target = target;
+    this.localPort = localPort;
+    this.remotePort = remotePort;
+    this.onState = onState;
+    this.sshPath = sshPath;
+    this.state = 'idle';
+
+    /** @type {import('child_process').ChildProcess|null} */
+    this._proc = null;
+    this._closed = false;
+    this._attempt = 0;
+    this._timer = null;
+  }
+
+  /**
+   * Open the tunnel. If the first connection fails it rejects, or with
+   * `retry` keeps reconnecting in the background and resolves false.
+   * @param {Object} [opts]
+   * @param {number} [opts.timeout] — ms to wait for the forward
+   * @param {boolean} [opts.retry]
+   * @returns {Promise<boolean>} true once connected
+   */
+  async open({ timeout = (RUNTIME_SSH.connectTimeoutSec + 5) * 1000, retry = false } = {}) {
+    if (!this.sshPath) throw new Error('ssh not found (install OpenSSH)');
+    this._timeout = timeout;
+    try {
+      await this._connect();
+    } catch (e) {
+      if (!retry || this._closed) throw e;
+      this._reconnect(e.message);
+      return false;
+    }
+    this._setState('connected', { attempt: 0 });
+    return true;
+  }
+
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    if (this._proc) {
+      try { this._proc.kill(); } catch {}
+      this._proc = null;
+    }
+    this._setState('closed', {});
+  }
+
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const forward = `127.0.0.1:${this.localPort}:127.0.0.1:${this.remotePort}`;
+      const proc = spawn(this.sshPath, buildSshArgs(this.target, ['-N', '-o', 'ExitOnForwardFailure=yes', '-L', forward]), {
+        stdio: ['ignore', 'ignore', 'pipe'],
+        windowsHide: true,
+      });
+      this._proc = proc;
+
+      let stderr = '';
+      let established = false;
+      let settled = false;
+      let gone = false;
+      proc.stderr.on('data', (d) => { stderr = (stderr + d).slice(-2000); });
+
+      const onGone = (reason) => {
+        if (gone) return;
+        gone = true;
+        if (this._proc === proc) this._proc = null;
+        if (!settled) {
+          settled = true;
+          reject(new Error(`SSH tunnel to ${this.target.label} failed: ${reason}`));
+        } else if (established && !this._closed) {
+          this._reconnect(reason);
+        }
+      };
+      proc.once('error', (e) => onGone(e.message));
+      proc.once('exit', (code) => onGone(stderr.trim().split('\n').pop() || `ssh exited with code ${code}`));
+
+      waitForPort(this.localPort, { timeout: this._timeout }).then(
+        () => {
+          if (settled) return;
+          settled = true;
+          established = true;
+          resolve();
+        },
+        (e) => {
+          if (settled) return;
+          settled = true;
+          try { proc.kill(); } catch {}
+          reject(new Error(`SSH tunnel to ${this.target.label} failed: ${e.message}`));
+        },
+      );
+    });
+  }
+
+  _reconnect(reason) {
+    this._attempt += 1;
+    const delayMs = Math.min(RUNTIME_SSH.reconnectInitialMs * 2 ** (this._attempt - 1), RUNTIME_SSH.reconnectMaxMs);
+    console.warn(`[ssh] Tunnel to ${this.target.label} dropped (${reason}); reconnecting in ${delayMs}ms`);
+    this._setState('reconnecting', { attempt: this._attempt, delayMs, reason });
+
+    this._timer = setTimeout(async () => {
+      this._timer = null;
+      if (this._closed) return;
+      try {
+        await this._connect();
+      } catch (e) {
+        if (!this._closed) this._reconnect(e.message);
+        return;
+      }
+      if (this._closed) {
+        try { this._proc?.kill(); } catch {}
+        return;
+      }
+      const attempt = this._attempt;
+      this._attempt = 0;
+      console.log(`[ssh] Tunnel to ${this.target.label} re-established (attempt ${attempt})`);
+      this._setState('connected', { attempt });
+    }, delayMs);
+  }
+
+  _setState(state, detail) {
+    this.state = state;
+    if (this.onState) {
+      try { this.onState(state, detail); } catch (e) {
+        console.error('[ssh] Tunnel state listener failed:', e.message);
+      }
+    }
+  }
+}
+
+export {
+  REMOTE_COMMANDS,
+  normalizeSshTarget,
+  findSsh,
+  buildSshArgs,
+  shellQuote,
+  remotePaths,
+  remoteCommand,
+  buildRemoteLaunchScript,
+  parseLaunchOutput,
+  runSsh,
+  startRemoteRuntime,
+  stopRemoteRuntime,
+  isRemoteRuntimeAlive,
+  readRemoteLog,
+  testSshTarget,
+  SshTunnel,
+};
@@ -0,0 +1,262 @@
+/**
+ * RuntimeSupervisor — restart policy + crash history for runtime sessions
+ *
+ * RuntimeService reports every unexpected child exit here. The supervisor:
+ *   1. Records a crash entry (exit code, signal, uptime, last stderr lines)
+ *   2. Applies the language's restart policy (never / on-failure / always)
+ *      with exponential backoff and a restart budget
+ *   3. Emits 'crashed' and 'restarted' events for RuntimeService to forward
+ *
+ * Explicit stop()/restart() calls never reach the supervisor.
+ */
+
+import { RUNTIME_RESTART_POLICY, RUNTIME_CRASH_HISTORY_LIMIT } from '../config.js';
+
+const POLICY_MODES = ['never', 'on-failure', 'always'];
+
+/**
+ * Fill in and clamp a (possibly partial) restart policy.
+ * @param {Object} [policy]
+ * @returns {{mode: string, maxRestarts: number, initialBackoffMs: number, maxBackoffMs: number, resetAfterMs: number, restoreSnapshot: boolean}}
+ */
+function normalizeRestartPolicy(policy = {}) {
+  const merged = { ...RUNTIME_RESTART_POLICY, ...(policy || {}) };
+  const num = (v, fallback) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : fallback);
+  return {
+    mode: POLICY_MODES.includes(merged.mode) ? merged.mode : RUNTIME_RESTART_POLICY.mode,
+    maxRestarts: Math.floor(num(merged.maxRestarts, RUNTIME_RESTART_POLICY.maxRestarts)),
+    initialBackoffMs: num(merged.initialBackoffMs, RUNTIME_RESTART_POLICY.initialBackoffMs),
+    maxBackoffMs: num(merged.maxBackoffMs, RUNTIME_RESTART_POLICY.maxBackoffMs),
+    resetAfterMs: num(merged.resetAfterMs, RUNTIME_RESTART_POLICY.resetAfterMs),
+    restoreSnapshot: !!merged.restoreSnapshot,
+  };
+}
+
+/**
+ * Delay before restart attempt N (1-based).
+ */
+function backoffDelay(policy, attempt) {
+  const delay = policy.initialBackoffMs * 2 ** Math.max(0, attempt - 1);
+  return Math.min(delay, policy.maxBackoffMs);
+}
+
+/**
+ * Human-readable reason for an exit.
+ */
+function describeExit(code, signal) {
+  if (signal === 'SIGKILL') return 'killed (SIGKILL, possibly out of memory)';
+  if (signal) return `terminated by ${signal}`;
+  if (code === 0) return 'exited cleanly (code 0)';
+  if (code === null || code === undefined) return 'exited (unknown status)';
+  return `exited with code ${code}`;
+}
+
+class RuntimeSupervisor {
+  /**
+   * @param {Object} opts
+   * @param {function} opts.restart — async (config, policy) => session info
+   * @param {function} opts.emit — (type, payload) => void
+   * @param {function} [opts.resolvePolicy] — (language, config) => partial policy
+   * @param {number} [opts.historyLimit]
+   */
+  constructor({ restart, emit, resolvePolicy = null, historyLimit = RUNTIME_CRASH_HISTORY_LIMIT }) {
+    this._restart = restart;
+    this._emit = emit;
+    this._resolvePolicy = resolvePolicy;
+    this._historyLimit = historyLimit;
+
+    /** @type {Object[]} oldest first */
+    this._history = [];
+
+    /** @type {Map<string, number>} session name -> restart attempts in the current window */
+    this._attempts = new Map();
+
+    /** @type {Map<string, NodeJS.Timeout>} session name -> pending restart timer */
+    this._timers = new Map();
+  }
+
+  setPolicyResolver(fn) {
+    this._resolvePolicy = fn;
+  }
+
+  policyFor(language, config = {}) {
+    let policy = {};
+    try {
+      policy = this._resolvePolicy?.(language, config) || {};
+    } catch (e) {
+      console.warn(`[runtime:supervisor] Failed to resolve restart policy for ${language}:`, e.message);
+    }
+    return normalizeRestartPolicy(policy);
+  }
+
+  /**
+   * Handle an unexpected exit of a session that had become ready.
+   *
+   * @param {Object} opts
+   * @param {Object} opts.config — start config to restart with
+   * @param {Object} opts.session — session info at the time of exit
+   * @param {number|null} opts.code
+   * @param {string|null} opts.signal
+   * @param {string[]} [opts.stderrTail] — last output lines of the run (stdout + stderr from the session log)
+   * @returns {Object} crash entry
+   */
+  handleExit({ config, session, code, signal, stderrTail = [] }) {
+    const name = session.name;
+    const language = session.language;
+    const policy = this.policyFor(language, config);
+    const exitedAt = Date.now();
+    const startedAt = Date.parse(session.startedAt) || exitedAt;
+    const uptimeMs = Math.max(0, exitedAt - startedAt);
+    const failed = code !== 0 || !!signal;
+
+    // A runtime that stayed up long enough gets a fresh restart budget
+    if (uptimeMs >= policy.resetAfterMs) this._attempts.delete(name);
+    const previousAttempts = this._attempts.get(name) || 0;
+
+    const wantsRestart = policy.mode === 'always' || (policy.mode === 'on-failure' && failed);
+    const willRestart = wantsRestart && previousAttempts < policy.maxRestarts;
+    const attempt = previousAttempts + 1;
+    const delayMs = willRestart ? backoffDelay(policy, attempt) : 0;
+
+    const entry = {
+      sessionName: name,
+      language,
+      pid: session.pid || null,
+      exitCode: code ?? null,
+      signal: signal || null,
+      reason: describeExit(code, signal),
+      uptimeMs,
+      startedAt: session.startedAt || null,
+      exitedAt: new Date(exitedAt).toISOString(),
+      stderrTail: [...stderrTail],
+      policy: policy.mode,
+      action: willRestart ? 'restart' : (wantsRestart ? 'gave-up' : 'none'),
+      attempt: willRestart ? attempt : previousAttempts,
+      delayMs,
+    };
+    this._record(entry);
+
+    console.warn(`[runtime:supervisor] "${name}" ${entry.reason} after ${Math.round(uptimeMs / 1000)}s; ` +
+      (willRestart ? `restart ${attempt}/${policy.maxRestarts} in ${delayMs}ms` : `no restart (${entry.action}, policy=${policy.mode})`));
+
+    this._emit('crashed', {
+      ...entry,
+      willRestart,
+      gaveUp: entry.action === 'gave-up',
+    });
+
+    if (willRestart) {
+      this._attempts.set(name, attempt);
+      this._schedule(name, config, attempt, delayMs, policy);
+    } else {
+      this._attempts.delete(name);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Cancel a pending automatic restart (e.g. the user stopped the session).
+   * @param {string} name
+   */
+  cancel(name) {
+    this._clearTimer(name);
+    this._attempts.delete(name);
+  }
+
+  cancelAll() {
+    for (const name of [...this._timers.keys()]) this.cancel(name);
+  }
+
+  isRestartPending(name) {
+    return this._timers.has(name);
+  }
+
+  /**
+   * Crash history, newest first.
+   * @param {Object} [filter]
+   * @param {string} [filter.sessionName]
+   * @param {string} [filter.language]
+   * @param {number} [filter.limit]
+   * @returns {Object[]}
+   */
+  history({ sessionName = null, language = null, limit = null } = {}) {
+    const out = this._history
+      .filter((e) => (!sessionName || e.sessionName === sessionName) && (!language || e.language === language))
+      .reverse();
+    return limit ? out.slice(0, limit) : out;
+  }
+
+  lastCrash(name) {
+    for (let i = this._history.length - 1; i >= 0; i--) {
+      if (this._history[i].sessionName === name) return this._history[i];
+    }
+    return null;
+  }
+
+  // ── Internal ────────────────────────────────────────────────────────────
+
+  _record(entry) {
+    this._history.push(entry);
+    if (this._history.length > this._historyLimit) {
+      this._history.splice(0, this._history.length - this._historyLimit);
+    }
+  }
+
+  _schedule(name, config, attempt, delayMs, policy) {
+    this._clearTimer(name);
+    const timer = setTimeout(async () => {
+      this._timers.delete(name);
+      try {
+        const session = await this._restart(config, policy);
+        console.log(`[runtime:supervisor] Restarted "${name}" on port ${session?.port} (attempt ${attempt})`);
+        this._emit('restarted', {
+          sessionName: name,
+          language: config.language,
+          attempt,
+          session,
+        });
+      } catch (e) {
+        const nextAttempt = attempt + 1;
+        const giveUp = attempt >= policy.maxRestarts;
+        const entry = {
+          sessionName: name,
+          language: config.language,
+          pid: null,
+          exitCode: null,
+          signal: null,
+          reason: `restart failed: ${e.message}`,
+          uptimeMs: 0,
+          startedAt: null,
+          exitedAt: new Date().toISOString(),
+          stderrTail: [],
+          policy: policy.mode,
+          action: giveUp ? 'gave-up' : 'restart',
+          attempt: giveUp ? attempt : nextAttempt,
+          delayMs: giveUp ? 0 : backoffDelay(policy, nextAttempt),
+        };
+        this._record(entry);
+        console.error(`[runtime:supervisor] Restart of "${name}" failed (attempt ${attempt}):`, e.message);
+        this._emit('crashed', { ...entry, willRestart: !giveUp, gaveUp: giveUp });
+
+        if (giveUp) {
+          this._attempts.delete(name);
+        } else {
+          this._attempts.set(name, nextAttempt);
+          this._schedule(name, config, nextAttempt, entry.delayMs, policy);
+        }
+      }
+    }, delayMs);
+    timer.unref?.();
+    this._timers.set(name, timer);
+  }
+
+  _clearTimer(name) {
+    const timer = this._timers.get(name);
+    if (timer) clearTimeout(timer);
+    this._timers.delete(name);
+  }
+}
+
+export default RuntimeSupervisor;
+export { normalizeRestartPolicy, backoffDelay, describeExit };
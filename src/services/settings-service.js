@@ -196,6 +196,17 @@ class SettingsService {
     return this.settings;
   }
 
+  /**
+   * Re-read settings from disk, e.g. after another process (the app, the
+   * machine agent) changed them.
+   *
+   * @returns {object} Settings object
+   */
+  reload() {
+    this.loaded = false;
+    return this.load();
+  }
+
   /**
    * Merge loaded settings with defaults (for schema upgrades)
    *
@@ -305,6 +305,25 @@ export function isProcessAlive(pid) {
   }
 }
 
+/**
+ * Find an executable in a list of known paths, falling back to PATH
+ * @param {string} name - Executable name (without .exe)
+ * @param {string[]} extraPaths - Absolute paths to check first
+ * @returns {string|null} Path to the executable, or null if not found
+ */
+export function findInPath(name, extraPaths = []) {
+  for (const p of extraPaths) {
+    if (p && fs.existsSync(p)) return p;
+  }
+  const pathDirs = (process.env.PATH || '').split(path.delimiter);
+  const exe = isWin ? name + '.exe' : name;
+  for (const dir of pathDirs) {
+    const candidate = path.join(dir, exe);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
 /**
  * Convert a file:// URL to a path, handling platform differences
  * Windows file URLs are file:///C:/path, Unix are file:///path
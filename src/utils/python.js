@@ -73,13 +73,16 @@ export function findUvSync() {
  * @param {string} options.localDev - Local development path (from MRMD_PYTHON_DEV env)
  * @param {boolean} options.fullInstall - Install all packages including optional (default: true)
  * @param {function} options.onProgress - Progress callback (stage, detail)
+ * @param {string} options.pythonPath - Interpreter to install into (default: the venv's python;
+ *   conda/pixi prefixes on Windows keep python.exe at the prefix root)
  * @returns {Promise<{ success: boolean, packages: string[] }>}
  */
 export async function installMrmdPython(venvPath, options = {}) {
   const {
     localDev = process.env.MRMD_PYTHON_DEV,
     fullInstall = true,
-    onProgress
+    onProgress,
+    pythonPath = getVenvPython(venvPath),
   } = options;
 
   const localSource = localDev
@@ -91,8 +94,6 @@ export async function installMrmdPython(venvPath, options = {}) {
     if (onProgress) onProgress(stage, detail);
   };
 
-  const pythonPath = getVenvPython(venvPath);
-
   // Validate venv exists
   if (!fs.existsSync(pythonPath)) {
     throw new Error(`Python not found at ${pythonPath}. Is this a valid venv?`);
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  affectedCells,
+  createActivityFilter,
+  createAgentActivityLog,
+  summarizeRequest,
+  summarizeResult,
+} from '../src/agent-activity-log.js';
+
+async function withLog(fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-activity-'));
+  try {
+    await fn(createAgentActivityLog({ globalFile: path.join(root, 'agent-activity.jsonl') }), root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('entries go to their project log and survive a new instance', async () => {
+  await withLog(async (log, root) => {
+    const project = path.join(root, 'thesis');
+    const doc = path.join(project, 'analysis.md');
+    await Promise.all([
+      log.append({ id: 'a', at: '2026-01-01T10:00:00.000Z', kind: 'cell-run', status: 'completed', tokenId: 't1', document: doc, projectRoot: project }),
+      log.append({ id: 'b', at: '2026-01-01T11:00:00.000Z', kind: 'cell-replace', status: 'failed', tokenId: 't2', document: doc, projectRoot: project }),
+      log.append({ id: 'c', at: '2026-01-01T12:00:00.000Z', kind: 'denied', status: 'denied', tokenId: 't1' }),
+    ]);
+
+    const lines = (await fs.readFile(path.join(project, '.mrmd', 'agent-activity.jsonl'), 'utf8')).trim().split('\n');
+    assert.deepEqual(lines.map((l) => JSON.parse(l).id), ['a', 'b']);
+    assert.deepEqual(log.projects(), [project]);
+
+    // A torn line from a crash mid-write is skipped
+    await fs.appendFile(path.join(project, '.mrmd', 'agent-activity.jsonl'), '{"id":"tor');
+
+    const reopened = createAgentActivityLog({ globalFile: path.join(root, 'agent-activity.jsonl') });
+    assert.deepEqual((await reopened.query({ projects: [project] })).map((e) => e.id), ['c', 'b', 'a']);
+    assert.deepEqual((await reopened.query({ projects: [project], includeGlobal: false })).map((e) => e.id), ['b', 'a']);
+    assert.deepEqual((await reopened.query({ projects: [project], limit: 1 })).map((e) => e.id), ['c']);
+  });
+});
+
+test('history filters by since, kind, token and document', () => {
+  const entries = [
+    { id: 1, at: '2026-01-01T10:00:00.000Z', kind: 'cell-run', tokenId: 't1', document: '/p/a.md' },
+    { id: 2, at: '2026-01-02T10:00:00.000Z', kind: 'runtime-exec', tokenId: 't2', document: '/p/b.md' },
+    { id: 3, at: '2026-01-03T10:00:00.000Z', kind: 'cell-replace', tokenId: 't1', filePath: '/p/a.md' },
+  ];
+  const ids = (filters) => entries.filter(createActivityFilter(filters)).map((e) => e.id);
+
+  assert.deepEqual(ids({ since: '2026-01-01T12:00:00Z' }), [2, 3]);
+  assert.deepEqual(ids({ since: String(Date.parse('2026-01-02T10:00:00Z')) }), [3]);
+  assert.deepEqual(ids({ kind: 'cell-run,cell-replace' }), [1, 3]);
+  assert.deepEqual(ids({ token: 't2' }), [2]);
+  assert.deepEqual(ids({ document: '/p/a.md', token: 't1' }), [1, 3]);
+  assert.throws(() => createActivityFilter({ since: 'yesterday' }), /Invalid "since"/);
+});
+
+test('requests and results are summarized for the log', () => {
+  const long = 'x'.repeat(3000);
+  assert.match(summarizeRequest({ code: long, run: true }).code, /… \[1000 more chars\]$/);
+  assert.equal(summarizeRequest({ run: true }).run, true);
+
+  const cellResult = {
+    ok: true,
+    cell: { index: 2, language: 'python', startLine: 10, endLine: 12, preview: 'df.describe()', code: 'df.describe()' },
+    execution: { status: 'error', stdout: '', stderr: 'boom', error: { message: 'NameError' } },
+  };
+  assert.deepEqual(summarizeResult(cellResult), {
+    cell: { index: 2, preview: 'df.describe()' },
+    status: 'error',
+    stderr: 'boom',
+    error: 'NameError',
+  });
+  assert.deepEqual(affectedCells(cellResult), [{ index: 2, language: 'python', startLine: 10, endLine: 12 }]);
+  assert.deepEqual(summarizeResult({ success: true, stdout: '2\n' }), { status: 'ok', stdout: '2\n' });
+  assert.deepEqual(affectedCells({ count: 3 }), []);
+});
@@ -0,0 +1,287 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+import { startAgentBridge } from '../src/agent-bridge.js';
+import AgentTokenService from '../src/services/agent-token-service.js';
+import { PYTHON_INTERPRETER_ENVS_DIR } from '../src/config.js';
+
+/**
+ * Stand-in BrowserWindow: executeJavaScript runs the bridge's renderer
+ * script against `bridge` as window.__mrmdAgentBridge, and every call is
+ * recorded by method name.
+ */
+function fakeWindow(id, bridge) {
+  const calls = [];
+  const recorded = {};
+  for (const [method, fn] of Object.entries(bridge)) {
+    recorded[method] = (payload) => {
+      calls.push({ method, payload });
+      return fn(payload);
+    };
+  }
+  return {
+    id,
+    calls,
+    called: (method) => calls.filter((call) => call.method === method),
+    isDestroyed: () => false,
+    isFocused: () => false,
+    isVisible: () => true,
+    show() {},
+    webContents: {
+      executeJavaScript: async (script) => new Function('window', `return ${script}`)({ __mrmdAgentBridge: recorded }),
+    },
+  };
+}
+
+/** Renderer bridge for a window showing `document` ({path, projectRoot}). */
+function documentBridge(document, extra = {}) {
+  return {
+    getDocument: () => document,
+    getStatus: () => ({ document, runtimes: {} }),
+    ...extra,
+  };
+}
+
+/**
+ * Bridge over `windows` with one named token; `options` go to
+ * startAgentBridge (getFocusedWindow, openDocument, ...).
+ */
+async function withBridge({ windows, approval = false, scopes = ['read-document', 'edit-cells', 'execute'], projects = null, ...options }, fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-bridge-'));
+  const tokens = new AgentTokenService({ file: path.join(root, 'agent-tokens.json') });
+  const { secret } = tokens.create({ name: 'agent', scopes, projects, requireApproval: approval });
+  const bridge = await startAgentBridge({ configDir: root, getWindows: () => windows, tokens, ...options });
+  const request = async (method, route, body = null) => {
+    const response = await fetch(`${bridge.url}${route}`, {
+      method,
+      headers: { Authorization: `Bearer ${secret}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, data: await response.json() };
+  };
+  try {
+    await fn(request, root);
+  } finally {
+    await bridge.close();
+    tokens.flush();
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test('cell runs and output clears wait for approval and stop on rejection', async () => {
+  const decisions = [];
+  const win = fakeWindow(1, documentBridge({ path: '/p/notes.md', projectRoot: '/p' }, {
+    reviewAction: () => new Promise((resolve) => decisions.push(resolve)),
+    runCell: () => ({ ok: true, ran: true }),
+    runAllCells: () => ({ ok: true, count: 2 }),
+    clearOutputs: () => ({ ok: true, cleared: [] }),
+  }));
+
+  await withBridge({ windows: [win], approval: true }, async (request) => {
+    const routes = [
+      ['/cells/run', { index: 0 }, 'cell-run', 'runCell'],
+      ['/cells/run-all', {}, 'cell-run-all', 'runAllCells'],
+      ['/outputs/clear', { all: true }, 'outputs-clear', 'clearOutputs'],
+    ];
+    for (const [route, body, action, method] of routes) {
+      // Held until the reviewer answers; nothing runs in the meantime
+      const held = request('POST', route, body);
+      await waitFor(() => decisions.length === 1);
+      assert.equal(win.called('reviewAction').at(-1).payload.action, action);
+      assert.equal(win.called(method).length, 0);
+      decisions.shift()({ decision: 'rejected', note: 'not now' });
+      const rejected = await held;
+      assert.equal(rejected.status, 403);
+      assert.equal(rejected.data.approval.decision, 'rejected');
+      assert.equal(win.called(method).length, 0);
+
+      const approved = request('POST', route, body);
+      await waitFor(() => decisions.length === 1);
+      decisions.shift()({ decision: 'approved', code: '', proposed: '', edited: false });
+      const result = await approved;
+      assert.equal(result.status, 200);
+      assert.equal(result.data.approval.decision, 'approved');
+      assert.equal(win.called(method).length, 1);
+    }
+  });
+});
+
+test('requests target a window by id or by the document it has open', async () => {
+  const notes = fakeWindow(1, documentBridge({ path: '/p/notes.md', projectRoot: '/p' }));
+  const draft = fakeWindow(2, documentBridge({ path: '/p/draft.md', projectRoot: '/p' }));
+  const copy = fakeWindow(3, documentBridge({ path: '/p/draft.md', projectRoot: '/p', title: 'copy' }));
+  let focused = null;
+
+  await withBridge({ windows: [notes, draft, copy], getFocusedWindow: () => focused }, async (request) => {
+    assert.equal((await request('GET', '/document?windowId=3')).data.title, 'copy');
+    assert.equal((await request('GET', '/document?windowId=9')).status, 404);
+    assert.equal((await request('GET', '/document?documentPath=/p/notes.md')).data.path, '/p/notes.md');
+
+    // The id and the path must agree
+    const mismatch = await request('GET', '/document?windowId=1&documentPath=/p/draft.md');
+    assert.equal(mismatch.status, 409);
+
+    // Open in two windows: the focused one wins, otherwise ask for the id
+    const ambiguous = await request('GET', '/document?documentPath=/p/draft.md');
+    assert.equal(ambiguous.status, 409);
+    assert.match(ambiguous.data.error, /open in windows 2, 3/);
+    focused = copy;
+    assert.equal((await request('GET', '/document?documentPath=/p/draft.md')).data.title, 'copy');
+  });
+});
+
+test('documents that are not open are only opened inside a known project', async () => {
+  const base = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-bridge-docs-'));
+  const project = path.join(base, 'project');
+  const outside = path.join(base, 'elsewhere');
+  await fs.mkdir(project);
+  await fs.mkdir(outside);
+  await fs.writeFile(path.join(project, 'later.md'), '# Later\n');
+  await fs.writeFile(path.join(outside, 'secret.md'), '# Secret\n');
+  const open = fakeWindow(1, documentBridge({ path: path.join(project, 'index.md'), projectRoot: project }));
+  const opened = [];
+  const openDocument = (file) => {
+    opened.push(file);
+    return fakeWindow(10 + opened.length, documentBridge({ path: file, projectRoot: path.dirname(file) }));
+  };
+
+  try {
+    await withBridge({ windows: [open], openDocument }, async (request) => {
+      const later = await request('GET', `/document?documentPath=${encodeURIComponent(path.join(project, 'later.md'))}`);
+      assert.equal(later.status, 200);
+      assert.deepEqual(opened, [path.join(project, 'later.md')]);
+
+      const refused = await request('GET', `/document?documentPath=${encodeURIComponent(path.join(outside, 'secret.md'))}`);
+      assert.equal(refused.status, 403);
+      assert.match(refused.data.error, /not inside an open project/);
+      assert.equal(opened.length, 1);
+    });
+
+    // A token's allow-list replaces the open projects
+    await withBridge({ windows: [open], openDocument, projects: [outside] }, async (request) => {
+      const allowed = await request('GET', `/document?documentPath=${encodeURIComponent(path.join(outside, 'secret.md'))}`);
+      assert.equal(allowed.status, 200);
+      assert.equal(opened.at(-1), path.join(outside, 'secret.md'));
+      const refused = await request('GET', `/document?documentPath=${encodeURIComponent(path.join(project, 'later.md'))}`);
+      assert.equal(refused.status, 403);
+      assert.match(refused.data.error, /not allowed to open/);
+    });
+  } finally {
+    await fs.rm(base, { recursive: true, force: true });
+  }
+});
+
+/** Stand-in MRP server: answers /mrp/v1/<endpoint> from `answers` and records the bodies. */
+async function startMrp(answers) {
+  const received = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const endpoint = req.url.replace('/mrp/v1/', '');
+    received.push({ endpoint, body: JSON.parse(Buffer.concat(chunks).toString() || '{}') });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(answers[endpoint] ?? {}));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, port: server.address().port, received };
+}
+
+test('javascript runs in the renderer with the same shapes as an MRP language', async () => {
+  const answers = {
+    execute: { success: true, stdout: '2\n', result: '2' },
+    variables: { variables: [{ name: 'x', type: 'int', value: '2' }], count: 1, truncated: false },
+    'variables/x': { name: 'x', type: 'int', value: '2' },
+  };
+  const mrp = await startMrp(answers);
+  const jsRequests = [];
+  const document = { path: '/p/notes.md', projectRoot: '/p' };
+  const win = fakeWindow(1, documentBridge(document, {
+    getStatus: () => ({
+      document,
+      runtimes: {
+        python: { port: mrp.port, alive: true, name: 'py' },
+        javascript: { embedded: true, alive: true, name: 'browser' },
+      },
+    }),
+    javascriptRuntime: ({ endpoint, body }) => {
+      jsRequests.push({ endpoint, body });
+      return answers[endpoint];
+    },
+  }));
+
+  try {
+    await withBridge({ windows: [win], scopes: ['execute', 'runtime-variables'] }, async (request) => {
+      for (const language of ['python', 'js']) {
+        const executed = await request('POST', `/runtime/${language}/execute`, { code: 'x = 1 + 1', execId: 'e1' });
+        assert.equal(executed.status, 200);
+        assert.deepEqual(Object.keys(executed.data).sort(), ['language', 'result', 'runtime', 'success']);
+        assert.deepEqual(executed.data.result, answers.execute);
+
+        const variables = await request('POST', `/runtime/${language}/variables`, {});
+        assert.deepEqual(variables.data.result, answers.variables);
+        const variable = await request('POST', `/runtime/${language}/variable/x`, {});
+        assert.deepEqual(variable.data.result, answers['variables/x']);
+      }
+
+      // Both paths were asked the same things
+      assert.deepEqual(jsRequests, mrp.received);
+      assert.deepEqual(jsRequests.map((r) => r.endpoint), ['execute', 'variables', 'variables/x']);
+      assert.deepEqual(jsRequests[0].body, { code: 'x = 1 + 1', storeHistory: true, execId: 'e1' });
+      assert.deepEqual(jsRequests[1].body, { filter: { excludePrivate: true } });
+    });
+  } finally {
+    mrp.server.close();
+  }
+});
+
+test('javascript requests answer 404 when the document has no javascript runtime', async () => {
+  const document = { path: '/p/notes.md', projectRoot: '/p' };
+  const win = fakeWindow(1, documentBridge(document, {
+    getStatus: () => ({ document, runtimes: { javascript: { embedded: false, alive: false, name: 'browser' } } }),
+    javascriptRuntime: () => ({ ok: false, error: 'No active javascript runtime' }),
+  }));
+
+  await withBridge({ windows: [win], scopes: ['execute'] }, async (request) => {
+    const result = await request('POST', '/runtime/javascript/execute', { code: '1' });
+    assert.equal(result.status, 404);
+    assert.match(result.data.error, /No active javascript runtime/);
+    assert.equal(win.called('javascriptRuntime').length, 0);
+  });
+});
+
+test('sub-runtimes only run in environments inside the token\'s projects or managed by mrmd', async () => {
+  const created = [];
+  const subRuntimes = {
+    create: async (ownerId, options) => {
+      created.push(options);
+      return { id: `sub-${created.length}` };
+    },
+    list: () => [],
+    destroyOwnedBy: async () => {},
+  };
+  const managed = path.join(PYTHON_INTERPRETER_ENVS_DIR, 'python3-abc');
+
+  await withBridge({ windows: [], scopes: ['execute'], projects: ['/p'], subRuntimes }, async (request) => {
+    const refused = await request('POST', '/subruntimes', { language: 'python', venv: '/elsewhere/.venv' });
+    assert.equal(refused.status, 403);
+    assert.match(refused.data.error, /not allowed to use the environment/);
+    assert.equal((await request('POST', '/subruntimes/map', { tasks: ['1'], runtime: {}, venv: '/p/../elsewhere/.venv' })).status, 403);
+    assert.equal(created.length, 0);
+
+    assert.equal((await request('POST', '/subruntimes', { language: 'python', venv: '/p/.venv' })).status, 200);
+    assert.equal((await request('POST', '/subruntimes', { language: 'python', venv: managed })).status, 200);
+    assert.deepEqual(created.map((options) => options.venv), ['/p/.venv', managed]);
+  });
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createAgentEventLog, formatSseEvent, parseLastEventId } from '../src/agent-events.js';
+
+test('the event log numbers entries, keeps them newest first and notifies subscribers', () => {
+  const log = createAgentEventLog({ limit: 10 });
+  const seen = [];
+  const unsubscribe = log.subscribe((entry) => seen.push(entry.kind));
+
+  log.add({ kind: 'document-switch', document: '/p/a.md' });
+  log.add({ kind: 'cell-run', status: 'started', index: 0 });
+  unsubscribe();
+  log.add({ kind: 'cell-run', status: 'completed', index: 0 });
+
+  assert.deepEqual(seen, ['document-switch', 'cell-run']);
+  assert.deepEqual(log.items.map((x) => x.seq), [3, 2, 1]);
+  assert.equal(log.lastSeq, 3);
+  assert.deepEqual(log.since(1), { items: [log.items[1], log.items[0]], gap: false });
+});
+
+test('resuming reports a gap when missed entries were dropped or the id predates a restart', () => {
+  const log = createAgentEventLog({ limit: 3 });
+  for (let i = 0; i < 5; i++) log.add({ kind: 'file-save', filePath: `/p/${i}.md` });
+
+  assert.equal(log.since(1).gap, true);
+  assert.deepEqual(log.since(2).items.map((x) => x.seq), [3, 4, 5]);
+  assert.equal(log.since(2).gap, false);
+
+  const afterRestart = log.since(99);
+  assert.equal(afterRestart.gap, true);
+  assert.deepEqual(afterRestart.items.map((x) => x.seq), [3, 4, 5]);
+});
+
+test('selection moves are coalesced without counting as a gap', () => {
+  const log = createAgentEventLog({ limit: 3 });
+  log.add({ kind: 'selection', head: 1 });
+  log.add({ kind: 'cell-run', status: 'started' });
+  log.add({ kind: 'selection', head: 2 });
+  log.add({ kind: 'selection', head: 3 });
+
+  assert.deepEqual(log.items.map((x) => [x.kind, x.seq]), [['selection', 4], ['cell-run', 2]]);
+  assert.deepEqual(log.since(0), { items: [log.items[1], log.items[0]], gap: false });
+});
+
+test('SSE formatting and Last-Event-ID parsing', () => {
+  assert.equal(
+    formatSseEvent({ seq: 7, kind: 'runtime-crash', sessionName: 'rt' }),
+    'id: 7\nevent: runtime-crash\ndata: {"seq":7,"kind":"runtime-crash","sessionName":"rt"}\n\n',
+  );
+  assert.equal(parseLastEventId('12'), 12);
+  assert.equal(parseLastEventId(undefined), null);
+  assert.equal(parseLastEventId('abc'), null);
+  assert.equal(parseLastEventId('-1'), null);
+});
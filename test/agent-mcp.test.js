@@ -0,0 +1,157 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { createMcpHandler, MCP_PROTOCOL_VERSIONS } from '../src/agent-mcp.js';
+
+const STDIO_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'agent-mcp-stdio.js');
+
+function fakeBridge(responses = {}) {
+  const calls = [];
+  const request = async (method, routePath, body, context) => {
+    calls.push({ method, path: routePath, body, context });
+    return responses[`${method} ${routePath.split('?')[0]}`] || { status: 200, data: { success: true } };
+  };
+  return { calls, mcp: createMcpHandler({ request }) };
+}
+
+test('initialize negotiates the protocol version and notifications get no answer', async () => {
+  const { mcp } = fakeBridge();
+  const init = await mcp.handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+  assert.equal(init.result.protocolVersion, '2025-03-26');
+  assert.ok(init.result.capabilities.tools);
+
+  const unknown = await mcp.handle({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+  assert.equal(unknown.result.protocolVersion, MCP_PROTOCOL_VERSIONS[0]);
+
+  assert.equal(await mcp.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  assert.equal((await mcp.handleText('{nope')).error.code, -32700);
+  assert.equal((await mcp.handle({ jsonrpc: '2.0', id: 3, method: 'sampling/x' })).error.code, -32601);
+});
+
+test('tools map onto the REST routes with the transport context', async () => {
+  const { calls, mcp } = fakeBridge({
+    'POST /runtime/python/execute': { status: 200, data: { success: true, result: { stdout: '2\n' } } },
+    'POST /cells/replace': { status: 403, data: { success: false, error: 'Token "ci" lacks scope: edit-cells' } },
+  });
+
+  const { result: { tools } } = await mcp.handle({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  assert.ok(['get_status', 'list_cells', 'run_cell', 'replace_cell', 'runtime_execute', 'get_history'].every((n) => tools.some((t) => t.name === n)));
+
+  const [exec, replace, status] = await mcp.handle([
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'runtime_execute', arguments: { language: 'python', code: '1+1' } } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'replace_cell', arguments: { index: 0, code: 'x' } } },
+    { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'get_status', arguments: { windowId: 4 } } },
+  ], 'Bearer t');
+
+  assert.match(exec.result.content[0].text, /"stdout": "2\\n"/);
+  assert.equal(exec.result.isError, undefined);
+  assert.deepEqual(replace.result, { content: [{ type: 'text', text: 'Token "ci" lacks scope: edit-cells' }], isError: true });
+  assert.equal(status.result.isError, undefined);
+
+  assert.deepEqual(calls.map((c) => [c.method, c.path, c.body, c.context]), [
+    ['POST', '/runtime/python/execute', { code: '1+1' }, 'Bearer t'],
+    ['POST', '/cells/replace', { index: 0, code: 'x' }, 'Bearer t'],
+    ['GET', '/status?windowId=4', null, 'Bearer t'],
+  ]);
+
+  const missing = await mcp.handle({ jsonrpc: '2.0', id: 9, method: 'tools/call', params: { name: 'runtime_execute', arguments: { code: 'x' } } });
+  assert.equal(missing.error.code, -32602);
+});
+
+test('transaction tools post begin/commit/rollback and edits carry the id', async () => {
+  const { calls, mcp } = fakeBridge({
+    'POST /transactions': { status: 200, data: { success: true, transaction: { id: 'tx-1' } } },
+  });
+  await mcp.handle([
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'begin_transaction', arguments: { label: 'refactor', windowId: 2 } } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'replace_cell', arguments: { index: 1, code: 'y', transaction: 'tx-1' } } },
+    { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'rollback_transaction', arguments: { id: 'tx-1' } } },
+  ]);
+  assert.deepEqual(calls.map((c) => [c.path, c.body]), [
+    ['/transactions', { label: 'refactor', windowId: 2, action: 'begin' }],
+    ['/cells/replace', { index: 1, code: 'y', transaction: 'tx-1' }],
+    ['/transactions', { action: 'rollback', id: 'tx-1' }],
+  ]);
+  const missing = await mcp.handle({ jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'commit_transaction', arguments: {} } });
+  assert.equal(missing.error.code, -32602);
+});
+
+test('document structure tools send section paths and versions', async () => {
+  const { calls, mcp } = fakeBridge({
+    'POST /sections': { status: 409, data: { success: false, error: 'Document changed since version a1 (now b2); read it again' } },
+  });
+  const [, patch] = await mcp.handle([
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_sections', arguments: { path: ['Methods', 'Data / raw'] } } },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'patch_section', arguments: { path: ['Methods'], content: 'New text', mode: 'append', version: 'a1' } } },
+    { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'clear_outputs', arguments: { cell: 2, version: 'b2' } } },
+  ]);
+  assert.equal(patch.result.isError, true);
+  assert.match(patch.result.content[0].text, /changed since version a1/);
+
+  const sectionsUrl = new URL(calls[0].path, 'http://x');
+  assert.equal(sectionsUrl.pathname, '/sections');
+  assert.deepEqual(JSON.parse(sectionsUrl.searchParams.get('path')), ['Methods', 'Data / raw']);
+  assert.deepEqual(calls.slice(1).map((c) => [c.method, c.path, c.body]), [
+    ['POST', '/sections', { path: ['Methods'], content: 'New text', mode: 'append', version: 'a1' }],
+    ['POST', '/outputs/clear', { cell: 2, version: 'b2' }],
+  ]);
+});
+
+test('resources read through GET routes', async () => {
+  const { mcp } = fakeBridge({ 'GET /cells': { status: 200, data: { success: true, cells: [] } } });
+  const read = await mcp.handle({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: 'mrmd://cells' } });
+  assert.deepEqual(JSON.parse(read.result.contents[0].text), { success: true, cells: [] });
+  const bad = await mcp.handle({ jsonrpc: '2.0', id: 2, method: 'resources/read', params: { uri: 'mrmd://nope' } });
+  assert.equal(bad.error.code, -32002);
+});
+
+test('the stdio launcher forwards calls to the bridge in agent-bridge.json', { skip: process.platform !== 'linux' }, async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-mcp-'));
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push([req.method, req.url, req.headers.authorization]);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, windows: [] }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const { port } = server.address();
+    await fs.mkdir(path.join(root, 'mrmd'));
+    await fs.writeFile(path.join(root, 'mrmd', 'agent-bridge.json'), JSON.stringify({
+      port,
+      token: 'file-token',
+      url: `http://127.0.0.1:${port}/agent/v1`,
+    }));
+
+    const child = spawn(process.execPath, [STDIO_SCRIPT], {
+      env: { ...process.env, XDG_CONFIG_HOME: root, MRMD_AGENT_TOKEN: 'mrmd_named' },
+      stdio: ['pipe', 'pipe', 'inherit'],
+    });
+    const killTimer = setTimeout(() => child.kill(), 20000);
+    let stdout = '';
+    child.stdout.on('data', (d) => { stdout += d; });
+    child.stdin.end([
+      JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+      JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'list_windows', arguments: {} } }),
+      '',
+    ].join('\n'));
+    await new Promise((resolve) => child.on('exit', resolve));
+    clearTimeout(killTimer);
+
+    const replies = stdout.trim().split('\n').map((line) => JSON.parse(line));
+    assert.equal(replies.length, 1);
+    assert.equal(replies[0].id, 1);
+    assert.deepEqual(JSON.parse(replies[0].result.content[0].text), { success: true, windows: [] });
+    assert.deepEqual(seen, [['GET', '/agent/v1/windows', 'Bearer mrmd_named']]);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
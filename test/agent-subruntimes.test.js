@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+import { createAgentSubRuntimes, MAP_RESULTS_FILE } from '../src/agent-subruntimes.js';
+
+/**
+ * A fake RuntimeService: every session is a tiny MRP server whose execute
+ * answers {stdout: code}, or the map results file for "read-results".
+ */
+async function withSubRuntimes(fn, limits = {}) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-subruntimes-'));
+  const servers = new Map();
+  const started = [];
+  const stopped = [];
+  const subRuntimes = createAgentSubRuntimes({
+    workspaceRoot: path.join(root, 'workspaces'),
+    limits: { ttlMs: 60000, maxTtlMs: 120000, maxPerToken: 3, mapConcurrency: 2, maxMapTasks: 10, ...limits },
+    describeRuntime: (port) => (port === 9999 ? { venv: '/doc/.venv', projectRoot: '/doc' } : null),
+    startRuntime: async (config) => {
+      started.push(config);
+      const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const { code } = JSON.parse(body);
+        const stdout = code === 'read-results'
+          ? await fs.readFile(path.join(config.cwd, MAP_RESULTS_FILE), 'utf8')
+          : code;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, stdout, ...(code === 'boom' ? { error: { message: 'boom' } } : {}) }));
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      servers.set(config.name, server);
+      return { name: config.name, port: server.address().port };
+    },
+    stopRuntime: async (name) => {
+      stopped.push(name);
+      await new Promise((resolve) => servers.get(name)?.close(resolve) ?? resolve());
+      servers.delete(name);
+    },
+  });
+  try {
+    await fn({ subRuntimes, started, stopped, root });
+  } finally {
+    await subRuntimes.dispose();
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('sub-runtimes belong to their token, get a workspace and inherit the document environment', async () => {
+  await withSubRuntimes(async ({ subRuntimes, started, stopped }) => {
+    const sub = await subRuntimes.create('t1', { language: 'python', inheritPort: 9999, label: 'worker' });
+    assert.equal(started[0].venv, '/doc/.venv');
+    assert.equal(started[0].projectRoot, '/doc');
+    assert.deepEqual(started[0].ephemeral, { id: sub.id, owner: 't1' });
+    assert.equal(started[0].cwd, sub.workspace);
+    await fs.access(sub.workspace);
+
+    assert.equal((await subRuntimes.execute('t1', sub.id, { code: 'x = 1' })).stdout, 'x = 1');
+    await assert.rejects(subRuntimes.execute('t2', sub.id, { code: 'x' }), { status: 404 });
+    assert.deepEqual(subRuntimes.list('t2'), []);
+
+    await subRuntimes.create('t1');
+    await subRuntimes.create('t1');
+    await assert.rejects(subRuntimes.create('t1'), { status: 429 });
+
+    await subRuntimes.destroyOwnedBy('t1');
+    assert.deepEqual(subRuntimes.list('t1'), []);
+    assert.equal(stopped.length, 3);
+    await assert.rejects(fs.access(sub.workspace));
+  });
+});
+
+test('a sub-runtime is stopped when its TTL runs out', async () => {
+  await withSubRuntimes(async ({ subRuntimes, stopped }) => {
+    const sub = await subRuntimes.create('t1', { ttlMs: 20 });
+    await new Promise((resolve) => setTimeout(resolve, 80));
+    assert.deepEqual(stopped, [sub.sessionName]);
+    assert.deepEqual(subRuntimes.list('t1'), []);
+  });
+});
+
+test('quitting removes workspaces without waiting for the runtimes to stop', async () => {
+  await withSubRuntimes(async ({ subRuntimes, stopped, root }) => {
+    const own = await subRuntimes.create('t1');
+    const given = path.join(root, 'given');
+    await fs.mkdir(given);
+    await subRuntimes.create('t1', { cwd: given });
+
+    const disposed = subRuntimes.dispose();
+    await assert.rejects(fs.access(own.workspace));
+    await fs.access(given);
+    await disposed;
+    assert.equal(stopped.length, 2);
+  });
+});
+
+test('map runs tasks in fresh runtimes and reduce reads their results', async () => {
+  await withSubRuntimes(async ({ subRuntimes, started, stopped }) => {
+    const { results, reduce } = await subRuntimes.map('t1', {
+      tasks: ['a', { code: 'boom' }, 'c'],
+      reduce: { code: 'read-results' },
+    });
+    assert.deepEqual(results.map((r) => [r.index, r.status, r.result.stdout]), [[0, 'ok', 'a'], [1, 'error', 'boom'], [2, 'ok', 'c']]);
+    assert.equal(reduce.status, 'ok');
+    assert.deepEqual(JSON.parse(reduce.result.stdout).map((r) => r.result.stdout), ['a', 'boom', 'c']);
+
+    // Every fresh runtime (3 tasks + reduce) was stopped afterwards
+    assert.equal(started.length, 4);
+    assert.equal(stopped.length, 4);
+    assert.deepEqual(subRuntimes.list('t1'), []);
+
+    await assert.rejects(subRuntimes.map('t1', { tasks: [] }), { status: 400 });
+    await assert.rejects(subRuntimes.map('t1', { tasks: [{ code: 'x', runtime: 'sub-nope' }] }), { status: 404 });
+  });
+});
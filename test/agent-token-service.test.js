@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import AgentTokenService, {
+  AGENT_TOKEN_SCOPES,
+  FILE_TOKEN_DEFAULT_SCOPES,
+  FILE_TOKEN_ID,
+  normalizeScopes,
+  secretsMatch,
+  tokenAllowsProject,
+} from '../src/services/agent-token-service.js';
+
+async function withService(fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-tokens-'));
+  try {
+    await fn(new AgentTokenService({ file: path.join(root, 'agent-tokens.json') }), root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('scopes are validated and the allow-list matches project subfolders only', () => {
+  assert.deepEqual(normalizeScopes('execute, read-document'), ['read-document', 'execute']);
+  assert.throws(() => normalizeScopes(['read-document', 'root']), /Unknown agent token scope: root/);
+
+  const token = { projects: [path.resolve('/home/me/thesis')] };
+  assert.equal(tokenAllowsProject(token, '/home/me/thesis'), true);
+  assert.equal(tokenAllowsProject(token, '/home/me/thesis/chapter1'), true);
+  assert.equal(tokenAllowsProject(token, '/home/me/thesis-old'), false);
+  assert.equal(tokenAllowsProject(token, null), false);
+  assert.equal(tokenAllowsProject({ projects: null }, null), true);
+});
+
+test('created tokens authenticate until revoked and only the hash is stored', async () => {
+  await withService(async (tokens, root) => {
+    const revoked = [];
+    tokens.onRevoke((id) => revoked.push(id));
+
+    const { token, secret } = tokens.create({ name: 'reviewer', scopes: ['read-document'], projects: ['/p'] });
+    assert.deepEqual(tokens.authenticate(secret).token.scopes, ['read-document']);
+    assert.deepEqual(tokens.authenticate('mrmd_wrong'), { error: 'Unauthorized' });
+
+    const stored = await fs.readFile(path.join(root, 'agent-tokens.json'), 'utf8');
+    assert.ok(!stored.includes(secret));
+
+    tokens.revoke(token.id);
+    assert.deepEqual(tokens.authenticate(secret), { error: 'Token revoked' });
+    assert.equal(tokens.isActive(token.id), false);
+    assert.deepEqual(revoked, [token.id]);
+
+    // A fresh instance reads the same state back
+    const reloaded = new AgentTokenService({ file: path.join(root, 'agent-tokens.json') });
+    assert.deepEqual(reloaded.authenticate(secret), { error: 'Token revoked' });
+    assert.equal(reloaded.list()[0].active, false);
+  });
+});
+
+test('expired tokens are refused and bad input is rejected', async () => {
+  await withService(async (tokens) => {
+    assert.throws(() => tokens.create({ name: '', scopes: ['execute'] }), /needs a name/);
+    assert.throws(() => tokens.create({ name: 'x', scopes: [] }), /at least one scope/);
+    assert.throws(() => tokens.create({ name: 'x', scopes: ['execute'], expiresAt: '2000-01-01' }), /in the past/);
+
+    const { token, secret } = tokens.create({
+      name: 'short-lived',
+      scopes: ['execute'],
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+    });
+    tokens._ensureLoaded().tokens.find((t) => t.id === token.id).expiresAt = new Date(Date.now() - 1).toISOString();
+    assert.deepEqual(tokens.authenticate(secret), { error: 'Token expired' });
+    assert.equal(tokens.list()[0].active, false);
+  });
+});
+
+test('the bridge file token can be narrowed or disabled, and audits are per token', async () => {
+  await withService(async (tokens) => {
+    const notified = [];
+    tokens.onRevoke((id) => notified.push(id));
+
+    assert.deepEqual(tokens.getFileTokenScopes(), ['read-document']);
+    assert.deepEqual(tokens.setFileTokenScopes(['read-document']), ['read-document']);
+    assert.equal(tokens.isActive(FILE_TOKEN_ID), true);
+    tokens.setFileTokenScopes([]);
+    assert.equal(tokens.isActive(FILE_TOKEN_ID), false);
+    assert.deepEqual(notified, [FILE_TOKEN_ID, FILE_TOKEN_ID]);
+
+    const a = tokens.create({ name: 'a', scopes: ['read-document'] }).token;
+    const b = tokens.create({ name: 'b', scopes: ['execute'] }).token;
+    tokens.recordAudit(a.id, { kind: 'denied', status: 'denied', path: '/agent/v1/cells/run', scopes: ['execute'] });
+    tokens.recordAudit(b.id, { kind: 'cell-run', status: 'completed' });
+
+    assert.deepEqual(tokens.audit(a.id).map((e) => e.kind), ['denied']);
+    assert.deepEqual(tokens.audit(b.id).map((e) => e.kind), ['cell-run']);
+    assert.equal(tokens.list().find((t) => t.id === a.id).audit, undefined);
+  });
+});
+
+test('the file token only reads documents until the user grants more', async () => {
+  await withService(async (tokens, root) => {
+    const file = path.join(root, 'agent-tokens.json');
+    assert.deepEqual(FILE_TOKEN_DEFAULT_SCOPES, ['read-document']);
+
+    // Saved before the default was narrowed: every scope, never chosen
+    await fs.writeFile(file, JSON.stringify({ version: 1, tokens: [], fileToken: { scopes: AGENT_TOKEN_SCOPES } }));
+    assert.deepEqual(new AgentTokenService({ file }).getFileTokenScopes(), FILE_TOKEN_DEFAULT_SCOPES);
+
+    tokens.setFileTokenScopes(AGENT_TOKEN_SCOPES);
+    tokens.flush();
+    assert.deepEqual(new AgentTokenService({ file }).getFileTokenScopes(), AGENT_TOKEN_SCOPES);
+  });
+});
+
+test('secrets match only when equal', () => {
+  assert.equal(secretsMatch('abc', 'abc'), true);
+  assert.equal(secretsMatch('abc', 'abd'), false);
+  assert.equal(secretsMatch('abc', 'abcd'), false);
+});
+
+test('approval mode follows the global setting unless a token overrides it', async () => {
+  await withService(async (tokens, root) => {
+    const inherit = tokens.create({ name: 'inherit', scopes: ['edit-cells'] }).token;
+    const always = tokens.create({ name: 'always', scopes: ['edit-cells'], requireApproval: true }).token;
+
+    assert.equal(tokens.requiresApproval(inherit.id), false);
+    assert.equal(tokens.requiresApproval(always.id), true);
+    assert.equal(tokens.requiresApproval(FILE_TOKEN_ID), false);
+
+    tokens.setDefaultApproval(true);
+    tokens.setApproval(always.id, false);
+    assert.equal(tokens.requiresApproval(inherit.id), true);
+    assert.equal(tokens.requiresApproval(always.id), false);
+    assert.equal(tokens.requiresApproval(FILE_TOKEN_ID), true);
+
+    const reloaded = new AgentTokenService({ file: path.join(root, 'agent-tokens.json') });
+    assert.equal(reloaded.getDefaultApproval(), true);
+    assert.equal(reloaded.list().find((t) => t.id === always.id).requireApproval, false);
+  });
+});
+
+test('audit entries are batched into one write and flushed on demand', async () => {
+  await withService(async (tokens, root) => {
+    const file = path.join(root, 'agent-tokens.json');
+    const { token } = tokens.create({ name: 'busy', scopes: ['read-document'] });
+    const { mtimeMs } = await fs.stat(file);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    for (let i = 0; i < 50; i++) tokens.recordAudit(token.id, { kind: 'read', status: 'completed' });
+    assert.equal((await fs.stat(file)).mtimeMs, mtimeMs);
+    assert.equal(tokens.audit(token.id).length, 50);
+
+    tokens.flush();
+    const stored = JSON.parse(await fs.readFile(file, 'utf8'));
+    assert.equal(stored.tokens[0].audit.length, 50);
+  });
+});
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BridgeScheduler } from '../src/cloud-sync.js';
+
+function fakeBridge(docName, priority) {
+  return {
+    docName,
+    priority,
+    starts: 0,
+    pauses: 0,
+    start() { this.starts += 1; },
+    pause() { this.pauses += 1; },
+  };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test('bridges hold slots by priority up to the cap', async () => {
+  const scheduler = new BridgeScheduler({ maxActive: 2, batchSize: 8, batchDelayMs: 0, log: () => {} });
+  const background = fakeBridge('archive', 'background');
+  const shared = fakeBridge('team', 'shared');
+  const open = fakeBridge('notes', 'open');
+  for (const bridge of [background, shared, open]) scheduler.add(bridge);
+  await settle();
+
+  assert.equal(open.scheduleState, 'active');
+  assert.equal(shared.scheduleState, 'active');
+  assert.equal(background.scheduleState, 'paused');
+  assert.deepEqual(scheduler.stats().byPriority.background, { active: 0, waiting: 1 });
+
+  // A freed slot goes to the waiting bridge
+  scheduler.remove(open);
+  await settle();
+  assert.equal(background.scheduleState, 'active');
+});
+
+test('a paused bridge resumes when the cap allows', async () => {
+  const scheduler = new BridgeScheduler({ maxActive: 1, batchSize: 8, batchDelayMs: 0, log: () => {} });
+  const background = fakeBridge('archive', 'background');
+  scheduler.add(background);
+  await settle();
+  assert.equal(background.scheduleState, 'active');
+
+  const focused = fakeBridge('draft', 'focused');
+  scheduler.add(focused);
+  await settle();
+  assert.equal(focused.scheduleState, 'active');
+  assert.equal(background.scheduleState, 'paused');
+  assert.equal(background.pauses, 1);
+
+  // Focus moves away: the draft drops to background but keeps its slot
+  scheduler.setPriority(focused, 'background');
+  await settle();
+  assert.equal(background.scheduleState, 'paused');
+
+  scheduler.setMaxActive(2);
+  await settle();
+  assert.equal(background.scheduleState, 'active');
+  assert.equal(background.starts, 2);
+
+  // Lowering the cap pauses until the active bridges fit
+  scheduler.setMaxActive(1);
+  await settle();
+  assert.equal(scheduler.stats().active, 1);
+  assert.equal(scheduler.stats().waiting, 1);
+});
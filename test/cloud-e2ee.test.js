@@ -0,0 +1,190 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { WebSocketServer } from 'ws';
+
+import { CloudSync } from '../src/cloud-sync.js';
+import { createCloudOutbox } from '../src/cloud-outbox.js';
+import { createCloudKeyStore, createDocCipher, generateProjectKey, isEncryptedFrame } from '../src/cloud-e2ee.js';
+
+const DOC = { projectName: 'notes', docName: 'intro' };
+
+function listen(server) {
+  return new Promise((resolve) => server.on('listening', () => resolve(server.address().port)));
+}
+
+/**
+ * Stand-in relay: keeps every payload per document path as opaque bytes,
+ * replays them to whoever joins and forwards new ones to the other clients.
+ */
+async function startRelay() {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  const rooms = new Map();
+  wss.on('connection', (ws, req) => {
+    const room = new URL(req.url, 'http://relay').pathname;
+    if (!rooms.has(room)) rooms.set(room, { clients: new Set(), history: [] });
+    const { clients, history } = rooms.get(room);
+    for (const payload of history) ws.send(payload);
+    clients.add(ws);
+    ws.on('message', (data) => {
+      history.push(data);
+      for (const peer of clients) if (peer !== ws) peer.send(data);
+    });
+    ws.on('close', () => clients.delete(ws));
+  });
+  return { wss, port: await listen(wss), rooms };
+}
+
+/** Stand-in mrmd-sync: sends `greeting` to the bridge and records what arrives. */
+async function startLocalSync(greeting = null) {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  const received = [];
+  wss.on('connection', (ws) => {
+    if (greeting) ws.send(greeting);
+    ws.on('message', (data) => received.push(Buffer.from(data)));
+  });
+  return { wss, port: await listen(wss), received };
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('frames round-trip and reject other keys, documents and tampering', () => {
+  const key = generateProjectKey();
+  const cipher = createDocCipher(key, DOC);
+  const update = Buffer.from([0, 2, 3, 4]);
+  const frame = cipher.seal(update, true);
+
+  assert.ok(isEncryptedFrame(frame));
+  assert.deepEqual(cipher.open(frame), { data: update, isBinary: true });
+  assert.deepEqual(cipher.open(cipher.seal('hello', false)), { data: 'hello', isBinary: false });
+
+  assert.equal(createDocCipher(generateProjectKey(), DOC).open(frame), null);
+  assert.equal(createDocCipher(key, { ...DOC, docName: 'other' }).open(frame), null);
+  const tampered = Buffer.from(frame);
+  tampered[tampered.length - 1] ^= 1;
+  assert.equal(cipher.open(tampered), null);
+  assert.equal(cipher.open(update), null);
+});
+
+test('keys are exported, imported and kept per project', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-e2ee-'));
+  try {
+    const file = path.join(dir, 'cloud-keys.json');
+    const owner = createCloudKeyStore({ file });
+    const created = owner.create('/projects/notes');
+    const { keyId, key } = owner.export('/projects/notes');
+    assert.equal(keyId, created.keyId);
+    assert.equal(owner.get('/projects/other'), null);
+
+    const collaborator = createCloudKeyStore({ file: path.join(dir, 'theirs.json') });
+    assert.equal(collaborator.import('/home/them/notes', key).keyId, keyId);
+    assert.throws(() => collaborator.import('/home/them/notes', 'not-a-key'), /Not a project key/);
+    assert.equal(createCloudKeyStore({ file }).info('/projects/notes').keyId, keyId);
+    assert.equal((await fs.stat(file)).mode & 0o777, 0o600);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('encrypted projects round-trip through a relay that only sees ciphertext', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-e2ee-'));
+  const relay = await startRelay();
+  const update = Buffer.from('\x00\x02secret text', 'latin1');
+  const owner = await startLocalSync(update);
+  const collaborator = await startLocalSync();
+  const outsider = await startLocalSync();
+  const key = generateProjectKey();
+  const syncs = [];
+  const connect = (local, projectKey) => {
+    const sync = new CloudSync({
+      cloudUrl: `http://127.0.0.1:${relay.port}`,
+      token: 't',
+      userId: 'u1',
+      outbox: createCloudOutbox({ dir: path.join(dir, `outbox-${syncs.length}`) }),
+      e2eeKey: () => projectKey,
+      log: () => {},
+    });
+    sync.bridgeProject(local.port, path.join(dir, `project-${syncs.length}`), DOC.projectName, [DOC.docName]);
+    syncs.push(sync);
+    return sync;
+  };
+
+  try {
+    connect(owner, key);
+    connect(collaborator, key);
+    const stranger = connect(outsider, generateProjectKey());
+
+    await waitFor(() => collaborator.received.length > 0);
+    assert.deepEqual(collaborator.received[0], update);
+
+    const stored = relay.rooms.get('/sync/u1/notes/intro').history;
+    assert.ok(stored.length > 0);
+    for (const payload of stored) {
+      assert.ok(isEncryptedFrame(payload));
+      assert.ok(!Buffer.from(payload).includes('secret text'));
+    }
+
+    // A client with another key gets nothing it could misread
+    await waitFor(() => stranger.getStatus().projects[0].documents[0].e2ee.undecryptable > 0);
+    assert.deepEqual(outsider.received.filter((data) => data.includes('secret text')), []);
+  } finally {
+    for (const sync of syncs) await sync.stopAll();
+    for (const server of [relay, owner, collaborator, outsider]) server.wss.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the sync server of an encrypted project is not reachable through the runtime tunnel', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-e2ee-'));
+  // A reachable relay: a failing tunnel connection would close the sockets itself
+  const relay = await startRelay();
+  const local = await startLocalSync();
+  const projectDir = path.join(dir, 'project');
+  let key = generateProjectKey();
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const sync = new CloudSync({
+    cloudUrl: `http://127.0.0.1:${relay.port}`,
+    token: 't',
+    userId: 'u1',
+    runtimeService: { sessions: new Map() },
+    outbox: createCloudOutbox({ dir: path.join(dir, 'outbox') }),
+    e2eeKey: () => key,
+    log: () => {},
+  });
+  const tunnel = sync._runtimeTunnel;
+  const sent = [];
+  tunnel._send = (msg) => sent.push(msg);
+
+  try {
+    sync.bridgeProject(local.port, projectDir, DOC.projectName, []);
+    tunnel._handleWsOpen({ id: 'w1', port: local.port, path: DOC.docName });
+    assert.deepEqual(sent.at(-1), { t: 'ws-error', id: 'w1', error: 'Blocked by tunnel allow-list: port is not a runtime session or exported service' });
+    assert.equal(sync._resolveSharedSyncInfo(DOC.projectName, DOC.docName), null);
+
+    // Turned off: served again; turned back on: withdrawn, open sockets closed
+    key = null;
+    await sync.applyEncryption(projectDir);
+    assert.equal(sync._resolveSharedSyncInfo(DOC.projectName, DOC.docName).syncPort, local.port);
+    tunnel._handleWsOpen({ id: 'w2', port: local.port, path: DOC.docName });
+    await waitFor(() => sent.some((msg) => msg.t === 'ws-opened' && msg.id === 'w2'));
+
+    key = generateProjectKey();
+    await sync.applyEncryption(projectDir);
+    await waitFor(() => sent.some((msg) => msg.t === 'ws-close' && msg.id === 'w2'));
+    assert.equal(tunnel._authorize('ws', local.port, DOC.docName).allowed, false);
+  } finally {
+    await sync.stopAll();
+    console.warn = originalWarn;
+    for (const server of [relay, local]) server.wss.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { WebSocketServer } from 'ws';
+
+import { createCloudOutbox, carriesDocument } from '../src/cloud-outbox.js';
+import { CloudSync } from '../src/cloud-sync.js';
+
+const META = { userId: 'u1', projectName: 'notes', docName: 'intro' };
+
+async function withOutboxDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-outbox-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('only sync step 2 and update messages carry the document', () => {
+  assert.equal(carriesDocument(Uint8Array.of(0, 2, 5, 1).buffer, true), true);
+  assert.equal(carriesDocument(Buffer.from([0, 1, 5, 1]), true), true);
+  assert.equal(carriesDocument(Buffer.from([0, 0, 5, 1]), true), false); // step 1
+  assert.equal(carriesDocument(Buffer.from([1, 3, 7, 7]), true), false); // awareness
+  assert.equal(carriesDocument('hello', false), false);
+});
+
+test('queued updates survive a restart and drain in order', async () => {
+  await withOutboxDir(async (dir) => {
+    const queue = createCloudOutbox({ dir }).open(META);
+    queue.append(Buffer.from([0, 2, 1]));
+    queue.append(Uint8Array.of(0, 2, 2).buffer);
+    assert.equal(queue.status().pendingBytes, 6);
+
+    // A new app run finds the document waiting before it is bridged
+    const restarted = createCloudOutbox({ dir });
+    const [waiting] = restarted.pending({ userId: 'u1' });
+    assert.equal(waiting.docName, 'intro');
+    assert.equal(waiting.pendingMessages, 2);
+    assert.ok(waiting.oldestUnsyncedAgeMs >= 0);
+    assert.deepEqual(restarted.pending({ userId: 'u2' }), []);
+
+    // The relay drops after the first message: the second stays queued
+    const reopened = restarted.open(META);
+    const sent = [];
+    assert.equal(await reopened.drain(async (data) => {
+      if (sent.length === 1) throw new Error('closed');
+      sent.push([...data]);
+    }), 1);
+    assert.deepEqual(sent, [[0, 2, 1]]);
+    assert.equal(createCloudOutbox({ dir }).open(META).status().pendingMessages, 1);
+
+    assert.equal(await reopened.drain(async (data) => sent.push([...data])), 1);
+    assert.deepEqual(sent, [[0, 2, 1], [0, 2, 2]]);
+    assert.deepEqual(await fs.readdir(dir), []);
+  });
+});
+
+test('a document stops queueing past its size cap', async () => {
+  await withOutboxDir(async (dir) => {
+    const queue = createCloudOutbox({ dir, maxBytesPerDoc: 8 }).open(META);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(queue.append(Buffer.alloc(6)), true);
+      assert.equal(queue.append(Buffer.alloc(6)), false);
+    } finally {
+      console.warn = warn;
+    }
+    assert.equal(queue.status().overflowed, true);
+    assert.equal(queue.status().pendingMessages, 1);
+  });
+});
+
+function listen(server) {
+  return new Promise((resolve) => server.on('listening', () => resolve(server.address().port)));
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('updates queued while the outbox replays go out on the same connection', async () => {
+  await withOutboxDir(async (dir) => {
+    const relay = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    const connections = [];
+    relay.on('connection', (ws) => {
+      const received = [];
+      connections.push(received);
+      ws.on('message', (data) => received.push([...Buffer.from(data)]));
+    });
+    const local = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    let localWs = null;
+    local.on('connection', (ws) => { localWs = ws; });
+    const [relayPort, localPort] = await Promise.all([listen(relay), listen(local)]);
+
+    // An update left from an earlier run; while it is being sent, the user
+    // types another one
+    const outbox = createCloudOutbox({ dir: path.join(dir, 'outbox') });
+    const queue = outbox.open(META);
+    queue.append(Buffer.from([0, 2, 1]));
+    const drain = queue.drain.bind(queue);
+    let typed = false;
+    queue.drain = (send) => drain(async (data, isBinary) => {
+      await send(data, isBinary);
+      if (!typed) {
+        typed = true;
+        await waitFor(() => localWs);
+        localWs.send(Buffer.from([0, 2, 2]));
+        await waitFor(() => queue.entries.length === 2);
+      }
+    });
+
+    const sync = new CloudSync({ cloudUrl: `http://127.0.0.1:${relayPort}`, token: 't', userId: 'u1', outbox, log: () => {} });
+    try {
+      sync.bridgeProject(localPort, path.join(dir, 'project'), META.projectName, [META.docName]);
+      await waitFor(() => connections[0]?.length === 2 && queue.entries.length === 0);
+      assert.deepEqual(connections, [[[0, 2, 1], [0, 2, 2]]]);
+    } finally {
+      await sync.stopAll();
+      relay.close();
+      local.close();
+    }
+  });
+});
@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+import { checkDocument, globToRegExp, normalizeSyncRules, planProjectSync } from '../src/cloud-sync-rules.js';
+import { CloudSync } from '../src/cloud-sync.js';
+import { createCloudOutbox } from '../src/cloud-outbox.js';
+
+async function withProject(files, fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-syncrules-'));
+  try {
+    for (const [rel, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(root, rel)), { recursive: true });
+      await fs.writeFile(path.join(root, rel), content);
+    }
+    await fn(root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test('globs match folders, file names and paths without extension', () => {
+  assert.ok(globToRegExp('drafts/').test('drafts/a/b.md'));
+  assert.ok(globToRegExp('**/notes.md').test('notes.md'));
+  assert.ok(globToRegExp('**/notes.md').test('a/b/notes.md'));
+  assert.ok(!globToRegExp('*.md').test('a/b.md'));
+  assert.deepEqual(normalizeSyncRules({ include: 'nope', maxBytes: -1 }).include, ['**']);
+});
+
+test('rules, hidden folders and local-only markers decide what syncs', async () => {
+  await withProject({
+    'index.md': '# Home',
+    'drafts/idea.md': 'x',
+    '_lib/helpers.md': 'x',
+    'private/.mrmd-local': '',
+    'private/diary.md': 'x',
+    'notes/secret.md': '---\ntitle: S\ncloud: local\n---\nbody',
+    'notes/big.qmd': 'x'.repeat(2048),
+    'notes/todo.private.md': 'x',
+  }, async (root) => {
+    const rules = { exclude: ['drafts/', '*.private.md'], maxBytes: 1024 };
+    const reasons = Object.fromEntries(planProjectSync(root, rules).documents.map((doc) => [doc.path, doc.reason]));
+    assert.deepEqual(reasons, {
+      '_lib/helpers.md': 'hidden',
+      'drafts/idea.md': 'excluded',
+      'index.md': null,
+      'notes/big.qmd': 'too-large',
+      'notes/secret.md': 'local-only',
+      'notes/todo.private.md': 'excluded',
+      'private/diary.md': 'local-only',
+    });
+
+    // Document names resolve to their file; missing ones are judged on the path
+    assert.equal(checkDocument(root, 'notes/big', rules).reason, 'too-large');
+    assert.equal(checkDocument(root, 'drafts/new-from-cloud', rules).reason, 'excluded');
+    assert.equal(checkDocument(root, 'elsewhere/new', { include: ['notes/**'] }).reason, 'not-included');
+    assert.equal(checkDocument(root, '../outside', {}).reason, 'outside-project');
+    assert.equal(checkDocument(root, '_lib/helpers', { syncHidden: true }).sync, true);
+  });
+});
+
+test('the runtime tunnel refuses sync server paths of local-only documents', async () => {
+  await withProject({
+    'index.md': '# Home',
+    'private/.mrmd-local': '',
+    'private/diary.md': 'x',
+    'notes/secret.md': '---\ncloud: local\n---\nbody',
+  }, async (root) => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    const sync = new CloudSync({
+      cloudUrl: 'http://127.0.0.1:1',
+      token: 't',
+      userId: 'u1',
+      runtimeService: { sessions: new Map() },
+      outbox: createCloudOutbox({ dir: path.join(root, '.outbox') }),
+      syncRules: () => ({}),
+      log: () => {},
+    });
+    try {
+      const tunnel = sync._runtimeTunnel;
+      const sent = [];
+      tunnel._send = (msg) => sent.push(msg);
+      sync.bridgeProject(4444, root, 'notes', []);
+
+      assert.equal(tunnel._authorize('ws', 4444, 'index').allowed, true);
+      for (const docPath of ['private/diary', 'notes/secret', 'notes%2Fsecret?room=1']) {
+        tunnel._handleWsOpen({ id: docPath, port: 4444, path: docPath });
+        assert.equal(sent.at(-1).t, 'ws-error', docPath);
+        assert.match(sent.at(-1).error, /kept local by sync rules \(local-only\)/);
+      }
+      assert.equal(sync._resolveSharedSyncInfo('notes', 'private/diary'), null);
+      assert.equal(sync._resolveSharedSyncInfo('notes', 'index').syncPort, 4444);
+    } finally {
+      await sync.stopAll();
+      console.warn = originalWarn;
+    }
+  });
+});
+
+test('the catalog judges each entry by its own project directory', async () => {
+  await withProject({
+    'work/notes/drafts/idea.md': 'x',
+    'home/notes/drafts/idea.md': 'x',
+  }, async (root) => {
+    const work = path.join(root, 'work', 'notes');
+    const home = path.join(root, 'home', 'notes');
+    const pushed = [];
+    const relay = http.createServer(async (req, res) => {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      if (req.url !== '/api/catalog/u1/m1') {
+        res.writeHead(404).end();
+        return;
+      }
+      pushed.push(JSON.parse(body));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ entries: pushed.at(-1).entries.length }));
+    });
+    await new Promise((resolve) => relay.listen(0, '127.0.0.1', resolve));
+    const sync = new CloudSync({
+      cloudUrl: `http://127.0.0.1:${relay.address().port}`,
+      token: 't',
+      userId: 'u1',
+      runtimeService: { sessions: new Map() },
+      outbox: createCloudOutbox({ dir: path.join(root, '.outbox') }),
+      syncRules: (dir) => (dir === work ? { exclude: ['drafts/'] } : {}),
+      log: () => {},
+    });
+    try {
+      // Same folder name, different rules; an entry without a directory can't be judged
+      assert.equal(await sync.pushCatalog('m1', {
+        entries: [
+          { project: 'notes', projectDir: work, docPath: 'drafts/idea' },
+          { project: 'notes', projectDir: home, docPath: 'drafts/idea' },
+          { project: 'notes', docPath: 'drafts/idea' },
+        ],
+      }), true);
+      assert.deepEqual(pushed[0].entries, [{ project: 'notes', docPath: 'drafts/idea' }]);
+    } finally {
+      await sync.stopAll();
+      relay.close();
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  pythonProfileId,
+  profileFromId,
+  listCondaEnvs,
+  resolvePythonEnv,
+  pythonEnvVars,
+  discoverProjectProfiles,
+} from '../src/services/python-env-profiles.js';
+
+async function fakePython(prefix) {
+  const bin = path.join(prefix, 'bin');
+  await fs.mkdir(bin, { recursive: true });
+  await fs.writeFile(path.join(bin, 'python'), '', 'utf8');
+}
+
+test('profile ids round-trip for every kind', () => {
+  const ids = [
+    '/work/project/.venv',
+    'python:venv:/work/project/.venv',
+    'python:conda:ml',
+    'python:conda:/opt/conda/envs/ml',
+    'python:pixi:/work/project/pixi.toml',
+    'python:pixi:/work/project/pixi.toml#cuda',
+    'python:uv-project:/work/project',
+    'python:interpreter:/usr/bin/python3.12',
+  ];
+
+  assert.equal(profileFromId(ids[0]), null);
+  for (const id of ids.slice(1)) {
+    const profile = profileFromId(id);
+    assert.ok(profile, id);
+    assert.equal(pythonProfileId(profile), id);
+  }
+
+  assert.deepEqual(profileFromId('python:pixi:/work/project/pixi.toml#cuda'), {
+    kind: 'pixi',
+    manifestPath: '/work/project/pixi.toml',
+    environment: 'cuda',
+    label: 'pixi: project (cuda)',
+  });
+});
+
+test('resolvePythonEnv maps each kind to the prefix holding mrmd-python', () => {
+  const projectRoot = '/work/project';
+
+  const fallback = resolvePythonEnv({ kind: 'system' }, { projectRoot });
+  assert.equal(fallback.kind, 'venv');
+  assert.equal(fallback.prefix, path.join(projectRoot, '.venv'));
+
+  const pixi = resolvePythonEnv({ kind: 'pixi', manifestPath: 'pixi.toml', environment: 'cuda' }, { projectRoot });
+  assert.equal(pixi.manifestPath, path.join(projectRoot, 'pixi.toml'));
+  assert.equal(pixi.prefix, path.join(projectRoot, '.pixi', 'envs', 'cuda'));
+
+  const uvProject = resolvePythonEnv({ kind: 'uv-project', projectDir: 'analysis' }, { projectRoot });
+  assert.equal(uvProject.prefix, path.join(projectRoot, 'analysis', '.venv'));
+  assert.equal(uvProject.label, 'uv: analysis');
+
+  const a = resolvePythonEnv({ kind: 'system-interpreter', interpreterPath: '/usr/bin/python3' }, { projectRoot });
+  const b = resolvePythonEnv({ kind: 'system-interpreter', interpreterPath: '/opt/python/bin/python3' }, { projectRoot });
+  assert.match(path.basename(a.prefix), /^python3-[0-9a-f]{8}$/);
+  assert.notEqual(a.prefix, b.prefix, 'each interpreter gets its own managed env');
+});
+
+test('conda environments are found by name across roots and environments.txt', async () => {
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-python-envs-'));
+
+  try {
+    const root = path.join(home, 'miniforge3');
+    await fakePython(root);
+    await fakePython(path.join(root, 'envs', 'ml'));
+    await fs.mkdir(path.join(root, 'envs', 'broken'), { recursive: true });
+
+    const elsewhere = path.join(home, 'scratch', 'geo');
+    await fakePython(elsewhere);
+    await fs.mkdir(path.join(home, '.conda'), { recursive: true });
+    await fs.writeFile(path.join(home, '.conda', 'environments.txt'), `${elsewhere}\n${path.join(root, 'envs', 'ml')}\n`, 'utf8');
+
+    const condaOptions = { home, env: {} };
+    const envs = listCondaEnvs(condaOptions);
+    assert.deepEqual(envs.map((e) => e.name).sort(), ['base', 'geo', 'ml']);
+
+    const ml = resolvePythonEnv({ kind: 'conda', envName: 'ml' }, { projectRoot: home, condaOptions });
+    assert.equal(ml.prefix, path.join(root, 'envs', 'ml'));
+    assert.equal(ml.python, path.join(root, 'envs', 'ml', 'bin', 'python'));
+
+    const missing = resolvePythonEnv({ kind: 'conda', envName: 'nope' }, { projectRoot: home, condaOptions });
+    assert.equal(missing.prefix, null);
+
+    const vars = pythonEnvVars(ml, { PATH: '/usr/bin' });
+    assert.equal(vars.CONDA_PREFIX, ml.prefix);
+    assert.equal(vars.CONDA_DEFAULT_ENV, 'ml');
+    assert.equal(vars.PATH, [path.join(ml.prefix, 'bin'), '/usr/bin'].join(path.delimiter));
+    assert.deepEqual(pythonEnvVars({ kind: 'uv-project', prefix: '/p/.venv' }), { VIRTUAL_ENV: '/p/.venv' });
+  } finally {
+    await fs.rm(home, { recursive: true, force: true });
+  }
+});
+
+test('discoverProjectProfiles finds pixi and uv projects', async () => {
+  const projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-python-project-'));
+
+  try {
+    assert.deepEqual(discoverProjectProfiles(projectDir), []);
+
+    await fs.writeFile(path.join(projectDir, 'pyproject.toml'), '[project]\nname = "x"\n\n[tool.pixi.workspace]\nchannels = []\n', 'utf8');
+    await fs.writeFile(path.join(projectDir, 'uv.lock'), 'version = 1\n', 'utf8');
+
+    const profiles = discoverProjectProfiles(projectDir);
+    assert.deepEqual(profiles.map((p) => p.kind), ['pixi', 'uv-project']);
+    assert.equal(profiles[0].manifestPath, path.join(projectDir, 'pyproject.toml'));
+    assert.equal(profiles[1].projectDir, projectDir);
+  } finally {
+    await fs.rm(projectDir, { recursive: true, force: true });
+  }
+});
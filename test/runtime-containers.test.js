@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalizeContainerSpec,
+  findContainerEngine,
+  containerName,
+  buildContainerRunArgs,
+  parsePullProgress,
+} from '../src/services/runtime-containers.js';
+
+test('normalizeContainerSpec requires an image and fills defaults', () => {
+  assert.throws(() => normalizeContainerSpec({}), /needs an "image"/);
+  assert.throws(() => normalizeContainerSpec({ image: 'x', engine: 'lxc' }), /Unknown container engine/);
+
+  assert.deepEqual(normalizeContainerSpec({ image: ' python:3.12 ', pull: 'sometimes', command: [] }), {
+    image: 'python:3.12',
+    engine: null,
+    pull: 'missing',
+    command: null,
+    env: {},
+    args: [],
+  });
+});
+
+test('findContainerEngine honours the preferred engine and falls back in order', () => {
+  const installed = { docker: '/usr/bin/docker' };
+  const find = (name) => installed[name] || null;
+
+  assert.deepEqual(findContainerEngine(null, find), { engine: 'docker', path: '/usr/bin/docker' });
+  assert.equal(findContainerEngine('podman', find), null);
+});
+
+test('buildContainerRunArgs mounts the project and publishes the MRP port on localhost', { skip: process.platform === 'win32' }, () => {
+  const spec = normalizeContainerSpec({ image: 'ghcr.io/me/analysis:1', env: { RUN: '${name}' } });
+  const args = buildContainerRunArgs({
+    spec,
+    engine: 'docker',
+    sessionName: 'rt:notebook:abc:python:1',
+    language: 'python',
+    port: 41234,
+    cwd: '/work/project/notes',
+    projectRoot: '/work/project',
+    limits: { maxMemoryMb: 2048 },
+  });
+
+  assert.equal(containerName('rt:notebook:abc:python:1'), 'mrmd-rt-notebook-abc-python-1');
+  assert.deepEqual(args.slice(0, 3), ['run', '--rm', '--init']);
+  assert.ok(args.includes('mrmd-rt-notebook-abc-python-1'));
+  assert.deepEqual(args.slice(args.indexOf('-p'), args.indexOf('-p') + 2), ['-p', '127.0.0.1:41234:41234']);
+  assert.deepEqual(args.slice(args.indexOf('-v'), args.indexOf('-v') + 2), ['-v', '/work/project:/work/project']);
+  assert.deepEqual(args.slice(args.indexOf('-w'), args.indexOf('-w') + 2), ['-w', '/work/project/notes']);
+  assert.deepEqual(args.slice(args.indexOf('--memory'), args.indexOf('--memory') + 2), ['--memory', '2048m']);
+  assert.ok(args.includes('RUN=rt:notebook:abc:python:1'));
+
+  const command = args.slice(args.indexOf('ghcr.io/me/analysis:1') + 1);
+  assert.deepEqual(command, [
+    'mrmd-python', '--id', 'rt:notebook:abc:python:1', '--foreground',
+    '--port', '41234', '--host', '0.0.0.0', '--cwd', '/work/project/notes',
+  ]);
+
+  const podman = buildContainerRunArgs({
+    spec: normalizeContainerSpec({ image: 'img', command: ['serve', '--port=${port}'] }),
+    engine: 'podman',
+    sessionName: 's',
+    language: 'lua',
+    port: 5000,
+    cwd: '/p',
+    projectRoot: '/p',
+  });
+  assert.ok(podman.includes('--userns=keep-id'));
+  assert.deepEqual(podman.slice(-3), ['img', 'serve', '--port=5000']);
+
+  assert.throws(() => buildContainerRunArgs({
+    spec: normalizeContainerSpec({ image: 'img' }),
+    engine: 'docker',
+    sessionName: 's',
+    language: 'lua',
+    port: 5000,
+    cwd: '/p',
+    projectRoot: '/p',
+  }), /No container command for lua/);
+});
+
+test('parsePullProgress tracks docker and podman layers', () => {
+  const layers = new Map();
+  for (const line of [
+    'latest: Pulling from library/python',
+    'a1b2c3d4e5f6: Pulling fs layer',
+    'b1b2c3d4e5f6: Already exists',
+    'a1b2c3d4e5f6: Downloading  12.1MB/40MB',
+    'c1b2c3d4e5f6: Waiting',
+  ]) {
+    parsePullProgress(line, layers);
+  }
+  assert.equal(layers.size, 3);
+  assert.equal([...layers.values()].filter(Boolean).length, 1);
+
+  assert.equal(parsePullProgress('a1b2c3d4e5f6: Pull complete', layers), true);
+  assert.equal(parsePullProgress('Digest: sha256:abc', layers), false);
+  assert.equal([...layers.values()].filter(Boolean).length, 2);
+
+  const blobs = new Map();
+  parsePullProgress('Copying blob sha256:0123456789ab', blobs);
+  parsePullProgress('Copying blob 89abcdef0123 done', blobs);
+  parsePullProgress('Copying blob sha256:0123456789ab done', blobs);
+  assert.deepEqual([...blobs.values()], [true, true]);
+});
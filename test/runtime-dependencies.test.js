@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+import {
+  parseDependency,
+  normalizeDependencies,
+  mergeDependencies,
+  lockPath,
+  syncDependencies,
+} from '../src/services/runtime-dependencies.js';
+
+const python = spawnSync('python3', ['--version'], { timeout: 10000 }).status === 0;
+
+test('dependency specs are validated per language', () => {
+  assert.deepEqual(parseDependency('python', 'Foo_Bar[socks] >= 2, <3'), {
+    spec: 'Foo_Bar[socks] >= 2, <3',
+    name: 'Foo_Bar',
+    key: 'foo-bar',
+    version: '>=2,<3',
+  });
+  assert.throws(() => parseDependency('python', '--index-url=http://evil'), /Invalid python dependency/);
+  assert.throws(() => parseDependency('python', 'git+https://host/repo'), /Invalid python dependency/);
+  assert.equal(parseDependency('r', 'data.table').name, 'data.table');
+  assert.throws(() => parseDependency('r', 'ggplot2; system("x")'), /Invalid r dependency/);
+  assert.deepEqual(parseDependency('julia', 'CSV@0.10'), { spec: 'CSV@0.10', name: 'CSV', key: 'CSV', version: '0.10' });
+  assert.throws(() => parseDependency('bash', 'jq'), /not supported for bash/);
+});
+
+test('lists split on package boundaries and later entries win', () => {
+  assert.deepEqual(
+    normalizeDependencies('python', 'numpy, pandas>=2,<3\nrequests[socks,security]'),
+    ['numpy', 'pandas>=2,<3', 'requests[socks,security]'],
+  );
+  assert.deepEqual(mergeDependencies('python', ['numpy', 'Foo_Bar==1'], ['foo-bar>=2']), ['numpy', 'foo-bar>=2']);
+  assert.equal(
+    lockPath({ name: 'rt:notebook:abc:python', projectRoot: '/p', cwd: '/p/nb' }),
+    path.join('/p', '.mrmd', 'locks', 'rt-notebook-abc-python.json'),
+  );
+});
+
+test('a satisfied python list installs nothing and records the lock', { skip: !python }, async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-deps-'));
+  try {
+    const lockFile = path.join(root, 'lock.json');
+    const stages = [];
+    const result = await syncDependencies({
+      language: 'python',
+      dependencies: ['pip'],
+      interpreter: 'python3',
+      lockFile,
+      sessionName: 'rt:x',
+      onProgress: (stage) => stages.push(stage),
+    });
+    assert.deepEqual(result.installed, []);
+    assert.deepEqual(stages, ['checking', 'complete']);
+
+    const lock = JSON.parse(await fs.readFile(lockFile, 'utf8'));
+    assert.equal(lock.sessionName, 'rt:x');
+    assert.deepEqual(lock.declared, ['pip']);
+    assert.ok(lock.resolved.pip);
+    assert.equal(lock.installed.pip, lock.resolved.pip);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test('a failed install names the package', { skip: process.platform === 'win32' }, async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-deps-'));
+  try {
+    // Stand-in Rscript: nothing is installed and every install fails
+    const rscript = path.join(root, 'Rscript');
+    await fs.writeFile(rscript, [
+      '#!/bin/sh',
+      'case "$2" in',
+      '  *install.packages*) echo "package \'notarealpkg\' is not available" >&2; exit 1 ;;',
+      'esac',
+      'exit 0',
+    ].join('\n'), { mode: 0o755 });
+
+    await assert.rejects(
+      syncDependencies({
+        language: 'r',
+        dependencies: ['notarealpkg'],
+        interpreter: rscript,
+        lockFile: path.join(root, 'lock.json'),
+      }),
+      (e) => e.package === 'notarealpkg' && /Failed to install r package "notarealpkg".*is not available/s.test(e.message),
+    );
+    await assert.rejects(fs.access(path.join(root, 'lock.json')));
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
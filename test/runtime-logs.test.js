@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import fsSync from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+
+import {
+  openRuntimeLog,
+  readRuntimeLogTail,
+  linesSinceLastRun,
+  rotateRuntimeLog,
+  followRuntimeLog,
+} from '../src/services/runtime-logs.js';
+
+test('child output redirected to the log fd is tailed per run', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-logs-'));
+
+  try {
+    for (const word of ['first', 'second']) {
+      const log = openRuntimeLog('rt:notebook:abc:python:1', { dir: tempDir, header: `start ${word}` });
+      const child = spawn(process.execPath, ['-e', `console.log('${word} out'); console.error('${word} err')`], {
+        stdio: ['ignore', log.fd, log.fd],
+      });
+      fsSync.closeSync(log.fd);
+      await new Promise((resolve) => child.on('exit', resolve));
+    }
+
+    const logPath = path.join(tempDir, 'rt-notebook-abc-python-1.log');
+    const tail = readRuntimeLogTail(logPath, { lines: 50 });
+    assert.equal(tail.exists, true);
+    assert.equal(tail.lines.filter((l) => l.startsWith('=== ')).length, 2);
+    assert.deepEqual(linesSinceLastRun(tail.lines).sort(), ['second err', 'second out']);
+    assert.deepEqual(readRuntimeLogTail(logPath, { lines: 1 }).lines, [tail.lines.at(-1)]);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('rotation keeps the live file usable and tails reach into the rotated copy', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-logs-rot-'));
+
+  try {
+    const logPath = path.join(tempDir, 'session.log');
+    const fd = fsSync.openSync(logPath, 'a');
+    fsSync.writeSync(fd, 'old 1\nold 2\n');
+    rotateRuntimeLog(logPath, { maxFiles: 2 });
+    fsSync.writeSync(fd, 'new 1\n');
+    fsSync.closeSync(fd);
+
+    assert.equal(fsSync.readFileSync(`${logPath}.1`, 'utf8'), 'old 1\nold 2\n');
+    assert.equal(fsSync.readFileSync(logPath, 'utf8'), 'new 1\n');
+    assert.deepEqual(readRuntimeLogTail(logPath, { lines: 2 }).lines, ['old 2', 'new 1']);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('followRuntimeLog delivers complete appended lines', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-logs-follow-'));
+
+  try {
+    const logPath = path.join(tempDir, 'session.log');
+    fsSync.writeFileSync(logPath, 'before\n');
+    const received = [];
+    const stop = followRuntimeLog(logPath, (lines) => received.push(...lines), { intervalMs: 20 });
+
+    fsSync.appendFileSync(logPath, 'line a\nline b\npart');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    fsSync.appendFileSync(logPath, 'ial\n');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    stop();
+
+    assert.deepEqual(received, ['line a', 'line b', 'partial']);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import RuntimeMonitor, { parseProcStat, sumProcessTree } from '../src/services/runtime-monitor.js';
+
+function statLine(pid, comm, ppid, utime, stime, rss) {
+  const fields = ['S', ppid, 0, 0, 0, 0, 0, 0, 0, 0, 0, utime, stime, 0, 0, 20, 0, 1, 0, 0, 0, rss];
+  return `${pid} (${comm}) ${fields.join(' ')}`;
+}
+
+test('parseProcStat handles command names with spaces and parens', () => {
+  const stat = parseProcStat(statLine(42, 'mrmd (python) worker', 7, 150, 50, 1000));
+  assert.deepEqual(stat, { ppid: 7, cpuTicks: 200, rssPages: 1000 });
+});
+
+test('sumProcessTree adds up a runtime and all of its descendants', () => {
+  const table = new Map([
+    [10, { ppid: 1, cpuTicks: 100, rssPages: 10 }],
+    [11, { ppid: 10, cpuTicks: 50, rssPages: 5 }],
+    [12, { ppid: 11, cpuTicks: 50, rssPages: 5 }],
+    [20, { ppid: 1, cpuTicks: 999, rssPages: 999 }],
+  ]);
+  const totals = sumProcessTree(10, table, { clockTicks: 100, pageSize: 1024 });
+  assert.equal(totals.cpuSeconds, 2);
+  assert.equal(totals.rssBytes, 20 * 1024);
+  assert.deepEqual(totals.pids.sort(), [10, 11, 12]);
+  assert.equal(sumProcessTree(99, table), null);
+});
+
+test('RuntimeMonitor warns on a memory breach and kills after the grace period', () => {
+  const events = [];
+  const stopped = [];
+  let rssPages = 10;
+  const session = { name: 'rt:global:python:abc', language: 'python', pid: 10, limits: { maxMemoryMb: 1 } };
+
+  const monitor = new RuntimeMonitor({
+    getSessions: () => [session],
+    interrupt: async () => {},
+    stop: async (name) => stopped.push(name),
+    emit: (type, payload) => events.push({ type, payload }),
+    options: { breachGraceMs: 1000 },
+    readTable: () => new Map([[10, { ppid: 1, cpuTicks: 0, rssPages }]]),
+  });
+
+  monitor.sample(0);
+  assert.deepEqual(events.filter((e) => e.type === 'limit'), []);
+
+  rssPages = 1024 * 1024; // far over 1MB whatever the page size
+  monitor.sample(5000);
+  monitor.sample(5500);
+  monitor.sample(6500);
+
+  const limits = events.filter((e) => e.type === 'limit').map((e) => e.payload.action);
+  assert.deepEqual(limits, ['warn', 'kill']);
+  assert.deepEqual(stopped, [session.name]);
+
+  const usage = monitor.usage(session.name);
+  assert.equal(usage.history.length, 4);
+  assert.deepEqual(usage.breaches, ['memory']);
+  monitor.dispose();
+});
+
+test('RuntimeMonitor leaves idle runtimes to the reaper and ignores sessions without limits', () => {
+  const stopped = [];
+  const events = [];
+  const sessions = [
+    { name: 'idle', language: 'python', pid: 10, limits: { idleTimeoutMinutes: 1 } },
+    { name: 'unlimited', language: 'python', pid: 11 },
+  ];
+  const monitor = new RuntimeMonitor({
+    getSessions: () => sessions,
+    interrupt: async () => {},
+    stop: async (name) => stopped.push(name),
+    emit: (type, payload) => events.push({ type, payload }),
+    options: { breachGraceMs: 1000 },
+    readTable: () => new Map([
+      [10, { ppid: 1, cpuTicks: 0, rssPages: 1 }],
+      [11, { ppid: 1, cpuTicks: 0, rssPages: 1 }],
+    ]),
+  });
+
+  monitor.sample(0);
+  monitor.sample(61 * 1000);
+  monitor.sample(63 * 1000);
+  assert.deepEqual(stopped, []);
+  assert.deepEqual(events.filter((e) => e.type === 'limit'), []);
+  monitor.dispose();
+});
@@ -0,0 +1,190 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { loadRuntimePlugins, validateDeclarativeSpec } from '../src/services/runtime-plugins.js';
+
+const DENO_PLUGIN = {
+  language: 'deno',
+  label: 'Deno',
+  aliases: ['ts'],
+  executable: { names: ['node'], paths: [] },
+  args: ['${pluginDir}/mrp-deno.ts', '--port', '${port}', '--cwd', '${cwd}'],
+  env: { MRP_SESSION: '${name}' },
+  startupTimeout: 20000,
+};
+
+test('loadRuntimePlugins turns a JSON plugin into a spawn descriptor', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-plugins-'));
+
+  try {
+    await fs.writeFile(path.join(tempDir, 'deno.json'), JSON.stringify(DENO_PLUGIN), 'utf8');
+
+    const { descriptors, errors } = await loadRuntimePlugins(tempDir);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual([...descriptors.keys()], ['deno']);
+
+    const deno = descriptors.get('deno');
+    assert.equal(deno.label, 'Deno');
+    assert.equal(deno.startupTimeout, 20000);
+    assert.deepEqual(deno.aliases, ['deno', 'ts']);
+    assert.equal(deno.builtin, false);
+
+    const config = { name: 'rt:notebook:abc:deno:1', cwd: '/work/project' };
+    const exe = deno.findExecutable(config);
+    assert.ok(exe, 'node should be found on PATH');
+    assert.deepEqual(deno.buildArgs(exe, 4321, config), [
+      path.join(tempDir, 'mrp-deno.ts'), '--port', '4321', '--cwd', '/work/project',
+    ]);
+    assert.equal(deno.buildEnv(config).MRP_SESSION, 'rt:notebook:abc:deno:1');
+    assert.equal(deno.spawnCwd(config), '/work/project');
+    assert.deepEqual(deno.validate(), { available: true });
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('loadRuntimePlugins reports invalid, conflicting and disallowed plugins without dropping valid ones', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-plugins-bad-'));
+
+  try {
+    await fs.writeFile(path.join(tempDir, 'a-deno.json'), JSON.stringify(DENO_PLUGIN), 'utf8');
+    await fs.writeFile(path.join(tempDir, 'b-broken.json'), '{ not json', 'utf8');
+    await fs.writeFile(path.join(tempDir, 'c-noport.json'), JSON.stringify({
+      language: 'lua', executable: 'lua', args: ['mrp.lua'],
+    }), 'utf8');
+    await fs.writeFile(path.join(tempDir, 'd-shadow.json'), JSON.stringify({
+      ...DENO_PLUGIN, language: 'pyish', aliases: ['py'],
+    }), 'utf8');
+    await fs.writeFile(path.join(tempDir, 'e-script.js'), 'export default {};', 'utf8');
+
+    const reserved = new Map([['python', 'python'], ['py', 'python']]);
+    const { descriptors, errors } = await loadRuntimePlugins(tempDir, { allowScripts: false, reserved });
+
+    assert.deepEqual([...descriptors.keys()], ['deno']);
+
+    const byFile = Object.fromEntries(errors.map((e) => [path.basename(e.file), e.error]));
+    assert.match(byFile['b-broken.json'], /Failed to load plugin/);
+    assert.match(byFile['c-noport.json'], /must pass the MRP port/);
+    assert.match(byFile['d-shadow.json'], /conflicts with already registered name\(s\): "py" \(python\)/);
+    assert.match(byFile['e-script.js'], /only loaded from the user config directory/);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('loadRuntimePlugins imports script plugins exporting a descriptor factory', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-plugins-js-'));
+
+  try {
+    await fs.writeFile(path.join(tempDir, 'ruby.mjs'), `
+      export default ({ findInPath }) => ({
+        language: 'ruby',
+        aliases: ['rb'],
+        findExecutable: () => findInPath('node'),
+        buildArgs: (exe, port, config) => ['mrp-ruby', '--port', String(port), '--cwd', config.cwd],
+      });
+    `, 'utf8');
+
+    const { descriptors, errors } = await loadRuntimePlugins(tempDir);
+
+    assert.deepEqual(errors, []);
+    const ruby = descriptors.get('ruby');
+    assert.deepEqual(ruby.aliases, ['ruby', 'rb']);
+    assert.equal(ruby.label, 'ruby');
+    assert.ok(ruby.findExecutable({}));
+    assert.deepEqual(ruby.buildArgs('ruby', 9000, { cwd: '/p' }), ['mrp-ruby', '--port', '9000', '--cwd', '/p']);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+test('validateDeclarativeSpec rejects unknown template variables', () => {
+  const problems = validateDeclarativeSpec({
+    ...DENO_PLUGIN,
+    args: ['--port', '${port}', '--token', '${secret}'],
+  });
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /\$\{secret\}/);
+});
+
+test('trusted project plugins only start programs installed for the user', async () => {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-plugins-project-'));
+  const dir = path.join(projectRoot, '.mrmd', 'runtimes');
+
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'a-deno.json'), JSON.stringify({
+      ...DENO_PLUGIN, executable: { names: ['node'], paths: ['${home}/.deno/bin/deno'] },
+    }), 'utf8');
+    await fs.writeFile(path.join(dir, 'b-bundled.json'), JSON.stringify({
+      ...DENO_PLUGIN, language: 'lua', aliases: [], executable: './bin/lua',
+    }), 'utf8');
+    await fs.writeFile(path.join(dir, 'c-prestart.json'), JSON.stringify({
+      ...DENO_PLUGIN, language: 'ruby', aliases: [], preStart: { command: 'sh', args: ['-c', 'true'] },
+    }), 'utf8');
+    await fs.writeFile(path.join(dir, 'd-paths.json'), JSON.stringify({
+      ...DENO_PLUGIN, language: 'go', aliases: [], executable: { names: ['go'], paths: ['${pluginDir}/go', '${home}/../x'] },
+    }), 'utf8');
+
+    const { descriptors, errors } = await loadRuntimePlugins(dir, { allowScripts: false, projectRoot, trusted: true });
+
+    assert.deepEqual([...descriptors.keys()], ['deno']);
+    const byFile = Object.fromEntries(errors.map((e) => [path.basename(e.file), e.error]));
+    assert.match(byFile['b-bundled.json'], /must name executables on PATH/);
+    assert.match(byFile['c-prestart.json'], /cannot declare "preStart"/);
+    assert.match(byFile['d-paths.json'], /only list "executable.paths" under \$\{home\}/);
+  } finally {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  }
+});
+
+test('project plugins that run shipped code through args or env wait for trust', async () => {
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-plugins-trust-'));
+  const dir = path.join(projectRoot, '.mrmd', 'runtimes');
+
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    // Installed programs, nothing preStart: only args and env carry the payload
+    await fs.writeFile(path.join(dir, 'a-shell.json'), JSON.stringify({
+      language: 'shellish', executable: { names: ['sh'] }, args: ['-c', 'touch pwned; exec mrp-bash --port ${port}'],
+    }), 'utf8');
+    await fs.writeFile(path.join(dir, 'b-node.json'), JSON.stringify({
+      ...DENO_PLUGIN,
+      args: ['mrp-node', '--port', '${port}'],
+      env: { NODE_OPTIONS: '--require ${projectRoot}/x.js' },
+    }), 'utf8');
+
+    const untrusted = await loadRuntimePlugins(dir, { allowScripts: false, projectRoot, trusted: false });
+    assert.deepEqual([...untrusted.descriptors.keys()], []);
+    assert.deepEqual(untrusted.errors, []);
+    assert.deepEqual(untrusted.untrusted.map((file) => path.basename(file)), ['a-shell.json', 'b-node.json']);
+
+    // The user's decision: trusted, they load as written
+    const trusted = await loadRuntimePlugins(dir, { allowScripts: false, projectRoot, trusted: true });
+    assert.deepEqual([...trusted.descriptors.keys()].sort(), ['deno', 'shellish']);
+    assert.deepEqual(trusted.untrusted, []);
+  } finally {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  }
+});
+
+test('a missing executable path is not replaced by a PATH lookup', async () => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-runtime-plugins-path-'));
+
+  try {
+    await fs.writeFile(path.join(tempDir, 'node.json'), JSON.stringify({
+      ...DENO_PLUGIN, executable: './missing/node',
+    }), 'utf8');
+
+    const { descriptors } = await loadRuntimePlugins(tempDir);
+    const plugin = descriptors.get('deno');
+    assert.equal(plugin.findExecutable({}), null);
+    assert.equal(plugin.validate().available, false);
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  }
+});
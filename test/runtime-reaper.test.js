@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import RuntimeReaper, { scopeOfSession, normalizeIdlePolicy } from '../src/services/runtime-reaper.js';
+
+const MINUTE = 60 * 1000;
+
+function makeReaper(sessions, { policy = {}, busy = new Set() } = {}) {
+  const stopped = [];
+  const events = [];
+  const reaper = new RuntimeReaper({
+    getSessions: () => sessions.filter((s) => !stopped.includes(s.name)),
+    stop: async (name) => stopped.push(name),
+    emit: (type, payload) => events.push({ type, payload }),
+    resolvePolicy: () => policy,
+    isBusy: (name) => busy.has(name),
+  });
+  return { reaper, stopped, events };
+}
+
+test('scopeOfSession maps session names to reaper scopes', () => {
+  assert.equal(scopeOfSession('rt:notebook:p1:abc:python:1234'), 'notebook');
+  assert.equal(scopeOfSession('rt:project:p1:python:1234'), 'project');
+  assert.equal(scopeOfSession('rt:global:python:1234'), 'shared');
+  assert.equal(scopeOfSession('legacy-session'), 'shared');
+  assert.deepEqual(normalizeIdlePolicy({ notebook: 5, project: 'x' }), { notebook: 5, project: 240, shared: 0 });
+});
+
+test('RuntimeReaper stops sessions idle past their scope threshold', () => {
+  const startedAt = new Date(0).toISOString();
+  const sessions = [
+    { name: 'rt:notebook:p:d:python:1', language: 'python', startedAt },
+    { name: 'rt:project:p:python:1', language: 'python', startedAt },
+    { name: 'rt:global:python:1', language: 'python', startedAt },
+  ];
+  const { reaper, stopped, events } = makeReaper(sessions, { policy: { notebook: 10, project: 30 } });
+
+  assert.deepEqual(reaper.sweep(5 * MINUTE), []);
+  assert.deepEqual(reaper.sweep(11 * MINUTE), ['rt:notebook:p:d:python:1']);
+  assert.deepEqual(reaper.sweep(31 * MINUTE), ['rt:project:p:python:1']);
+  assert.deepEqual(reaper.sweep(24 * 60 * MINUTE), [], 'shared sessions are never reaped by default');
+
+  assert.deepEqual(stopped, ['rt:notebook:p:d:python:1', 'rt:project:p:python:1']);
+  assert.deepEqual(events[0].payload, {
+    sessionName: 'rt:notebook:p:d:python:1',
+    language: 'python',
+    scope: 'notebook',
+    idleMinutes: 11,
+    thresholdMinutes: 10,
+  });
+});
+
+test('RuntimeReaper never reaps in-flight, keep-alive or busy sessions', () => {
+  const startedAt = new Date(0).toISOString();
+  const sessions = [
+    { name: 'rt:notebook:p:a:python:1', language: 'python', startedAt },
+    { name: 'rt:notebook:p:b:python:1', language: 'python', startedAt, keepAlive: true },
+    { name: 'rt:notebook:p:c:python:1', language: 'python', startedAt },
+  ];
+  const busy = new Set(['rt:notebook:p:c:python:1']);
+  const { reaper, stopped } = makeReaper(sessions, { policy: { notebook: 10 }, busy });
+
+  reaper.begin('rt:notebook:p:a:python:1', 'renderer:1:exec-1');
+  reaper.touch('rt:notebook:p:a:python:1', 0);
+  assert.deepEqual(reaper.sweep(60 * MINUTE), []);
+  assert.equal(reaper.status(sessions[0], 60 * MINUTE).inFlight, 1);
+
+  // The window that started the execution closed: activity counts from then
+  reaper.endAll('renderer:1:');
+  reaper.touch('rt:notebook:p:a:python:1', 60 * MINUTE);
+  assert.deepEqual(reaper.sweep(65 * MINUTE), []);
+  busy.clear();
+  assert.deepEqual(reaper.sweep(71 * MINUTE), ['rt:notebook:p:a:python:1']);
+  assert.deepEqual(reaper.sweep(90 * MINUTE), ['rt:notebook:p:c:python:1']);
+  assert.deepEqual(stopped, ['rt:notebook:p:a:python:1', 'rt:notebook:p:c:python:1']);
+});
+
+test('RuntimeReaper applies a profile idle limit with the same safeguards', () => {
+  const startedAt = new Date(0).toISOString();
+  const sessions = [
+    { name: 'rt:global:python:1', language: 'python', startedAt, limits: { idleTimeoutMinutes: 1 } },
+    { name: 'rt:global:python:2', language: 'python', startedAt, limits: { idleTimeoutMinutes: 1 } },
+  ];
+  const { reaper, stopped } = makeReaper(sessions);
+  reaper.begin('rt:global:python:2', 'agent:1');
+
+  assert.equal(reaper.status(sessions[0], 0).reapAfterMinutes, 1);
+  assert.deepEqual(reaper.sweep(2 * MINUTE), ['rt:global:python:1']);
+  assert.deepEqual(stopped, ['rt:global:python:1']);
+});
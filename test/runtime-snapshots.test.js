@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+import {
+  REPORT_MARKER,
+  snapshotId,
+  snapshotDir,
+  buildSnapshotCode,
+  buildRestoreCode,
+  buildListCode,
+  parseSnapshotReport,
+} from '../src/services/runtime-snapshots.js';
+
+const python = spawnSync('python3', ['--version'], { timeout: 10000 }).status === 0;
+
+/** Run snippets one after another in a single namespace, like successive cell executions. */
+function runCells(cells) {
+  const driver = [
+    'import json, sys',
+    'cells = json.load(sys.stdin)',
+    'ns = {"__name__": "__main__"}',
+    'for cell in cells:',
+    '    exec(cell, ns)',
+  ].join('\n');
+  return spawnSync('python3', ['-c', driver], { input: JSON.stringify(cells), encoding: 'utf8', timeout: 60000 });
+}
+
+function reports(stdout) {
+  return stdout.split('\n').filter(l => l.startsWith(REPORT_MARKER)).map(l => parseSnapshotReport({ stdout: l }));
+}
+
+test('snapshotId sorts by time and snapshotDir follows where the runtime runs', { skip: process.platform === 'win32' }, () => {
+  assert.equal(snapshotId(new Date('2026-10-19T14:25:01.123Z')), '20261019-142501-123');
+  assert.ok(snapshotId(new Date(1000)) < snapshotId(new Date(2000)));
+
+  assert.equal(
+    snapshotDir({ name: 'rt:notebook:abc:python', projectRoot: '/home/me/thesis', cwd: '/home/me/thesis/notes' }),
+    '/home/me/thesis/.mrmd/snapshots/rt-notebook-abc-python',
+  );
+  assert.equal(
+    snapshotDir({ name: 'x', cwd: '/tmp/p', remote: { projectRoot: '~/projects/thesis', cwd: '~/projects/thesis' } }),
+    '~/projects/thesis/.mrmd/snapshots/x',
+  );
+});
+
+test('parseSnapshotReport reads the marker line and surfaces runtime errors', () => {
+  assert.deepEqual(parseSnapshotReport({ stdout: `noise\n${REPORT_MARKER}{"id":"a"}\n` }), { id: 'a' });
+  assert.throws(() => parseSnapshotReport({ error: { type: 'OSError', message: 'disk full' } }), /OSError: disk full/);
+  assert.throws(() => parseSnapshotReport({ stdout: 'nothing here' }), /did not report/);
+});
+
+test('a snapshot round-trips picklable values and modules and reports the rest', { skip: !python }, async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-snap-'));
+  const dir = path.join(root, 'snaps');
+
+  try {
+    const saved = runCells([
+      'import math as m\nimport json\ndata = {"a": [1, 2, 3]}\ncount = 42\nlock = __import__("threading").Lock()\n_private = 1',
+      buildSnapshotCode({ dir, id: '20260101-000000-000', label: 'first', keep: 2 }),
+      buildSnapshotCode({ dir, id: '20260101-000000-001', keep: 2 }),
+      buildSnapshotCode({ dir, id: '20260101-000000-002', keep: 2 }),
+      buildListCode({ dir }),
+    ]);
+    assert.equal(saved.status, 0, saved.stderr);
+    const [first, , , listing] = reports(saved.stdout);
+    assert.equal(first.label, 'first');
+    assert.ok(first.saved.includes('data') && first.saved.includes('count'));
+    assert.ok(!first.saved.includes('_private'));
+    assert.deepEqual(first.modules, { m: 'math', json: 'json' });
+    assert.deepEqual(first.skipped.map(s => s.name), ['lock']);
+    assert.deepEqual(listing.snapshots.map(s => s.id), ['20260101-000000-002', '20260101-000000-001']);
+
+    const restored = runCells([
+      buildRestoreCode({ dir }),
+      'assert data == {"a": [1, 2, 3]} and count == 42 and m.pi > 3\nprint("namespace ok")',
+    ]);
+    assert.equal(restored.status, 0, restored.stderr);
+    const [report] = reports(restored.stdout);
+    assert.equal(report.id, '20260101-000000-002');
+    assert.deepEqual(report.failed, []);
+    assert.deepEqual(report.skipped.map(s => s.name), ['lock']);
+    assert.match(restored.stdout, /namespace ok/);
+
+    const missing = runCells([buildRestoreCode({ dir: path.join(root, 'none') })]);
+    assert.notEqual(missing.status, 0);
+    assert.match(missing.stderr, /No snapshots in/);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
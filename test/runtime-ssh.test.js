@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+
+import {
+  normalizeSshTarget,
+  buildSshArgs,
+  remotePaths,
+  remoteCommand,
+  buildRemoteLaunchScript,
+  parseLaunchOutput,
+} from '../src/services/runtime-ssh.js';
+
+test('normalizeSshTarget validates the host and fills defaults', () => {
+  assert.throws(() => normalizeSshTarget({}), /needs a "host"/);
+  assert.throws(() => normalizeSshTarget({ host: '-oProxyCommand=x' }), /Invalid SSH host/);
+  assert.throws(() => normalizeSshTarget({ host: 'box', user: 'a b' }), /Invalid SSH user/);
+  assert.throws(() => normalizeSshTarget({ host: 'box', port: 70000 }), /Invalid SSH port/);
+
+  const target = normalizeSshTarget({ host: 'gpu.lan', user: 'me', port: '2222', identityFile: '~/.ssh/id_ed25519' });
+  assert.equal(target.label, 'me@gpu.lan');
+  assert.equal(target.port, 2222);
+  assert.equal(target.identityFile, path.join(os.homedir(), '.ssh', 'id_ed25519'));
+
+  const args = buildSshArgs(target, ['-N']);
+  assert.ok(args.includes('BatchMode=yes'));
+  assert.deepEqual(args.slice(args.indexOf('-p'), args.indexOf('-p') + 2), ['-p', '2222']);
+  assert.deepEqual(args.slice(-2), ['-N', 'me@gpu.lan']);
+});
+
+test('remotePaths maps the project root and cwd onto the host', { skip: process.platform === 'win32' }, () => {
+  const mapped = normalizeSshTarget({ host: 'box', projectPaths: { '/home/me/thesis/': '/data/thesis' } });
+  assert.deepEqual(remotePaths(mapped, { projectRoot: '/home/me/thesis', cwd: '/home/me/thesis/notes' }), {
+    remoteProjectRoot: '/data/thesis',
+    remoteCwd: '/data/thesis/notes',
+  });
+
+  const rooted = normalizeSshTarget({ host: 'box', remoteRoot: '~/projects' });
+  assert.deepEqual(remotePaths(rooted, { projectRoot: '/home/me/thesis', cwd: '/tmp' }), {
+    remoteProjectRoot: '~/projects/thesis',
+    remoteCwd: '~/projects/thesis',
+  });
+
+  assert.throws(() => remotePaths(normalizeSshTarget({ host: 'box' }), { projectRoot: '/p' }), /No remote path/);
+
+  const command = remoteCommand(rooted, 'python', { name: 'rt:x', remoteCwd: '~/projects/thesis', remoteProjectRoot: '~/projects/thesis' });
+  assert.equal(command[0], '~/projects/thesis/.venv/bin/mrmd-python');
+  assert.throws(() => remoteCommand(rooted, 'julia', { name: 'rt:x', remoteCwd: '/', remoteProjectRoot: '/' }), /No remote command for julia/);
+});
+
+test('the launch script starts the command in the background and reports pid and port', { skip: process.platform === 'win32' }, async () => {
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'mrmd-electron-ssh-'));
+  let pid = null;
+
+  try {
+    const work = path.join(home, "it's here");
+    await fs.mkdir(work);
+    const target = normalizeSshTarget({
+      host: 'box',
+      commands: { lua: ['sh', '-c', 'echo "$1" > port.txt; sleep 30', 'runtime', '--port=${port}'] },
+    });
+    const script = buildRemoteLaunchScript({
+      name: 'rt:notebook:abc:python:1',
+      cwd: work,
+      command: remoteCommand(target, 'lua', { name: 'rt:notebook:abc:python:1', remoteCwd: work, remoteProjectRoot: work }),
+    });
+
+    const result = spawnSync('sh', ['-c', script], { env: { ...process.env, HOME: home }, encoding: 'utf8', timeout: 10000 });
+    assert.equal(result.status, 0, result.stderr);
+    const launched = parseLaunchOutput(result.stdout);
+    assert.ok(launched, result.stdout);
+    pid = launched.pid;
+    assert.ok(launched.port > 0);
+    assert.equal(launched.logPath, path.join(home, '.mrmd', 'remote-logs', 'rt-notebook-abc-python-1.log'));
+
+    let written = '';
+    for (let i = 0; i < 50 && !written; i++) {
+      written = await fs.readFile(path.join(work, 'port.txt'), 'utf8').catch(() => '');
+      if (!written) await new Promise((r) => setTimeout(r, 100));
+    }
+    assert.equal(written.trim(), `--port=${launched.port}`);
+
+    const missing = spawnSync('sh', ['-c', buildRemoteLaunchScript({ name: 'x', cwd: path.join(home, 'nope'), command: ['true'] })], {
+      env: { ...process.env, HOME: home },
+      timeout: 10000,
+    });
+    assert.equal(missing.status, 97);
+    assert.equal(parseLaunchOutput('noise\nMRMD_REMOTE pid=12 port=34 log=/h/x.log\n').port, 34);
+  } finally {
+    if (pid) {
+      try { process.kill(-pid); } catch {}
+      try { process.kill(pid); } catch {}
+    }
+    await fs.rm(home, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import RuntimeSupervisor, { backoffDelay, normalizeRestartPolicy } from '../src/services/runtime-supervisor.js';
+
+const SESSION = {
+  name: 'rt:notebook:abc:python:1',
+  language: 'python',
+  pid: 1234,
+  startedAt: new Date().toISOString(),
+};
+
+test('RuntimeSupervisor restarts failed sessions with backoff and records crash history', async () => {
+  const events = [];
+  const restarts = [];
+  const supervisor = new RuntimeSupervisor({
+    restart: async (config) => {
+      restarts.push(config);
+      return { ...SESSION, port: 41000 };
+    },
+    emit: (type, payload) => events.push({ type, payload }),
+    resolvePolicy: () => ({ initialBackoffMs: 5, maxRestarts: 1 }),
+  });
+
+  const entry = supervisor.handleExit({
+    config: { name: SESSION.name, language: 'python' },
+    session: SESSION,
+    code: 1,
+    signal: null,
+    stderrTail: ['Traceback (most recent call last):', 'MemoryError'],
+  });
+
+  assert.equal(entry.reason, 'exited with code 1');
+  assert.equal(entry.action, 'restart');
+  assert.deepEqual(entry.stderrTail, ['Traceback (most recent call last):', 'MemoryError']);
+  assert.ok(supervisor.isRestartPending(SESSION.name));
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+
+  assert.equal(restarts.length, 1);
+  assert.deepEqual(events.map((e) => e.type), ['crashed', 'restarted']);
+  assert.equal(events[1].payload.attempt, 1);
+
+  // Budget of one restart is used up: next crash gives up
+  const second = supervisor.handleExit({ config: {}, session: SESSION, code: null, signal: 'SIGKILL' });
+  assert.equal(second.action, 'gave-up');
+  assert.match(second.reason, /SIGKILL/);
+  assert.equal(supervisor.isRestartPending(SESSION.name), false);
+
+  assert.deepEqual(supervisor.history().map((e) => e.action), ['gave-up', 'restart']);
+  assert.equal(supervisor.lastCrash(SESSION.name), second);
+});
+
+test('RuntimeSupervisor honours never / on-failure policies and cancel()', () => {
+  const supervisor = new RuntimeSupervisor({ restart: async () => ({}), emit: () => {} });
+
+  supervisor.setPolicyResolver(() => ({ mode: 'on-failure' }));
+  assert.equal(supervisor.handleExit({ config: {}, session: SESSION, code: 0, signal: null }).action, 'none');
+
+  supervisor.setPolicyResolver(() => ({ mode: 'never' }));
+  assert.equal(supervisor.handleExit({ config: {}, session: SESSION, code: 1, signal: null }).action, 'none');
+
+  supervisor.setPolicyResolver(() => ({ mode: 'always', initialBackoffMs: 60000 }));
+  supervisor.handleExit({ config: {}, session: SESSION, code: 0, signal: null });
+  assert.ok(supervisor.isRestartPending(SESSION.name));
+  supervisor.cancel(SESSION.name);
+  assert.equal(supervisor.isRestartPending(SESSION.name), false);
+});
+
+test('normalizeRestartPolicy clamps bad values and backoffDelay caps growth', () => {
+  const policy = normalizeRestartPolicy({ mode: 'sometimes', maxRestarts: -2, initialBackoffMs: 100, maxBackoffMs: 250 });
+  assert.equal(policy.mode, 'on-failure');
+  assert.equal(policy.maxRestarts, 3);
+  assert.deepEqual([1, 2, 3, 4].map((n) => backoffDelay(policy, n)), [100, 200, 250, 250]);
+});
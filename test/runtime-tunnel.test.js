@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { RuntimeTunnel } from '../src/runtime-tunnel.js';
+
+/**
+ * A tunnel that is never connected: messages it would send to the relay are
+ * collected instead. One local HTTP server stands in for every port.
+ */
+async function withTunnel(fn) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(req.url);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const sessions = new Map();
+  const tunnel = new RuntimeTunnel({ relayUrl: 'ws://127.0.0.1:1', userId: 'u', token: 't', runtimeService: { sessions } });
+  const sent = [];
+  tunnel._send = (msg) => sent.push(msg);
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    await fn({ tunnel, sessions, sent, port });
+  } finally {
+    console.warn = originalWarn;
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('the tunnel proxies MRP paths of runtime sessions and blocks other ports and paths', async () => {
+  await withTunnel(async ({ tunnel, sessions, sent, port }) => {
+    await tunnel._handleHttpReq({ id: 'a', port, method: 'GET', path: '/mrp/v1/capabilities' });
+    assert.match(sent[0].error, /not a runtime session/);
+
+    sessions.set('rt:python', { name: 'rt:python', port });
+    await tunnel._handleHttpReq({ id: 'b', port, method: 'GET', path: '/mrp/v1/capabilities' });
+    const chunks = sent.filter((m) => m.id === 'b' && m.t === 'http-chunk');
+    assert.equal(Buffer.from(chunks[0].data, 'base64').toString(), '/mrp/v1/capabilities');
+    assert.ok(sent.some((m) => m.id === 'b' && m.t === 'http-end'));
+
+    for (const path of ['/admin', '/mrp/v1/../../etc', '/mrp/v1/%2e%2e/x', '//evil/mrp/v1', '@evil.example/mrp/v1']) {
+      await tunnel._handleHttpReq({ id: path, port, method: 'GET', path });
+      assert.equal(sent.at(-1).t, 'http-error', path);
+    }
+
+    // Sub-agent runtimes are not the web editor's
+    sessions.set('rt:python', { name: 'rt:python', port, ephemeral: { id: 'sub-1', owner: 't1' } });
+    tunnel._handleWsOpen({ id: 'w', port, path: 'mrp/v1/ws' });
+    assert.deepEqual(sent.at(-1), { t: 'ws-error', id: 'w', error: 'Blocked by tunnel allow-list: port is not a runtime session or exported service' });
+
+    const { blocked } = tunnel.getStatus();
+    assert.equal(blocked.count, 7);
+    assert.deepEqual(blocked.recent[0], { at: blocked.recent[0].at, transport: 'http', port, path: '/mrp/v1/capabilities', reason: 'port is not a runtime session or exported service' });
+  });
+});
+
+test('exported sync ports take WebSockets only and exported AI ports take HTTP', async () => {
+  await withTunnel(async ({ tunnel, sent, port }) => {
+    tunnel.exportPort(port, { kind: 'sync', label: 'notes' });
+    await tunnel._handleHttpReq({ id: 'h', port, method: 'GET', path: '/docs/intro' });
+    assert.equal(sent.at(-1).error, 'Blocked by tunnel allow-list: path not allowed on sync port');
+    assert.equal(tunnel._authorize('ws', port, 'docs/intro').allowed, true);
+    assert.deepEqual(tunnel.getStatus().exportedPorts, [{ port, kind: 'sync', label: 'notes' }]);
+
+    tunnel.exportPort(port, { kind: 'ai' });
+    await tunnel._handleHttpReq({ id: 'ai', port, method: 'POST', path: '/complete', body: {} });
+    assert.ok(sent.some((m) => m.id === 'ai' && m.t === 'http-res' && m.status === 200));
+
+    tunnel.unexportPort(port);
+    assert.equal(tunnel._authorize('http', port, '/complete').allowed, false);
+    assert.throws(() => tunnel.exportPort(port, { kind: 'ssh' }), /Unknown tunnel export kind/);
+  });
+});